@@ -0,0 +1,172 @@
+/**
+ * North American Numbering Plan area codes
+ *
+ * regions: US states, DC, territories and Canadian provinces
+ *   timezone:  predominant IANA timezone of the region
+ *   lat / lon: approximate geographic center (used to find the nearest region with a DID)
+ *   areaCodes: overlay groups - codes in one string serve the same geography
+ *              (a code can appear in several groups when it overlays more than one area)
+ *   timezones: area codes whose predominant timezone differs from the region's
+ *
+ * otherCountries: NANP area codes of Caribbean / Atlantic countries (no state)
+ *
+ * Includes overlays announced through 2025
+ */
+
+const regions = {
+  // US states
+  AL: { country: 'US', timezone: 'America/Chicago', lat: 32.8, lon: -86.8, areaCodes: ['205 659', '251', '256 938', '334 483'] },
+  AK: { country: 'US', timezone: 'America/Anchorage', lat: 64.0, lon: -152.0, areaCodes: ['907'] },
+  AZ: { country: 'US', timezone: 'America/Phoenix', lat: 34.3, lon: -111.7, areaCodes: ['480', '520', '602', '623', '928'] },
+  AR: { country: 'US', timezone: 'America/Chicago', lat: 34.9, lon: -92.4, areaCodes: ['479', '501', '870 327'] },
+  CA: {
+    country: 'US', timezone: 'America/Los_Angeles', lat: 37.2, lon: -119.5,
+    areaCodes: [
+      '209 350', '213 323 738', '310 424', '408 669', '415 628', '510 341', '530 837', '559', '562',
+      '619', '626', '650', '657 714', '661', '707 369', '747 818', '760 442', '805 820', '831',
+      '858', '909 840', '916 279', '925', '949', '951'
+    ]
+  },
+  CO: { country: 'US', timezone: 'America/Denver', lat: 39.0, lon: -105.5, areaCodes: ['303 720 983', '719 748', '970'] },
+  CT: { country: 'US', timezone: 'America/New_York', lat: 41.6, lon: -72.7, areaCodes: ['203 475', '860 959'] },
+  DE: { country: 'US', timezone: 'America/New_York', lat: 39.0, lon: -75.5, areaCodes: ['302'] },
+  DC: { country: 'US', timezone: 'America/New_York', lat: 38.9, lon: -77.0, areaCodes: ['202 771'] },
+  FL: {
+    country: 'US', timezone: 'America/New_York', lat: 28.6, lon: -82.4,
+    areaCodes: [
+      '239', '305 786 645', '321 407 689', '352', '386', '561 728', '727', '754 954', '772',
+      '813 656', '850 448', '863', '904 324', '941'
+    ],
+    timezones: { 850: 'America/Chicago', 448: 'America/Chicago' }
+  },
+  GA: { country: 'US', timezone: 'America/New_York', lat: 32.7, lon: -83.4, areaCodes: ['229', '404 470 678 770 943', '478', '706 762', '912'] },
+  HI: { country: 'US', timezone: 'Pacific/Honolulu', lat: 20.8, lon: -156.3, areaCodes: ['808'] },
+  ID: { country: 'US', timezone: 'America/Boise', lat: 44.2, lon: -114.6, areaCodes: ['208 986'] },
+  IL: {
+    country: 'US', timezone: 'America/Chicago', lat: 40.0, lon: -89.2,
+    areaCodes: ['217 447', '224 847', '309 861', '312 872', '773 872', '331 630', '464 708', '618 730', '779 815']
+  },
+  IN: {
+    country: 'US', timezone: 'America/Indiana/Indianapolis', lat: 39.9, lon: -86.3,
+    areaCodes: ['219', '260', '317 463', '574', '765', '812 930'],
+    timezones: { 219: 'America/Chicago' }
+  },
+  IA: { country: 'US', timezone: 'America/Chicago', lat: 42.1, lon: -93.5, areaCodes: ['319', '515', '563', '641', '712'] },
+  KS: { country: 'US', timezone: 'America/Chicago', lat: 38.5, lon: -98.4, areaCodes: ['316', '620', '785', '913'] },
+  KY: {
+    country: 'US', timezone: 'America/New_York', lat: 37.5, lon: -85.3,
+    areaCodes: ['270 364', '502', '606', '859'],
+    timezones: { 270: 'America/Chicago', 364: 'America/Chicago' }
+  },
+  LA: { country: 'US', timezone: 'America/Chicago', lat: 31.1, lon: -92.0, areaCodes: ['225', '318', '337', '504', '985'] },
+  ME: { country: 'US', timezone: 'America/New_York', lat: 45.4, lon: -69.2, areaCodes: ['207'] },
+  MD: { country: 'US', timezone: 'America/New_York', lat: 39.0, lon: -76.8, areaCodes: ['240 301 227', '410 443 667'] },
+  MA: { country: 'US', timezone: 'America/New_York', lat: 42.3, lon: -71.8, areaCodes: ['339 781', '351 978', '413', '508 774', '617 857'] },
+  MI: {
+    country: 'US', timezone: 'America/Detroit', lat: 44.3, lon: -85.4,
+    areaCodes: ['231', '248 947', '269', '313 679', '517', '586', '616', '734', '810', '906', '989']
+  },
+  MN: { country: 'US', timezone: 'America/Chicago', lat: 46.3, lon: -94.3, areaCodes: ['218', '320', '507', '612', '651', '763', '952'] },
+  MS: { country: 'US', timezone: 'America/Chicago', lat: 32.7, lon: -89.7, areaCodes: ['228', '601 769', '662'] },
+  MO: { country: 'US', timezone: 'America/Chicago', lat: 38.4, lon: -92.5, areaCodes: ['314 557', '417', '573 235', '636', '660', '816 975'] },
+  MT: { country: 'US', timezone: 'America/Denver', lat: 47.0, lon: -109.6, areaCodes: ['406'] },
+  NE: { country: 'US', timezone: 'America/Chicago', lat: 41.5, lon: -99.8, areaCodes: ['308', '402 531'] },
+  NV: { country: 'US', timezone: 'America/Los_Angeles', lat: 39.3, lon: -116.6, areaCodes: ['702 725', '775'] },
+  NH: { country: 'US', timezone: 'America/New_York', lat: 43.7, lon: -71.6, areaCodes: ['603'] },
+  NJ: { country: 'US', timezone: 'America/New_York', lat: 40.2, lon: -74.7, areaCodes: ['201 551', '609 640', '732 848', '856', '862 973', '908'] },
+  NM: { country: 'US', timezone: 'America/Denver', lat: 34.4, lon: -106.1, areaCodes: ['505', '575'] },
+  NY: {
+    country: 'US', timezone: 'America/New_York', lat: 42.9, lon: -75.5,
+    areaCodes: [
+      '212 332 646 917', '718 347 929 917', '315 680', '516 363', '518 838', '585', '607',
+      '631 934', '716 624', '845 329', '914'
+    ]
+  },
+  NC: { country: 'US', timezone: 'America/New_York', lat: 35.6, lon: -79.4, areaCodes: ['252', '336 743', '704 980', '828', '910 472', '919 984'] },
+  ND: { country: 'US', timezone: 'America/Chicago', lat: 47.5, lon: -100.5, areaCodes: ['701'] },
+  OH: {
+    country: 'US', timezone: 'America/New_York', lat: 40.3, lon: -82.8,
+    areaCodes: ['216', '220 740', '234 330', '283 513', '380 614', '419 567', '436 440', '937 326']
+  },
+  OK: { country: 'US', timezone: 'America/Chicago', lat: 35.6, lon: -97.5, areaCodes: ['405 572', '539 918', '580'] },
+  OR: { country: 'US', timezone: 'America/Los_Angeles', lat: 43.9, lon: -120.6, areaCodes: ['458 541', '503 971'] },
+  PA: {
+    country: 'US', timezone: 'America/New_York', lat: 40.9, lon: -77.8,
+    areaCodes: ['215 267 445', '223 717', '272 570', '412 878', '484 610 835', '724 878', '814 582']
+  },
+  RI: { country: 'US', timezone: 'America/New_York', lat: 41.7, lon: -71.5, areaCodes: ['401'] },
+  SC: { country: 'US', timezone: 'America/New_York', lat: 33.9, lon: -80.9, areaCodes: ['803 839', '843 854', '864'] },
+  SD: { country: 'US', timezone: 'America/Chicago', lat: 44.4, lon: -100.2, areaCodes: ['605'] },
+  TN: {
+    country: 'US', timezone: 'America/Chicago', lat: 35.9, lon: -86.4,
+    areaCodes: ['423', '615 629', '731', '865', '901', '931'],
+    timezones: { 423: 'America/New_York', 865: 'America/New_York' }
+  },
+  TX: {
+    country: 'US', timezone: 'America/Chicago', lat: 31.5, lon: -99.3,
+    areaCodes: [
+      '210 726', '214 469 972 945', '254', '281 346 713 832', '325', '361', '409', '430 903',
+      '432', '512 737', '682 817', '806', '830', '915', '936', '940', '956', '979'
+    ],
+    timezones: { 915: 'America/Denver' }
+  },
+  UT: { country: 'US', timezone: 'America/Denver', lat: 39.3, lon: -111.7, areaCodes: ['385 801', '435'] },
+  VT: { country: 'US', timezone: 'America/New_York', lat: 44.0, lon: -72.7, areaCodes: ['802'] },
+  VA: { country: 'US', timezone: 'America/New_York', lat: 37.5, lon: -78.9, areaCodes: ['276', '434', '540', '571 703', '757 948', '804 686'] },
+  WA: { country: 'US', timezone: 'America/Los_Angeles', lat: 47.4, lon: -120.5, areaCodes: ['206', '253', '360 564', '425', '509'] },
+  WV: { country: 'US', timezone: 'America/New_York', lat: 38.6, lon: -80.6, areaCodes: ['304 681'] },
+  WI: { country: 'US', timezone: 'America/Chicago', lat: 44.6, lon: -89.9, areaCodes: ['262', '414', '608 353', '715 534', '920 274'] },
+  WY: { country: 'US', timezone: 'America/Denver', lat: 43.0, lon: -107.5, areaCodes: ['307'] },
+
+  // US territories
+  PR: { country: 'US', timezone: 'America/Puerto_Rico', lat: 18.2, lon: -66.5, areaCodes: ['787 939'] },
+  VI: { country: 'US', timezone: 'America/St_Thomas', lat: 18.3, lon: -64.9, areaCodes: ['340'] },
+  GU: { country: 'US', timezone: 'Pacific/Guam', lat: 13.4, lon: 144.8, areaCodes: ['671'] },
+  MP: { country: 'US', timezone: 'Pacific/Saipan', lat: 15.2, lon: 145.7, areaCodes: ['670'] },
+  AS: { country: 'US', timezone: 'Pacific/Pago_Pago', lat: -14.3, lon: -170.7, areaCodes: ['684'] },
+
+  // Canadian provinces and territories
+  AB: { country: 'CA', timezone: 'America/Edmonton', lat: 55.0, lon: -115.0, areaCodes: ['403 780 587 825 368'] },
+  BC: { country: 'CA', timezone: 'America/Vancouver', lat: 53.7, lon: -127.6, areaCodes: ['604 250 778 236 672'] },
+  MB: { country: 'CA', timezone: 'America/Winnipeg', lat: 55.0, lon: -97.0, areaCodes: ['204 431 584'] },
+  NB: { country: 'CA', timezone: 'America/Moncton', lat: 46.5, lon: -66.2, areaCodes: ['506 428'] },
+  NL: { country: 'CA', timezone: 'America/St_Johns', lat: 53.1, lon: -57.7, areaCodes: ['709 879'] },
+  NS: { country: 'CA', timezone: 'America/Halifax', lat: 45.0, lon: -63.0, areaCodes: ['902 782'] }, // Also Prince Edward Island
+  ON: {
+    country: 'CA', timezone: 'America/Toronto', lat: 50.0, lon: -85.0,
+    areaCodes: ['226 519 548 382', '249 705 683', '289 905 365 742', '343 613 753', '416 647 437 942', '807']
+  },
+  QC: { country: 'CA', timezone: 'America/Toronto', lat: 52.9, lon: -73.5, areaCodes: ['418 581 367', '438 514 263', '450 579 354', '819 873 468'] },
+  SK: { country: 'CA', timezone: 'America/Regina', lat: 52.9, lon: -106.5, areaCodes: ['306 639 474'] },
+  NT: { country: 'CA', timezone: 'America/Yellowknife', lat: 64.8, lon: -124.8, areaCodes: ['867'] } // Also Yukon and Nunavut
+};
+
+// area code -> [ISO country, IANA timezone]
+const otherCountries = {
+  242: ['BS', 'America/Nassau'],
+  246: ['BB', 'America/Barbados'],
+  264: ['AI', 'America/Anguilla'],
+  268: ['AG', 'America/Antigua'],
+  284: ['VG', 'America/Tortola'],
+  345: ['KY', 'America/Cayman'],
+  441: ['BM', 'Atlantic/Bermuda'],
+  473: ['GD', 'America/Grenada'],
+  649: ['TC', 'America/Grand_Turk'],
+  658: ['JM', 'America/Jamaica'],
+  664: ['MS', 'America/Montserrat'],
+  721: ['SX', 'America/Lower_Princes'],
+  758: ['LC', 'America/St_Lucia'],
+  767: ['DM', 'America/Dominica'],
+  784: ['VC', 'America/St_Vincent'],
+  809: ['DO', 'America/Santo_Domingo'],
+  829: ['DO', 'America/Santo_Domingo'],
+  849: ['DO', 'America/Santo_Domingo'],
+  868: ['TT', 'America/Port_of_Spain'],
+  869: ['KN', 'America/St_Kitts'],
+  876: ['JM', 'America/Jamaica']
+};
+
+module.exports = {
+  regions,
+  otherCountries
+};
@@ -1,4 +1,6 @@
 const { Pool } = require('pg');
+const { v4: uuidv4 } = require('uuid');
+const defaultScript = require('./defaultScript');
 
 // Database configuration
 const poolConfig = {
@@ -333,6 +335,8 @@ async function initializeDatabase() {
         elevenlabs_stt_hours DECIMAL(10, 4) DEFAULT 0,
         elevenlabs_stt_cost DECIMAL(10, 6) DEFAULT 0,
         elevenlabs_total DECIMAL(10, 6) DEFAULT 0,
+        deepgram_stt_minutes DECIMAL(10, 4) DEFAULT 0,
+        deepgram_stt_cost DECIMAL(10, 6) DEFAULT 0,
         openai_model VARCHAR(100),
         openai_input_tokens INTEGER DEFAULT 0,
         openai_output_tokens INTEGER DEFAULT 0,
@@ -370,6 +374,15 @@ async function initializeDatabase() {
         IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='costs' AND column_name='elevenlabs_total') THEN
           ALTER TABLE costs ADD COLUMN elevenlabs_total DECIMAL(10, 6) DEFAULT 0;
         END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='costs' AND column_name='rate_card_version') THEN
+          ALTER TABLE costs ADD COLUMN rate_card_version INTEGER;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='costs' AND column_name='deepgram_stt_minutes') THEN
+          ALTER TABLE costs ADD COLUMN deepgram_stt_minutes DECIMAL(10, 4) DEFAULT 0;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='costs' AND column_name='deepgram_stt_cost') THEN
+          ALTER TABLE costs ADD COLUMN deepgram_stt_cost DECIMAL(10, 6) DEFAULT 0;
+        END IF;
       END $$;
     `);
     
@@ -398,6 +411,41 @@ async function initializeDatabase() {
     await query('CREATE INDEX IF NOT EXISTS idx_transferred_calls_call_control_id ON transferred_calls(call_control_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_transferred_calls_user_id ON transferred_calls(user_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_transferred_calls_transferred_at ON transferred_calls(transferred_at DESC)');
+
+    // One transferred_calls row per transfer attempt (failover tries the next destination)
+    // Rows from before attempt tracking were transfers that connected, so they default to 'bridged'
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='transferred_calls' AND column_name='attempt') THEN
+          ALTER TABLE transferred_calls DROP CONSTRAINT IF EXISTS transferred_calls_call_control_id_key;
+          ALTER TABLE transferred_calls ADD COLUMN attempt INTEGER NOT NULL DEFAULT 1;
+          ALTER TABLE transferred_calls ADD COLUMN destination_id UUID;
+          ALTER TABLE transferred_calls ADD COLUMN campaign_id UUID;
+          ALTER TABLE transferred_calls ADD COLUMN leg_call_control_id VARCHAR(255);
+          ALTER TABLE transferred_calls ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'bridged';
+          ALTER TABLE transferred_calls ALTER COLUMN status SET DEFAULT 'dialing';
+          ALTER TABLE transferred_calls ADD COLUMN failure_reason VARCHAR(100);
+          ALTER TABLE transferred_calls ADD COLUMN ended_at TIMESTAMP;
+        END IF;
+      END $$;
+    `);
+    await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_transferred_calls_attempt ON transferred_calls(call_control_id, attempt)');
+
+    // Transfer outcomes: when the agent leg was bridged, how long the agent talked and the closer's disposition
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='transferred_calls' AND column_name='bridged_at') THEN
+          ALTER TABLE transferred_calls ADD COLUMN bridged_at TIMESTAMP;
+          ALTER TABLE transferred_calls ADD COLUMN talk_seconds INTEGER;
+          ALTER TABLE transferred_calls ADD COLUMN disposition VARCHAR(20);
+          ALTER TABLE transferred_calls ADD COLUMN disposition_notes TEXT;
+          ALTER TABLE transferred_calls ADD COLUMN disposition_by VARCHAR(100);
+          ALTER TABLE transferred_calls ADD COLUMN disposition_at TIMESTAMP;
+        END IF;
+      END $$;
+    `);
     
     // Create telnyx_calls table to track actual Telnyx API calls (source of truth)
     await query(`
@@ -444,7 +492,399 @@ async function initializeDatabase() {
     await query('CREATE INDEX IF NOT EXISTS idx_call_recordings_call_control_id ON call_recordings(call_control_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_call_recordings_status ON call_recordings(status)');
     await query('CREATE INDEX IF NOT EXISTS idx_call_recordings_created_at ON call_recordings(created_at DESC)');
-    
+
+    // Create scripts tables (call script templates, every content change is a new version)
+    await query(`
+      CREATE TABLE IF NOT EXISTS scripts (
+        id UUID PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        is_default BOOLEAN DEFAULT false,
+        current_version INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS script_versions (
+        id SERIAL PRIMARY KEY,
+        script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        system_prompt TEXT NOT NULL,
+        greeting TEXT,
+        greeting_second_part TEXT,
+        qualification_questions JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (script_id, version)
+      )
+    `);
+
+    // Text-to-speech provider and voice of a script (not versioned, NULL = TTS_PROVIDER default)
+    await query(`
+      DO $$ 
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='scripts' AND column_name='tts_provider') THEN
+          ALTER TABLE scripts ADD COLUMN tts_provider VARCHAR(20);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='scripts' AND column_name='tts_voice') THEN
+          ALTER TABLE scripts ADD COLUMN tts_voice VARCHAR(255);
+        END IF;
+      END $$;
+    `);
+
+    // LLM settings of a script (not versioned, NULL = LLM_MODEL / defaults)
+    await query(`
+      DO $$ 
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='scripts' AND column_name='llm_model') THEN
+          ALTER TABLE scripts ADD COLUMN llm_model VARCHAR(100);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='scripts' AND column_name='llm_temperature') THEN
+          ALTER TABLE scripts ADD COLUMN llm_temperature REAL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='scripts' AND column_name='llm_max_tokens') THEN
+          ALTER TABLE scripts ADD COLUMN llm_max_tokens INTEGER;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='scripts' AND column_name='llm_fallback_model') THEN
+          ALTER TABLE scripts ADD COLUMN llm_fallback_model VARCHAR(100);
+        END IF;
+      END $$;
+    `);
+
+    // Add qualification questions to script versions (NULL = built-in final expense questions)
+    await query(`
+      DO $$ 
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='script_versions' AND column_name='qualification_questions') THEN
+          ALTER TABLE script_versions ADD COLUMN qualification_questions JSONB;
+        END IF;
+      END $$;
+    `);
+
+    // Seed the built-in script so it can be edited without a deploy
+    const scriptCount = await query('SELECT COUNT(*)::int as count FROM scripts');
+    if (scriptCount.rows[0].count === 0) {
+      const scriptId = uuidv4();
+      await query(
+        `INSERT INTO scripts (id, name, description, is_default, current_version) VALUES ($1, $2, $3, true, 1)`,
+        [scriptId, defaultScript.name, defaultScript.description]
+      );
+      await query(
+        `INSERT INTO script_versions (script_id, version, system_prompt, greeting, greeting_second_part)
+         VALUES ($1, 1, $2, $3, $4)`,
+        [scriptId, defaultScript.systemPrompt, defaultScript.greeting, defaultScript.greetingSecondPart]
+      );
+      console.log(`✅ Seeded default call script: ${defaultScript.name}`);
+    }
+
+    // Create campaigns table (each campaign dials its own lead list side by side)
+    await query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id UUID PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        status VARCHAR(50) DEFAULT 'draft',
+        transfer_number VARCHAR(50),
+        max_concurrent_calls INTEGER DEFAULT 1,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status)');
+
+    // Script used by the campaign (NULL = default script)
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='campaigns' AND column_name='script_id') THEN
+          ALTER TABLE campaigns ADD COLUMN script_id UUID REFERENCES scripts(id) ON DELETE SET NULL;
+        END IF;
+      END $$;
+    `);
+
+    // Speech-to-text provider and text-to-speech provider/voice of the campaign (NULL = STT_PROVIDER / TTS_PROVIDER default)
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='campaigns' AND column_name='stt_provider') THEN
+          ALTER TABLE campaigns ADD COLUMN stt_provider VARCHAR(20);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='campaigns' AND column_name='tts_provider') THEN
+          ALTER TABLE campaigns ADD COLUMN tts_provider VARCHAR(20);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='campaigns' AND column_name='tts_voice') THEN
+          ALTER TABLE campaigns ADD COLUMN tts_voice VARCHAR(255);
+        END IF;
+      END $$;
+    `);
+
+    // Create campaign_leads table (per-campaign lead lists)
+    await query(`
+      CREATE TABLE IF NOT EXISTS campaign_leads (
+        id SERIAL PRIMARY KEY,
+        campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        added_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (campaign_id, user_id)
+      )
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_campaign_leads_campaign_id ON campaign_leads(campaign_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_campaign_leads_user_id ON campaign_leads(user_id)');
+
+    // Tag Telnyx calls with the campaign that placed them (for per-campaign stats)
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='telnyx_calls' AND column_name='campaign_id') THEN
+          ALTER TABLE telnyx_calls ADD COLUMN campaign_id UUID;
+        END IF;
+      END $$;
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_telnyx_calls_campaign_id ON telnyx_calls(campaign_id)');
+
+    // Track hangups on telnyx_calls so calls left open by a restart can be reconciled
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='telnyx_calls' AND column_name='hangup_at') THEN
+          ALTER TABLE telnyx_calls ADD COLUMN hangup_at TIMESTAMP;
+          -- Existing rows predate hangup tracking, treat them as closed
+          UPDATE telnyx_calls SET hangup_at = updated_at;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='telnyx_calls' AND column_name='hangup_cause') THEN
+          ALTER TABLE telnyx_calls ADD COLUMN hangup_cause VARCHAR(100);
+        END IF;
+        -- Script version the call was made with
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='telnyx_calls' AND column_name='script_id') THEN
+          ALTER TABLE telnyx_calls ADD COLUMN script_id UUID;
+          ALTER TABLE telnyx_calls ADD COLUMN script_version INTEGER;
+        END IF;
+      END $$;
+    `);
+
+    // Call direction: 'outbound' (we dialed the lead) or 'inbound' (the lead called one of our DIDs)
+    // from_number is always our DID and to_number the lead, whichever side dialed
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='telnyx_calls' AND column_name='direction') THEN
+          ALTER TABLE telnyx_calls ADD COLUMN direction VARCHAR(10) NOT NULL DEFAULT 'outbound';
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='conversations' AND column_name='direction') THEN
+          ALTER TABLE conversations ADD COLUMN direction VARCHAR(10) NOT NULL DEFAULT 'outbound';
+        END IF;
+      END $$;
+    `);
+
+    // Per-turn response latency of a call (first token, first audio, full response)
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='conversations' AND column_name='latency') THEN
+          ALTER TABLE conversations ADD COLUMN latency JSONB;
+        END IF;
+      END $$;
+    `);
+
+    // Create call_queue table (durable dialing queue, resumed on boot)
+    await query(`
+      CREATE TABLE IF NOT EXISTS call_queue (
+        id SERIAL PRIMARY KEY,
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(50) DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        call_control_id VARCHAR(255),
+        result VARCHAR(100),
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_call_queue_status ON call_queue(status)');
+    await query('CREATE INDEX IF NOT EXISTS idx_call_queue_campaign_id ON call_queue(campaign_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_call_queue_call_control_id ON call_queue(call_control_id)');
+
+    // Retry scheduling: when a lead / queue item may be dialed again (NULL = no retry scheduled)
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='next_attempt_at') THEN
+          ALTER TABLE users ADD COLUMN next_attempt_at TIMESTAMP;
+          -- Keep leads that were retryable under the old fixed 3-attempt rule callable
+          UPDATE users SET next_attempt_at = NOW() WHERE status = 'called' AND call_attempts < 3;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='last_hangup_reason') THEN
+          ALTER TABLE users ADD COLUMN last_hangup_reason VARCHAR(100);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='call_queue' AND column_name='next_attempt_at') THEN
+          ALTER TABLE call_queue ADD COLUMN next_attempt_at TIMESTAMP;
+        END IF;
+      END $$;
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_users_next_attempt_at ON users(next_attempt_at)');
+
+    // Do-Not-Call list (phone stored as the last 10 digits so formats match)
+    await query(`
+      CREATE TABLE IF NOT EXISTS dnc_numbers (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(20) UNIQUE NOT NULL,
+        reason TEXT,
+        source VARCHAR(50) DEFAULT 'manual',
+        call_control_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create webhook_events table (raw Telnyx webhook log for call timelines and replay)
+    await query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id BIGSERIAL PRIMARY KEY,
+        event_id VARCHAR(255),
+        event_type VARCHAR(100),
+        call_control_id VARCHAR(255),
+        payload JSONB NOT NULL,
+        occurred_at TIMESTAMP,
+        received_at TIMESTAMP DEFAULT NOW(),
+        processing_status VARCHAR(20) DEFAULT 'received',
+        processing_error TEXT,
+        processing_ms INTEGER
+      )
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_webhook_events_call ON webhook_events(call_control_id, received_at)');
+    await query('CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at)');
+    // One handled row per event ID - webhook dedup (failed and duplicate rows don't count, so a redelivery after
+    // a failure is processed again). Rows handled twice before the index existed are marked as duplicates first
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_webhook_events_event_id_handled') THEN
+          UPDATE webhook_events w SET processing_status = 'duplicate'
+          WHERE w.event_id IS NOT NULL AND w.processing_status IN ('processed', 'unhandled')
+            AND EXISTS (
+              SELECT 1 FROM webhook_events o
+              WHERE o.event_id = w.event_id AND o.processing_status IN ('processed', 'unhandled') AND o.id < w.id
+            );
+          CREATE UNIQUE INDEX idx_webhook_events_event_id_handled ON webhook_events(event_id)
+            WHERE processing_status IN ('processed', 'unhandled');
+        END IF;
+      END $$;
+    `);
+
+    // Create did_health table (rested DIDs and when their health metrics restart)
+    await query(`
+      CREATE TABLE IF NOT EXISTS did_health (
+        phone_number VARCHAR(50) PRIMARY KEY,
+        rested_until TIMESTAMP,
+        rest_reason VARCHAR(100),
+        metrics_since TIMESTAMP,
+        last_score INTEGER,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_telnyx_calls_from_number ON telnyx_calls(from_number, initiated_at)');
+
+    // Create DID pools (named caller ID sets; the default pool is the main rotation)
+    await query(`
+      CREATE TABLE IF NOT EXISTS did_pools (
+        id UUID PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        strategy VARCHAR(20) DEFAULT 'area_code',
+        enabled BOOLEAN DEFAULT true,
+        is_default BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS did_pool_numbers (
+        pool_id UUID NOT NULL REFERENCES did_pools(id) ON DELETE CASCADE,
+        phone_number VARCHAR(50) NOT NULL,
+        added_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (pool_id, phone_number)
+      )
+    `);
+
+    // Per-DID weight for the weighted strategy
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='did_pool_numbers' AND column_name='weight') THEN
+          ALTER TABLE did_pool_numbers ADD COLUMN weight INTEGER NOT NULL DEFAULT 1 CHECK (weight >= 0);
+        END IF;
+      END $$;
+    `);
+
+    // Pool assignment: a lead's pool wins over its campaign's, neither = main rotation
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='campaigns' AND column_name='did_pool_id') THEN
+          ALTER TABLE campaigns ADD COLUMN did_pool_id UUID REFERENCES did_pools(id) ON DELETE SET NULL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='did_pool_id') THEN
+          ALTER TABLE users ADD COLUMN did_pool_id UUID REFERENCES did_pools(id) ON DELETE SET NULL;
+        END IF;
+      END $$;
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_users_did_pool_id ON users(did_pool_id)');
+
+    // Create transfer destinations (licensed agents / queues tried in priority order with failover)
+    // campaign_id NULL = available to every campaign, schedule NULL = always open
+    await query(`
+      CREATE TABLE IF NOT EXISTS transfer_destinations (
+        id UUID PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        phone_number VARCHAR(50) NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 1,
+        max_concurrent INTEGER NOT NULL DEFAULT 0,
+        timeout_secs INTEGER NOT NULL DEFAULT 30,
+        schedule JSONB,
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+        enabled BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create rate cards (provider prices; the card with the latest effective_from at call time prices the call)
+    await query(`
+      CREATE TABLE IF NOT EXISTS rate_cards (
+        version SERIAL PRIMARY KEY,
+        effective_from TIMESTAMP NOT NULL,
+        pricing JSONB NOT NULL,
+        notes TEXT,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create operators table (dashboard/API logins)
+    await query(`
+      CREATE TABLE IF NOT EXISTS operators (
+        id UUID PRIMARY KEY,
+        username VARCHAR(100) UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'supervisor', 'viewer')),
+        is_active BOOLEAN DEFAULT true,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
     console.log('✅ Database initialized successfully');
     return true;
   } catch (error) {
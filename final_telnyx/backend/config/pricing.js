@@ -0,0 +1,40 @@
+/**
+ * Built-in provider rates (list prices as of Dec 2024)
+ * Seeded as the first rate card when the rate_cards table is empty; negotiated rates are added
+ * as new rate cards through /api/costs/pricing. Every rate card holds the full set of prices.
+ *
+ * openai: per-model token prices, `default` prices models that have no entry of their own
+ */
+
+const DEFAULT_PRICING = {
+  telnyx: {
+    outboundCallPerMinute: 0.002,   // Voice API, billed per started minute
+    streamingPerMinute: 0.0035,     // Bidirectional media streaming
+    transferCost: 0.10              // Flat fee per transfer invocation
+  },
+  elevenlabs: {
+    ttsPerSecond: 0.001,            // Turbo v2 Flash = $0.06 per minute
+    sttPerHour: 0.39                // Scribe v2 Realtime = $0.0065 per minute
+  },
+  deepgram: {
+    sttPerMinute: 0.0077            // Live streaming, pay as you go (billed per second)
+  },
+  openai: {
+    'gpt-4o-mini': { inputPer1M: 0.15, outputPer1M: 0.60 },
+    'gpt-4-turbo-preview': { inputPer1M: 10.00, outputPer1M: 30.00 },
+    'gpt-4': { inputPer1M: 30.00, outputPer1M: 60.00 },
+    default: { inputPer1M: 10.00, outputPer1M: 30.00 }
+  }
+};
+
+// Flat rates per provider section (openai is per model)
+const RATE_FIELDS = {
+  telnyx: ['outboundCallPerMinute', 'streamingPerMinute', 'transferCost'],
+  elevenlabs: ['ttsPerSecond', 'sttPerHour'],
+  deepgram: ['sttPerMinute']
+};
+
+module.exports = {
+  DEFAULT_PRICING,
+  RATE_FIELDS
+};
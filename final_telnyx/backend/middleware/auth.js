@@ -0,0 +1,65 @@
+/**
+ * Auth middleware
+ * Checks the Bearer session token on /api routes and enforces operator roles
+ */
+
+const authService = require('../services/authService');
+const operatorModel = require('../models/operatorModel');
+
+/**
+ * Require a valid session token; sets req.operator = { id, username, role }
+ * The operator is re-read on every request so role changes and deactivation apply immediately
+ */
+async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  let claims;
+  try {
+    claims = authService.verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({ success: false, error: error.message });
+  }
+
+  try {
+    const operator = await operatorModel.getById(claims.sub);
+    if (!operator || !operator.is_active) {
+      return res.status(401).json({ success: false, error: 'Operator is disabled or no longer exists' });
+    }
+    req.operator = { id: operator.id, username: operator.username, role: operator.role };
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Require at least the given role (viewer < supervisor < admin)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.operator || !authService.hasRole(req.operator.role, role)) {
+      return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Viewers are read-only: anything but GET/HEAD needs supervisor or above
+ */
+function readOnlyForViewers(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return next();
+  }
+  return requireRole('supervisor')(req, res, next);
+}
+
+module.exports = {
+  requireAuth,
+  requireRole,
+  readOnlyForViewers
+};
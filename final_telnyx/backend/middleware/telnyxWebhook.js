@@ -0,0 +1,48 @@
+/**
+ * Telnyx webhook middleware
+ * Rejects unsigned, forged or stale webhooks and acknowledges duplicates without processing them
+ * An accepted event stays claimed until the route releases it (webhookSecurity.releaseEvent)
+ */
+
+const webhookSecurity = require('../services/webhookSecurityService');
+const webhookEventModel = require('../models/webhookEventModel');
+
+async function verifyTelnyxWebhook(req, res, next) {
+  if (webhookSecurity.isEnabled()) {
+    const result = webhookSecurity.verifySignature({
+      rawBody: req.rawBody,
+      signature: req.get('telnyx-signature-ed25519'),
+      timestamp: req.get('telnyx-timestamp')
+    });
+    if (!result.valid) {
+      console.warn(`🚫 Rejected Telnyx webhook from ${req.ip}: ${result.error}`);
+      return res.status(401).json({ success: false, error: result.error });
+    }
+  } else if (webhookSecurity.requiresSignature()) {
+    // Misconfigured production deploy - never accept unverified call events
+    console.warn(`🚫 Rejected Telnyx webhook from ${req.ip}: TELNYX_PUBLIC_KEY missing or invalid`);
+    return res.status(401).json({ success: false, error: 'Webhook signature verification is not configured' });
+  }
+
+  // Duplicate = being processed right now, or processed before (webhook_events, survives restarts)
+  // Events whose processing failed are not marked, so a redelivery is processed again
+  const eventId = req.body?.data?.id;
+  let duplicate = !webhookSecurity.claimEvent(eventId);
+  if (!duplicate && eventId && await webhookEventModel.isProcessed(eventId)) {
+    webhookSecurity.releaseEvent(eventId);
+    duplicate = true;
+  }
+  if (duplicate) {
+    console.log(`🔁 Duplicate Telnyx webhook ignored: ${req.body.data.event_type} (${eventId})`);
+    // Keep it in the event log so redeliveries show up in the call timeline
+    webhookEventModel.record(req.body, 'duplicate');
+    // 200 so Telnyx stops redelivering
+    return res.sendStatus(200);
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyTelnyxWebhook
+};
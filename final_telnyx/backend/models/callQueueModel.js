@@ -0,0 +1,127 @@
+const { query } = require('../config/database');
+
+// Queue item lifecycle: pending -> dialing -> in_progress -> completed
+// (failed when retries are exhausted, cancelled when the agent/campaign is stopped)
+const OPEN_STATUSES = ['pending', 'dialing', 'in_progress'];
+
+class CallQueueModel {
+  /**
+   * Add users to the durable queue
+   * campaignId is null for the ad-hoc agent session
+   */
+  async enqueue(campaignId, userIds) {
+    try {
+      if (!userIds || userIds.length === 0) {
+        return [];
+      }
+
+      const result = await query(
+        `INSERT INTO call_queue (campaign_id, user_id, status, attempts)
+         SELECT $1, user_id, 'pending', 0 FROM unnest($2::uuid[]) AS user_id
+         RETURNING id, user_id`,
+        [campaignId, userIds]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in enqueue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update a queue item (status, attempts, call_control_id, result, last_error, next_attempt_at)
+   */
+  async updateItem(id, updates) {
+    if (!id) return null;
+
+    try {
+      const fields = [];
+      const values = [];
+      let paramCount = 1;
+
+      for (const field of ['status', 'attempts', 'call_control_id', 'result', 'last_error', 'next_attempt_at']) {
+        if (updates.hasOwnProperty(field)) {
+          fields.push(`${field} = $${paramCount}`);
+          values.push(updates[field]);
+          paramCount++;
+        }
+      }
+
+      if (fields.length === 0) {
+        return null;
+      }
+
+      fields.push('updated_at = NOW()');
+      values.push(id);
+
+      const result = await query(
+        `UPDATE call_queue SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in updateItem:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Mark the queue item for a call as completed (used when the in-memory waiter is gone)
+   */
+  async completeByCallControlId(callControlId, resultStatus) {
+    try {
+      const result = await query(
+        `UPDATE call_queue
+         SET status = 'completed', result = $2, updated_at = NOW()
+         WHERE call_control_id = $1 AND status = ANY($3)
+         RETURNING *`,
+        [callControlId, resultStatus, OPEN_STATUSES]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in completeByCallControlId:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel pending items for a session (campaignId null = ad-hoc agent session)
+   */
+  async cancelPending(campaignId) {
+    try {
+      const result = await query(
+        `UPDATE call_queue
+         SET status = 'cancelled', updated_at = NOW()
+         WHERE status = 'pending' AND campaign_id IS NOT DISTINCT FROM $1`,
+        [campaignId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error in cancelPending:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get all open queue items with their user, oldest first
+   */
+  async getOpenItems() {
+    try {
+      const result = await query(
+        `SELECT q.id as queue_item_id, q.campaign_id, q.status as queue_status,
+                q.attempts, q.call_control_id, q.next_attempt_at, row_to_json(u.*) as user
+         FROM call_queue q
+         JOIN users u ON u.id = q.user_id
+         WHERE q.status = ANY($1)
+         ORDER BY q.id ASC`,
+        [OPEN_STATUSES]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getOpenItems:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new CallQueueModel();
@@ -0,0 +1,299 @@
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed'];
+
+class CampaignModel {
+  /**
+   * Get all campaigns with lead counts
+   */
+  async getAllCampaigns() {
+    try {
+      const result = await query(`
+        SELECT c.*, COUNT(cl.id)::int as lead_count
+        FROM campaigns c
+        LEFT JOIN campaign_leads cl ON cl.campaign_id = c.id
+        GROUP BY c.id
+        ORDER BY c.created_at DESC
+      `);
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAllCampaigns:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get campaign by ID
+   */
+  async getCampaignById(id) {
+    try {
+      const result = await query(
+        `SELECT c.*,
+                (SELECT COUNT(*)::int FROM campaign_leads cl WHERE cl.campaign_id = c.id) as lead_count
+         FROM campaigns c
+         WHERE c.id = $1`,
+        [id]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getCampaignById:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get campaigns with a given status
+   */
+  async getCampaignsByStatus(status) {
+    try {
+      const result = await query(
+        'SELECT * FROM campaigns WHERE status = $1 ORDER BY created_at ASC',
+        [status]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getCampaignsByStatus:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create new campaign (always starts as draft)
+   */
+  async createCampaign(campaignData) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    try {
+      const result = await query(
+        `INSERT INTO campaigns (
+          id, name, description, status, transfer_number, max_concurrent_calls,
+          script_id, stt_provider, tts_provider, tts_voice, created_at, updated_at
+        ) VALUES ($1, $2, $3, 'draft', $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *`,
+        [
+          id,
+          campaignData.name,
+          campaignData.description || '',
+          campaignData.transfer_number || null,
+          campaignData.max_concurrent_calls || 1,
+          campaignData.script_id || null,
+          campaignData.stt_provider || null,
+          campaignData.tts_provider || null,
+          campaignData.tts_voice || null,
+          now,
+          now
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in createCampaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update campaign
+   */
+  async updateCampaign(id, campaignData) {
+    const now = new Date().toISOString();
+
+    try {
+      const fields = [];
+      const values = [];
+      let paramCount = 1;
+
+      const allowedFields = [
+        'name', 'description', 'status', 'transfer_number', 'max_concurrent_calls',
+        'script_id', 'stt_provider', 'tts_provider', 'tts_voice', 'started_at', 'completed_at'
+      ];
+
+      for (const field of allowedFields) {
+        if (campaignData.hasOwnProperty(field)) {
+          fields.push(`${field} = $${paramCount}`);
+          values.push(campaignData[field]);
+          paramCount++;
+        }
+      }
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      fields.push(`updated_at = $${paramCount}`);
+      values.push(now);
+      paramCount++;
+
+      values.push(id);
+
+      const result = await query(
+        `UPDATE campaigns SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Campaign not found');
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in updateCampaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update campaign status (also stamps started_at / completed_at)
+   */
+  async updateStatus(id, status) {
+    if (!CAMPAIGN_STATUSES.includes(status)) {
+      throw new Error(`Invalid campaign status: ${status}`);
+    }
+
+    const update = { status };
+    if (status === 'running') {
+      update.started_at = new Date().toISOString();
+      update.completed_at = null;
+    } else if (status === 'completed') {
+      update.completed_at = new Date().toISOString();
+    }
+
+    return await this.updateCampaign(id, update);
+  }
+
+  /**
+   * Delete campaign (lead list entries are removed by ON DELETE CASCADE)
+   */
+  async deleteCampaign(id) {
+    try {
+      const result = await query('DELETE FROM campaigns WHERE id = $1 RETURNING id', [id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Campaign not found');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error in deleteCampaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the leads (users) on a campaign's lead list
+   */
+  async getCampaignLeads(campaignId) {
+    try {
+      const result = await query(
+        `SELECT u.*, cl.added_at
+         FROM campaign_leads cl
+         JOIN users u ON u.id = cl.user_id
+         WHERE cl.campaign_id = $1
+         ORDER BY cl.added_at ASC`,
+        [campaignId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getCampaignLeads:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get leads on a campaign's list that still need a call
+   */
+  async getCallableLeads(campaignId) {
+    try {
+      const result = await query(
+        `SELECT u.*
+         FROM campaign_leads cl
+         JOIN users u ON u.id = cl.user_id
+         WHERE cl.campaign_id = $1
+           AND (u.status = 'pending' OR (u.status = 'called' AND u.next_attempt_at <= NOW()))
+           AND NOT EXISTS (
+             SELECT 1 FROM dnc_numbers d
+             WHERE d.phone = right(regexp_replace(u.phone, '[^0-9]', '', 'g'), 10)
+           )
+         ORDER BY cl.added_at ASC`,
+        [campaignId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getCallableLeads:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add users to a campaign's lead list (duplicates are ignored)
+   */
+  async addLeads(campaignId, userIds) {
+    try {
+      if (!userIds || userIds.length === 0) {
+        return 0;
+      }
+
+      const result = await query(
+        `INSERT INTO campaign_leads (campaign_id, user_id)
+         SELECT $1, id FROM users WHERE id = ANY($2::uuid[])
+         ON CONFLICT (campaign_id, user_id) DO NOTHING
+         RETURNING id`,
+        [campaignId, userIds]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error in addLeads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from a campaign's lead list
+   */
+  async removeLead(campaignId, userId) {
+    try {
+      const result = await query(
+        'DELETE FROM campaign_leads WHERE campaign_id = $1 AND user_id = $2 RETURNING id',
+        [campaignId, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Lead not found in campaign');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error in removeLead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get Telnyx call statistics grouped by campaign
+   */
+  async getCampaignCallStats() {
+    try {
+      const result = await query(`
+        SELECT
+          campaign_id,
+          COUNT(*) as total_calls,
+          COUNT(*) FILTER (WHERE webhook_received = true) as webhook_confirmed,
+          COUNT(*) FILTER (WHERE initiated_at >= NOW() - INTERVAL '24 hours') as calls_last_24h,
+          COUNT(*) FILTER (WHERE direction = 'inbound') as inbound_calls
+        FROM telnyx_calls
+        WHERE campaign_id IS NOT NULL
+        GROUP BY campaign_id
+      `);
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getCampaignCallStats:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new CampaignModel();
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
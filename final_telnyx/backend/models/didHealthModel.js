@@ -0,0 +1,109 @@
+const { query } = require('../config/database');
+
+// Conversation statuses where a person picked up
+const ANSWERED_STATUSES = ['completed', 'transferred', 'no_response'];
+
+class DidHealthModel {
+  /**
+   * Per-DID call metrics from telnyx_calls + conversations (outbound calls only - callbacks don't count)
+   * Scored calls start at the later of the window start and metrics_since (set when a DID is rested or reactivated)
+   */
+  async getMetrics(windowDays, quickHangupSeconds) {
+    try {
+      const result = await query(
+        `WITH calls AS (
+           SELECT t.from_number, t.initiated_at, t.hangup_at, c.status, c.duration,
+                  t.initiated_at >= GREATEST(NOW() - ($1 || ' days')::INTERVAL, COALESCE(h.metrics_since, '-infinity'::TIMESTAMP)) AS scored
+           FROM telnyx_calls t
+           LEFT JOIN conversations c ON c.call_control_id = t.call_control_id
+           LEFT JOIN did_health h ON h.phone_number = t.from_number
+           WHERE t.from_number IS NOT NULL
+             AND t.direction = 'outbound'
+             AND t.initiated_at >= LEAST(NOW() - ($1 || ' days')::INTERVAL, CURRENT_DATE)
+         )
+         SELECT from_number AS phone_number,
+                COUNT(*) FILTER (WHERE initiated_at >= CURRENT_DATE) AS calls_today,
+                COUNT(*) FILTER (WHERE scored AND hangup_at IS NOT NULL) AS calls,
+                COUNT(*) FILTER (WHERE scored AND status = ANY($2)) AS answered,
+                COUNT(*) FILTER (WHERE scored AND status = ANY($2) AND duration < $3) AS quick_hangups,
+                MAX(initiated_at) AS last_call_at
+         FROM calls
+         GROUP BY from_number`,
+        [String(windowDays), ANSWERED_STATUSES, quickHangupSeconds]
+      );
+      return result.rows.map(row => ({
+        phoneNumber: row.phone_number,
+        callsToday: parseInt(row.calls_today),
+        calls: parseInt(row.calls),
+        answered: parseInt(row.answered),
+        quickHangups: parseInt(row.quick_hangups),
+        lastCallAt: row.last_call_at
+      }));
+    } catch (error) {
+      console.error('Error in getMetrics (did_health):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all stored DID health rows
+   */
+  async getAll() {
+    try {
+      const result = await query('SELECT * FROM did_health');
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAll (did_health):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Rest a DID until the given time
+   * resetMetrics: forgive calls made before the rest ends (score starts fresh afterwards)
+   */
+  async rest(phoneNumber, restedUntil, reason, resetMetrics = false) {
+    await query(
+      `INSERT INTO did_health (phone_number, rested_until, rest_reason, metrics_since, updated_at)
+       VALUES ($1, $2, $3, CASE WHEN $4 THEN $2 ELSE NULL END, NOW())
+       ON CONFLICT (phone_number) DO UPDATE
+       SET rested_until = $2,
+           rest_reason = $3,
+           metrics_since = CASE WHEN $4 THEN $2 ELSE did_health.metrics_since END,
+           updated_at = NOW()`,
+      [phoneNumber, restedUntil, reason, resetMetrics]
+    );
+  }
+
+  /**
+   * Put a rested DID back into rotation, scoring starts fresh from now
+   */
+  async reactivate(phoneNumber) {
+    await query(
+      `INSERT INTO did_health (phone_number, metrics_since, updated_at)
+       VALUES ($1, NOW(), NOW())
+       ON CONFLICT (phone_number) DO UPDATE
+       SET rested_until = NULL, rest_reason = NULL, metrics_since = NOW(), updated_at = NOW()`,
+      [phoneNumber]
+    );
+  }
+
+  /**
+   * Store the latest computed score
+   */
+  async saveScore(phoneNumber, score) {
+    try {
+      await query(
+        `INSERT INTO did_health (phone_number, last_score, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (phone_number) DO UPDATE SET last_score = $2, updated_at = NOW()`,
+        [phoneNumber, score]
+      );
+    } catch (error) {
+      console.error('Error in saveScore (did_health):', error.message);
+    }
+  }
+}
+
+module.exports = new DidHealthModel();
+module.exports.ANSWERED_STATUSES = ANSWERED_STATUSES;
@@ -0,0 +1,216 @@
+const { query, getClient } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Pool row with its numbers and how many campaigns / leads use it
+const POOL_SQL = `
+  SELECT p.*,
+         COALESCE((SELECT array_agg(n.phone_number ORDER BY n.added_at, n.phone_number)
+                   FROM did_pool_numbers n WHERE n.pool_id = p.id), '{}') as numbers,
+         COALESCE((SELECT json_object_agg(n.phone_number, n.weight)
+                   FROM did_pool_numbers n WHERE n.pool_id = p.id), '{}') as weights,
+         (SELECT COUNT(*)::int FROM campaigns c WHERE c.did_pool_id = p.id) as campaign_count,
+         (SELECT COUNT(*)::int FROM users u WHERE u.did_pool_id = p.id) as lead_count
+  FROM did_pools p
+`;
+
+class DidPoolModel {
+  /**
+   * Get all pools (default first)
+   */
+  async getAll() {
+    try {
+      const result = await query(`${POOL_SQL} ORDER BY p.is_default DESC, p.created_at ASC`);
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAll (did_pools):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a pool by ID
+   */
+  async getById(id) {
+    try {
+      const result = await query(`${POOL_SQL} WHERE p.id = $1`, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getById (did_pools):', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the default pool (main rotation)
+   */
+  async getDefault() {
+    try {
+      const result = await query(`${POOL_SQL} WHERE p.is_default = true LIMIT 1`);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getDefault (did_pools):', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a pool with its numbers
+   */
+  async create({ name, description, strategy, enabled, is_default, numbers = [], weights }) {
+    const id = uuidv4();
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO did_pools (id, name, description, strategy, enabled, is_default)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [id, name, description || '', strategy || 'area_code', enabled !== false, !!is_default]
+      );
+      await this._replaceNumbers(client, id, numbers);
+      await this._setWeights(client, id, weights);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new Error(`Pool name already exists: ${name}`);
+      }
+      console.error('Error in create (did_pools):', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getById(id);
+  }
+
+  /**
+   * Update name, description, strategy, enabled flag, the full number list and/or weights
+   * weights: { phoneNumber: weight }, numbers without a weight keep theirs (new ones get 1)
+   */
+  async update(id, { name, description, strategy, enabled, numbers, weights }) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE did_pools
+         SET name = COALESCE($2, name),
+             description = COALESCE($3, description),
+             strategy = COALESCE($4, strategy),
+             enabled = COALESCE($5, enabled),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING id`,
+        [id, name ?? null, description ?? null, strategy ?? null, enabled ?? null]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Pool not found');
+      }
+      if (Array.isArray(numbers)) {
+        await this._replaceNumbers(client, id, numbers);
+      }
+      await this._setWeights(client, id, weights);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new Error(`Pool name already exists: ${name}`);
+      }
+      console.error('Error in update (did_pools):', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getById(id);
+  }
+
+  /**
+   * Delete a pool (campaigns and leads using it fall back to the main rotation)
+   */
+  async delete(id) {
+    const result = await query('DELETE FROM did_pools WHERE id = $1 AND is_default = false RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Assign a pool to a campaign (poolId null = main rotation)
+   */
+  async assignCampaign(campaignId, poolId) {
+    const result = await query(
+      'UPDATE campaigns SET did_pool_id = $2, updated_at = NOW() WHERE id = $1 RETURNING id',
+      [campaignId, poolId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Campaigns with a pool: [{ id, did_pool_id }]
+   */
+  async getCampaignAssignments() {
+    try {
+      const result = await query('SELECT id, did_pool_id FROM campaigns WHERE did_pool_id IS NOT NULL');
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getCampaignAssignments (did_pools):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Assign a pool to leads (poolId null = back to their campaign's pool / main rotation)
+   * Returns the number of leads updated
+   */
+  async assignLeads(userIds, poolId) {
+    const result = await query(
+      'UPDATE users SET did_pool_id = $2, updated_at = NOW() WHERE id = ANY($1::uuid[])',
+      [userIds, poolId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Release leads from a pool (all of them when userIds is not given), returns the number of leads updated
+   */
+  async releaseLeads(poolId, userIds = null) {
+    const result = userIds
+      ? await query(
+        'UPDATE users SET did_pool_id = NULL, updated_at = NOW() WHERE did_pool_id = $1 AND id = ANY($2::uuid[])',
+        [poolId, userIds]
+      )
+      : await query(
+        'UPDATE users SET did_pool_id = NULL, updated_at = NOW() WHERE did_pool_id = $1',
+        [poolId]
+      );
+    return result.rowCount;
+  }
+
+  async _replaceNumbers(client, poolId, numbers) {
+    const unique = [...new Set(numbers)];
+    await client.query(
+      'DELETE FROM did_pool_numbers WHERE pool_id = $1 AND NOT (phone_number = ANY($2::varchar[]))',
+      [poolId, unique]
+    );
+    await client.query(
+      `INSERT INTO did_pool_numbers (pool_id, phone_number)
+       SELECT $1, unnest($2::varchar[])
+       ON CONFLICT (pool_id, phone_number) DO NOTHING`,
+      [poolId, unique]
+    );
+  }
+
+  async _setWeights(client, poolId, weights) {
+    const entries = Object.entries(weights || {});
+    if (entries.length === 0) return;
+    await client.query(
+      `UPDATE did_pool_numbers n
+       SET weight = w.weight
+       FROM unnest($2::varchar[], $3::int[]) AS w(phone_number, weight)
+       WHERE n.pool_id = $1 AND n.phone_number = w.phone_number`,
+      [poolId, entries.map(([number]) => number), entries.map(([, weight]) => weight)]
+    );
+  }
+}
+
+module.exports = new DidPoolModel();
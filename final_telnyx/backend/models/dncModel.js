@@ -0,0 +1,119 @@
+const { query } = require('../config/database');
+
+/**
+ * Normalize a phone number for DNC matching (digits only, last 10 digits)
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/[^0-9]/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+class DncModel {
+  /**
+   * Get DNC numbers (newest first), optionally filtered by a phone/reason search
+   */
+  async getAll(search = '') {
+    try {
+      const result = search
+        ? await query(
+          `SELECT * FROM dnc_numbers
+           WHERE phone LIKE $1 OR reason ILIKE $2
+           ORDER BY created_at DESC`,
+          [`%${search.replace(/[^0-9]/g, '') || search}%`, `%${search}%`]
+        )
+        : await query('SELECT * FROM dnc_numbers ORDER BY created_at DESC');
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAll (dnc):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a DNC entry by phone number (any format)
+   * Lookup errors are thrown - callers must not treat a failed check as "not suppressed"
+   */
+  async getByPhone(phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return null;
+
+    const result = await query('SELECT * FROM dnc_numbers WHERE phone = $1', [normalized]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check whether a phone number is suppressed (throws if the list can't be checked)
+   */
+  async isSuppressed(phone) {
+    return (await this.getByPhone(phone)) !== null;
+  }
+
+  /**
+   * Add a number to the DNC list (existing entries are kept as-is)
+   * options: { reason, source: manual|import|call, callControlId }
+   */
+  async addNumber(phone, options = {}) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw new Error(`Invalid phone number: ${phone}`);
+    }
+
+    const result = await query(
+      `INSERT INTO dnc_numbers (phone, reason, source, call_control_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (phone) DO NOTHING
+       RETURNING *`,
+      [normalized, options.reason || null, options.source || 'manual', options.callControlId || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Bulk add numbers, returns { added, skipped, invalid }
+   */
+  async addNumbers(entries, source = 'import') {
+    const phones = [];
+    const reasons = [];
+    let invalid = 0;
+    const seen = new Set();
+
+    for (const entry of entries) {
+      const normalized = normalizePhone(entry.phone);
+      if (!normalized) {
+        invalid++;
+        continue;
+      }
+      if (seen.has(normalized)) continue;
+      seen.add(normalized);
+      phones.push(normalized);
+      reasons.push(entry.reason || null);
+    }
+
+    if (phones.length === 0) {
+      return { added: 0, skipped: 0, invalid };
+    }
+
+    const result = await query(
+      `INSERT INTO dnc_numbers (phone, reason, source)
+       SELECT phone, reason, $3 FROM unnest($1::varchar[], $2::text[]) AS t(phone, reason)
+       ON CONFLICT (phone) DO NOTHING`,
+      [phones, reasons, source]
+    );
+    return { added: result.rowCount, skipped: phones.length - result.rowCount, invalid };
+  }
+
+  /**
+   * Remove a number from the DNC list
+   */
+  async removeNumber(phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return false;
+
+    const result = await query('DELETE FROM dnc_numbers WHERE phone = $1', [normalized]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new DncModel();
+module.exports.normalizePhone = normalizePhone;
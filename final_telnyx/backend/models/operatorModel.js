@@ -0,0 +1,146 @@
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const authService = require('../services/authService');
+
+// Columns safe to return to clients (never the password hash)
+const PUBLIC_COLUMNS = 'id, username, role, is_active, last_login_at, created_at, updated_at';
+
+class OperatorModel {
+  /**
+   * Get all operators
+   */
+  async getAll() {
+    try {
+      const result = await query(`SELECT ${PUBLIC_COLUMNS} FROM operators ORDER BY created_at ASC`);
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAll (operators):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get operator by ID (without password hash)
+   */
+  async getById(id) {
+    try {
+      const result = await query(`SELECT ${PUBLIC_COLUMNS} FROM operators WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getById (operators):', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get operator by username including the password hash (for login)
+   */
+  async getByUsernameWithHash(username) {
+    const result = await query('SELECT * FROM operators WHERE LOWER(username) = LOWER($1)', [username]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create an operator
+   */
+  async create({ username, password, role = 'viewer' }) {
+    try {
+      const result = await query(
+        `INSERT INTO operators (id, username, password_hash, role)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${PUBLIC_COLUMNS}`,
+        [uuidv4(), username, authService.hashPassword(password), role]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Username already exists: ${username}`);
+      }
+      console.error('Error in create (operators):', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an operator (role, is_active, password)
+   */
+  async update(id, { role, is_active, password }) {
+    try {
+      const result = await query(
+        `UPDATE operators
+         SET role = COALESCE($1, role),
+             is_active = COALESCE($2, is_active),
+             password_hash = COALESCE($3, password_hash),
+             updated_at = NOW()
+         WHERE id = $4
+         RETURNING ${PUBLIC_COLUMNS}`,
+        [
+          role ?? null,
+          is_active ?? null,
+          password ? authService.hashPassword(password) : null,
+          id
+        ]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in update (operators):', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an operator
+   */
+  async delete(id) {
+    try {
+      const result = await query('DELETE FROM operators WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error in delete (operators):', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful login
+   */
+  async recordLogin(id) {
+    try {
+      await query('UPDATE operators SET last_login_at = NOW() WHERE id = $1', [id]);
+    } catch (error) {
+      console.error('Error in recordLogin (operators):', error);
+    }
+  }
+
+  /**
+   * Count active admins (the last one cannot be demoted, disabled or deleted)
+   */
+  async countActiveAdmins() {
+    const result = await query(`SELECT COUNT(*)::int as count FROM operators WHERE role = 'admin' AND is_active = true`);
+    return result.rows[0].count;
+  }
+
+  /**
+   * Create the first admin when no operators exist
+   * Uses ADMIN_USERNAME / ADMIN_PASSWORD, otherwise generates a password and logs it once
+   */
+  async ensureDefaultAdmin() {
+    const result = await query('SELECT COUNT(*)::int as count FROM operators');
+    if (result.rows[0].count > 0) {
+      return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+    const operator = await this.create({ username, password, role: 'admin' });
+
+    console.log(`🔐 Created initial admin operator: ${username}`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`🔐 Generated password (shown once, change it after logging in): ${password}`);
+    }
+    return operator;
+  }
+}
+
+module.exports = new OperatorModel();
@@ -0,0 +1,69 @@
+const { query } = require('../config/database');
+
+class RateCardModel {
+  /**
+   * Get all rate cards (oldest effective date first)
+   */
+  async getAll() {
+    try {
+      const result = await query('SELECT * FROM rate_cards ORDER BY effective_from ASC, version ASC');
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAll (rate_cards):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a rate card by version
+   */
+  async getByVersion(version) {
+    try {
+      const result = await query('SELECT * FROM rate_cards WHERE version = $1', [version]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getByVersion (rate_cards):', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a rate card
+   */
+  async create({ effectiveFrom, pricing, notes, createdBy }) {
+    const result = await query(
+      `INSERT INTO rate_cards (effective_from, pricing, notes, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [effectiveFrom, JSON.stringify(pricing), notes || null, createdBy || null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a rate card (undefined fields are left as they are)
+   */
+  async update(version, { effectiveFrom, pricing, notes }) {
+    const result = await query(
+      `UPDATE rate_cards
+       SET effective_from = COALESCE($2, effective_from),
+           pricing = COALESCE($3, pricing),
+           notes = CASE WHEN $4 THEN $5 ELSE notes END,
+           updated_at = NOW()
+       WHERE version = $1
+       RETURNING *`,
+      [version, effectiveFrom || null, pricing ? JSON.stringify(pricing) : null, notes !== undefined, notes || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a rate card
+   */
+  async delete(version) {
+    const result = await query('DELETE FROM rate_cards WHERE version = $1 RETURNING version', [version]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new RateCardModel();
@@ -0,0 +1,253 @@
+const { query, getClient } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Script content fields, every change to one of these creates a new version
+const CONTENT_FIELDS = ['system_prompt', 'greeting', 'greeting_second_part', 'qualification_questions'];
+
+/**
+ * Compare content values (qualification_questions is JSON)
+ */
+function sameContent(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Script settings updated in place (not versioned), empty = default
+const SETTING_FIELDS = ['tts_provider', 'tts_voice', 'llm_model', 'llm_temperature', 'llm_max_tokens', 'llm_fallback_model'];
+
+/**
+ * Setting value to store ('' / undefined = NULL)
+ */
+function settingValue(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+// Latest version columns joined onto a script row
+const SCRIPT_WITH_VERSION_SQL = `
+  SELECT s.*, v.version, v.system_prompt, v.greeting, v.greeting_second_part,
+         v.qualification_questions, v.created_at as version_created_at
+  FROM scripts s
+  LEFT JOIN script_versions v ON v.script_id = s.id AND v.version = s.current_version
+`;
+
+class ScriptModel {
+  /**
+   * Get all scripts with their current version number
+   */
+  async getAllScripts() {
+    try {
+      const result = await query(
+        `SELECT s.*, (SELECT COUNT(*) FROM script_versions v WHERE v.script_id = s.id)::int as version_count
+         FROM scripts s
+         ORDER BY s.is_default DESC, s.created_at DESC`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAllScripts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get script by ID with its current version content
+   */
+  async getScriptById(id) {
+    try {
+      const result = await query(`${SCRIPT_WITH_VERSION_SQL} WHERE s.id = $1`, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getScriptById:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the default script with its current version content
+   */
+  async getDefaultScript() {
+    try {
+      const result = await query(`${SCRIPT_WITH_VERSION_SQL} WHERE s.is_default = true LIMIT 1`);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getDefaultScript:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all versions of a script, newest first
+   */
+  async getVersions(scriptId) {
+    try {
+      const result = await query(
+        `SELECT * FROM script_versions WHERE script_id = $1 ORDER BY version DESC`,
+        [scriptId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getVersions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a specific version of a script
+   */
+  async getVersion(scriptId, version) {
+    try {
+      const result = await query(
+        `SELECT * FROM script_versions WHERE script_id = $1 AND version = $2`,
+        [scriptId, version]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getVersion:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a script with its first version
+   */
+  async createScript(scriptData) {
+    const id = uuidv4();
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      if (scriptData.is_default) {
+        await client.query('UPDATE scripts SET is_default = false WHERE is_default = true');
+      }
+      await client.query(
+        `INSERT INTO scripts (id, name, description, is_default, current_version, ${SETTING_FIELDS.join(', ')})
+         VALUES ($1, $2, $3, $4, 1, ${SETTING_FIELDS.map((field, i) => `$${i + 5}`).join(', ')})`,
+        [
+          id,
+          scriptData.name,
+          scriptData.description || '',
+          !!scriptData.is_default,
+          ...SETTING_FIELDS.map(field => settingValue(scriptData[field]))
+        ]
+      );
+      await client.query(
+        `INSERT INTO script_versions (script_id, version, system_prompt, greeting, greeting_second_part, qualification_questions)
+         VALUES ($1, 1, $2, $3, $4, $5)`,
+        [
+          id,
+          scriptData.system_prompt,
+          scriptData.greeting || '',
+          scriptData.greeting_second_part || '',
+          scriptData.qualification_questions ? JSON.stringify(scriptData.qualification_questions) : null
+        ]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in createScript:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getScriptById(id);
+  }
+
+  /**
+   * Update a script
+   * name/description/is_default and the TTS/LLM settings are updated in place, content changes create a new version
+   */
+  async updateScript(id, scriptData) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `${SCRIPT_WITH_VERSION_SQL} WHERE s.id = $1 FOR UPDATE OF s`,
+        [id]
+      );
+      const script = current.rows[0];
+      if (!script) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const contentChanged = CONTENT_FIELDS.some(field =>
+        scriptData.hasOwnProperty(field) && !sameContent(scriptData[field], script[field])
+      );
+      let version = script.current_version;
+      if (contentChanged) {
+        version = script.current_version + 1;
+        const questions = scriptData.hasOwnProperty('qualification_questions')
+          ? scriptData.qualification_questions
+          : script.qualification_questions;
+        await client.query(
+          `INSERT INTO script_versions (script_id, version, system_prompt, greeting, greeting_second_part, qualification_questions)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            id,
+            version,
+            scriptData.system_prompt ?? script.system_prompt,
+            scriptData.greeting ?? script.greeting,
+            scriptData.greeting_second_part ?? script.greeting_second_part,
+            questions ? JSON.stringify(questions) : null
+          ]
+        );
+      }
+
+      if (scriptData.is_default === true) {
+        await client.query('UPDATE scripts SET is_default = false WHERE is_default = true AND id <> $1', [id]);
+      }
+
+      const settings = {};
+      for (const field of SETTING_FIELDS) {
+        settings[field] = scriptData.hasOwnProperty(field) ? settingValue(scriptData[field]) : script[field];
+      }
+      // A voice belongs to its provider
+      if (!settings.tts_provider) {
+        settings.tts_voice = null;
+      }
+
+      await client.query(
+        `UPDATE scripts
+         SET name = $1, description = $2, is_default = $3, current_version = $4,
+             ${SETTING_FIELDS.map((field, i) => `${field} = $${i + 6}`).join(', ')}, updated_at = NOW()
+         WHERE id = $5`,
+        [
+          scriptData.name ?? script.name,
+          scriptData.description ?? script.description,
+          scriptData.is_default ?? script.is_default,
+          version,
+          id,
+          ...SETTING_FIELDS.map(field => settings[field])
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in updateScript:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getScriptById(id);
+  }
+
+  /**
+   * Delete a script (campaigns using it fall back to the default script)
+   */
+  async deleteScript(id) {
+    try {
+      const result = await query('DELETE FROM scripts WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error in deleteScript:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ScriptModel();
+module.exports.CONTENT_FIELDS = CONTENT_FIELDS;
+module.exports.SETTING_FIELDS = SETTING_FIELDS;
@@ -0,0 +1,214 @@
+const { query } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+class TransferModel {
+  /**
+   * Get all transfer destinations (priority order)
+   */
+  async getDestinations() {
+    try {
+      const result = await query(
+        'SELECT * FROM transfer_destinations ORDER BY priority ASC, created_at ASC'
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getDestinations (transfer_destinations):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a transfer destination by ID
+   */
+  async getDestinationById(id) {
+    try {
+      const result = await query('SELECT * FROM transfer_destinations WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getDestinationById (transfer_destinations):', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a transfer destination
+   */
+  async createDestination({ name, phone_number, priority, max_concurrent, timeout_secs, schedule, campaign_id, enabled }) {
+    const result = await query(
+      `INSERT INTO transfer_destinations
+         (id, name, phone_number, priority, max_concurrent, timeout_secs, schedule, campaign_id, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        uuidv4(),
+        name,
+        phone_number,
+        priority ?? 1,
+        max_concurrent ?? 0,
+        timeout_secs ?? 30,
+        schedule ? JSON.stringify(schedule) : null,
+        campaign_id || null,
+        enabled !== false
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a transfer destination (undefined fields are left as they are, schedule/campaign_id null clears them)
+   */
+  async updateDestination(id, data) {
+    const columns = ['name', 'phone_number', 'priority', 'max_concurrent', 'timeout_secs', 'schedule', 'campaign_id', 'enabled'];
+    const sets = [];
+    const values = [id];
+
+    for (const column of columns) {
+      if (data[column] === undefined) continue;
+      const value = column === 'schedule' && data[column] !== null ? JSON.stringify(data[column]) : data[column];
+      values.push(value);
+      sets.push(`${column} = $${values.length}`);
+    }
+
+    const result = await query(
+      `UPDATE transfer_destinations
+       SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a transfer destination
+   */
+  async deleteDestination(id) {
+    const result = await query('DELETE FROM transfer_destinations WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record a transfer attempt (one row per destination tried for a lead call)
+   */
+  async recordAttempt({ callControlId, attempt, destinationId, campaignId, userId, phone, name, address, fromNumber, toNumber }) {
+    try {
+      const result = await query(
+        `INSERT INTO transferred_calls
+           (call_control_id, attempt, destination_id, campaign_id, user_id, phone, name, address, from_number, to_number, status, transferred_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'dialing', NOW())
+         RETURNING *`,
+        [callControlId, attempt, destinationId || null, campaignId || null, userId || null, phone || null, name || null, address || null, fromNumber || null, toNumber]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in recordAttempt (transferred_calls):', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Update a transfer attempt's status
+   * bridged = the agent leg was just connected, ended = the agent leg is over (talk time runs from bridged_at)
+   */
+  async updateAttempt(id, { status, legCallControlId, failureReason, bridged = false, ended = false }) {
+    try {
+      await query(
+        `UPDATE transferred_calls
+         SET status = COALESCE($2, status),
+             leg_call_control_id = COALESCE($3, leg_call_control_id),
+             failure_reason = COALESCE($4, failure_reason),
+             ended_at = CASE WHEN $5 THEN NOW() ELSE ended_at END,
+             talk_seconds = CASE WHEN $5 AND bridged_at IS NOT NULL THEN EXTRACT(EPOCH FROM (NOW() - bridged_at))::INTEGER ELSE talk_seconds END,
+             bridged_at = CASE WHEN $6 THEN NOW() ELSE bridged_at END
+         WHERE id = $1`,
+        [id, status || null, legCallControlId || null, failureReason || null, ended, bridged]
+      );
+    } catch (error) {
+      console.error('Error in updateAttempt (transferred_calls):', error.message);
+    }
+  }
+
+  /**
+   * Get a transfer attempt by ID
+   */
+  async getAttemptById(id) {
+    try {
+      const result = await query('SELECT * FROM transferred_calls WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getAttemptById (transferred_calls):', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the closer's disposition for a transfer attempt
+   */
+  async setDisposition(id, { disposition, notes, by }) {
+    const result = await query(
+      `UPDATE transferred_calls
+       SET disposition = $2, disposition_notes = $3, disposition_by = $4, disposition_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, disposition, notes || null, by || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Transfer outcomes grouped by campaign and by the DID that called the lead
+   * A lead call counts once per group however many destinations were tried
+   */
+  async getConversionStats() {
+    const outcomes = (groupColumn) => query(
+      `SELECT ${groupColumn} AS key,
+              COUNT(DISTINCT call_control_id) AS transfers,
+              COUNT(*) FILTER (WHERE bridged_at IS NOT NULL OR status IN ('bridged', 'completed')) AS connected,
+              COUNT(*) FILTER (WHERE disposition = 'sold') AS sold,
+              COUNT(*) FILTER (WHERE disposition = 'not_sold') AS not_sold,
+              COUNT(*) FILTER (WHERE disposition = 'callback') AS callback,
+              ROUND(AVG(talk_seconds)) AS avg_talk_seconds
+       FROM transferred_calls
+       GROUP BY ${groupColumn}`
+    );
+
+    try {
+      const [byCampaign, byDid] = await Promise.all([outcomes('campaign_id'), outcomes('from_number')]);
+      return { byCampaign: byCampaign.rows, byDid: byDid.rows };
+    } catch (error) {
+      console.error('Error in getConversionStats (transferred_calls):', error);
+      return { byCampaign: [], byDid: [] };
+    }
+  }
+
+  /**
+   * Get transfer attempts, newest first (optionally for one lead call)
+   */
+  async getAttempts({ callControlId = null, limit = 200 } = {}) {
+    try {
+      const result = callControlId
+        ? await query(
+          `SELECT t.*, d.name AS destination_name
+           FROM transferred_calls t
+           LEFT JOIN transfer_destinations d ON d.id = t.destination_id
+           WHERE t.call_control_id = $1
+           ORDER BY t.attempt ASC`,
+          [callControlId]
+        )
+        : await query(
+          `SELECT t.*, d.name AS destination_name
+           FROM transferred_calls t
+           LEFT JOIN transfer_destinations d ON d.id = t.destination_id
+           ORDER BY t.transferred_at DESC, t.attempt DESC
+           LIMIT $1`,
+          [limit]
+        );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAttempts (transferred_calls):', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new TransferModel();
@@ -162,6 +162,45 @@ class UserModel {
     }
   }
 
+  /**
+   * Get user by phone number (digits-only comparison)
+   */
+  async getUserByPhone(phone) {
+    try {
+      const normalizedPhone = phone.replace(/[^0-9]/g, '');
+      if (!normalizedPhone) return null;
+      const result = await query(
+        `SELECT * FROM users WHERE REGEXP_REPLACE(phone, '[^0-9]', '', 'g') = $1 LIMIT 1`,
+        [normalizedPhone]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in getUserByPhone:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the lead behind an inbound caller ID (last 10 digits, so +1 / no +1 both match)
+   */
+  async findLeadByCallerId(phone) {
+    try {
+      const digits = String(phone || '').replace(/[^0-9]/g, '').slice(-10);
+      if (digits.length < 10) return null;
+      const result = await query(
+        `SELECT * FROM users
+         WHERE RIGHT(REGEXP_REPLACE(phone, '[^0-9]', '', 'g'), 10) = $1
+         ORDER BY last_call_date DESC NULLS LAST
+         LIMIT 1`,
+        [digits]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in findLeadByCallerId:', error);
+      return null;
+    }
+  }
+
   /**
    * Create new user
    * Handles duplicate phone numbers by returning existing user if found
@@ -422,9 +461,13 @@ class UserModel {
   async getPendingUsers() {
     try {
       const result = await query(
-        `SELECT * FROM users 
-         WHERE status = 'pending' OR (status = 'called' AND call_attempts < 3)
-         ORDER BY created_at ASC`
+        `SELECT * FROM users u
+         WHERE (u.status = 'pending' OR (u.status = 'called' AND u.next_attempt_at <= NOW()))
+           AND NOT EXISTS (
+             SELECT 1 FROM dnc_numbers d
+             WHERE d.phone = right(regexp_replace(u.phone, '[^0-9]', '', 'g'), 10)
+           )
+         ORDER BY u.created_at ASC`
       );
       return result.rows;
     } catch (error) {
@@ -433,6 +476,27 @@ class UserModel {
     }
   }
 
+  /**
+   * Schedule (or clear, with null) the next redial for a lead
+   */
+  async scheduleNextAttempt(id, nextAttemptAt, hangupReason = null) {
+    try {
+      const result = await query(
+        `UPDATE users
+         SET next_attempt_at = $1,
+             last_hangup_reason = COALESCE($2, last_hangup_reason),
+             updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [nextAttemptAt, hangupReason, id]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in scheduleNextAttempt:', error);
+      return null;
+    }
+  }
+
   /**
    * Update call status
    */
@@ -555,16 +619,18 @@ class UserModel {
 
   /**
    * Record a Telnyx call in the telnyx_calls table (source of truth for actual calls)
+   * fromNumber is our DID and toNumber the lead for both directions
    */
-  async recordTelnyxCall(callControlId, userId, fromNumber, toNumber) {
+  async recordTelnyxCall(callControlId, userId, fromNumber, toNumber, campaignId = null, script = null, direction = 'outbound') {
     try {
       const result = await query(
         `INSERT INTO telnyx_calls (
-          call_control_id, user_id, from_number, to_number, status, initiated_at
-        ) VALUES ($1, $2, $3, $4, 'initiated', NOW())
+          call_control_id, user_id, from_number, to_number, campaign_id, script_id, script_version,
+          direction, status, initiated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'initiated', NOW())
         ON CONFLICT (call_control_id) DO NOTHING
         RETURNING *`,
-        [callControlId, userId, fromNumber, toNumber]
+        [callControlId, userId, fromNumber, toNumber, campaignId, script?.id || null, script?.version || null, direction]
       );
 
       if (result.rows.length > 0) {
@@ -580,6 +646,25 @@ class UserModel {
     }
   }
 
+  /**
+   * Latest outbound Telnyx call to a lead (campaign and script it was called with), or null
+   */
+  async getLastOutboundCall(userId) {
+    try {
+      const result = await query(
+        `SELECT * FROM telnyx_calls
+         WHERE user_id = $1 AND direction = 'outbound'
+         ORDER BY initiated_at DESC
+         LIMIT 1`,
+        [userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting last outbound call:', error);
+      return null;
+    }
+  }
+
   /**
    * Mark Telnyx call webhook as received
    */
@@ -605,6 +690,45 @@ class UserModel {
     }
   }
 
+  /**
+   * Mark a Telnyx call as hung up
+   */
+  async markTelnyxCallHangup(callControlId, hangupCause, status = 'completed') {
+    try {
+      const result = await query(
+        `UPDATE telnyx_calls 
+         SET status = $2,
+             hangup_at = NOW(),
+             hangup_cause = $3,
+             updated_at = NOW()
+         WHERE call_control_id = $1 AND hangup_at IS NULL
+         RETURNING *`,
+        [callControlId, status, hangupCause]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error marking Telnyx call hangup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get Telnyx calls that never received a hangup (open calls)
+   */
+  async getOpenTelnyxCalls() {
+    try {
+      const result = await query(
+        `SELECT * FROM telnyx_calls 
+         WHERE hangup_at IS NULL
+         ORDER BY initiated_at ASC`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting open Telnyx calls:', error);
+      return [];
+    }
+  }
+
   /**
    * Get Telnyx call statistics (actual calls made through Telnyx API)
    */
@@ -616,7 +740,8 @@ class UserModel {
           COUNT(*) FILTER (WHERE webhook_received = true) as webhook_confirmed,
           COUNT(*) FILTER (WHERE status = 'initiated') as initiated,
           COUNT(*) FILTER (WHERE initiated_at >= NOW() - INTERVAL '24 hours') as calls_last_24h,
-          COUNT(*) FILTER (WHERE initiated_at >= NOW() - INTERVAL '7 days') as calls_last_7d
+          COUNT(*) FILTER (WHERE initiated_at >= NOW() - INTERVAL '7 days') as calls_last_7d,
+          COUNT(*) FILTER (WHERE direction = 'inbound') as inbound_calls
         FROM telnyx_calls
       `);
 
@@ -625,7 +750,8 @@ class UserModel {
         webhook_confirmed: 0,
         initiated: 0,
         calls_last_24h: 0,
-        calls_last_7d: 0
+        calls_last_7d: 0,
+        inbound_calls: 0
       };
     } catch (error) {
       console.error('Error getting Telnyx call stats:', error);
@@ -634,7 +760,8 @@ class UserModel {
         webhook_confirmed: 0,
         initiated: 0,
         calls_last_24h: 0,
-        calls_last_7d: 0
+        calls_last_7d: 0,
+        inbound_calls: 0
       };
     }
   }
@@ -0,0 +1,114 @@
+const { query } = require('../config/database');
+
+// Statuses of an event that was handled - a redelivery of it is a duplicate
+const HANDLED_STATUSES = ['processed', 'unhandled'];
+const UNIQUE_VIOLATION = '23505';
+
+class WebhookEventModel {
+  /**
+   * Store a raw Telnyx webhook body
+   * Never throws - logging must not break call handling. Returns the row ID or null
+   */
+  async record(body, status = 'received') {
+    const event = body?.data || {};
+    try {
+      const result = await query(
+        `INSERT INTO webhook_events (event_id, event_type, call_control_id, payload, occurred_at, processing_status)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [
+          event.id || null,
+          event.event_type || null,
+          event.payload?.call_control_id || null,
+          JSON.stringify(body || {}),
+          event.occurred_at || null,
+          status
+        ]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      console.error('Error in record (webhook_events):', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether an event was already handled (a processed or unhandled row exists for its event ID)
+   * Never throws - on a database error the event is treated as new
+   */
+  async isProcessed(eventId) {
+    if (!eventId) return false;
+    try {
+      const result = await query(
+        `SELECT 1 FROM webhook_events
+         WHERE event_id = $1 AND processing_status = ANY($2)
+         LIMIT 1`,
+        [eventId, HANDLED_STATUSES]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error in isProcessed (webhook_events):', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Store how processing an event ended (processed, unhandled, failed)
+   * Only one row per event ID can be handled (unique index) - if another delivery got there first,
+   * this one is stored as a duplicate
+   */
+  async markResult(id, status, error = null, processingMs = null) {
+    if (!id) return;
+    const update = (processingStatus) => query(
+      `UPDATE webhook_events
+       SET processing_status = $1, processing_error = $2, processing_ms = $3
+       WHERE id = $4`,
+      [processingStatus, error, processingMs, id]
+    );
+    try {
+      await update(status);
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        await update('duplicate').catch(() => {});
+        return;
+      }
+      console.error('Error in markResult (webhook_events):', err.message);
+    }
+  }
+
+  /**
+   * Get all events of a call in the order they were received
+   */
+  async getByCall(callControlId) {
+    try {
+      const result = await query(
+        `SELECT * FROM webhook_events
+         WHERE call_control_id = $1
+         ORDER BY received_at ASC, id ASC`,
+        [callControlId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getByCall (webhook_events):', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete events older than the retention period, returns the number deleted
+   */
+  async deleteOlderThan(days) {
+    try {
+      const result = await query(
+        `DELETE FROM webhook_events WHERE received_at < NOW() - ($1 || ' days')::INTERVAL`,
+        [String(days)]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error in deleteOlderThan (webhook_events):', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new WebhookEventModel();
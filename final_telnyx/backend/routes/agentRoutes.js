@@ -5,15 +5,30 @@ const path = require('path');
 const telnyxService = require('../services/telnyxService');
 const openaiService = require('../services/openaiService');
 const userModel = require('../models/userModel');
-const { didRotation, extractAreaCode, getStateFromAreaCode } = require('./didRoutes');
+const campaignModel = require('../models/campaignModel');
+const callQueueModel = require('../models/callQueueModel');
+const dncModel = require('../models/dncModel');
+const { extractAreaCode, getStateFromAreaCode, matchDID, getRotation } = require('./didRoutes');
 const costTracking = require('../services/costTrackingService');
+const callingHours = require('../services/callingHoursService');
+const retryPolicy = require('../services/retryPolicyService');
+const didHealth = require('../services/didHealthService');
+const areaCodes = require('../services/areaCodeService');
+const scriptService = require('../services/scriptService');
+const transferRouting = require('../services/transferRoutingService');
+const transferModel = require('../models/transferModel');
 const { query } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
 
 // Configuration file paths (agent-config.json still uses file storage for simplicity)
 const CONFIG_FILE = path.join(__dirname, '../data/agent-config.json');
+// Wait before redialing a lead when no DID can place the call (none purchased, or rests of unknown length)
+const NO_DID_RETRY_MS = 5 * 60 * 1000;
+// Wait before retrying a lead whose Do-Not-Call check could not be run
+const DNC_CHECK_RETRY_MS = 60 * 1000;
 
 // Agent state management
-let agentState = {
+const agentState = {
   status: 'stopped', // stopped, running, paused
   totalCalls: 0,
   successfulCalls: 0,
@@ -29,11 +44,40 @@ let agentState = {
 // Agent configuration (loaded from file or defaults)
 let agentConfig = {
   transferNumber: process.env.AGENT_TRANSFER_NUMBER || '+18434028556',
-  maxConcurrentCalls: 50 // Default: 1 call at a time (sequential), changed via UI
+  // blind = hand the lead to the agent, warm = agent hears a summary first; no agent within
+  // warmTransferTimeoutSecs and the lead is told we will call back
+  transferMode: process.env.TRANSFER_MODE === 'warm' ? 'warm' : 'blind',
+  warmTransferTimeoutSecs: parseInt(process.env.WARM_TRANSFER_TIMEOUT_SECS) || 30,
+  maxConcurrentCalls: 50, // Default: 1 call at a time (sequential), changed via UI
+  // Leads are only dialed between startHour and endHour in their own local time
+  callingHours: {
+    enabled: process.env.CALLING_HOURS_ENABLED !== 'false',
+    startHour: parseInt(process.env.CALLING_HOURS_START) || 9,
+    endHour: parseInt(process.env.CALLING_HOURS_END) || 20
+  },
+  scriptId: null, // Script for the ad-hoc agent session (null = default script)
+  // Redial rules per hangup category: { maxAttempts, delayMinutes }
+  retryPolicy: JSON.parse(JSON.stringify(retryPolicy.DEFAULT_RETRY_POLICY))
 };
 
-let callQueue = [];
-let isProcessingQueue = false;
+const callQueue = [];
+
+// Dialing sessions: the ad-hoc session (POST /api/agent/start) uses the module-level
+// agentState/agentConfig/callQueue, each running campaign gets its own session so
+// campaigns can dial side by side with separate queues, concurrency and stats
+const defaultSession = {
+  campaignId: null,
+  name: 'Agent',
+  state: agentState,
+  config: agentConfig,
+  queue: callQueue,
+  isProcessingQueue: false,
+  outOfWindow: new Map(), // userId -> lead deferred until its calling window opens
+  windowTimer: null,
+  script: null // Resolved call script (prompt + greetings), pinned when the session starts
+};
+const campaignSessions = new Map(); // campaignId -> session
+const callSessions = new Map(); // callControlId -> session that placed the call
 
 // Auto-pause/resume timer management
 let autoPauseTimer = null;
@@ -44,6 +88,7 @@ let transferredCalls = []; // Array of { id, phone, name, address, timestamp, fr
 
 // Track active calls and their completion status
 const activeCallsCompletion = new Map(); // callControlId -> { resolve, reject, timeout }
+const timedOutCalls = new Map(); // callControlId -> { session, callItem } whose wait timed out before the hangup
 
 // ⚠️ FIX: Track phone numbers that are currently being called to prevent duplicates
 const activePhoneNumbers = new Map(); // phoneNumber -> callControlId
@@ -92,12 +137,12 @@ async function saveAgentConfig() {
 }
 
 /**
- * Load transferred calls from PostgreSQL database
+ * Load transferred calls from PostgreSQL database (attempts that reached an agent)
  */
 async function loadTransferredCalls() {
   try {
     const result = await query(
-      `SELECT * FROM transferred_calls ORDER BY transferred_at DESC LIMIT 1000`
+      `SELECT * FROM transferred_calls WHERE status IN ('bridged', 'completed') ORDER BY transferred_at DESC LIMIT 1000`
     );
     
     transferredCalls.length = 0; // Clear array
@@ -124,34 +169,6 @@ async function loadTransferredCalls() {
   }
 }
 
-/**
- * Save transferred call to PostgreSQL database
- */
-async function saveTransferredCall(callData) {
-  try {
-    await query(
-      `INSERT INTO transferred_calls (
-        call_control_id, user_id, phone, name, address, from_number, to_number, transferred_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-      ON CONFLICT (call_control_id) DO NOTHING`,
-      [
-        callData.id || callData.callControlId,
-        callData.userId || null,
-        callData.phone,
-        callData.name,
-        callData.address || null,
-        callData.fromNumber,
-        callData.toNumber
-      ]
-    );
-    console.log(`💾 Transferred call saved to database: ${callData.id || callData.callControlId}`);
-    return true;
-  } catch (error) {
-    console.error('❌ Error saving transferred call to database:', error.message);
-    return false;
-  }
-}
-
 // Load config and transferred calls on startup
 loadAgentConfig();
 loadTransferredCalls();
@@ -217,7 +234,7 @@ function startAutoResumeMonitoring() {
       startAutoPauseTimer();
       
       // Resume processing queue
-      if (!isProcessingQueue && callQueue.length > 0) {
+      if (!defaultSession.isProcessingQueue && callQueue.length > 0) {
         processCallQueue();
       }
     }
@@ -279,10 +296,418 @@ function markCallComplete(callControlId, result) {
     callCompletion.resolve(result);
   } else {
     console.log(`⚠️  Call ${callControlId} not found in activeCallsCompletion Map`);
-    console.log(`   This may happen if server restarted during call`);
+    console.log(`   This may happen if server restarted during call or its wait timed out - closing durable queue item`);
+    const timedOut = timedOutCalls.get(callControlId);
+    if (timedOut) {
+      // The slot was freed by the wait timeout - apply the hangup's retry decision now
+      timedOutCalls.delete(callControlId);
+      settleQueueItem(timedOut.session, timedOut.callItem, result)
+        .then(() => processCallQueue(timedOut.session))
+        .catch(error => console.error(`❌ Error settling timed-out call ${callControlId}:`, error.message));
+    } else {
+      callQueueModel.completeByCallControlId(callControlId, result?.status || 'completed');
+    }
+    // A timed-out wait left the number tracked until this hangup
+    for (const [phone, activeCallId] of activePhoneNumbers) {
+      if (activeCallId === callControlId) {
+        activePhoneNumbers.delete(phone);
+      }
+    }
+    callSessions.delete(callControlId);
+  }
+}
+
+/**
+ * Apply the retry policy to a finished lead call and store the lead's next_attempt_at
+ * Called from the hangup webhook; returns the decision so the queue can requeue the lead
+ */
+async function scheduleLeadRetry(callControlId, userId, hangupReason, stage) {
+  const user = userId ? await userModel.getUserById(userId) : null;
+  if (!user) {
+    return { retry: false, category: null, nextAttemptAt: null };
+  }
+
+  const wasTransferred = transferredCalls.some(call => call.id === callControlId);
+  const decision = retryPolicy.decide({
+    hangupReason,
+    stage: wasTransferred ? 'completed' : stage,
+    attempts: user.call_attempts || 0
+  }, agentConfig.retryPolicy);
+
+  await userModel.scheduleNextAttempt(user.id, decision.nextAttemptAt, hangupReason);
+  if (decision.retry) {
+    console.log(`🔁 Retry scheduled for ${user.phone} (${decision.category}, attempt ${user.call_attempts}/${decision.maxAttempts}) at ${decision.nextAttemptAt.toISOString()}`);
+  } else {
+    console.log(`⏹️  No retry for ${user.phone} (reason: ${hangupReason}, attempts: ${user.call_attempts})`);
+  }
+  return decision;
+}
+
+/**
+ * Persist a batch of users to the durable queue and build in-memory queue items
+ */
+async function enqueueUsers(campaignId, users) {
+  // Drop leftovers from a previous run of the same session
+  await callQueueModel.cancelPending(campaignId);
+
+  const rows = await callQueueModel.enqueue(campaignId, users.map(u => u.id));
+  const itemIdByUser = new Map(rows.map(row => [row.user_id, row.id]));
+
+  return users.map(user => ({
+    user,
+    attempts: 0,
+    status: 'pending',
+    queueItemId: itemIdByUser.get(user.id) || null
+  }));
+}
+
+/**
+ * Build fresh session statistics for a batch of users
+ */
+function createSessionState(users) {
+  return {
+    status: 'running',
+    totalCalls: 0,
+    successfulCalls: 0,
+    failedCalls: 0,
+    qualifiedLeads: 0,
+    disqualifiedLeads: 0,
+    currentBatch: users.map(u => u.id),
+    activeCalls: 0,
+    startTime: Date.now(),
+    pauseTime: null
+  };
+}
+
+/**
+ * Build the dialing config for a campaign (falls back to the global agent config)
+ */
+function buildCampaignConfig(campaign) {
+  return {
+    transferNumber: campaign.transfer_number || agentConfig.transferNumber,
+    maxConcurrentCalls: campaign.max_concurrent_calls || 1,
+    sttProvider: campaign.stt_provider || null,
+    ttsProvider: campaign.tts_provider || null,
+    ttsVoice: campaign.tts_voice || null
+  };
+}
+
+/**
+ * Build a dialing session for a campaign
+ */
+function createCampaignSession(campaign, users, queueItems, script) {
+  return {
+    campaignId: campaign.id,
+    name: campaign.name,
+    state: createSessionState(users),
+    config: buildCampaignConfig(campaign),
+    queue: queueItems,
+    isProcessingQueue: false,
+    outOfWindow: new Map(),
+    windowTimer: null,
+    script
+  };
+}
+
+/**
+ * Start dialing a campaign's leads in its own session
+ */
+async function startCampaignSession(campaign, leads) {
+  const script = await scriptService.resolveScript(campaign.script_id);
+  const queueItems = await enqueueUsers(campaign.id, leads);
+  const existing = campaignSessions.get(campaign.id);
+  if (existing && existing.state.activeCalls > 0) {
+    // Keep counters of calls still in flight from the previous run
+    existing.state.status = 'running';
+    existing.state.pauseTime = null;
+    existing.state.currentBatch = leads.map(u => u.id);
+    existing.name = campaign.name;
+    Object.assign(existing.config, buildCampaignConfig(campaign));
+    existing.queue.length = 0;
+    existing.queue.push(...queueItems);
+    existing.outOfWindow.clear();
+    existing.script = script;
+    processCallQueue(existing);
+    return existing;
+  }
+
+  const session = createCampaignSession(campaign, leads, queueItems, script);
+  campaignSessions.set(campaign.id, session);
+
+  console.log(`📣 Campaign started: ${campaign.name} (${leads.length} leads, max ${session.config.maxConcurrentCalls} concurrent, script "${script.name}" v${script.version || 'built-in'})`);
+  processCallQueue(session);
+  return session;
+}
+
+/**
+ * Pause a running campaign (active calls finish, queue is kept)
+ */
+function pauseCampaignSession(campaignId) {
+  const session = campaignSessions.get(campaignId);
+  if (!session || session.state.status !== 'running') {
+    return null;
+  }
+  session.state.status = 'paused';
+  session.state.pauseTime = Date.now();
+  console.log(`⏸️  Campaign paused: ${session.name} (Queue: ${session.queue.length}, Active: ${session.state.activeCalls})`);
+  return session;
+}
+
+/**
+ * Resume a paused campaign
+ */
+function resumeCampaignSession(campaignId) {
+  const session = campaignSessions.get(campaignId);
+  if (!session || session.state.status !== 'paused') {
+    return null;
+  }
+  session.state.status = 'running';
+  session.state.pauseTime = null;
+  console.log(`▶️  Campaign resumed: ${session.name} (Queue: ${session.queue.length})`);
+  processCallQueue(session);
+  return session;
+}
+
+/**
+ * Stop a campaign and drop its remaining queue (active calls finish normally)
+ */
+function stopCampaignSession(campaignId) {
+  callQueueModel.cancelPending(campaignId);
+
+  const session = campaignSessions.get(campaignId);
+  if (!session) {
+    return null;
+  }
+  session.state.status = 'completed';
+  session.queue.length = 0;
+  clearOutOfWindow(session);
+  console.log(`🛑 Campaign stopped: ${session.name} (Active calls: ${session.state.activeCalls})`);
+  return session;
+}
+
+/**
+ * Apply updated campaign settings to a live session
+ */
+function updateCampaignSessionConfig(campaign) {
+  const session = campaignSessions.get(campaign.id);
+  if (!session) {
+    return null;
+  }
+  session.name = campaign.name;
+  Object.assign(session.config, buildCampaignConfig(campaign));
+  // New calls pick up a changed script, calls in progress keep theirs
+  scriptService.resolveScript(campaign.script_id)
+    .then(script => { session.script = script; })
+    .catch(error => console.error(`❌ Error loading script for campaign ${campaign.id}:`, error.message));
+  processCallQueue(session);
+  return session;
+}
+
+/**
+ * Summarize a session for status/stats responses
+ */
+function getSessionSummary(session) {
+  const { state } = session;
+  return {
+    campaignId: session.campaignId,
+    name: session.name,
+    ...state,
+    queueLength: session.queue.length,
+    outOfWindowLeads: getOutOfWindowLeads(session),
+    scheduledRetries: session.queue.filter(item => item.nextAttemptAt && item.nextAttemptAt > Date.now()).length,
+    transferNumber: session.config.transferNumber,
+    maxConcurrentCalls: session.config.maxConcurrentCalls,
+    script: session.script ? { id: session.script.id, name: session.script.name, version: session.script.version } : null,
+    successRate: state.totalCalls > 0
+      ? (state.successfulCalls / state.totalCalls * 100).toFixed(2) + '%'
+      : '0%',
+    qualificationRate: state.totalCalls > 0
+      ? (state.qualifiedLeads / state.totalCalls * 100).toFixed(2) + '%'
+      : '0%',
+    runningTime: state.startTime ? Date.now() - state.startTime : 0
+  };
+}
+
+/**
+ * Get the live session for a campaign (if it has been started since boot)
+ */
+function getCampaignSession(campaignId) {
+  const session = campaignSessions.get(campaignId);
+  return session ? getSessionSummary(session) : null;
+}
+
+/**
+ * Get the stats object that should be credited for a call's outcome
+ */
+function getSessionStateForCall(callControlId) {
+  const session = callSessions.get(callControlId) || defaultSession;
+  return session.state;
+}
+
+/**
+ * Get the transfer number for a call (campaign transfer number or global default)
+ */
+function getTransferNumberForCall(callControlId) {
+  const session = callSessions.get(callControlId) || defaultSession;
+  return session.config.transferNumber || agentConfig.transferNumber || process.env.AGENT_TRANSFER_NUMBER;
+}
+
+/**
+ * Get the transfer mode and warm transfer accept timeout for a call
+ */
+function getTransferSettingsForCall(callControlId) {
+  const session = callSessions.get(callControlId) || defaultSession;
+  return {
+    mode: session.config.transferMode || agentConfig.transferMode,
+    acceptTimeoutSecs: session.config.warmTransferTimeoutSecs || agentConfig.warmTransferTimeoutSecs
+  };
+}
+
+/**
+ * Get the STT provider chosen by the campaign that placed a call (null = STT_PROVIDER / default)
+ */
+function getSttProviderForCall(callControlId) {
+  const session = callSessions.get(callControlId) || defaultSession;
+  return session.config.sttProvider || null;
+}
+
+/**
+ * Get the TTS provider and voice for a call: the campaign's, else the call script's (null = TTS_PROVIDER / default)
+ */
+function getTtsSettingsForCall(callControlId) {
+  const session = callSessions.get(callControlId) || defaultSession;
+  const script = openaiService.getConversationState(callControlId)?.script;
+  if (session.config.ttsProvider) {
+    return { provider: session.config.ttsProvider, voice: session.config.ttsVoice || null };
+  }
+  if (script?.ttsProvider) {
+    return { provider: script.ttsProvider, voice: script.ttsVoice || null };
+  }
+  return null;
+}
+
+/**
+ * Get the campaign that placed a call (null = agent / default session)
+ */
+function getCampaignIdForCall(callControlId) {
+  const session = callSessions.get(callControlId) || defaultSession;
+  return session.campaignId || null;
+}
+
+/**
+ * Attach an inbound callback to the session of the campaign that last called the lead
+ * (its running session, else the default session) so transfers and stats use that session
+ */
+function attachInboundCall(callControlId, campaignId = null) {
+  const session = (campaignId && campaignSessions.get(campaignId)) || defaultSession;
+  callSessions.set(callControlId, session);
+  return session;
+}
+
+/**
+ * Forget an inbound callback's session once the call has ended
+ */
+function detachInboundCall(callControlId) {
+  callSessions.delete(callControlId);
+}
+
+/**
+ * Check whether a destination number is one of the configured transfer numbers or transfer destinations
+ */
+function isTransferDestination(toNumber) {
+  if (!toNumber) return false;
+  if (transferRouting.isDestinationNumber(toNumber)) return true;
+
+  const transferNumbers = new Set([agentConfig.transferNumber, process.env.AGENT_TRANSFER_NUMBER]);
+  for (const session of campaignSessions.values()) {
+    transferNumbers.add(session.config.transferNumber);
+  }
+
+  const normalizedTo = toNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
+  for (const transferNumber of transferNumbers) {
+    if (!transferNumber) continue;
+    const normalizedTransfer = transferNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
+    if (normalizedTo === normalizedTransfer || toNumber === transferNumber) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Work out a lead's state and timezone: the lead's state, else a ", ST" or ", ST ZIP" tail on the address
+ * (how the import appends it - street suffixes like "Ct" or "NE" don't count), else the phone's area code
+ * (the area code gives the more precise timezone where a state spans zones, e.g. 850 in Florida)
+ */
+function getLeadLocation(user) {
+  const match = (user.address || '').trim().match(/,\s*([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/);
+  const state = [user.state, match?.[1]]
+    .map(code => (code || '').trim().toUpperCase())
+    .find(code => callingHours.getTimezoneForState(code));
+  if (state) {
+    return { state, timezone: callingHours.getTimezoneForState(state) };
+  }
+
+  const areaCode = extractAreaCode(user.phone);
+  return { state: areaCodes.getState(areaCode), timezone: areaCodes.getTimezone(areaCode) };
+}
+
+/**
+ * Check whether a lead is inside the configured calling window right now
+ */
+function checkCallingWindow(user) {
+  const { state, timezone } = getLeadLocation(user);
+  return callingHours.checkWindow(state, agentConfig.callingHours, new Date(), timezone);
+}
+
+/**
+ * Record a lead deferred because it is outside its calling window
+ */
+function deferOutOfWindow(session, callItem, callingWindow) {
+  const { user } = callItem;
+  session.outOfWindow.set(user.id, {
+    userId: user.id,
+    name: `${user.firstname || ''} ${user.lastname || ''}`.trim(),
+    phone: user.phone,
+    state: callingWindow.state,
+    timezone: callingWindow.timezone,
+    localTime: callingWindow.localTime,
+    nextWindowAt: callingWindow.nextWindowAt
+  });
+}
+
+/**
+ * Re-run the queue later so deferred leads are picked up once their window opens
+ * (or their scheduled retry time is reached)
+ */
+function scheduleQueueRecheck(session) {
+  if (session.windowTimer) return;
+  session.windowTimer = setTimeout(() => {
+    session.windowTimer = null;
+    if (session.state.status === 'running') {
+      processCallQueue(session);
+    }
+  }, 60 * 1000); // Check once a minute
+}
+
+/**
+ * Drop deferred leads and the pending recheck (session stopped)
+ */
+function clearOutOfWindow(session) {
+  session.outOfWindow.clear();
+  if (session.windowTimer) {
+    clearTimeout(session.windowTimer);
+    session.windowTimer = null;
   }
 }
 
+/**
+ * List leads currently deferred by the calling window
+ */
+function getOutOfWindowLeads(session) {
+  return Array.from(session.outOfWindow.values());
+}
+
 /**
  * GET /api/agent/status - Get agent status
  */
@@ -292,7 +717,17 @@ router.get('/status', (req, res) => {
     data: {
       ...agentState,
       queueLength: callQueue.length,
-      transferNumber: agentConfig.transferNumber
+      transferNumber: agentConfig.transferNumber,
+      callingHours: agentConfig.callingHours,
+      outOfWindowLeads: getOutOfWindowLeads(defaultSession),
+      campaigns: Array.from(campaignSessions.values()).map(session => ({
+        campaignId: session.campaignId,
+        name: session.name,
+        status: session.state.status,
+        activeCalls: session.state.activeCalls,
+        queueLength: session.queue.length,
+        outOfWindowLeads: getOutOfWindowLeads(session)
+      }))
     }
   });
 });
@@ -320,7 +755,7 @@ router.get('/transferred-calls', (req, res) => {
 /**
  * DELETE /api/agent/transferred-calls - Clear transferred calls list
  */
-router.delete('/transferred-calls', async (req, res) => {
+router.delete('/transferred-calls', requireRole('admin'), async (req, res) => {
   try {
     await query('DELETE FROM transferred_calls');
     transferredCalls.length = 0; // Clear the array
@@ -343,7 +778,7 @@ router.delete('/transferred-calls', async (req, res) => {
  */
 router.put('/config', async (req, res) => {
   console.log('📞 Updating agent config:', req.body);
-  const { transferNumber, maxConcurrentCalls } = req.body;
+  const { transferNumber, transferMode, warmTransferTimeoutSecs, maxConcurrentCalls, callingHours, retryPolicy: retryPolicyUpdate } = req.body;
   
   let updated = false;
   
@@ -365,6 +800,33 @@ router.put('/config', async (req, res) => {
     updated = true;
   }
   
+  if (transferMode !== undefined) {
+    if (!['blind', 'warm'].includes(transferMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transfer mode. Use blind or warm'
+      });
+    }
+
+    agentConfig.transferMode = transferMode;
+    console.log('   ✅ Transfer mode updated to:', agentConfig.transferMode);
+    updated = true;
+  }
+
+  if (warmTransferTimeoutSecs !== undefined) {
+    const timeoutSecs = Number(warmTransferTimeoutSecs);
+    if (!Number.isInteger(timeoutSecs) || timeoutSecs < 10 || timeoutSecs > 300) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid warm transfer timeout. Must be a whole number of seconds between 10 and 300'
+      });
+    }
+
+    agentConfig.warmTransferTimeoutSecs = timeoutSecs;
+    console.log('   ✅ Warm transfer timeout updated to:', agentConfig.warmTransferTimeoutSecs);
+    updated = true;
+  }
+
   if (maxConcurrentCalls !== undefined) {
     const concurrent = parseInt(maxConcurrentCalls);
     if (isNaN(concurrent) || concurrent < 1 || concurrent > 50) {
@@ -378,7 +840,37 @@ router.put('/config', async (req, res) => {
     console.log('   ✅ Max concurrent calls updated to:', agentConfig.maxConcurrentCalls);
     updated = true;
   }
-  
+
+  if (callingHours !== undefined) {
+    const next = { ...agentConfig.callingHours, ...callingHours };
+    const startHour = Number(next.startHour);
+    const endHour = Number(next.endHour);
+    if (!Number.isInteger(startHour) || !Number.isInteger(endHour) ||
+        startHour < 0 || endHour > 24 || startHour >= endHour) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid calling hours. startHour and endHour must be whole hours between 0 and 24, with startHour before endHour'
+      });
+    }
+
+    agentConfig.callingHours = { enabled: next.enabled !== false, startHour, endHour };
+    console.log('   ✅ Calling hours updated to:', agentConfig.callingHours);
+    updated = true;
+  }
+
+  if (retryPolicyUpdate !== undefined) {
+    const policyError = retryPolicy.validatePolicy(retryPolicyUpdate);
+    if (policyError) {
+      return res.status(400).json({ success: false, error: policyError });
+    }
+
+    for (const [category, rule] of Object.entries(retryPolicyUpdate)) {
+      agentConfig.retryPolicy[category] = { ...agentConfig.retryPolicy[category], ...rule };
+    }
+    console.log('   ✅ Retry policy updated to:', agentConfig.retryPolicy);
+    updated = true;
+  }
+
   if (updated) {
     // Save to file for persistence
     const saved = await saveAgentConfig();
@@ -405,7 +897,18 @@ router.post('/start', async (req, res) => {
       });
     }
 
-    const { userIds, delayBetweenCalls = 5000 } = req.body;
+    const { userIds, delayBetweenCalls = 5000, scriptId = null } = req.body;
+
+    // Resolve the call script for this run (explicit scriptId, else the default script)
+    let script;
+    try {
+      script = await scriptService.resolveScript(scriptId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
     // Get users to call
     let usersToCall;
@@ -425,27 +928,19 @@ router.post('/start', async (req, res) => {
       });
     }
 
-    // Initialize agent state
-    agentState = {
-      status: 'running',
-      totalCalls: 0,
-      successfulCalls: 0,
-      failedCalls: 0,
-      qualifiedLeads: 0,
-      disqualifiedLeads: 0,
-      currentBatch: usersToCall.map(u => u.id),
-      activeCalls: 0, // ✅ FIX: Initialize active calls counter
-      startTime: Date.now(),
-      pauseTime: null,
-      delayBetweenCalls
-    };
+    // Initialize agent state (update in place - webhookRoutes holds a reference)
+    Object.assign(agentState, createSessionState(usersToCall), { delayBetweenCalls });
+    defaultSession.script = script;
+    if (agentConfig.scriptId !== scriptId) {
+      // Remembered so the queue resumes with the same script after a restart
+      agentConfig.scriptId = scriptId;
+      await saveAgentConfig();
+    }
 
-    // Add to call queue
-    callQueue = usersToCall.map(user => ({
-      user,
-      attempts: 0,
-      status: 'pending'
-    }));
+    // Add to call queue (persisted so it survives restarts)
+    const queueItems = await enqueueUsers(null, usersToCall);
+    callQueue.length = 0;
+    callQueue.push(...queueItems);
 
     // Start auto-pause timer
     startAutoPauseTimer();
@@ -455,7 +950,7 @@ router.post('/start', async (req, res) => {
 
     res.json({
       success: true,
-      message: `Agent started with ${usersToCall.length} users in queue`,
+      message: `Agent started with ${usersToCall.length} users in queue (script: ${script.name})`,
       data: agentState
     });
   } catch (error) {
@@ -484,8 +979,10 @@ router.post('/stop', (req, res) => {
     console.log(`   Active calls: ${agentState.activeCalls}`);
     
     agentState.status = 'stopped';
-    callQueue = [];
-    isProcessingQueue = false;
+    callQueue.length = 0;
+    defaultSession.isProcessingQueue = false;
+    clearOutOfWindow(defaultSession);
+    callQueueModel.cancelPending(null);
 
     // Stop auto-pause timer and monitoring
     stopAutoPauseTimer();
@@ -558,7 +1055,7 @@ router.post('/resume', (req, res) => {
     startAutoPauseTimer();
 
     // Resume processing queue
-    if (!isProcessingQueue && callQueue.length > 0) {
+    if (!defaultSession.isProcessingQueue && callQueue.length > 0) {
       processCallQueue();
     }
 
@@ -575,6 +1072,23 @@ router.post('/resume', (req, res) => {
   }
 });
 
+/**
+ * Shape a transfer outcome row for stats (conversion = sold / transfers that reached an agent)
+ */
+function summarizeTransfers(row = {}) {
+  const connected = parseInt(row.connected) || 0;
+  const sold = parseInt(row.sold) || 0;
+  return {
+    transfers: parseInt(row.transfers) || 0,
+    connected,
+    sold,
+    notSold: parseInt(row.not_sold) || 0,
+    callback: parseInt(row.callback) || 0,
+    avgTalkSeconds: row.avg_talk_seconds !== null && row.avg_talk_seconds !== undefined ? parseInt(row.avg_talk_seconds) : null,
+    conversionRate: connected > 0 ? (sold / connected * 100).toFixed(2) + '%' : '0%'
+  };
+}
+
 /**
  * GET /api/agent/stats - Get agent statistics
  */
@@ -586,6 +1100,27 @@ router.get('/stats', async (req, res) => {
     // 🔍 CRITICAL: Get actual Telnyx call statistics (source of truth)
     // This counts only calls that were actually made through Telnyx API
     const telnyxCallStats = await userModel.getTelnyxCallStats();
+
+    // Per-campaign stats: live session counters merged with persisted call counts
+    const campaigns = await campaignModel.getAllCampaigns();
+    const campaignCallStats = await campaignModel.getCampaignCallStats();
+    const transferStats = await transferModel.getConversionStats();
+    const campaignStats = campaigns.map(campaign => {
+      const callStats = campaignCallStats.find(row => row.campaign_id === campaign.id) || {};
+      return {
+        campaignId: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        leadCount: campaign.lead_count || 0,
+        session: getCampaignSession(campaign.id),
+        telnyxCalls: {
+          total: parseInt(callStats.total_calls) || 0,
+          webhookConfirmed: parseInt(callStats.webhook_confirmed) || 0,
+          last24h: parseInt(callStats.calls_last_24h) || 0
+        },
+        transfers: summarizeTransfers(transferStats.byCampaign.find(row => row.key === campaign.id))
+      };
+    });
     
     const stats = {
       ...agentState,
@@ -607,11 +1142,17 @@ router.get('/stats', async (req, res) => {
         last24h: parseInt(telnyxCallStats.calls_last_24h) || 0,
         last7d: parseInt(telnyxCallStats.calls_last_7d) || 0
       },
+      campaigns: campaignStats,
+      // Transfer outcomes per DID that called the lead
+      transfersByDid: transferStats.byDid
+        .filter(row => row.key)
+        .map(row => ({ phoneNumber: row.key, ...summarizeTransfers(row) })),
       // Add cost tracking
       costs: {
         totalCost: totalCosts.totalCost,
         telnyxCost: totalCosts.telnyxTotal,
         elevenlabsTotal: totalCosts.elevenlabsTotal,
+        deepgramTotal: totalCosts.deepgramTotal,
         openaiCost: totalCosts.openaiTotal,
         avgCostPerCall: totalCosts.avgCostPerCall,
         avgCostPerMinute: totalCosts.avgCostPerMinute,
@@ -679,10 +1220,53 @@ router.get('/audit', async (req, res) => {
   }
 });
 
+/**
+ * Put a lead back in the session queue, to be dialed from retryAt (no caller ID available now)
+ */
+async function requeueUntil(session, callItem, retryAt, reason) {
+  callItem.nextAttemptAt = retryAt.getTime();
+  session.queue.push(callItem);
+  await callQueueModel.updateItem(callItem.queueItemId, {
+    status: 'pending',
+    last_error: reason,
+    next_attempt_at: retryAt
+  });
+}
+
+/**
+ * Record a finished call on its queue item: requeued until next_attempt_at when the retry policy
+ * asks for it (and the session is still dialing), otherwise completed
+ */
+async function settleQueueItem(session, callItem, callResult) {
+  const { state } = session;
+  callItem.attempts = (callItem.attempts || 0) + 1;
+
+  const retry = callResult.retry || { retry: false };
+
+  if (retry.retry && state.status !== 'stopped' && state.status !== 'completed') {
+    // Redial later in this session, once next_attempt_at is reached
+    callItem.nextAttemptAt = new Date(retry.nextAttemptAt).getTime();
+    session.queue.push(callItem);
+    await callQueueModel.updateItem(callItem.queueItemId, {
+      status: 'pending',
+      attempts: callItem.attempts,
+      result: callResult.hangupReason || callResult.status,
+      next_attempt_at: new Date(callItem.nextAttemptAt)
+    });
+  } else {
+    await callQueueModel.updateItem(callItem.queueItemId, {
+      status: 'completed',
+      attempts: callItem.attempts,
+      result: callResult.hangupReason || callResult.status
+    });
+  }
+}
+
 /**
  * Process a single call (async task)
  */
-async function processSingleCall(callItem) {
+async function processSingleCall(callItem, session = defaultSession) {
+  const { state, config, queue } = session;
   // Note: activeCalls is incremented in processCallQueue BEFORE calling this function
   // to reserve the slot and prevent race conditions
   let callInitiated = false; // Track if call was successfully initiated
@@ -690,53 +1274,53 @@ async function processSingleCall(callItem) {
   // ✅ FIX: Validate callItem.user and phone before processing
   if (!callItem || !callItem.user || !callItem.user.phone) {
     console.error(`❌ Invalid callItem in processSingleCall: user is ${callItem?.user ? 'missing phone' : 'null'}`);
-    agentState.activeCalls--; // Decrement since we reserved a slot
-    agentState.failedCalls++;
+    state.activeCalls--; // Decrement since we reserved a slot
+    state.failedCalls++;
+    callQueueModel.updateItem(callItem?.queueItemId, { status: 'failed', last_error: 'Missing user or phone' });
     return { success: false, error: 'Invalid callItem: missing user or phone' };
   }
   
+  // Persist that this item is being dialed (a crash here leaves it for reconciliation)
+  await callQueueModel.updateItem(callItem.queueItemId, { status: 'dialing' });
+
   try {
     // Get phone number with smart DID matching based on area code/state
     let fromNumber;
     let matchInfo = null;
     
-    if (didRotation.enabled && didRotation.allNumbers.length > 0) {
-      // Extract area code from recipient phone
+    // Lead's DID pool, else the campaign's pool, else the main rotation
+    const rotation = getRotation({ leadPoolId: callItem.user.did_pool_id, campaignId: session.campaignId });
+
+    if (rotation.enabled && rotation.allNumbers.length > 0) {
       const recipientAreaCode = extractAreaCode(callItem.user.phone);
       const recipientState = callItem.user.state || getStateFromAreaCode(recipientAreaCode);
-      
-      console.log(`📍 Recipient: ${callItem.user.phone} | Area Code: ${recipientAreaCode} | State: ${recipientState}`);
-      
-      // Strategy 1: Match by area code (best)
-      if (didRotation.strategy === 'area_code' && recipientAreaCode && didRotation.numbersByAreaCode[recipientAreaCode]) {
-        const numbers = didRotation.numbersByAreaCode[recipientAreaCode];
-        fromNumber = numbers[Math.floor(Math.random() * numbers.length)];
-        matchInfo = `area_code_${recipientAreaCode}`;
-        console.log(`✅ DID Match by Area Code ${recipientAreaCode}: ${fromNumber}`);
-      }
-      // Strategy 2: Match by state (good)
-      else if (recipientState && didRotation.numbersByState[recipientState]) {
-        const numbers = didRotation.numbersByState[recipientState];
-        fromNumber = numbers[Math.floor(Math.random() * numbers.length)];
-        matchInfo = `state_${recipientState}`;
-        console.log(`✅ DID Match by State ${recipientState}: ${fromNumber}`);
-      }
-      // Strategy 3: Round-robin fallback
-      else {
-        fromNumber = didRotation.allNumbers[didRotation.currentIndex];
-        didRotation.currentIndex = (didRotation.currentIndex + 1) % didRotation.allNumbers.length;
-        matchInfo = 'round_robin_fallback';
-        console.log(`🔄 DID Round-Robin (no match): ${fromNumber} (${didRotation.currentIndex}/${didRotation.allNumbers.length})`);
+
+      console.log(`📍 Recipient: ${callItem.user.phone} | Area Code: ${recipientAreaCode} | State: ${recipientState} | Pool: ${rotation.name || 'main'}`);
+
+      // Picked by the rotation's strategy (sticky uses the lead's last caller ID) - rested DIDs are skipped
+      const match = matchDID(callItem.user.phone, callItem.user.state, rotation, { lastDidNumber: callItem.user.did_number });
+      if (!match) {
+        // Not a failed call - wait in the queue until the first DID's rest ends
+        const retryAt = didHealth.getEarliestRestEnd(rotation.allNumbers) || new Date(Date.now() + NO_DID_RETRY_MS);
+        console.error(`❌ All ${rotation.allNumbers.length} DIDs in ${rotation.name || 'the rotation'} are rested - lead requeued for ${retryAt.toISOString()} (see /api/did/health)`);
+        state.activeCalls--;
+        await requeueUntil(session, callItem, retryAt, 'All DIDs are rested');
+        return { success: false, error: 'All DIDs are rested' };
       }
+
+      fromNumber = match.number;
+      matchInfo = match.matchType;
+      console.log(`✅ DID Match (${matchInfo}): ${fromNumber} - ${match.explanation}`);
     } else {
       // DID rotation disabled - use first available number
       console.log(`📞 DID Rotation disabled, using first available number`);
       const numbers = await telnyxService.getPurchasedNumbers();
       if (numbers.length === 0) {
-        console.error('❌ No phone numbers available');
-        // Decrement since we reserved the slot
-        agentState.activeCalls--;
-        agentState.failedCalls++;
+        const retryAt = new Date(Date.now() + NO_DID_RETRY_MS);
+        console.error(`❌ No phone numbers available - lead requeued for ${retryAt.toISOString()}`);
+        // Decrement since we reserved the slot (not a failed call - the lead waits in the queue)
+        state.activeCalls--;
+        await requeueUntil(session, callItem, retryAt, 'No phone numbers available');
         return { success: false, error: 'No phone numbers available' };
       }
       fromNumber = numbers[0].phone_number;
@@ -764,18 +1348,28 @@ async function processSingleCall(callItem) {
       console.error(`   User: ${callItem.user.id} (${callItem.user.phone})`);
       
       // Don't update database status - call was not actually created
-      agentState.failedCalls++;
+      state.failedCalls++;
       throw new Error(errorMsg);
     }
 
     // ✅ Validation passed - Telnyx confirmed call creation
     console.log(`✅ Telnyx call validated: ${call.call_control_id}`);
     console.log(`   📊 Database will be updated for user ${callItem.user.id}`);
-    console.log(`   📈 Call metrics: Total=${agentState.totalCalls + 1}, Successful=${agentState.successfulCalls + 1}, Failed=${agentState.failedCalls}`);
+    console.log(`   📈 Call metrics: Total=${state.totalCalls + 1}, Successful=${state.successfulCalls + 1}, Failed=${state.failedCalls}`);
 
     // Mark call as successfully initiated
     callInitiated = true;
 
+    // Count the call towards the DID's daily cap
+    await didHealth.recordCall(fromNumber);
+
+    // Persist the call_control_id so the call can be reconciled after a restart
+    await callQueueModel.updateItem(callItem.queueItemId, {
+      status: 'in_progress',
+      call_control_id: call.call_control_id,
+      attempts: (callItem.attempts || 0) + 1
+    });
+
     // 🔍 CRITICAL: Record call in telnyx_calls table FIRST (source of truth)
     // This ensures we track actual Telnyx API calls separately from user status
     try {
@@ -783,7 +1377,9 @@ async function processSingleCall(callItem) {
         call.call_control_id,
         callItem.user.id,
         fromNumber,
-        callItem.user.phone
+        callItem.user.phone,
+        session.campaignId,
+        session.script
       );
       console.log(`   ✅ Telnyx call recorded in telnyx_calls table`);
     } catch (error) {
@@ -792,13 +1388,16 @@ async function processSingleCall(callItem) {
     }
 
     // Initialize conversation
-    openaiService.initializeConversation(call.call_control_id, callItem.user);
+    openaiService.initializeConversation(call.call_control_id, callItem.user, session.script);
 
     // ⚠️ FIX: Track this phone number as actively being called
     const normalizedPhone = callItem.user.phone.replace(/[^0-9]/g, '');
     activePhoneNumbers.set(normalizedPhone, call.call_control_id);
     console.log(`   📞 Tracking active phone number: ${normalizedPhone} -> ${call.call_control_id}`);
 
+    // Remember which session placed this call (webhooks use it for transfer number and stats)
+    callSessions.set(call.call_control_id, session);
+
     // Update user status with DID number used
     // 🔍 Only update database AFTER confirming Telnyx created the call AND recording in telnyx_calls
     console.log(`📝 Updating database status to 'called' for user ${callItem.user.id}`);
@@ -813,21 +1412,33 @@ async function processSingleCall(callItem) {
     console.log(`   ✅ Database updated in ${dbUpdateDuration}ms - user ${callItem.user.id} marked as 'called'`);
     console.log(`   📊 Verification: Telnyx call created (${call.call_control_id}) → telnyx_calls recorded → Database status updated ('called')`);
 
-    agentState.totalCalls++;
-    agentState.successfulCalls++;
+    state.totalCalls++;
+    state.successfulCalls++;
 
-    console.log(`⏳ Call ${call.call_control_id} in progress (Active: ${agentState.activeCalls}/${agentConfig.maxConcurrentCalls})`);
+    console.log(`⏳ Call ${call.call_control_id} in progress (Active: ${state.activeCalls}/${config.maxConcurrentCalls})`);
 
     // Wait for call to complete
     const callResult = await waitForCallCompletion(call.call_control_id);
+
+    if (callResult.status === 'timeout') {
+      // No hangup yet - the lead may still be on the line, so don't redial. The call.hangup handler applies
+      // the retry policy, closes the queue item and releases the number (startup reconciliation if it never comes)
+      console.log(`⏰ Call ${call.call_control_id} still open after the wait - freeing the slot, ${normalizedPhone} stays tracked until hangup`);
+      timedOutCalls.set(call.call_control_id, { session, callItem });
+      state.activeCalls--;
+      return { success: true, result: callResult };
+    }
+
     console.log(`📞 Call completed with status: ${callResult.status}`);
+    await settleQueueItem(session, callItem, callResult);
     
     // ⚠️ FIX: Remove phone number from active tracking
     activePhoneNumbers.delete(normalizedPhone);
+    callSessions.delete(call.call_control_id);
     console.log(`   📞 Removed phone number from active tracking: ${normalizedPhone}`);
     
     // Decrement active calls counter (slot was reserved in processCallQueue)
-    agentState.activeCalls--;
+    state.activeCalls--;
     
     return { success: true, result: callResult };
 
@@ -852,7 +1463,7 @@ async function processSingleCall(callItem) {
     }
     
     // Always decrement since we reserved the slot in processCallQueue
-    agentState.activeCalls--;
+    state.activeCalls--;
     
     // Check if it's a Telnyx channel limit error (90041)
     // Check multiple possible error structures
@@ -875,7 +1486,11 @@ async function processSingleCall(callItem) {
       console.log(`⚠️  Telnyx channel limit exceeded (90041) - account limit reached`);
       console.log(`   Skipping retry for user ${callItem.user.id} - will retry when channels free up`);
       console.log(`   📊 Database status NOT updated - user remains in current status`);
-      agentState.failedCalls++;
+      state.failedCalls++;
+      await callQueueModel.updateItem(callItem.queueItemId, {
+        status: 'failed',
+        last_error: 'Telnyx channel limit exceeded'
+      });
       // Don't retry immediately - Telnyx account limit exceeded
       return { success: false, error: 'Telnyx channel limit exceeded', skipRetry: true };
     }
@@ -889,73 +1504,131 @@ async function processSingleCall(callItem) {
       console.error(`   📊 Database status NOT updated - Telnyx call was not created`);
     }
     
-    agentState.failedCalls++;
+    state.failedCalls++;
     
-    // Retry logic (only for non-channel-limit errors)
+    // Retry logic (only for non-channel-limit errors), delay and limit come from the 'error' retry policy
     callItem.attempts = (callItem.attempts || 0) + 1;
-    if (callItem.attempts < 3) {
-      console.log(`🔄 Retrying user ${callItem.user.id} (Attempt ${callItem.attempts}/3)`);
-      callQueue.push(callItem);
+    const retry = retryPolicy.decide({ hangupReason: 'call_error', attempts: callItem.attempts }, agentConfig.retryPolicy);
+    if (retry.retry) {
+      console.log(`🔄 Retrying user ${callItem.user.id} (Attempt ${callItem.attempts}/${retry.maxAttempts}) at ${retry.nextAttemptAt.toISOString()}`);
+      callItem.nextAttemptAt = retry.nextAttemptAt.getTime();
+      queue.push(callItem);
     }
+    await callQueueModel.updateItem(callItem.queueItemId, {
+      status: retry.retry ? 'pending' : 'failed',
+      attempts: callItem.attempts,
+      last_error: error.message,
+      next_attempt_at: retry.nextAttemptAt
+    });
     
     return { success: false, error: error.message };
   } finally {
     // Try to process more calls from the queue
-    processCallQueue();
+    processCallQueue(session);
   }
 }
 
 /**
  * Process call queue with concurrent calls
  */
-async function processCallQueue() {
+async function processCallQueue(session = defaultSession) {
+  const { state, config, queue } = session;
+
   // Prevent concurrent queue processing (critical for accurate activeCalls counter)
-  if (isProcessingQueue) {
+  if (session.isProcessingQueue) {
     return; // Another instance is already processing
   }
   
-  if (agentState.status !== 'running') {
-    console.log(`⏸️  Agent not running (status: ${agentState.status}), skipping queue processing`);
+  if (state.status !== 'running') {
+    console.log(`⏸️  ${session.name} not running (status: ${state.status}), skipping queue processing`);
     return;
   }
 
-  const maxConcurrent = agentConfig.maxConcurrentCalls || 1;
-  const availableSlots = maxConcurrent - agentState.activeCalls;
+  const maxConcurrent = config.maxConcurrentCalls || 1;
+  const availableSlots = maxConcurrent - state.activeCalls;
 
   if (availableSlots <= 0) {
-    console.log(`⏸️  Max concurrent calls reached (${agentState.activeCalls}/${maxConcurrent}), waiting...`);
+    console.log(`⏸️  Max concurrent calls reached (${state.activeCalls}/${maxConcurrent}), waiting...`);
     return;
   }
 
   // Process as many calls as we have available slots
-  const callsToProcess = Math.min(availableSlots, callQueue.length);
+  const callsToProcess = Math.min(availableSlots, queue.length);
   
   if (callsToProcess === 0) {
     // Queue is empty, check if we should stop the agent
-    if (agentState.activeCalls === 0 && agentState.status === 'running') {
-      console.log(`🏁 AUTO-STOPPING AGENT (Queue empty, no active calls)`);
-      agentState.status = 'stopped';
+    if (state.activeCalls === 0 && state.status === 'running') {
+      if (session.campaignId) {
+        console.log(`🏁 CAMPAIGN COMPLETED: ${session.name} (Queue empty, no active calls)`);
+        state.status = 'completed';
+        campaignModel.updateStatus(session.campaignId, 'completed').catch(error => {
+          console.error(`❌ Error marking campaign ${session.campaignId} completed:`, error.message);
+        });
+      } else {
+        console.log(`🏁 AUTO-STOPPING AGENT (Queue empty, no active calls)`);
+        state.status = 'stopped';
+      }
       console.log('✅ Call queue completed - all calls finished');
     }
     return;
   }
 
   // Set processing lock
-  isProcessingQueue = true;
+  session.isProcessingQueue = true;
   
   try {
-      console.log(`🚀 Starting ${callsToProcess} concurrent call(s) (Queue: ${callQueue.length}, Active: ${agentState.activeCalls}/${maxConcurrent})`);
+      console.log(`🚀 Starting ${callsToProcess} concurrent call(s) (Queue: ${queue.length}, Active: ${state.activeCalls}/${maxConcurrent})`);
 
     // Reserve slots BEFORE starting calls to prevent race conditions
     // Increment activeCalls for each call we're about to start
-    for (let i = 0; i < callsToProcess; i++) {
-      const callItem = callQueue.shift();
+    // Scan the whole queue once so out-of-window leads don't block callable ones
+    let started = 0;
+    let deferred = 0;
+    let waitingRetries = 0;
+    const itemsToScan = queue.length;
+    for (let i = 0; i < itemsToScan && started < callsToProcess; i++) {
+      const callItem = queue.shift();
       if (callItem) {
         // ✅ FIX: Validate callItem.user and phone before accessing
         if (!callItem.user || !callItem.user.phone) {
           console.error(`❌ Invalid callItem: user is ${callItem.user ? 'missing phone' : 'null'}, skipping call`);
           continue; // Skip this invalid item
         }
+
+        // 🔁 Scheduled retries wait until their next_attempt_at
+        if (callItem.nextAttemptAt && callItem.nextAttemptAt > Date.now()) {
+          queue.push(callItem);
+          waitingRetries++;
+          continue;
+        }
+
+        // 🚫 Never dial numbers on the Do-Not-Call list (they may have been added after queueing)
+        // If the list can't be checked the lead isn't dialed - it is retried shortly instead
+        let suppressed;
+        try {
+          suppressed = await dncModel.isSuppressed(callItem.user.phone);
+        } catch (error) {
+          console.error(`❌ Do-Not-Call check failed for ${callItem.user.phone} - not dialing:`, error.message);
+          await requeueUntil(session, callItem, new Date(Date.now() + DNC_CHECK_RETRY_MS), 'Do-Not-Call check failed');
+          waitingRetries++;
+          continue;
+        }
+        if (suppressed) {
+          console.log(`🚫 ${callItem.user.phone} is on the Do-Not-Call list - removing from queue`);
+          session.outOfWindow.delete(callItem.user.id);
+          callQueueModel.updateItem(callItem.queueItemId, { status: 'cancelled', result: 'dnc' });
+          continue;
+        }
+
+        // 🕘 Only dial inside the lead's local calling window, otherwise defer to the back of the queue
+        const callingWindow = checkCallingWindow(callItem.user);
+        if (!callingWindow.allowed) {
+          deferOutOfWindow(session, callItem, callingWindow);
+          queue.push(callItem);
+          deferred++;
+          continue;
+        }
+        session.outOfWindow.delete(callItem.user.id);
         
         // ⚠️ FIX: Normalize phone number and check if already being called
         const normalizedPhone = callItem.user.phone.replace(/[^0-9]/g, '');
@@ -963,32 +1636,40 @@ async function processCallQueue() {
           const existingCallId = activePhoneNumbers.get(normalizedPhone);
           console.log(`⚠️  Phone ${callItem.user.phone} is already being called (call: ${existingCallId}) - skipping duplicate call`);
           // Put it back in the queue to retry later
-          callQueue.push(callItem);
+          queue.push(callItem);
           continue;
         }
         
         // ✅ Reserve the slot immediately to prevent concurrent queue processing from overshooting
-        agentState.activeCalls++;
+        state.activeCalls++;
+        started++;
         
         // Process call asynchronously (don't wait for it to complete)
         // Note: processSingleCall will decrement activeCalls if initiation fails
-        processSingleCall(callItem).catch(error => {
+        processSingleCall(callItem, session).catch(error => {
           console.error('Unhandled error in processSingleCall:', error);
           // Ensure we decrement if there's an unhandled error
-          agentState.activeCalls--;
+          state.activeCalls--;
           // Remove from active phone numbers tracking
           activePhoneNumbers.delete(normalizedPhone);
         });
         
         // Small delay between initiating calls to avoid API rate limits
-        if (i < callsToProcess - 1) {
+        if (started < callsToProcess) {
           await sleep(500); // 500ms delay between call initiations
         }
       }
     }
+
+    if (deferred > 0) {
+      console.log(`🕘 ${session.name}: ${deferred} lead(s) outside calling hours, deferred (${started} call(s) started)`);
+    }
+    if (deferred > 0 || waitingRetries > 0) {
+      scheduleQueueRecheck(session);
+    }
   } finally {
     // Always release the lock
-    isProcessingQueue = false;
+    session.isProcessingQueue = false;
   }
 }
 
@@ -999,11 +1680,122 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Reconcile calls left open in telnyx_calls (no hangup recorded) after a restart
+ * Live calls lost their AI session and media stream, so they are hung up
+ */
+async function reconcileOpenCalls() {
+  const openCalls = await userModel.getOpenTelnyxCalls();
+  if (openCalls.length === 0) {
+    return { reconciled: 0 };
+  }
+
+  console.log(`🔎 Reconciling ${openCalls.length} call(s) without a recorded hangup...`);
+  let hungUp = 0;
+
+  for (const call of openCalls) {
+    const callControlId = call.call_control_id;
+    let liveCall = null;
+    try {
+      liveCall = await telnyxService.getCallStatus(callControlId);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not fetch status for ${callControlId}, leaving it open: ${error.message}`);
+      continue;
+    }
+
+    if (liveCall && liveCall.is_alive) {
+      console.log(`   📵 Call ${callControlId} is still alive without an AI session - hanging up`);
+      await telnyxService.hangupCall(callControlId);
+      await userModel.markTelnyxCallHangup(callControlId, 'reconciled_on_startup', 'reconciled_hangup');
+      hungUp++;
+    } else {
+      await userModel.markTelnyxCallHangup(callControlId, 'reconciled_on_startup', 'reconciled');
+    }
+
+    await callQueueModel.completeByCallControlId(callControlId, 'reconciled');
+  }
+
+  console.log(`✅ Reconciled ${openCalls.length} open call(s) (${hungUp} hung up)`);
+  return { reconciled: openCalls.length, hungUp };
+}
+
+/**
+ * Restore the durable call queue on boot
+ * Reconciles open calls first, then reloads pending items into their sessions
+ */
+async function restoreCallQueue() {
+  await reconcileOpenCalls();
+
+  const items = await callQueueModel.getOpenItems();
+  const bySession = new Map(); // campaignId (null = agent) -> queue items
+
+  for (const item of items) {
+    // In-progress items whose call is still open were handled above; anything left
+    // in 'dialing' crashed before Telnyx confirmed the call, so dial it again
+    if (item.queue_status === 'in_progress') {
+      await callQueueModel.updateItem(item.queue_item_id, { status: 'completed', result: 'reconciled' });
+      continue;
+    }
+    if (item.queue_status === 'dialing') {
+      await callQueueModel.updateItem(item.queue_item_id, { status: 'pending' });
+    }
+
+    const key = item.campaign_id || null;
+    if (!bySession.has(key)) bySession.set(key, []);
+    bySession.get(key).push({
+      user: item.user,
+      attempts: item.attempts || 0,
+      status: 'pending',
+      queueItemId: item.queue_item_id,
+      nextAttemptAt: item.next_attempt_at ? new Date(item.next_attempt_at).getTime() : null
+    });
+  }
+
+  for (const [campaignId, queueItems] of bySession) {
+    if (!campaignId) {
+      Object.assign(agentState, createSessionState(queueItems.map(i => i.user)));
+      defaultSession.script = await scriptService.resolveScript(agentConfig.scriptId)
+        .catch(() => scriptService.resolveScript(null));
+      callQueue.length = 0;
+      callQueue.push(...queueItems);
+      console.log(`🔁 Resumed agent queue with ${queueItems.length} pending call(s)`);
+      startAutoPauseTimer();
+      processCallQueue();
+      continue;
+    }
+
+    const campaign = await campaignModel.getCampaignById(campaignId);
+    if (!campaign || campaign.status === 'completed' || campaign.status === 'draft') {
+      await callQueueModel.cancelPending(campaignId);
+      continue;
+    }
+
+    const script = await scriptService.resolveScript(campaign.script_id);
+    const session = createCampaignSession(campaign, queueItems.map(i => i.user), queueItems, script);
+    session.state.status = campaign.status; // running or paused
+    campaignSessions.set(campaign.id, session);
+    console.log(`🔁 Restored campaign "${campaign.name}" (${campaign.status}) with ${queueItems.length} pending call(s)`);
+
+    if (campaign.status === 'running') {
+      processCallQueue(session);
+    }
+  }
+
+  // Running campaigns with nothing left to dial finished while the server was down
+  const runningCampaigns = await campaignModel.getCampaignsByStatus('running');
+  for (const campaign of runningCampaigns) {
+    if (!campaignSessions.has(campaign.id)) {
+      await campaignModel.updateStatus(campaign.id, 'completed');
+      console.log(`🏁 Campaign "${campaign.name}" has no pending calls after restart - marked completed`);
+    }
+  }
+}
+
 /**
  * Clear all costs
  * DELETE /api/agent/costs
  */
-router.delete('/costs', async (req, res) => {
+router.delete('/costs', requireRole('admin'), async (req, res) => {
   try {
     console.log('🗑️  Clearing all costs...');
     
@@ -1027,7 +1819,7 @@ router.delete('/costs', async (req, res) => {
  * Clear all cost and conversation history
  * DELETE /api/agent/clear-all-data
  */
-router.delete('/clear-all-data', async (req, res) => {
+router.delete('/clear-all-data', requireRole('admin'), async (req, res) => {
   try {
     console.log('🗑️  Clearing all cost and conversation history...');
     
@@ -1067,6 +1859,23 @@ module.exports.activePhoneNumbers = activePhoneNumbers;
 module.exports.agentState = agentState;
 module.exports.agentConfig = agentConfig;
 module.exports.markCallComplete = markCallComplete;
+module.exports.scheduleLeadRetry = scheduleLeadRetry;
 module.exports.transferredCalls = transferredCalls;
 module.exports.loadTransferredCalls = loadTransferredCalls;
+module.exports.startCampaignSession = startCampaignSession;
+module.exports.pauseCampaignSession = pauseCampaignSession;
+module.exports.resumeCampaignSession = resumeCampaignSession;
+module.exports.stopCampaignSession = stopCampaignSession;
+module.exports.updateCampaignSessionConfig = updateCampaignSessionConfig;
+module.exports.getCampaignSession = getCampaignSession;
+module.exports.getSessionStateForCall = getSessionStateForCall;
+module.exports.getTransferNumberForCall = getTransferNumberForCall;
+module.exports.getCampaignIdForCall = getCampaignIdForCall;
+module.exports.getTransferSettingsForCall = getTransferSettingsForCall;
+module.exports.getSttProviderForCall = getSttProviderForCall;
+module.exports.getTtsSettingsForCall = getTtsSettingsForCall;
+module.exports.attachInboundCall = attachInboundCall;
+module.exports.detachInboundCall = detachInboundCall;
+module.exports.isTransferDestination = isTransferDestination;
+module.exports.restoreCallQueue = restoreCallQueue;
 
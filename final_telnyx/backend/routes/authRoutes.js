@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const operatorModel = require('../models/operatorModel');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const { ROLES } = authService;
+
+/**
+ * POST /api/auth/login - Exchange username/password for a session token
+ * Body: username, password
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Username and password are required' });
+    }
+
+    const operator = await operatorModel.getByUsernameWithHash(String(username).trim());
+    // Same error for unknown users and wrong passwords
+    if (!operator || !operator.is_active || !authService.verifyPassword(password, operator.password_hash)) {
+      console.warn(`🔒 Failed login for "${username}" from ${req.ip}`);
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    await operatorModel.recordLogin(operator.id);
+    const { token, expiresAt } = authService.signToken(operator);
+    console.log(`🔓 ${operator.username} logged in (${operator.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+        operator: { id: operator.id, username: operator.username, role: operator.role }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me - Current operator
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, data: req.operator });
+});
+
+/**
+ * POST /api/auth/change-password - Change own password
+ * Body: currentPassword, newPassword
+ */
+router.post('/change-password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const operator = await operatorModel.getByUsernameWithHash(req.operator.username);
+    if (!operator || !authService.verifyPassword(currentPassword || '', operator.password_hash)) {
+      return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+    }
+
+    const passwordError = authService.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, error: passwordError });
+    }
+
+    await operatorModel.update(operator.id, { password: newPassword });
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/operators - List operators (admin)
+ */
+router.get('/operators', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const operators = await operatorModel.getAll();
+    res.json({ success: true, data: operators });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/operators - Create operator (admin)
+ * Body: username, password, role (admin|supervisor|viewer)
+ */
+router.post('/operators', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+    if (!username || !/^[A-Za-z0-9_.@-]{3,100}$/.test(username)) {
+      return res.status(400).json({ success: false, error: 'Username must be 3-100 letters, digits or _.@-' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Invalid role. Use one of ${ROLES.join(', ')}` });
+    }
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, error: passwordError });
+    }
+
+    const operator = await operatorModel.create({ username, password, role });
+    console.log(`👤 Operator created: ${operator.username} (${operator.role}) by ${req.operator.username}`);
+    res.json({ success: true, data: operator });
+  } catch (error) {
+    const status = error.message.startsWith('Username already exists') ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/auth/operators/:id - Update role, active flag or password (admin)
+ */
+router.put('/operators/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, is_active, password } = req.body || {};
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Invalid role. Use one of ${ROLES.join(', ')}` });
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'is_active must be true or false' });
+    }
+    if (password !== undefined) {
+      const passwordError = authService.validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ success: false, error: passwordError });
+      }
+    }
+
+    const existing = await operatorModel.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Operator not found' });
+    }
+
+    // Never lock everyone out: keep at least one active admin
+    const losesAdmin = existing.role === 'admin' && existing.is_active &&
+      ((role !== undefined && role !== 'admin') || is_active === false);
+    if (losesAdmin && await operatorModel.countActiveAdmins() <= 1) {
+      return res.status(400).json({ success: false, error: 'Cannot demote or disable the last active admin' });
+    }
+
+    const operator = await operatorModel.update(req.params.id, { role, is_active, password });
+    res.json({ success: true, data: operator });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/operators/:id - Delete operator (admin)
+ */
+router.delete('/operators/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.id === req.operator.id) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+
+    const existing = await operatorModel.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Operator not found' });
+    }
+    if (existing.role === 'admin' && existing.is_active && await operatorModel.countActiveAdmins() <= 1) {
+      return res.status(400).json({ success: false, error: 'Cannot delete the last active admin' });
+    }
+
+    await operatorModel.delete(req.params.id);
+    res.json({ success: true, message: 'Operator deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
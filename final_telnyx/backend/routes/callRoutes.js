@@ -3,6 +3,9 @@ const router = express.Router();
 const telnyxService = require('../services/telnyxService');
 const openaiService = require('../services/openaiService');
 const userModel = require('../models/userModel');
+const dncModel = require('../models/dncModel');
+const scriptService = require('../services/scriptService');
+const webhookEventModel = require('../models/webhookEventModel');
 
 // Store active calls
 const activeCalls = new Map();
@@ -23,7 +26,7 @@ try {
  */
 router.post('/initiate', async (req, res) => {
   try {
-    const { userId, fromNumber } = req.body;
+    const { userId, fromNumber, scriptId } = req.body;
 
     if (!userId || !fromNumber) {
       return res.status(400).json({
@@ -41,6 +44,14 @@ router.post('/initiate', async (req, res) => {
       });
     }
 
+    // 🚫 Refuse numbers on the Do-Not-Call list
+    if (await dncModel.isSuppressed(user.phone)) {
+      return res.status(403).json({
+        success: false,
+        error: `${user.phone} is on the Do-Not-Call list`
+      });
+    }
+
     // 🔧 FIX: Check if this phone number is already being called to prevent duplicates
     const normalizedPhone = user.phone.replace(/[^0-9]/g, '');
     if (activePhoneNumbers.has(normalizedPhone)) {
@@ -53,6 +64,14 @@ router.post('/initiate', async (req, res) => {
       });
     }
 
+    // Resolve the call script (explicit scriptId, else the default script)
+    let script;
+    try {
+      script = await scriptService.resolveScript(scriptId);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
     // Initiate call
     const call = await telnyxService.initiateCall(
       user.phone,
@@ -65,7 +84,7 @@ router.post('/initiate', async (req, res) => {
     console.log(`📞 Tracking active phone number: ${normalizedPhone} -> ${call.call_control_id}`);
 
     // Initialize OpenAI conversation
-    openaiService.initializeConversation(call.call_control_id, user);
+    openaiService.initializeConversation(call.call_control_id, user, script);
 
     // Store active call
     activeCalls.set(call.call_control_id, {
@@ -221,6 +240,56 @@ router.get('/:callControlId/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/calls/:callControlId/events - Timeline of stored Telnyx webhooks for a call
+ * Query: payload=false to leave out the raw webhook bodies
+ */
+router.get('/:callControlId/events', async (req, res) => {
+  try {
+    const rows = await webhookEventModel.getByCall(req.params.callControlId);
+    const includePayload = req.query.payload !== 'false';
+    const firstReceived = rows.length > 0 ? new Date(rows[0].received_at).getTime() : null;
+
+    const events = rows.map(row => ({
+      id: row.id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      occurredAt: row.occurred_at,
+      receivedAt: row.received_at,
+      offsetMs: new Date(row.received_at).getTime() - firstReceived,
+      status: row.processing_status,
+      error: row.processing_error,
+      processingMs: row.processing_ms,
+      ...(includePayload && { payload: row.payload })
+    }));
+
+    const byType = {};
+    for (const event of events) {
+      byType[event.eventType] = (byType[event.eventType] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        callControlId: req.params.callControlId,
+        summary: {
+          count: events.length,
+          firstReceivedAt: rows[0]?.received_at || null,
+          lastReceivedAt: rows[rows.length - 1]?.received_at || null,
+          failed: events.filter(e => e.status === 'failed').length,
+          byType
+        },
+        events
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 module.exports.activeCalls = activeCalls;
 
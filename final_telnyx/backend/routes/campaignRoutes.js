@@ -0,0 +1,431 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const csv = require('csv-parser');
+const fs = require('fs');
+const campaignModel = require('../models/campaignModel');
+const userModel = require('../models/userModel');
+const scriptModel = require('../models/scriptModel');
+const sttProviders = require('../services/sttProviderService');
+const ttsProviders = require('../services/ttsProviderService');
+const { requireRole } = require('../middleware/auth');
+const {
+  startCampaignSession,
+  pauseCampaignSession,
+  resumeCampaignSession,
+  stopCampaignSession,
+  updateCampaignSessionConfig,
+  getCampaignSession
+} = require('./agentRoutes');
+
+// Configure multer for lead list uploads
+const upload = multer({ dest: 'uploads/' });
+
+/**
+ * Validate campaign settings shared by create and update
+ * Returns an error message or null
+ */
+function validateCampaignInput(body) {
+  if (body.transfer_number !== undefined && body.transfer_number !== null && body.transfer_number !== '') {
+    const cleanNumber = String(body.transfer_number).replace(/[\s()-]/g, '');
+    if (!/^\+?[1-9]\d{1,14}$/.test(cleanNumber)) {
+      return 'Invalid transfer number format. Use E.164 format (e.g., +18434028556)';
+    }
+  }
+
+  if (body.max_concurrent_calls !== undefined) {
+    const concurrent = parseInt(body.max_concurrent_calls);
+    if (isNaN(concurrent) || concurrent < 1 || concurrent > 50) {
+      return 'Invalid concurrent calls value. Must be between 1 and 50';
+    }
+  }
+
+  if (body.stt_provider && !sttProviders.isValidProvider(body.stt_provider)) {
+    return `Invalid STT provider. Use one of: ${sttProviders.getProviderNames().join(', ')}`;
+  }
+
+  const ttsError = ttsProviders.validateSettings(body.tts_provider, body.tts_voice);
+  if (ttsError) {
+    return ttsError;
+  }
+
+  return null;
+}
+
+/**
+ * Check that a campaign's script_id (if set) points to an existing script
+ */
+async function validateScriptId(scriptId) {
+  if (!scriptId) return null;
+  const script = await scriptModel.getScriptById(scriptId);
+  return script ? null : `Script not found: ${scriptId}`;
+}
+
+/**
+ * GET /api/campaigns - List campaigns
+ */
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await campaignModel.getAllCampaigns();
+    res.json({
+      success: true,
+      data: campaigns.map(campaign => ({
+        ...campaign,
+        session: getCampaignSession(campaign.id)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id - Get campaign with live session stats
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await campaignModel.getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({
+      success: true,
+      data: { ...campaign, session: getCampaignSession(campaign.id) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns - Create campaign (status starts as draft)
+ * Body: name, description, transfer_number, max_concurrent_calls, script_id, stt_provider, tts_provider, tts_voice, userIds
+ * stt_provider: elevenlabs | deepgram | fake (empty = STT_PROVIDER default)
+ * tts_provider: elevenlabs | telnyx | tone, tts_voice: a voice of that provider (empty = the script's, else TTS_PROVIDER default)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, userIds } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Campaign name is required' });
+    }
+
+    const validationError = validateCampaignInput(req.body) || await validateScriptId(req.body.script_id);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const campaign = await campaignModel.createCampaign({
+      ...req.body,
+      name: String(name).trim(),
+      max_concurrent_calls: req.body.max_concurrent_calls !== undefined
+        ? parseInt(req.body.max_concurrent_calls)
+        : undefined
+    });
+
+    if (Array.isArray(userIds) && userIds.length > 0) {
+      await campaignModel.addLeads(campaign.id, userIds);
+    }
+
+    res.json({ success: true, data: await campaignModel.getCampaignById(campaign.id) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/campaigns/:id - Update campaign settings
+ * Status changes go through the start/pause/resume/stop endpoints
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await campaignModel.getCampaignById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const validationError = validateCampaignInput(req.body) || await validateScriptId(req.body.script_id);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updates = {};
+    for (const field of ['name', 'description', 'transfer_number', 'max_concurrent_calls', 'script_id', 'stt_provider', 'tts_provider', 'tts_voice']) {
+      if (req.body.hasOwnProperty(field)) {
+        updates[field] = field === 'max_concurrent_calls'
+          ? parseInt(req.body[field])
+          : req.body[field];
+      }
+    }
+    for (const field of ['stt_provider', 'tts_provider', 'tts_voice']) {
+      if (updates[field] === '') {
+        updates[field] = null;
+      }
+    }
+    // A voice belongs to its provider
+    if (updates.tts_provider === null) {
+      updates.tts_voice = null;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+
+    const campaign = await campaignModel.updateCampaign(req.params.id, updates);
+
+    // Apply new transfer number / concurrency / script / STT and TTS providers to a running session
+    updateCampaignSessionConfig(campaign);
+
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:id - Delete campaign
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const campaign = await campaignModel.getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    if (campaign.status === 'running') {
+      return res.status(400).json({ success: false, error: 'Stop the campaign before deleting it' });
+    }
+
+    stopCampaignSession(campaign.id);
+    await campaignModel.deleteCampaign(campaign.id);
+    res.json({ success: true, message: 'Campaign deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id/leads - Get campaign lead list
+ */
+router.get('/:id/leads', async (req, res) => {
+  try {
+    const leads = await campaignModel.getCampaignLeads(req.params.id);
+    res.json({ success: true, data: leads });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/leads - Add existing users to the lead list
+ * Body: { userIds: [...] }
+ */
+router.post('/:id/leads', async (req, res) => {
+  try {
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'userIds must be a non-empty array' });
+    }
+
+    const campaign = await campaignModel.getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const added = await campaignModel.addLeads(campaign.id, userIds);
+    res.json({
+      success: true,
+      message: `Added ${added} leads to campaign`,
+      data: { added }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/leads/import - Import a CSV lead list into the campaign
+ */
+router.post('/:id/leads/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const campaign = await campaignModel.getCampaignById(req.params.id);
+    if (!campaign) {
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const results = [];
+
+    fs.createReadStream(req.file.path)
+      .pipe(csv())
+      .on('data', (data) => results.push(data))
+      .on('end', async () => {
+        try {
+          fs.unlinkSync(req.file.path);
+
+          // Existing phone numbers are skipped by importUsers, so link them by phone as well
+          const imported = await userModel.importUsers(results);
+          const userIds = imported.map(u => u.id);
+          for (const row of results) {
+            const phone = row.phone || row.phone_number;
+            if (!phone) continue;
+            const existing = await userModel.getUserByPhone(String(phone));
+            if (existing) userIds.push(existing.id);
+          }
+
+          const added = await campaignModel.addLeads(campaign.id, [...new Set(userIds)]);
+
+          res.json({
+            success: true,
+            message: `Imported ${imported.length} new users, added ${added} leads to campaign`,
+            data: { imported: imported.length, added }
+          });
+        } catch (error) {
+          res.status(500).json({ success: false, error: error.message });
+        }
+      })
+      .on('error', (error) => {
+        res.status(500).json({ success: false, error: error.message });
+      });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:id/leads/:userId - Remove a lead from the list
+ */
+router.delete('/:id/leads/:userId', async (req, res) => {
+  try {
+    await campaignModel.removeLead(req.params.id, req.params.userId);
+    res.json({ success: true, message: 'Lead removed from campaign' });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/start - Start dialing the campaign's lead list
+ */
+router.post('/:id/start', async (req, res) => {
+  try {
+    const campaign = await campaignModel.getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    if (campaign.status === 'running') {
+      return res.status(400).json({ success: false, error: 'Campaign is already running' });
+    }
+
+    const leads = await campaignModel.getCallableLeads(campaign.id);
+    if (leads.length === 0) {
+      return res.status(400).json({ success: false, error: 'No leads available to call in this campaign' });
+    }
+
+    const updated = await campaignModel.updateStatus(campaign.id, 'running');
+    try {
+      await startCampaignSession(updated, leads);
+    } catch (error) {
+      // No session was started (script or queue failed) - don't leave the campaign marked running
+      await campaignModel.updateCampaign(campaign.id, {
+        status: campaign.status,
+        started_at: campaign.started_at,
+        completed_at: campaign.completed_at
+      }).catch(rollbackError => {
+        console.error(`❌ Error restoring status of campaign ${campaign.id}:`, rollbackError.message);
+      });
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `Campaign started with ${leads.length} leads in queue`,
+      data: { ...updated, session: getCampaignSession(campaign.id) }
+    });
+  } catch (error) {
+    console.error('Error starting campaign:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/pause - Pause a running campaign
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const existing = await campaignModel.getCampaignById(req.params.id);
+    if (!existing || existing.status !== 'running') {
+      return res.status(400).json({ success: false, error: 'Campaign is not running' });
+    }
+
+    pauseCampaignSession(existing.id);
+
+    const campaign = await campaignModel.updateStatus(req.params.id, 'paused');
+    res.json({
+      success: true,
+      message: 'Campaign paused successfully',
+      data: { ...campaign, session: getCampaignSession(campaign.id) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/resume - Resume a paused campaign
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    let session = resumeCampaignSession(req.params.id);
+    if (!session) {
+      // No live session (e.g. paused before a restart) - rebuild it from the lead list
+      const existing = await campaignModel.getCampaignById(req.params.id);
+      if (!existing || existing.status !== 'paused') {
+        return res.status(400).json({ success: false, error: 'Campaign is not paused' });
+      }
+      const leads = await campaignModel.getCallableLeads(existing.id);
+      if (leads.length === 0) {
+        return res.status(400).json({ success: false, error: 'No leads available to call in this campaign' });
+      }
+      session = await startCampaignSession(existing, leads);
+    }
+
+    const campaign = await campaignModel.updateStatus(req.params.id, 'running');
+    res.json({
+      success: true,
+      message: 'Campaign resumed successfully',
+      data: { ...campaign, session: getCampaignSession(campaign.id) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/stop - Stop a campaign and mark it completed
+ */
+router.post('/:id/stop', async (req, res) => {
+  try {
+    const campaign = await campaignModel.getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'running' && campaign.status !== 'paused') {
+      return res.status(400).json({ success: false, error: 'Campaign is not running' });
+    }
+
+    stopCampaignSession(campaign.id);
+    const updated = await campaignModel.updateStatus(campaign.id, 'completed');
+    res.json({
+      success: true,
+      message: 'Campaign stopped successfully',
+      data: { ...updated, session: getCampaignSession(campaign.id) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const conversationService = require('../services/conversationService');
 const { query } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
 
 /**
  * GET /api/conversations
@@ -73,7 +74,7 @@ router.get('/:callControlId', async (req, res) => {
  * DELETE /api/conversations
  * Clear all conversations (for testing)
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireRole('admin'), async (req, res) => {
   try {
     await conversationService.clearAllConversations();
     
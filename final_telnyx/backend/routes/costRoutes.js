@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const rateCardModel = require('../models/rateCardModel');
+const costTracking = require('../services/costTrackingService');
+const { RATE_FIELDS } = require('../config/pricing');
+const { requireRole } = require('../middleware/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_HOURLY_REPORT_DAYS = 31;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate a full set of prices, returns an error message or null
+ */
+function validatePricing(pricing) {
+  const isRate = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  for (const [section, fields] of Object.entries(RATE_FIELDS)) {
+    for (const field of fields) {
+      if (!isRate(pricing[section]?.[field])) {
+        return `pricing.${section}.${field} must be a number of 0 or more`;
+      }
+    }
+    const unknown = Object.keys(pricing[section]).filter(field => !fields.includes(field));
+    if (unknown.length > 0) {
+      return `Unknown ${section} rate: ${unknown.join(', ')}`;
+    }
+  }
+
+  for (const [model, rates] of Object.entries(pricing.openai || {})) {
+    if (!rates || !isRate(rates.inputPer1M) || !isRate(rates.outputPer1M)) {
+      return `pricing.openai.${model} needs inputPer1M and outputPer1M of 0 or more`;
+    }
+  }
+
+  const unknownSections = Object.keys(pricing).filter(section => !RATE_FIELDS[section] && section !== 'openai');
+  if (unknownSections.length > 0) {
+    return `Unknown pricing section: ${unknownSections.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Parse an effectiveFrom value, returns a Date or null when it is not a date
+ */
+function parseEffectiveFrom(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Rate card for API responses
+ */
+function formatRateCard(card, now = new Date()) {
+  return {
+    version: card.version,
+    effectiveFrom: card.effectiveFrom,
+    inEffect: card.version === costTracking.getRateCard(now).version,
+    scheduled: card.effectiveFrom > now,
+    notes: card.notes,
+    createdBy: card.createdBy,
+    pricing: card.pricing
+  };
+}
+
+/**
+ * Find a loaded rate card that has not taken effect yet (only those can be changed)
+ * Sends the error response and returns null otherwise
+ */
+function findScheduledCard(req, res) {
+  const card = costTracking.rateCards.find(c => String(c.version) === req.params.version);
+  if (!card) {
+    res.status(404).json({ success: false, error: 'Rate card not found' });
+    return null;
+  }
+  if (card.effectiveFrom <= new Date()) {
+    res.status(409).json({
+      success: false,
+      error: 'Rate card is already in effect - add a new rate card instead'
+    });
+    return null;
+  }
+  return card;
+}
+
+/**
+ * Parse a report bound: a date-only `to` (YYYY-MM-DD) includes that whole day
+ */
+function parseReportDate(value, isEnd) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+/**
+ * GET /api/costs/report - Call costs aggregated per group, with totals
+ * Query params: from, to (default the last 7 days), groupBy (day | hour | campaign | did | outcome, default day), campaignId
+ */
+router.get('/report', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    if (!costTracking.REPORT_GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${Object.keys(costTracking.REPORT_GROUPS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to ? parseReportDate(req.query.to, true) : new Date();
+    const from = req.query.from ? parseReportDate(req.query.from, false) : new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ success: false, error: 'from must be before to' });
+    }
+    if (groupBy === 'hour' && to - from > MAX_HOURLY_REPORT_DAYS * DAY_MS) {
+      return res.status(400).json({ success: false, error: `Hourly reports cover at most ${MAX_HOURLY_REPORT_DAYS} days` });
+    }
+
+    const campaignId = req.query.campaignId || null;
+    if (campaignId && !UUID_PATTERN.test(campaignId)) {
+      return res.status(400).json({ success: false, error: 'campaignId must be a campaign ID' });
+    }
+
+    const report = await costTracking.getReport({ from, to, groupBy, campaignId });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/costs/pricing - Rate cards (oldest first) and the one in effect now
+ */
+router.get('/pricing', (req, res) => {
+  const now = new Date();
+  const current = costTracking.getRateCard(now);
+  res.json({
+    success: true,
+    data: {
+      current: { version: current.version, effectiveFrom: current.effectiveFrom, pricing: current.pricing },
+      rateCards: costTracking.rateCards.map(card => formatRateCard(card, now))
+    }
+  });
+});
+
+/**
+ * POST /api/costs/pricing - Add a rate card
+ * Body: { effectiveFrom (default now), pricing, notes }
+ * pricing only needs the rates that change, the rest are copied from the card in effect at effectiveFrom
+ */
+router.post('/pricing', requireRole('admin'), async (req, res) => {
+  try {
+    const { effectiveFrom, pricing, notes } = req.body || {};
+    if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+      return res.status(400).json({ success: false, error: 'pricing is required, e.g. { "telnyx": { "outboundCallPerMinute": 0.0015 } }' });
+    }
+    const effectiveDate = effectiveFrom === undefined ? new Date() : parseEffectiveFrom(effectiveFrom);
+    if (!effectiveDate) {
+      return res.status(400).json({ success: false, error: 'effectiveFrom must be a date' });
+    }
+
+    const fullPricing = costTracking.buildPricing(pricing, effectiveDate);
+    const validationError = validatePricing(fullPricing);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const card = await rateCardModel.create({
+      effectiveFrom: effectiveDate,
+      pricing: fullPricing,
+      notes,
+      createdBy: req.operator?.username
+    });
+    await costTracking.loadRateCards();
+    console.log(`💲 Rate card ${card.version} added, effective ${effectiveDate.toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      data: formatRateCard(costTracking.rateCards.find(c => c.version === card.version) || costTracking.getRateCard(effectiveDate)),
+      message: 'Rate card added'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/costs/pricing/:version - Change a rate card that has not taken effect yet
+ * Body: { effectiveFrom, pricing (rates to change), notes }
+ */
+router.put('/pricing/:version', requireRole('admin'), async (req, res) => {
+  try {
+    const card = findScheduledCard(req, res);
+    if (!card) return;
+
+    const { effectiveFrom, pricing, notes } = req.body || {};
+    let effectiveDate;
+    if (effectiveFrom !== undefined) {
+      effectiveDate = parseEffectiveFrom(effectiveFrom);
+      if (!effectiveDate) {
+        return res.status(400).json({ success: false, error: 'effectiveFrom must be a date' });
+      }
+    }
+
+    let fullPricing;
+    if (pricing !== undefined) {
+      if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+        return res.status(400).json({ success: false, error: 'pricing must be an object of rates' });
+      }
+      fullPricing = costTracking.mergePricing(card.pricing, pricing);
+      const validationError = validatePricing(fullPricing);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+    }
+
+    await rateCardModel.update(card.version, { effectiveFrom: effectiveDate, pricing: fullPricing, notes });
+    await costTracking.loadRateCards();
+
+    res.json({
+      success: true,
+      data: formatRateCard(costTracking.rateCards.find(c => c.version === card.version) || card),
+      message: 'Rate card updated'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/costs/pricing/:version - Remove a rate card that has not taken effect yet
+ */
+router.delete('/pricing/:version', requireRole('admin'), async (req, res) => {
+  try {
+    const card = findScheduledCard(req, res);
+    if (!card) return;
+
+    await rateCardModel.delete(card.version);
+    await costTracking.loadRateCards();
+    console.log(`🗑️  Rate card ${card.version} removed`);
+
+    res.json({ success: true, message: 'Rate card removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
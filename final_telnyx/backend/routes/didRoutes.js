@@ -1,61 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const telnyxService = require('../services/telnyxService');
+const { requireRole } = require('../middleware/auth');
+const didHealth = require('../services/didHealthService');
+const areaCodes = require('../services/areaCodeService');
+const didPoolModel = require('../models/didPoolModel');
+const campaignModel = require('../models/campaignModel');
+const userModel = require('../models/userModel');
 
-// DID rotation state with area code/state grouping
-let didRotation = {
+const DID_STRATEGIES = ['area_code', 'state', 'round_robin', 'sticky', 'weighted', 'lru'];
+
+// DID rotation state with area code/state grouping (main rotation = the default DID pool)
+const didRotation = {
+  id: null,
+  name: null,
   enabled: false,
-  strategy: 'area_code', // 'area_code' or 'round_robin'
+  strategy: 'area_code', // one of DID_STRATEGIES
   numbersByState: {}, // { 'NY': ['+1234567890', '+1234567891'], 'CA': [...] }
   numbersByAreaCode: {}, // { '212': ['+1234567890'], '213': [...] }
   allNumbers: [],
+  weights: {}, // { '+1234567890': 3 } for the weighted strategy (missing = 1)
   currentIndex: 0
 };
 
-// Area code to state mapping (top US area codes)
-const areaCodeToState = {
-  '212': 'NY', '646': 'NY', '718': 'NY', '917': 'NY', '347': 'NY',
-  '213': 'CA', '310': 'CA', '323': 'CA', '424': 'CA', '626': 'CA', '747': 'CA', '818': 'CA',
-  '305': 'FL', '786': 'FL', '954': 'FL', '561': 'FL', '754': 'FL',
-  '312': 'IL', '773': 'IL', '872': 'IL',
-  '214': 'TX', '469': 'TX', '972': 'TX', '682': 'TX', '817': 'TX',
-  '404': 'GA', '678': 'GA', '770': 'GA',
-  '202': 'DC', '571': 'VA', '703': 'VA',
-  '617': 'MA', '857': 'MA', '781': 'MA',
-  '206': 'WA', '253': 'WA', '425': 'WA',
-  '602': 'AZ', '480': 'AZ', '623': 'AZ',
-  '702': 'NV', '725': 'NV',
-  '503': 'OR', '971': 'OR',
-  '303': 'CO', '720': 'CO',
-  '615': 'TN', '629': 'TN', '901': 'TN',
-  '704': 'NC', '980': 'NC', '919': 'NC',
-  '216': 'OH', '614': 'OH', '513': 'OH',
-  '215': 'PA', '267': 'PA', '610': 'PA',
-  '313': 'MI', '248': 'MI', '734': 'MI',
-  '410': 'MD', '443': 'MD',
-  '201': 'NJ', '973': 'NJ', '732': 'NJ',
-  '317': 'IN', '463': 'IN',
-  '414': 'WI', '262': 'WI',
-  '502': 'KY', '859': 'KY',
-  '505': 'NM',
-  '401': 'RI',
-  '801': 'UT', '385': 'UT',
-  '843': 'SC', '843': 'SC', '864': 'SC'
-};
+// Rotations of the other DID pools (poolId -> same shape as didRotation)
+const poolRotations = new Map();
+// campaignId -> poolId for campaigns that dial from their own pool
+const campaignPools = new Map();
+
+// Area code -> state for every NANP area code (kept for callers that read the map directly)
+const areaCodeToState = Object.fromEntries(
+  Object.values(areaCodes.AREA_CODES).filter(entry => entry.state).map(entry => [entry.areaCode, entry.state])
+);
 
 // Helper function to extract area code from phone number
 function extractAreaCode(phoneNumber) {
-  // Remove +1 and any non-digits
-  const digits = phoneNumber.replace(/\D/g, '');
-  if (digits.length >= 10) {
-    return digits.substring(digits.length - 10, digits.length - 7);
-  }
-  return null;
+  return areaCodes.extractAreaCode(phoneNumber);
 }
 
 // Helper function to get state from area code
 function getStateFromAreaCode(areaCode) {
-  return areaCodeToState[areaCode] || 'Unknown';
+  return areaCodes.getState(areaCode) || 'Unknown';
 }
 
 // Helper function to organize numbers by area code and state
@@ -85,6 +70,219 @@ function organizeNumbersByLocation(numbers) {
   return { byState, byAreaCode };
 }
 
+/**
+ * Build a rotation from a stored pool
+ */
+function buildRotation(pool) {
+  const { byState, byAreaCode } = organizeNumbersByLocation(pool.numbers);
+  return {
+    id: pool.id,
+    name: pool.name,
+    enabled: pool.enabled,
+    strategy: pool.strategy,
+    numbersByState: byState,
+    numbersByAreaCode: byAreaCode,
+    allNumbers: pool.numbers,
+    weights: pool.weights || {},
+    currentIndex: 0
+  };
+}
+
+/**
+ * Load a stored pool into memory (the default pool becomes the main rotation)
+ */
+function applyPool(pool) {
+  if (pool.is_default) {
+    // Mutate in place: agentRoutes and server.js hold a reference to this object
+    Object.assign(didRotation, buildRotation(pool));
+  } else {
+    poolRotations.set(pool.id, buildRotation(pool));
+  }
+}
+
+/**
+ * Load DID pools from the database
+ * On first boot the main rotation is seeded with every purchased number
+ */
+async function loadDIDPools() {
+  if (!await didPoolModel.getDefault()) {
+    const purchased = await telnyxService.getPurchasedNumbers();
+    const numbers = purchased.map(n => n.phone_number);
+    await didPoolModel.create({
+      name: 'Main rotation',
+      description: 'Used by every campaign and lead without a pool of its own',
+      strategy: 'area_code',
+      enabled: numbers.length > 0,
+      is_default: true,
+      numbers
+    });
+    console.log(`🌱 Main DID rotation created with ${numbers.length} purchased numbers`);
+  }
+
+  poolRotations.clear();
+  for (const pool of await didPoolModel.getAll()) {
+    applyPool(pool);
+  }
+
+  campaignPools.clear();
+  for (const campaign of await didPoolModel.getCampaignAssignments()) {
+    campaignPools.set(campaign.id, campaign.did_pool_id);
+  }
+
+  console.log(`✅ DID Rotation loaded: ${didRotation.allNumbers.length} numbers across ${Object.keys(didRotation.numbersByState).length} states (${didRotation.enabled ? 'enabled' : 'disabled'})`);
+  if (poolRotations.size > 0) {
+    console.log(`📦 DID pools: ${[...poolRotations.values()].map(pool => `${pool.name} (${pool.allNumbers.length})`).join(', ')}`);
+  }
+}
+
+/**
+ * Rotation to dial from: the lead's pool, else its campaign's pool, else the main rotation
+ * Disabled or empty pools fall back to the main rotation
+ */
+function getRotation({ leadPoolId = null, campaignId = null } = {}) {
+  for (const poolId of [leadPoolId, campaignPools.get(campaignId)]) {
+    const rotation = poolId && poolRotations.get(poolId);
+    if (rotation && rotation.enabled && rotation.allNumbers.length > 0) {
+      return rotation;
+    }
+  }
+  return didRotation;
+}
+
+/**
+ * Pick a caller ID for a recipient from the rotation, skipping rested DIDs
+ * sticky:      the DID the lead was last called from (users.did_number), otherwise as area_code
+ * area_code:   exact area code, then an overlay of it, then state, then the nearest state
+ * state:       state, then the nearest state (same timezone region first, then distance)
+ * weighted:    random pick in proportion to each DID's weight (default 1, 0 = never used)
+ * lru:         the DID that has gone longest without placing a call
+ * round_robin: state, then the next DID in order
+ * Anything still unmatched (unknown location) goes round-robin
+ * Returns { number, matchType, strategy, recipientAreaCode, recipientState, steps, explanation },
+ * or null when every DID is rested. steps lists each rule tried as { rule, matched, detail }
+ */
+function matchDID(recipientPhone, recipientState, rotation = didRotation, { lastDidNumber = null } = {}) {
+  const availableNumbers = didHealth.filterAvailable(rotation.allNumbers);
+  if (availableNumbers.length === 0) {
+    return null;
+  }
+
+  const pick = numbers => numbers[Math.floor(Math.random() * numbers.length)];
+  const recipientAreaCode = extractAreaCode(recipientPhone);
+  const state = areaCodes.normalizeState(recipientState) || areaCodes.getState(recipientAreaCode);
+  const steps = [];
+  const skip = (rule, detail) => steps.push({ rule, matched: false, detail });
+  const found = (rule, number, matchType, detail, extra = {}) => {
+    steps.push({ rule, matched: true, detail });
+    return {
+      number,
+      matchType,
+      strategy: rotation.strategy,
+      recipientAreaCode,
+      recipientState: state,
+      ...extra,
+      steps,
+      explanation: steps.map(step => step.detail).join('; ')
+    };
+  };
+
+  // Sticky: call the lead back from the same DID as last time
+  if (rotation.strategy === 'sticky') {
+    if (!lastDidNumber) {
+      skip('sticky', 'Lead has no previous caller ID');
+    } else if (!rotation.allNumbers.includes(lastDidNumber)) {
+      skip('sticky', `Previous caller ID ${lastDidNumber} is not in this rotation`);
+    } else if (didHealth.isRested(lastDidNumber)) {
+      skip('sticky', `Previous caller ID ${lastDidNumber} is rested`);
+    } else {
+      return found('sticky', lastDidNumber, 'sticky', `Lead was last called from ${lastDidNumber}`);
+    }
+  }
+
+  // Weighted: random pick in proportion to the configured weights
+  if (rotation.strategy === 'weighted') {
+    const weightOf = number => rotation.weights?.[number] ?? 1;
+    const total = availableNumbers.reduce((sum, number) => sum + weightOf(number), 0);
+    if (total > 0) {
+      let ticket = Math.random() * total;
+      const number = availableNumbers.find(candidate => (ticket -= weightOf(candidate)) < 0)
+        || availableNumbers.filter(candidate => weightOf(candidate) > 0).pop();
+      return found('weighted', number, 'weighted',
+        `Weighted pick: ${number} has weight ${weightOf(number)} of ${total} across ${availableNumbers.length} available DIDs`);
+    }
+    skip('weighted', 'Every available DID has weight 0');
+  }
+
+  // Least recently used: the DID idle the longest (never used counts as oldest)
+  if (rotation.strategy === 'lru') {
+    const lastUsed = number => didHealth.getLastUsedAt(number)?.getTime() ?? 0;
+    const number = availableNumbers.reduce((oldest, candidate) => (lastUsed(candidate) < lastUsed(oldest) ? candidate : oldest));
+    const lastUsedAt = didHealth.getLastUsedAt(number);
+    didHealth.markUsed(number); // Concurrent calls pick the next idle DID instead of this one
+    return found('lru', number, 'least_recently_used',
+      `${number} was least recently used (${lastUsedAt ? `last call ${lastUsedAt.toISOString()}` : 'no calls yet'})`,
+      { lastUsedAt });
+  }
+
+  // Area code, then an overlay serving the same area
+  if (['area_code', 'sticky'].includes(rotation.strategy)) {
+    if (!recipientAreaCode) {
+      skip('area_code', 'Recipient area code unknown');
+    } else {
+      const numbers = didHealth.filterAvailable(rotation.numbersByAreaCode[recipientAreaCode]);
+      if (numbers.length > 0) {
+        return found('area_code', pick(numbers), `area_code_${recipientAreaCode}`,
+          `Matched recipient area code ${recipientAreaCode} (${numbers.length} available DIDs)`);
+      }
+      skip('area_code', `No available DID in area code ${recipientAreaCode}`);
+
+      const overlays = areaCodes.getOverlays(recipientAreaCode);
+      const overlayNumbers = overlays.flatMap(code => didHealth.filterAvailable(rotation.numbersByAreaCode[code]));
+      if (overlayNumbers.length > 0) {
+        const number = pick(overlayNumbers);
+        return found('overlay', number, `overlay_${extractAreaCode(number)}`,
+          `Matched overlay area code ${extractAreaCode(number)} serving ${recipientAreaCode}`);
+      }
+      skip('overlay', overlays.length > 0
+        ? `No available DID in overlay area codes ${overlays.join(', ')}`
+        : `Area code ${recipientAreaCode} has no overlays`);
+    }
+  }
+
+  // State, then the nearest state that has an available DID
+  if (!state) {
+    skip('state', 'Recipient state unknown');
+  } else {
+    const stateNumbers = didHealth.filterAvailable(rotation.numbersByState[state]);
+    if (stateNumbers.length > 0) {
+      return found('state', pick(stateNumbers), `state_${state}`,
+        `Matched recipient state ${state} (${stateNumbers.length} available DIDs)`);
+    }
+    skip('state', `No available DID in ${state}`);
+
+    if (rotation.strategy !== 'round_robin') {
+      const candidates = Object.keys(rotation.numbersByState)
+        .filter(candidate => didHealth.filterAvailable(rotation.numbersByState[candidate]).length > 0);
+      const nearest = areaCodes.rankNearestStates(state, candidates)[0];
+      if (nearest) {
+        const numbers = didHealth.filterAvailable(rotation.numbersByState[nearest.state]);
+        return found('nearest_state', pick(numbers), `nearest_state_${nearest.state}`,
+          `Nearest state with a DID is ${nearest.state} (${nearest.distanceKm} km, ${nearest.sameTimezone ? 'same' : 'different'} timezone)`,
+          { distanceKm: nearest.distanceKm, sameTimezone: nearest.sameTimezone });
+      }
+      skip('nearest_state', 'No other state has an available DID');
+    }
+  }
+
+  // Round-robin fallback (skipping rested DIDs)
+  let number;
+  do {
+    number = rotation.allNumbers[rotation.currentIndex];
+    rotation.currentIndex = (rotation.currentIndex + 1) % rotation.allNumbers.length;
+  } while (didHealth.isRested(number));
+  return found('round_robin', number, 'round_robin_fallback', `Next DID in round-robin order is ${number}`);
+}
+
 /**
  * GET /api/did/available - Get available phone numbers
  */
@@ -127,7 +325,7 @@ router.get('/purchased', async (req, res) => {
 /**
  * POST /api/did/purchase - Purchase a phone number
  */
-router.post('/purchase', async (req, res) => {
+router.post('/purchase', requireRole('admin'), async (req, res) => {
   try {
     const { phoneNumber } = req.body;
     
@@ -163,11 +361,21 @@ router.get('/rotation', (req, res) => {
 });
 
 /**
- * POST /api/did/rotation/configure - Configure DID rotation with area code/state grouping
+ * Persist changes to the main rotation (default pool) and reload it
+ */
+async function saveMainRotation(changes) {
+  const pool = didRotation.id
+    ? await didPoolModel.update(didRotation.id, changes)
+    : await didPoolModel.create({ name: 'Main rotation', is_default: true, ...changes, enabled: !!changes.enabled });
+  applyPool(pool);
+}
+
+/**
+ * POST /api/did/rotation/configure - Configure DID rotation with area code/state grouping (saved as the main pool)
  */
 router.post('/rotation/configure', async (req, res) => {
   try {
-    const { numbers, enabled, strategy } = req.body;
+    const { numbers, enabled, strategy, weights } = req.body;
 
     if (!Array.isArray(numbers)) {
       return res.status(400).json({
@@ -176,19 +384,30 @@ router.post('/rotation/configure', async (req, res) => {
       });
     }
 
-    // Organize numbers by location
-    const { byState, byAreaCode } = organizeNumbersByLocation(numbers);
+    if (strategy && !DID_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid strategy. Use one of ${DID_STRATEGIES.join(', ')}`
+      });
+    }
 
-    didRotation = {
-      enabled: enabled !== undefined ? enabled : didRotation.enabled,
-      strategy: strategy || 'area_code', // 'area_code' or 'round_robin'
-      numbersByState: byState,
-      numbersByAreaCode: byAreaCode,
-      allNumbers: numbers,
-      currentIndex: 0
-    };
+    const weightsError = validateWeights(weights);
+    if (weightsError) {
+      return res.status(400).json({
+        success: false,
+        error: weightsError
+      });
+    }
 
-    console.log(`📍 DID Rotation configured: ${numbers.length} numbers across ${Object.keys(byState).length} states`);
+    await saveMainRotation({
+      numbers,
+      enabled,
+      strategy: strategy || 'area_code',
+      weights
+    });
+    const { numbersByState: byState, numbersByAreaCode: byAreaCode } = didRotation;
+
+    console.log(`📍 DID Rotation configured: ${numbers.length} numbers across ${Object.keys(byState).length} states (${didRotation.strategy})`);
     console.log('States:', Object.keys(byState).join(', '));
 
     res.json({
@@ -218,10 +437,10 @@ router.post('/rotation/configure', async (req, res) => {
 /**
  * POST /api/did/rotation/toggle - Enable/disable DID rotation
  */
-router.post('/rotation/toggle', (req, res) => {
+router.post('/rotation/toggle', async (req, res) => {
   try {
-    didRotation.enabled = !didRotation.enabled;
-    
+    await saveMainRotation({ enabled: !didRotation.enabled });
+
     res.json({
       success: true,
       data: didRotation,
@@ -268,11 +487,13 @@ router.get('/rotation/next', (req, res) => {
 });
 
 /**
- * POST /api/did/rotation/match - Get DID matching recipient's area code/state
+ * POST /api/did/rotation/match - Get the DID the main rotation would pick for a recipient, with the rules it tried
+ * Body: recipientPhone, recipientState, lastDidNumber (sticky; looked up from the lead by phone when not given)
  */
-router.post('/rotation/match', (req, res) => {
+router.post('/rotation/match', async (req, res) => {
   try {
     const { recipientPhone, recipientState } = req.body;
+    let { lastDidNumber } = req.body;
 
     if (!didRotation.enabled || didRotation.allNumbers.length === 0) {
       return res.status(400).json({
@@ -281,44 +502,412 @@ router.post('/rotation/match', (req, res) => {
       });
     }
 
-    let matchedNumber = null;
-    let matchType = null;
-
-    // Strategy 1: Match by area code (highest priority)
-    if (recipientPhone && didRotation.strategy === 'area_code') {
-      const recipientAreaCode = extractAreaCode(recipientPhone);
-      if (recipientAreaCode && didRotation.numbersByAreaCode[recipientAreaCode]) {
-        const numbers = didRotation.numbersByAreaCode[recipientAreaCode];
-        matchedNumber = numbers[Math.floor(Math.random() * numbers.length)];
-        matchType = `area_code_${recipientAreaCode}`;
-        // Removed verbose logging (called repeatedly by frontend)
-      }
+    if (lastDidNumber === undefined && didRotation.strategy === 'sticky' && recipientPhone) {
+      const lead = await userModel.getUserByPhone(recipientPhone);
+      lastDidNumber = lead?.did_number || null;
+    }
+
+    const match = matchDID(recipientPhone, recipientState, didRotation, { lastDidNumber });
+    if (!match) {
+      return res.status(400).json({
+        success: false,
+        error: 'All DIDs are rested'
+      });
     }
 
-    // Strategy 2: Match by state (fallback)
-    if (!matchedNumber && recipientState && didRotation.numbersByState[recipientState]) {
-      const numbers = didRotation.numbersByState[recipientState];
-      matchedNumber = numbers[Math.floor(Math.random() * numbers.length)];
-      matchType = `state_${recipientState}`;
-      // Removed verbose logging (called repeatedly by frontend)
+    res.json({
+      success: true,
+      data: match
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Validate DID pool fields, returns an error message or null
+ */
+function validatePool({ name, strategy, enabled, numbers, weights }, isNew) {
+  if (isNew || name !== undefined) {
+    if (!name || !String(name).trim()) {
+      return 'name is required';
     }
+  }
+  if (strategy !== undefined && !DID_STRATEGIES.includes(strategy)) {
+    return `Invalid strategy. Use one of ${DID_STRATEGIES.join(', ')}`;
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (numbers !== undefined && (!Array.isArray(numbers) || numbers.some(n => !extractAreaCode(String(n))))) {
+    return 'numbers must be an array of phone numbers';
+  }
+  return validateWeights(weights);
+}
 
-    // Strategy 3: Round-robin fallback
-    if (!matchedNumber) {
-      matchedNumber = didRotation.allNumbers[didRotation.currentIndex];
-      didRotation.currentIndex = (didRotation.currentIndex + 1) % didRotation.allNumbers.length;
-      matchType = 'round_robin_fallback';
-      // Removed verbose logging (called repeatedly by frontend)
+/**
+ * Validate per-DID weights ({ phoneNumber: weight }), returns an error message or null
+ */
+function validateWeights(weights) {
+  if (weights === undefined || weights === null) {
+    return null;
+  }
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    return 'weights must be an object of { phoneNumber: weight }';
+  }
+  const invalid = Object.entries(weights).find(([, weight]) => !Number.isInteger(weight) || weight < 0);
+  if (invalid) {
+    return `Weight for ${invalid[0]} must be a whole number of 0 or more`;
+  }
+  return null;
+}
+
+/**
+ * GET /api/did/pools - List DID pools with their numbers and assignments
+ */
+router.get('/pools', async (req, res) => {
+  try {
+    const pools = await didPoolModel.getAll();
+    res.json({
+      success: true,
+      data: pools
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/did/pools/:id - Get a DID pool
+ */
+router.get('/pools/:id', async (req, res) => {
+  try {
+    const pool = await didPoolModel.getById(req.params.id);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found'
+      });
     }
 
     res.json({
       success: true,
-      data: {
-        number: matchedNumber,
-        matchType,
-        recipientAreaCode: extractAreaCode(recipientPhone),
-        recipientState
+      data: pool
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/did/pools - Create a DID pool
+ * Body: name, description, numbers, strategy (one of DID_STRATEGIES), enabled, weights ({ phoneNumber: weight })
+ */
+router.post('/pools', async (req, res) => {
+  try {
+    const { name, description, numbers = [], strategy = 'area_code', enabled = true, weights } = req.body || {};
+    const validationError = validatePool({ name, strategy, enabled, numbers, weights }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const pool = await didPoolModel.create({ name: name.trim(), description, numbers, strategy, enabled, weights });
+    applyPool(pool);
+    console.log(`📦 DID pool created: ${pool.name} (${pool.numbers.length} numbers)`);
+
+    res.json({
+      success: true,
+      data: pool,
+      message: 'DID pool created'
+    });
+  } catch (error) {
+    const status = error.message.startsWith('Pool name already exists') ? 409 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/did/pools/:id - Update a DID pool (numbers replaces the full list)
+ */
+router.put('/pools/:id', async (req, res) => {
+  try {
+    const { name, description, numbers, strategy, enabled, weights } = req.body || {};
+    const validationError = validatePool({ name, strategy, enabled, numbers, weights }, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const pool = await didPoolModel.update(req.params.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      description,
+      numbers,
+      strategy,
+      enabled,
+      weights
+    });
+    applyPool(pool);
+
+    res.json({
+      success: true,
+      data: pool,
+      message: 'DID pool updated'
+    });
+  } catch (error) {
+    const status = error.message === 'Pool not found' ? 404
+      : error.message.startsWith('Pool name already exists') ? 409 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/did/pools/:id - Delete a DID pool (its campaigns and leads go back to the main rotation)
+ */
+router.delete('/pools/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.id === didRotation.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'The main rotation cannot be deleted'
+      });
+    }
+
+    const deleted = await didPoolModel.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found'
+      });
+    }
+
+    poolRotations.delete(req.params.id);
+    for (const [campaignId, poolId] of campaignPools.entries()) {
+      if (poolId === req.params.id) {
+        campaignPools.delete(campaignId);
       }
+    }
+
+    res.json({
+      success: true,
+      message: 'DID pool deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/did/pools/:id/campaigns/:campaignId - Dial a campaign from this pool (applies to its next call)
+ */
+router.put('/pools/:id/campaigns/:campaignId', async (req, res) => {
+  try {
+    const pool = await didPoolModel.getById(req.params.id);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found'
+      });
+    }
+
+    const campaign = await campaignModel.getCampaignById(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    // The main rotation is the fallback, store it as "no pool"
+    const poolId = pool.is_default ? null : pool.id;
+    await didPoolModel.assignCampaign(campaign.id, poolId);
+    if (poolId) {
+      campaignPools.set(campaign.id, poolId);
+    } else {
+      campaignPools.delete(campaign.id);
+    }
+
+    res.json({
+      success: true,
+      message: `Campaign "${campaign.name}" now dials from ${pool.name}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/did/pools/:id/campaigns/:campaignId - Put a campaign back on the main rotation
+ */
+router.delete('/pools/:id/campaigns/:campaignId', async (req, res) => {
+  try {
+    if (campaignPools.get(req.params.campaignId) !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign is not assigned to this pool'
+      });
+    }
+
+    await didPoolModel.assignCampaign(req.params.campaignId, null);
+    campaignPools.delete(req.params.campaignId);
+
+    res.json({
+      success: true,
+      message: 'Campaign moved back to the main rotation'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/did/pools/:id/leads - Dial a list of leads from this pool (wins over their campaign's pool)
+ * Body: userIds
+ */
+router.post('/pools/:id/leads', async (req, res) => {
+  try {
+    const { userIds } = req.body || {};
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'userIds array is required'
+      });
+    }
+
+    const pool = await didPoolModel.getById(req.params.id);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found'
+      });
+    }
+
+    const updated = await didPoolModel.assignLeads(userIds, pool.is_default ? null : pool.id);
+    res.json({
+      success: true,
+      data: { updated },
+      message: `${updated} leads now dial from ${pool.name}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/did/pools/:id/leads - Release leads from this pool
+ * Body: userIds (optional, default every lead in the pool)
+ */
+router.delete('/pools/:id/leads', async (req, res) => {
+  try {
+    const { userIds } = req.body || {};
+    const updated = await didPoolModel.releaseLeads(
+      req.params.id,
+      Array.isArray(userIds) && userIds.length > 0 ? userIds : null
+    );
+
+    res.json({
+      success: true,
+      data: { updated },
+      message: `${updated} leads released from the pool`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/did/health - Health score, answer rate, quick hangups, daily volume and rest status per DID
+ * Query: refresh=true to recompute from the database first
+ */
+router.get('/health', async (req, res) => {
+  try {
+    if (req.query.refresh === 'true' || !didHealth.lastRefreshAt) {
+      await didHealth.refresh();
+    }
+
+    res.json({
+      success: true,
+      data: didHealth.getReport([...didRotation.allNumbers, ...[...poolRotations.values()].flatMap(pool => pool.allNumbers)])
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/did/health/:phoneNumber/rest - Take a DID out of rotation
+ * Body: hours (default DID_HEALTH_REST_HOURS), reason
+ */
+router.post('/health/:phoneNumber/rest', async (req, res) => {
+  try {
+    const { hours, reason } = req.body || {};
+    if (hours !== undefined && !(Number(hours) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'hours must be a positive number'
+      });
+    }
+
+    const rest = await didHealth.rest(req.params.phoneNumber, hours !== undefined ? Number(hours) : undefined, reason || 'manual');
+    res.json({
+      success: true,
+      data: rest,
+      message: `DID ${req.params.phoneNumber} rested`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/did/health/:phoneNumber/reactivate - Put a rested DID back into rotation (score starts fresh)
+ */
+router.post('/health/:phoneNumber/reactivate', async (req, res) => {
+  try {
+    await didHealth.reactivate(req.params.phoneNumber);
+    res.json({
+      success: true,
+      message: `DID ${req.params.phoneNumber} reactivated`
     });
   } catch (error) {
     res.status(500).json({
@@ -334,4 +923,7 @@ module.exports.extractAreaCode = extractAreaCode;
 module.exports.getStateFromAreaCode = getStateFromAreaCode;
 module.exports.areaCodeToState = areaCodeToState;
 module.exports.organizeNumbersByLocation = organizeNumbersByLocation;
+module.exports.matchDID = matchDID;
+module.exports.getRotation = getRotation;
+module.exports.loadDIDPools = loadDIDPools;
 
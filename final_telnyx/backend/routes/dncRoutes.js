@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const csv = require('csv-parser');
+const fs = require('fs');
+const dncModel = require('../models/dncModel');
+const { requireRole } = require('../middleware/auth');
+
+// Configure multer for file uploads
+const upload = multer({ dest: 'uploads/' });
+
+/**
+ * Escape a value for CSV output
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * GET /api/dnc - List Do-Not-Call numbers
+ * Query params: search
+ */
+router.get('/', async (req, res) => {
+  try {
+    const numbers = await dncModel.getAll(req.query.search || '');
+    res.json({ success: true, data: numbers, count: numbers.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/dnc/export - Download the DNC list as CSV
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const numbers = await dncModel.getAll();
+    const lines = ['phone,reason,source,created_at'];
+    for (const entry of numbers) {
+      lines.push([entry.phone, entry.reason, entry.source, entry.created_at].map(toCsvValue).join(','));
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="dnc_numbers.csv"');
+    res.send(lines.join('\n') + '\n');
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/dnc/check/:phone - Check whether a number is suppressed
+ */
+router.get('/check/:phone', async (req, res) => {
+  try {
+    const entry = await dncModel.getByPhone(req.params.phone);
+    res.json({ success: true, data: { suppressed: !!entry, entry } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/dnc - Add a number to the DNC list
+ * Body: { phone, reason }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { phone, reason } = req.body;
+    if (!dncModel.normalizePhone(phone)) {
+      return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+    }
+
+    const entry = await dncModel.addNumber(phone, { reason, source: 'manual' });
+    console.log(`🚫 Added ${phone} to Do-Not-Call list`);
+    res.status(entry ? 201 : 200).json({
+      success: true,
+      data: entry || await dncModel.getByPhone(phone),
+      message: entry ? 'Number added to Do-Not-Call list' : 'Number is already on the Do-Not-Call list'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/dnc/import - Bulk import numbers
+ * Accepts a CSV upload (phone/number column, optional reason) or JSON { numbers: [...] }
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      const numbers = Array.isArray(req.body.numbers) ? req.body.numbers : [];
+      if (numbers.length === 0) {
+        return res.status(400).json({ success: false, error: 'Upload a CSV file or send a numbers array' });
+      }
+
+      const entries = numbers.map(n => (typeof n === 'string' ? { phone: n } : n));
+      const summary = await dncModel.addNumbers(entries);
+      return res.json({
+        success: true,
+        data: summary,
+        message: `Imported ${summary.added} numbers to the Do-Not-Call list`
+      });
+    }
+
+    const rows = [];
+
+    // Parse CSV file
+    fs.createReadStream(req.file.path)
+      .pipe(csv())
+      .on('data', (data) => rows.push(data))
+      .on('end', async () => {
+        try {
+          // Clean up uploaded file
+          fs.unlinkSync(req.file.path);
+
+          const entries = rows.map(row => ({
+            phone: row.phone || row.number || row.phone_number || Object.values(row)[0],
+            reason: row.reason || null
+          }));
+          const summary = await dncModel.addNumbers(entries);
+          console.log(`🚫 Imported ${summary.added} numbers to Do-Not-Call list (${summary.skipped} already listed, ${summary.invalid} invalid)`);
+
+          res.json({
+            success: true,
+            data: summary,
+            message: `Imported ${summary.added} numbers to the Do-Not-Call list`
+          });
+        } catch (error) {
+          res.status(500).json({ success: false, error: error.message });
+        }
+      })
+      .on('error', (error) => {
+        res.status(500).json({ success: false, error: error.message });
+      });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/dnc/:phone - Remove a number from the DNC list
+ */
+router.delete('/:phone', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await dncModel.removeNumber(req.params.phone);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Number not found on the Do-Not-Call list' });
+    }
+
+    console.log(`✅ Removed ${req.params.phone} from Do-Not-Call list`);
+    res.json({ success: true, message: 'Number removed from Do-Not-Call list' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
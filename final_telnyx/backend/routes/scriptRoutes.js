@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const scriptModel = require('../models/scriptModel');
+const userModel = require('../models/userModel');
+const scriptService = require('../services/scriptService');
+const qualification = require('../services/qualificationService');
+const ttsProviders = require('../services/ttsProviderService');
+const llm = require('../services/llmService');
+const ttsCache = require('../services/ttsCacheService');
+const campaignModel = require('../models/campaignModel');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Validate script input shared by create and update
+ * Returns an error message or null
+ */
+function validateScriptInput(body, isCreate) {
+  if (isCreate && (!body.name || !String(body.name).trim())) {
+    return 'Script name is required';
+  }
+  if (isCreate && (!body.system_prompt || !String(body.system_prompt).trim())) {
+    return 'system_prompt is required';
+  }
+  if (!isCreate && body.system_prompt !== undefined && !String(body.system_prompt).trim()) {
+    return 'system_prompt cannot be empty';
+  }
+  for (const field of ['system_prompt', 'greeting', 'greeting_second_part']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  const settingsError = ttsProviders.validateSettings(body.tts_provider, body.tts_voice) || llm.validateSettings(body);
+  if (settingsError) {
+    return settingsError;
+  }
+  // null = use the built-in final expense questions
+  if (body.qualification_questions !== undefined && body.qualification_questions !== null) {
+    return qualification.validateQuestions(body.qualification_questions);
+  }
+  return null;
+}
+
+/**
+ * GET /api/scripts - List scripts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const scripts = await scriptModel.getAllScripts();
+    res.json({ success: true, data: scripts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scripts/tts/voices - Voices of a TTS provider for tts_voice
+ * Query params: provider (default TTS_PROVIDER)
+ */
+router.get('/tts/voices', async (req, res) => {
+  try {
+    const provider = req.query.provider || ttsProviders.getDefaultProvider();
+    if (!ttsProviders.isValidProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${ttsProviders.getProviderNames().join(', ')}`
+      });
+    }
+    const voices = await ttsProviders.listVoices(provider);
+    res.json({ success: true, data: { provider, voices } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scripts/tts/cache - TTS cache size
+ */
+router.get('/tts/cache', async (req, res) => {
+  try {
+    res.json({ success: true, data: await ttsCache.getStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/scripts/tts/cache - Remove all cached TTS audio
+ */
+router.delete('/tts/cache', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await ttsCache.clear();
+    res.json({ success: true, data: { removed }, message: `Removed ${removed} cached lines` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scripts/:id - Get script with its current version content
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const script = await scriptModel.getScriptById(req.params.id);
+    if (!script) {
+      return res.status(404).json({ success: false, error: 'Script not found' });
+    }
+    res.json({ success: true, data: script });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scripts/:id/versions - List all versions of a script
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await scriptModel.getVersions(req.params.id);
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scripts/:id/versions/:version - Get a specific version
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await scriptModel.getVersion(req.params.id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Script version not found' });
+    }
+    res.json({ success: true, data: version });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/scripts - Create script (version 1)
+ * Body: name, description, system_prompt, greeting, greeting_second_part, qualification_questions, is_default,
+ * tts_provider (elevenlabs | telnyx | tone, empty = TTS_PROVIDER default), tts_voice (a voice of that provider),
+ * llm_model, llm_temperature (0-2), llm_max_tokens, llm_fallback_model (empty = LLM_MODEL / defaults)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateScriptInput(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const script = await scriptModel.createScript({ ...req.body, name: String(req.body.name).trim() });
+    console.log(`📝 Script created: ${script.name}`);
+    res.json({ success: true, data: script });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/scripts/:id - Update script
+ * Changing system_prompt/greeting/greeting_second_part/qualification_questions creates a new version
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const validationError = validateScriptInput(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const script = await scriptModel.updateScript(req.params.id, req.body);
+    if (!script) {
+      return res.status(404).json({ success: false, error: 'Script not found' });
+    }
+    console.log(`📝 Script updated: ${script.name} (v${script.current_version})`);
+    res.json({ success: true, data: script });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/scripts/:id/versions/:version/restore - Restore an old version as the newest version
+ */
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const version = await scriptModel.getVersion(req.params.id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Script version not found' });
+    }
+
+    const script = await scriptModel.updateScript(req.params.id, {
+      system_prompt: version.system_prompt,
+      greeting: version.greeting,
+      greeting_second_part: version.greeting_second_part,
+      qualification_questions: version.qualification_questions
+    });
+    res.json({
+      success: true,
+      data: script,
+      message: `Restored version ${version.version} as version ${script.current_version}`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/scripts/:id/preview - Render the current version for a lead
+ * Body: userId (optional) or user fields (firstname, lastname, address, ...)
+ */
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const script = await scriptModel.getScriptById(req.params.id);
+    if (!script) {
+      return res.status(404).json({ success: false, error: 'Script not found' });
+    }
+
+    const user = req.body.userId
+      ? await userModel.getUserById(req.body.userId)
+      : req.body;
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: script.version,
+        systemPrompt: scriptService.render(script.system_prompt, user),
+        greeting: scriptService.render(script.greeting, user),
+        greetingSecondPart: scriptService.render(script.greeting_second_part, user),
+        qualificationQuestions: (script.qualification_questions || qualification.getDefaultQuestions())
+          .map(question => ({ ...question, prompt: scriptService.render(question.prompt, user) }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/scripts/:id/tts-cache/warm - Pre-render the script's static lines into the TTS cache
+ * Body: tts_provider, tts_voice (default: the campaign's, else the script's, else TTS_PROVIDER), campaignId
+ * Lines with lead placeholders differ per call and are skipped (they are cached when first spoken)
+ */
+router.post('/:id/tts-cache/warm', async (req, res) => {
+  try {
+    const { tts_provider: provider, tts_voice: voice, campaignId } = req.body || {};
+    const validationError = ttsProviders.validateSettings(provider, voice);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const row = await scriptModel.getScriptById(req.params.id);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Script not found' });
+    }
+    const campaign = campaignId ? await campaignModel.getCampaignById(campaignId) : null;
+    if (campaignId && !campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const script = scriptService.toConversationScript(row);
+    const tts = ttsProviders.resolve(
+      { provider, voice },
+      campaign && { provider: campaign.tts_provider, voice: campaign.tts_voice },
+      { provider: script.ttsProvider, voice: script.ttsVoice }
+    );
+    if (tts.provider.playsOnCall) {
+      return res.status(400).json({ success: false, error: `${tts.name} TTS plays on the call and can't be cached` });
+    }
+
+    const lines = [];
+    for (const line of scriptService.getFixedLines(script)) {
+      if (!line.static) {
+        lines.push({ name: line.name, text: line.text, status: 'skipped', reason: 'Has lead placeholders' });
+        continue;
+      }
+      try {
+        lines.push({ name: line.name, text: line.text, status: await ttsCache.prerender(tts, line.text) });
+      } catch (error) {
+        lines.push({ name: line.name, text: line.text, status: 'failed', reason: error.message });
+      }
+    }
+
+    const rendered = lines.filter(line => line.status === 'rendered').length;
+    console.log(`🔥 TTS cache warmed for script ${script.name}: ${rendered} rendered (${tts.name})`);
+    res.json({
+      success: true,
+      data: { provider: tts.name, voice: tts.voice || tts.provider.defaultVoice || null, lines },
+      message: `${rendered} lines rendered`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/scripts/:id - Delete script (campaigns using it fall back to the default)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await scriptModel.deleteScript(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Script not found' });
+    }
+    res.json({ success: true, message: 'Script deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
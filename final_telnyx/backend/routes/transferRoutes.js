@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const transferModel = require('../models/transferModel');
+const transferRouting = require('../services/transferRoutingService');
+const { requireRole } = require('../middleware/auth');
+
+// Outcomes a closer can report for a connected transfer
+const DISPOSITIONS = ['sold', 'not_sold', 'callback'];
+
+/**
+ * Validate a transfer destination body, returns an error message or null
+ */
+function validateDestination({ name, phone_number, priority, max_concurrent, timeout_secs, schedule, enabled }, isNew) {
+  if (isNew || name !== undefined) {
+    if (!name || !String(name).trim()) {
+      return 'name is required';
+    }
+  }
+  if (isNew || phone_number !== undefined) {
+    if (String(phone_number || '').replace(/\D/g, '').length < 10) {
+      return 'phone_number must be a phone number';
+    }
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return 'priority must be a whole number (lower is tried first)';
+  }
+  if (max_concurrent !== undefined && (!Number.isInteger(max_concurrent) || max_concurrent < 0)) {
+    return 'max_concurrent must be a whole number of 0 or more (0 = unlimited)';
+  }
+  if (timeout_secs !== undefined && (!Number.isInteger(timeout_secs) || timeout_secs < 5 || timeout_secs > 600)) {
+    return 'timeout_secs must be between 5 and 600';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return validateSchedule(schedule);
+}
+
+/**
+ * Validate a destination schedule ({ timezone, days, startHour, endHour }), returns an error message or null
+ */
+function validateSchedule(schedule) {
+  if (schedule === undefined || schedule === null) {
+    return null;
+  }
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'schedule must be an object of { timezone, days, startHour, endHour }';
+  }
+  if (schedule.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch {
+      return `Unknown timezone: ${schedule.timezone}`;
+    }
+  }
+  if (schedule.days !== undefined && (!Array.isArray(schedule.days) || schedule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+    return 'schedule.days must be an array of weekdays 0-6 (Sunday = 0)';
+  }
+  if ((schedule.startHour === undefined) !== (schedule.endHour === undefined)) {
+    return 'schedule needs both startHour and endHour';
+  }
+  if (schedule.startHour !== undefined) {
+    const { startHour, endHour } = schedule;
+    if (!Number.isInteger(startHour) || !Number.isInteger(endHour) || startHour < 0 || endHour > 24 || startHour >= endHour) {
+      return 'schedule hours must be whole hours with 0 <= startHour < endHour <= 24';
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/transfers - Transfer attempts, newest first
+ * Query params: callControlId (all attempts for one lead call), limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const attempts = await transferModel.getAttempts({
+      callControlId: req.query.callControlId || null,
+      limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+    });
+    res.json({ success: true, data: attempts, count: attempts.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/disposition - Closer reports how a connected transfer ended
+ * Body: { disposition: 'sold' | 'not_sold' | 'callback', notes }
+ */
+router.post('/:id(\\d+)/disposition', async (req, res) => {
+  try {
+    const { disposition, notes } = req.body || {};
+    if (!DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({ success: false, error: `disposition must be one of: ${DISPOSITIONS.join(', ')}` });
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ success: false, error: 'notes must be text' });
+    }
+
+    const attempt = await transferModel.getAttemptById(req.params.id);
+    if (!attempt) {
+      return res.status(404).json({ success: false, error: 'Transfer not found' });
+    }
+    if (!attempt.bridged_at && !['bridged', 'completed'].includes(attempt.status)) {
+      return res.status(409).json({ success: false, error: `Transfer was never connected to an agent (status: ${attempt.status})` });
+    }
+
+    const updated = await transferModel.setDisposition(attempt.id, {
+      disposition,
+      notes: notes ? notes.trim() : null,
+      by: req.operator?.username
+    });
+    console.log(`🏷️  Transfer ${attempt.id} (${attempt.phone || attempt.call_control_id}) dispositioned as ${disposition}`);
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Disposition saved'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/transfers/destinations - Transfer destinations with live transfers and whether they are open now
+ */
+router.get('/destinations', (req, res) => {
+  res.json({ success: true, data: transferRouting.getStatus() });
+});
+
+/**
+ * POST /api/transfers/destinations - Add a transfer destination
+ * Body: { name, phone_number, priority, max_concurrent, timeout_secs, schedule, campaign_id, enabled }
+ */
+router.post('/destinations', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateDestination(body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const destination = await transferModel.createDestination({ ...body, name: body.name.trim() });
+    await transferRouting.load();
+    console.log(`📲 Transfer destination added: ${destination.name} (${destination.phone_number}, priority ${destination.priority})`);
+
+    res.status(201).json({
+      success: true,
+      data: destination,
+      message: 'Transfer destination added'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/transfers/destinations/:id - Update a transfer destination
+ */
+router.put('/destinations/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateDestination(body, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const destination = await transferModel.updateDestination(req.params.id, {
+      ...body,
+      name: body.name !== undefined ? body.name.trim() : undefined
+    });
+    if (!destination) {
+      return res.status(404).json({ success: false, error: 'Transfer destination not found' });
+    }
+    await transferRouting.load();
+
+    res.json({
+      success: true,
+      data: destination,
+      message: 'Transfer destination updated'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/transfers/destinations/:id - Remove a transfer destination
+ */
+router.delete('/destinations/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await transferModel.deleteDestination(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Transfer destination not found' });
+    }
+    await transferRouting.load();
+    console.log(`🗑️  Transfer destination removed: ${req.params.id}`);
+
+    res.json({ success: true, message: 'Transfer destination removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
 const userModel = require('../models/userModel');
+const { requireRole } = require('../middleware/auth');
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
@@ -88,7 +89,7 @@ router.put('/:id', async (req, res) => {
 /**
  * DELETE /api/users - Delete all users
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireRole('admin'), async (req, res) => {
   try {
     const result = await userModel.deleteAllUsers();
     res.json({ 
@@ -104,7 +105,7 @@ router.delete('/', async (req, res) => {
 /**
  * DELETE /api/users/:id - Delete user
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     await userModel.deleteUser(req.params.id);
     res.json({ success: true, message: 'User deleted successfully' });
@@ -3,12 +3,32 @@ const router = express.Router();
 const telnyxService = require('../services/telnyxService');
 const openaiService = require('../services/openaiService');
 const userModel = require('../models/userModel');
+const dncModel = require('../models/dncModel');
 const { broadcast } = require('../services/websocketService');
-const { agentState, agentConfig, markCallComplete, transferredCalls } = require('./agentRoutes');
+const {
+  markCallComplete,
+  transferredCalls,
+  getSessionStateForCall,
+  getTransferNumberForCall,
+  getCampaignIdForCall,
+  getTransferSettingsForCall,
+  getSttProviderForCall,
+  scheduleLeadRetry,
+  isTransferDestination,
+  attachInboundCall,
+  detachInboundCall
+} = require('./agentRoutes');
 const costTracking = require('../services/costTrackingService');
 const conversationService = require('../services/conversationService');
+const scriptService = require('../services/scriptService');
+const defaultScript = require('../config/defaultScript');
+const transferRouting = require('../services/transferRoutingService');
+const sttProviders = require('../services/sttProviderService');
 const bidirectionalTTS = require('../services/bidirectionalTTSService');  // ✨ NEW: Bidirectional streaming TTS
 const { query } = require('../config/database');
+const { verifyTelnyxWebhook } = require('../middleware/telnyxWebhook');
+const webhookSecurity = require('../services/webhookSecurityService');
+const webhookEventModel = require('../models/webhookEventModel');
 
 // Track calls that are currently speaking or generating response (to ignore transcriptions)
 // Value: { startTime, expectedEndTime?, generating? } - generating=true means AI is generating response, false/null means speaking
@@ -50,6 +70,13 @@ const aiSpeechEndTimers = new Map();
 // Key: callControlId, Value: timestamp
 const callStartTimes = new Map();
 
+// Track inbound calls (leads calling one of our DIDs back)
+// Key: callControlId, Value: { callerNumber, didNumber, userId, known }
+const inboundCalls = new Map();
+
+// Lead calls told "an agent will call you back" after no agent accepted a warm transfer
+const callbacksPromised = new Set();
+
 // Set up listener for transcripts from media streaming service (ElevenLabs Scribe STT)
 if (global.mediaStreamEvents) {
   console.log('✅ Setting up transcript listener in webhookRoutes...');
@@ -73,19 +100,64 @@ if (global.mediaStreamEvents) {
 // Keeping for backward compatibility during cleanup
 const silenceDetectionDisabled = new Set();
 
+// Phrases that mean "don't call me again" (vs. just ending this call)
+const DO_NOT_CALL_PATTERN = /\b(do not|don'?t|never|stop)\s+(call|calling|contact)|\bremove me\b|\btake me off\b|\bno more calls\b|\bdo not call list\b|\bdnc\b/i;
+
 /**
- * POST /webhooks/telnyx - Handle Telnyx webhooks
+ * Check whether a hangup reason / transcript is a request to never be called again
  */
-router.post('/telnyx', async (req, res) => {
+function isDoNotCallRequest(text) {
+  return DO_NOT_CALL_PATTERN.test(text || '');
+}
+
+/**
+ * Add a lead who asked not to be called again to the Do-Not-Call list (logged, never throws)
+ */
+function addToDoNotCall(leadPhone, reason, callControlId) {
+  if (!leadPhone) return;
+  dncModel.addNumber(leadPhone, {
+    reason,
+    source: 'call',
+    callControlId
+  }).then(entry => {
+    if (entry) console.log(`🚫 Added ${leadPhone} to Do-Not-Call list (requested on call)`);
+  }).catch(error => {
+    console.error(`❌ Failed to add ${leadPhone} to Do-Not-Call list:`, error.message);
+  });
+}
+
+/**
+ * POST /webhooks/telnyx - Handle Telnyx webhooks (signature-verified, duplicates ignored)
+ */
+router.post('/telnyx', verifyTelnyxWebhook, async (req, res) => {
+  // Acknowledge webhook immediately
+  res.sendStatus(200);
+
+  // Store the raw webhook for call timelines and replay
+  // It counts as seen once stored as processed/unhandled - until then a redelivery is only held off while in flight
+  try {
+    const eventLogId = await webhookEventModel.record(req.body);
+    await processWebhookEvent(req.body?.data, eventLogId);
+  } finally {
+    webhookSecurity.releaseEvent(req.body?.data?.id);
+  }
+});
+
+/**
+ * Dispatch a Telnyx event to its handler and record the outcome in webhook_events
+ * Also used by scripts/replayCallEvents.js to re-feed stored events
+ * Returns { status: processed|unhandled|failed, error }
+ */
+async function processWebhookEvent(event, eventLogId = null) {
+  const startTime = Date.now();
+  let status = 'processed';
+  let errorMessage = null;
+
   try {
-    const event = req.body.data;
     const eventType = event.event_type;
 
     console.log(`📨 Telnyx webhook: ${eventType}`);
 
-    // Acknowledge webhook immediately
-    res.sendStatus(200);
-
     // Handle different event types
     switch (eventType) {
       case 'call.initiated':
@@ -148,13 +220,17 @@ router.post('/telnyx', async (req, res) => {
 
       default:
         console.log(`⚠️  Unhandled event type: ${eventType}`);
+        status = 'unhandled';
     }
   } catch (error) {
     console.error('Webhook error:', error);
-    // Don't send response here - already sent above (line 34)
-    // Webhooks are acknowledged immediately for fast response
+    status = 'failed';
+    errorMessage = error.message;
   }
-});
+
+  await webhookEventModel.markResult(eventLogId, status, errorMessage, Date.now() - startTime);
+  return { status, error: errorMessage };
+}
 
 /**
  * Handle call initiated event
@@ -164,6 +240,11 @@ async function handleCallInitiated(event) {
   
   console.log(`📞 Call initiated: ${callControlId}`);
 
+  // Someone dialed one of our DIDs (our own legs, including transfers, are 'outgoing')
+  if (event.payload.direction === 'incoming') {
+    return handleInboundCall(event);
+  }
+
   // 🔍 CRITICAL FIX: Get correct numbers from client_state or telnyx_calls
   // Telnyx webhook payload.from and payload.to are from network perspective (may be reversed)
   let fromNumber = event.payload.from;  // Fallback
@@ -247,17 +328,12 @@ async function handleCallInitiated(event) {
     }
   }
 
-  // Method 2: Check if destination is the transfer number (more reliable)
+  // Method 2: Check if destination is a transfer number (more reliable)
   // When we transfer, Telnyx creates a new call TO the agent's number
-  const transferNumber = agentConfig.transferNumber || process.env.AGENT_TRANSFER_NUMBER;
-  if (!isTransfer && toNumber && transferNumber) {
-    // Normalize both numbers for comparison
-    const normalizedTo = toNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
-    const normalizedTransfer = transferNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
-    if (normalizedTo === normalizedTransfer || toNumber === transferNumber) {
-      isTransfer = true;
-      console.log(`🔗 Transfer call detected by destination number: ${toNumber}`);
-    }
+  // (global transfer number or the transfer number of any running campaign)
+  if (!isTransfer && isTransferDestination(toNumber)) {
+    isTransfer = true;
+    console.log(`🔗 Transfer call detected by destination number: ${toNumber}`);
   }
 
   // If this is a transfer call, don't initialize conversation or AI
@@ -304,6 +380,150 @@ async function handleCallInitiated(event) {
   });
 }
 
+/**
+ * Handle an inbound call to one of our DIDs
+ * Known leads are answered and get the AI conversation in callback mode (with the script of the
+ * campaign that last called them), unknown callers go straight to transfer
+ */
+async function handleInboundCall(event) {
+  const callControlId = event.payload.call_control_id;
+  const callerNumber = event.payload.from;
+  const didNumber = event.payload.to;
+
+  console.log(`📲 Inbound call: ${callerNumber} -> ${didNumber} (${callControlId})`);
+
+  const lead = await userModel.findLeadByCallerId(callerNumber);
+  const lastCall = lead ? await userModel.getLastOutboundCall(lead.id) : null;
+  const session = attachInboundCall(callControlId, lastCall?.campaign_id);
+  const script = lead
+    ? session.script || await scriptService.resolveScript(lastCall?.script_id).catch(() => scriptService.resolveScript(null))
+    : null;
+
+  inboundCalls.set(callControlId, { callerNumber, didNumber, userId: lead?.id || null, known: !!lead });
+
+  // Same shape as outbound calls: from = our DID, to = the lead
+  try {
+    await userModel.recordTelnyxCall(callControlId, lead?.id || null, didNumber, callerNumber, lastCall?.campaign_id || null, script, 'inbound');
+    await userModel.markTelnyxCallWebhookReceived(callControlId);
+  } catch (error) {
+    console.error(`   ⚠️  Error recording inbound call (continuing anyway):`, error.message);
+  }
+  costTracking.initializeCallCost(callControlId);
+  conversationService.initializeConversation(callControlId, didNumber, callerNumber, 'inbound');
+
+  broadcast({
+    type: 'call_event',
+    event: 'inbound',
+    callControlId,
+    callerNumber,
+    didNumber,
+    known: !!lead,
+    timestamp: Date.now()
+  });
+
+  if (!lead) {
+    const transferNumber = getTransferNumberForCall(callControlId);
+    if (transferRouting.getCandidates(null, { fallbackNumber: transferNumber }).length === 0) {
+      console.warn(`❓ Unknown caller ${callerNumber} and no transfer number configured - hanging up`);
+      conversationService.addMessage(callControlId, 'System', '[Inbound call from unknown caller - no transfer number configured]');
+      await telnyxService.hangupCall(callControlId).catch(() => {});
+      return;
+    }
+
+    console.log(`❓ Unknown caller ${callerNumber} - transferring straight to ${transferNumber}`);
+    transferCalls.add(callControlId); // Never start the AI on this call
+    conversationService.addMessage(callControlId, 'System', `[Inbound call from unknown caller - transferred to ${transferNumber}]`);
+    const result = await transferRouting.transfer(callControlId, {
+      fromNumber: didNumber,
+      fallbackNumber: transferNumber,
+      campaignId: null,
+      lead: { phone: callerNumber }
+    }).catch(error => {
+      console.error(`❌ Error transferring unknown caller:`, error.message);
+      return null;
+    });
+    if (!result) {
+      await telnyxService.hangupCall(callControlId).catch(() => {});
+    }
+    return;
+  }
+
+  console.log(`📲 Callback from ${lead.firstname} ${lead.lastname} (${lead.id}) - answering with script "${script.name}"`);
+  openaiService.initializeConversation(callControlId, lead, script, { callback: true });
+
+  // call.answered then starts the media stream and speaks the callback greeting
+  try {
+    await telnyxService.answerCall(callControlId);
+  } catch (error) {
+    console.error(`❌ Could not answer callback from ${callerNumber}:`, error.message);
+  }
+}
+
+/**
+ * Transfer a lead call through transfer routing: destinations in priority order with failover,
+ * the campaign / global transfer number as the last resort
+ * Returns the Telnyx transfer result, or null when no destination accepted the transfer
+ */
+function routeTransfer(callControlId, transferNumber, fromNumber) {
+  const state = openaiService.getConversationState(callControlId);
+  const { mode, acceptTimeoutSecs } = getTransferSettingsForCall(callControlId);
+  const warm = mode === 'warm' && !!state;
+
+  if (warm) {
+    // The lead waits on hold while the agent is dialed - no silence / no-response hangups meanwhile
+    clearNoResponseTimer(callControlId);
+    stopSilenceDetection(callControlId);
+  }
+
+  return transferRouting.transfer(callControlId, {
+    fromNumber,
+    fallbackNumber: transferNumber,
+    campaignId: getCampaignIdForCall(callControlId),
+    lead: state?.userInfo || null,
+    mode: warm ? 'warm' : 'blind',
+    acceptTimeoutSecs,
+    whisper: warm ? scriptService.getTransferWhisper(state) : null,
+    onUnanswered: promiseCallback
+  });
+}
+
+/**
+ * No agent accepted a warm transfer: tell the lead an agent will call back, then hang up
+ * (the hangup is recorded as agent_unavailable so the retry policy schedules the callback)
+ */
+async function promiseCallback(callControlId) {
+  const state = openaiService.getConversationState(callControlId);
+  if (!state) return;
+
+  const message = scriptService.getTransferUnavailableMessage(state.userInfo);
+  callbacksPromised.add(callControlId);
+  conversationService.addMessage(callControlId, 'AI', message);
+  speakingCalls.set(callControlId, { startTime: Date.now() });
+
+  // Only cache the audio when the line is the same for every lead (no name in it)
+  const cache = scriptService.isStatic(defaultScript.transferUnavailableMessage);
+  const ttsResult = await bidirectionalTTS.speak(callControlId, message, { cache }).catch(error => {
+    console.error(`❌ Error speaking callback message:`, error.message);
+    return null;
+  });
+  // bidirectionalTTS.speak() returns when audio is sent, so wait for it to finish playing
+  const playbackMs = ttsResult?.actualDurationMs || Math.max(1000, message.length * 80);
+
+  pendingHangups.set(callControlId, { type: 'hangup', scheduledAt: Date.now() });
+  setTimeout(() => {
+    telnyxService.hangupCall(callControlId).catch(() => {});
+  }, playbackMs + 500);
+}
+
+/**
+ * Forget an inbound call once it has ended
+ */
+function releaseInboundCall(callControlId) {
+  if (inboundCalls.delete(callControlId)) {
+    detachInboundCall(callControlId);
+  }
+}
+
 /**
  * Handle machine detection (AMD) ended event
  * NOTE: AMD is now disabled - using custom STT-based voicemail detection instead
@@ -324,6 +544,9 @@ async function handleCallAnswered(event) {
   // Mark call as connected for accurate cost tracking
   // Telnyx only charges for connected time, not ringing time
   costTracking.markCallConnected(callControlId);
+
+  // Warm transfer agent leg: whisper the lead summary, then bridge
+  await transferRouting.handleAnswered(event.payload);
   
   try {
     // Check if this call was already bridged (bridged event comes before answered)
@@ -368,17 +591,9 @@ async function handleCallAnswered(event) {
     }
 
     // Also check if destination is transfer number (more reliable)
-    if (!isTransfer) {
-      const toNumber = event.payload.to;
-      const transferNumber = agentConfig.transferNumber || process.env.AGENT_TRANSFER_NUMBER;
-      if (toNumber && transferNumber) {
-        const normalizedTo = toNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
-        const normalizedTransfer = transferNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
-        if (normalizedTo === normalizedTransfer || toNumber === transferNumber) {
-          isTransfer = true;
-          console.log(`🔗 Transfer call detected by destination number: ${toNumber}`);
-        }
-      }
+    if (!isTransfer && isTransferDestination(event.payload.to)) {
+      isTransfer = true;
+      console.log(`🔗 Transfer call detected by destination number: ${event.payload.to}`);
     }
     
     // If this is a transfer call, don't initialize AI - just let it bridge
@@ -388,19 +603,18 @@ async function handleCallAnswered(event) {
       return;
     }
     
-    // Start audio streaming + ElevenLabs Scribe for STT
+    // Start audio streaming + STT (the campaign's provider, else STT_PROVIDER)
     try {
       const { getStreamUrl } = require('../services/mediaStreamingService');
-      const scribeService = require('../services/elevenLabsScribeService');
       const streamUrl = getStreamUrl(callControlId);
       
-      // STEP 1: Pre-connect to ElevenLabs Scribe FIRST
-      console.log(`📝 Pre-connecting to ElevenLabs Scribe before streaming starts...`);
+      // STEP 1: Pre-connect STT FIRST
+      console.log(`📝 Pre-connecting STT before streaming starts...`);
       try {
-        await scribeService.connect(callControlId);
-        console.log(`✅ ElevenLabs Scribe pre-connected successfully!`);
+        const provider = await sttProviders.connect(callControlId, getSttProviderForCall(callControlId));
+        console.log(`✅ ${provider} STT pre-connected successfully!`);
       } catch (scribeError) {
-        console.error(`⚠️  Failed to pre-connect ElevenLabs Scribe:`, scribeError.message);
+        console.error(`⚠️  Failed to pre-connect STT:`, scribeError.message);
         // Continue anyway - we'll try again when stream starts
       }
       
@@ -410,7 +624,7 @@ async function handleCallAnswered(event) {
         return;
       }
       
-      // STEP 2: Now tell Telnyx to start streaming (ElevenLabs Scribe is already ready)
+      // STEP 2: Now tell Telnyx to start streaming (STT is already ready)
       console.log(`🎙️  Requesting Telnyx to stream audio to: ${streamUrl}`);
       try {
         await telnyxService.startStreaming(callControlId, streamUrl);
@@ -489,14 +703,15 @@ async function handleCallAnswered(event) {
       
       // Silence detection removed
       
-      // Speak first part
-      await bidirectionalTTS.speak(callControlId, firstGreeting);
+      // Speak first part (fixed script line - played from the TTS cache when it was rendered before)
+      // Lines with lead placeholders differ per call (and hold the lead's details), so they are never cached
+      await bidirectionalTTS.speak(callControlId, firstGreeting, { cache: scriptService.isStatic(conversationState.script.greeting) });
       console.log(`✅ First greeting sent`);
       
       // Immediately speak second part
       console.log(`🎤 Speaking second greeting: "${secondGreeting}"`);
       conversationService.addMessage(callControlId, 'AI', secondGreeting);
-      await bidirectionalTTS.speak(callControlId, secondGreeting);
+      await bidirectionalTTS.speak(callControlId, secondGreeting, { cache: scriptService.isStatic(conversationState.script.greetingSecondPart) });
       console.log(`✅ Second greeting sent`);
       
       setTimeout(() => {
@@ -637,6 +852,9 @@ async function handleCallBridged(event) {
   // Mark this call as bridged so we don't start AI conversation if answered event comes later
   transferCalls.add(callControlId);
   console.log(`   Marked call as bridged - AI will not initialize on this call`);
+
+  // Agent leg: mark its transfer attempt as connected
+  await transferRouting.handleBridged(event.payload);
   
   // Silence detection removed
   
@@ -652,7 +870,7 @@ async function handleCallBridged(event) {
       address: userInfo.address || '',
       timestamp: Date.now(),
       fromNumber: event.payload.from || null,
-      toNumber: agentConfig.transferNumber
+      toNumber: transferRouting.getCurrentDestination(callControlId)?.phoneNumber || getTransferNumberForCall(callControlId)
     };
     
     transferredCalls.push(transferredCallData);
@@ -1050,24 +1268,22 @@ function determineHangupReason({
 async function handleCallHangup(event) {
   const callControlId = event.payload.call_control_id;
   const hangupCause = event.payload.hangup_cause;
+
+  // Close the call in telnyx_calls so startup reconciliation knows it ended
+  await userModel.markTelnyxCallHangup(callControlId, hangupCause);
+
+  // Close its transfer attempt; an agent leg that never bridged fails over to the next destination
+  await transferRouting.handleHangup(event.payload);
   
   // 🔧 FIX: Check if this is a transfer call BEFORE attempting recovery
   // Transfer calls should never be saved to conversation history
-  const transferNumber = agentConfig.transferNumber || process.env.AGENT_TRANSFER_NUMBER;
   let isTransferCall = transferCalls.has(callControlId);
   
   // Also check by destination number if not already marked
-  if (!isTransferCall && transferNumber) {
-    const toNumber = event.payload.to;
-    if (toNumber) {
-      const normalizedTo = toNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
-      const normalizedTransfer = transferNumber.replace(/\s/g, '').replace(/^\+?1?/, '');
-      if (normalizedTo === normalizedTransfer || toNumber === transferNumber) {
-        isTransferCall = true;
-        transferCalls.add(callControlId);
-        console.log(`🔗 Transfer call detected by destination number in hangup: ${toNumber}`);
-      }
-    }
+  if (!isTransferCall && isTransferDestination(event.payload.to)) {
+    isTransferCall = true;
+    transferCalls.add(callControlId);
+    console.log(`🔗 Transfer call detected by destination number in hangup: ${event.payload.to}`);
   }
   
   // ⚠️ FIX: Ensure conversation was initialized even if call never answered
@@ -1083,13 +1299,15 @@ async function handleCallHangup(event) {
       let gotNumbersFromTelnyxCalls = false;
       
       // Try to get from telnyx_calls table first (most reliable)
+      let direction = 'outbound';
       const result = await query(
-        `SELECT from_number, to_number FROM telnyx_calls WHERE call_control_id = $1`,
+        `SELECT from_number, to_number, direction FROM telnyx_calls WHERE call_control_id = $1`,
         [callControlId]
       );
       if (result.rows.length > 0 && result.rows[0].from_number && result.rows[0].to_number) {
         fromNumber = result.rows[0].from_number;
         toNumber = result.rows[0].to_number;
+        direction = result.rows[0].direction || direction;
         gotNumbersFromTelnyxCalls = true;
         console.log(`   ✅ Using numbers from telnyx_calls: ${fromNumber} -> ${toNumber}`);
       } else {
@@ -1122,7 +1340,7 @@ async function handleCallHangup(event) {
       }
       
       // Initialize conversation retroactively so we can save it
-      conversationService.initializeConversation(callControlId, fromNumber, toNumber);
+      conversationService.initializeConversation(callControlId, fromNumber, toNumber, direction);
       // Reassign conversation variable after recovery
       conversation = conversationService.activeConversations?.get?.(callControlId);
       console.log(`   ✅ Conversation initialized retroactively for hangup event`);
@@ -1176,12 +1394,18 @@ async function handleCallHangup(event) {
         console.log(`⚠️  No cost data found for transfer call: ${callControlId}`);
       }
       // ⚠️ REMOVED: conversationService.finalizeConversation() - transfer calls should NOT be in conversation history
-      console.log(`ℹ️  Transfer call - NOT saving to conversation history (only lead calls are saved)`);
+      // Except unknown inbound callers: their call went straight to an agent and this is the only record of it
+      if (inboundCalls.has(callControlId) && conversation) {
+        await conversationService.finalizeConversation(callControlId, finalCost, true, hangupCause);
+      } else {
+        console.log(`ℹ️  Transfer call - NOT saving to conversation history (only lead calls are saved)`);
+      }
     } catch (error) {
       console.error('Error finalizing transfer call cost:', error);
       console.error('   Error details:', error.message);
       console.error('   Stack:', error.stack);
     }
+    releaseInboundCall(callControlId);
     return;
   }
   
@@ -1295,7 +1519,11 @@ async function handleCallHangup(event) {
   
   // 🔍 DETERMINE EXACT HANGUP REASON
   // Use effectiveMessageCount instead of messageCount to account for overlapping speech responses
-  const hangupReason = determineHangupReason({
+  const hangupReason = callbacksPromised.has(callControlId) ? {
+    reason: 'agent_unavailable',
+    message: '[System: No agent accepted the transfer - lead told an agent will call back]',
+    details: 'Warm transfer was not accepted in time; callback scheduled by the retry policy'
+  } : determineHangupReason({
     callControlId,
     hangupCause,
     conversation,
@@ -1408,12 +1636,13 @@ async function handleCallHangup(event) {
     }
   }
   
-  // Update statistics
+  // Update statistics (credited to the campaign session that placed the call)
   if (conversationState) {
+    const sessionState = getSessionStateForCall(callControlId);
     if (conversationState.stage === 'completed') {
-      agentState.qualifiedLeads++;
+      sessionState.qualifiedLeads++;
     } else if (conversationState.stage === 'disqualified') {
-      agentState.disqualifiedLeads++;
+      sessionState.disqualifiedLeads++;
     }
   }
 
@@ -1427,15 +1656,29 @@ async function handleCallHangup(event) {
     speakingCalls.delete(callControlId);
     transferCalls.delete(callControlId);
     amdResults.delete(callControlId);
+
+    releaseInboundCall(callControlId);
+
+    // ✅ Still apply the retry policy and release the agent queue slot
+    const retry = await scheduleLeadRetry(callControlId, userInfo?.id, hangupReason.reason, stage);
+    callbacksPromised.delete(callControlId);
+    markCallComplete(callControlId, {
+      status: conversationState?.stage || 'completed',
+      hangupCause,
+      hangupReason: hangupReason.reason,
+      retry,
+      conversationState
+    });
     return;
   }
   
   // Finalize cost tracking
   // Check if call was transferred by checking transferredCalls array
-  const wasTransferred = transferredCalls.some(call => call.id === callControlId) ||
+  const wasTransferred = !callbacksPromised.has(callControlId) && (
+                         transferredCalls.some(call => call.id === callControlId) ||
                          transferCalls.has(callControlId) || 
                          stage === 'completed' || 
-                         stage === 'transfer_confirmation';
+                         stage === 'transfer_confirmation');
   const finalCost = await costTracking.finalizeCallCost(callControlId, wasTransferred);
   
   // Finalize conversation tracking with full cost breakdown and hangup cause
@@ -1498,10 +1741,18 @@ async function handleCallHangup(event) {
     }
   }
 
+  releaseInboundCall(callControlId);
+
+  // 🔁 Apply the retry policy (sets the lead's next_attempt_at)
+  const retry = await scheduleLeadRetry(callControlId, userInfo?.id, hangupReason.reason, stage);
+  callbacksPromised.delete(callControlId);
+
   // ✅ Notify agent queue that this call is complete
   markCallComplete(callControlId, {
     status: conversationState?.stage || 'completed',
     hangupCause,
+    hangupReason: hangupReason.reason,
+    retry,
     conversationState
   });
 
@@ -1548,6 +1799,9 @@ async function handleSpeakEnded(event) {
   // Mark this call as no longer speaking
   speakingCalls.delete(callControlId);
 
+  // Warm transfer whisper finished: connect the agent to the lead
+  await transferRouting.handleSpeakEnded(callControlId);
+
   // Silence detection removed
 
   // Check if there's a pending hangup for this call
@@ -1591,7 +1845,7 @@ async function handleSpeakEnded(event) {
         console.log(`📲 Transferring call to: ${pendingAction.transferNumber}`);
         console.log(`   Using caller ID: ${pendingAction.fromNumber || 'auto'}`);
         
-        const result = await telnyxService.transferCall(
+        const result = await routeTransfer(
           callControlId, 
           pendingAction.transferNumber, 
           pendingAction.fromNumber
@@ -1652,6 +1906,9 @@ async function handleSpeakFailed(event) {
   
   // Mark this call as no longer speaking
   speakingCalls.delete(callControlId);
+
+  // Warm transfer whisper failed: connect the agent without it
+  await transferRouting.handleSpeakEnded(callControlId);
   
   // If there's a pending action, we should still try to execute it
   const pendingAction = pendingHangups.get(callControlId);
@@ -1693,7 +1950,7 @@ async function handleSpeakFailed(event) {
         console.log(`📲 Transferring call to: ${pendingAction.transferNumber}`);
         console.log(`   Using caller ID: ${pendingAction.fromNumber || 'auto'}`);
         
-        const result = await telnyxService.transferCall(
+        const result = await routeTransfer(
           callControlId, 
           pendingAction.transferNumber, 
           pendingAction.fromNumber
@@ -1733,6 +1990,62 @@ async function handleSpeakFailed(event) {
   });
 }
 
+/**
+ * Speak the sentences of a streamed AI reply one after another, as they arrive
+ * Returns { speak(sentence), done(), ... } - done() resolves once every queued sentence was sent
+ */
+function createSentenceSpeech(callControlId) {
+  const speech = {
+    sentences: 0,
+    firstAudioAt: null,
+    playbackEndsAt: null,  // When the audio sent so far finishes playing
+    queue: Promise.resolve(),
+    speak(sentence) {
+      speech.sentences++;
+      speech.queue = speech.queue
+        .then(() => bidirectionalTTS.speak(callControlId, sentence))
+        .then(result => speech.addPlayback(result))
+        .catch(error => console.error(`❌ Error speaking streamed sentence for ${callControlId}:`, error.message));
+    },
+    addPlayback(result) {
+      if (!result) return;
+      speech.firstAudioAt = speech.firstAudioAt || result.audioStartedAt;
+      // Audio sent while earlier audio is still playing is queued behind it
+      speech.playbackEndsAt = Math.max(speech.playbackEndsAt || 0, result.audioStartedAt) + result.actualDurationMs;
+      // Audio is playing while the rest is generated - barge-in and no-response checks must see the AI speaking
+      // (generating stays set until the reply is complete, so transcripts are still held off)
+      if (speakingCalls.has(callControlId)) {
+        speakingCalls.set(callControlId, {
+          ...speakingCalls.get(callControlId),
+          startTime: speech.firstAudioAt,
+          expectedEndTime: speech.playbackEndsAt
+        });
+      }
+    },
+    done() {
+      return speech.queue;
+    }
+  };
+  return speech;
+}
+
+/**
+ * Record how long the lead waited for an AI turn: first token, first audio and full response,
+ * in ms from when the transcript arrived
+ */
+function recordTurnLatency(callControlId, startTime, aiResponse, firstAudioAt, streamed) {
+  const since = (time) => (time ? time - startTime : null);
+  const metrics = {
+    model: aiResponse.model || null,
+    streamed,
+    firstTokenMs: since(aiResponse.timings?.firstTokenAt),
+    firstAudioMs: since(firstAudioAt),
+    fullResponseMs: since(aiResponse.timings?.completedAt)
+  };
+  conversationService.addTurnLatency(callControlId, metrics);
+  console.log(`⏱️  Turn latency: first token ${metrics.firstTokenMs ?? '-'}ms, first audio ${metrics.firstAudioMs ?? '-'}ms, full response ${metrics.fullResponseMs ?? '-'}ms${streamed ? ' (streamed)' : ''}`);
+}
+
 /**
  * Handle transcription event
  */
@@ -1799,6 +2112,12 @@ async function handleTranscription(event) {
     return;
   }
 
+  // ... and while the lead holds for a warm transfer
+  if (transferRouting.isHolding(callControlId)) {
+    console.log(`📲 Ignoring transcription - lead is holding for a warm transfer`);
+    return;
+  }
+
   // ⭐ FIX: Only ignore transcriptions when HANGUP is pending, not when TRANSFER is pending
   // When transfer is pending, user might be confirming the transfer (e.g., "yes, that sounds good")
   const pendingAction = pendingHangups.get(callControlId);
@@ -1884,7 +2203,7 @@ async function handleTranscription(event) {
           isSpeaking = true;
         }
       }
-    } else if (speakingState.expectedEndTime && Date.now() >= speakingState.expectedEndTime) {
+    } else if (speakingState.expectedEndTime && Date.now() >= speakingState.expectedEndTime && !isGenerating) {
       // Speech should have ended but speakingCalls wasn't cleared (setTimeout didn't fire in time)
       const timeSinceExpectedEnd = Date.now() - speakingState.expectedEndTime;
       console.log(`   ⏰ Speech expected end time passed (${timeSinceExpectedEnd}ms ago) - clearing speaking state (concurrent call fix)`);
@@ -2554,6 +2873,11 @@ async function handleTranscription(event) {
   
   if (hasHangupRequest) {
     console.log(`🛑 Explicit hangup keyword detected in: "${transcript}"`);
+
+    // 🚫 "Stop calling" / "remove me" never reach the AI's call outcome - suppress the number here
+    if (isDoNotCallRequest(transcript)) {
+      addToDoNotCall(openaiService.getConversationState(callControlId)?.userInfo?.phone, transcript, callControlId);
+    }
     
     try {
       await telnyxService.speak(
@@ -2655,9 +2979,13 @@ async function handleTranscription(event) {
     }
     
     let aiResponse;
+    // ⚡ Sentences of the reply start playing while the rest is still being generated
+    const sentenceSpeech = createSentenceSpeech(callControlId);
     try {
       // Get AI response (pass confidence for better handling)
-      aiResponse = await openaiService.getNextResponse(callControlId, transcript, confidence);
+      aiResponse = await openaiService.getNextResponse(callControlId, transcript, confidence, {
+        onSentence: sentenceSpeech.speak
+      });
       console.log(`🤖 AI Response: ${aiResponse.response}`);
       
       // Check if call ended during processing
@@ -2690,6 +3018,13 @@ async function handleTranscription(event) {
       
       // Log AI's response to conversation
       conversationService.addMessage(callControlId, 'AI', aiResponse.response);
+
+      // 🚫 Lead asked not to be called again - suppress the number
+      const callOutcome = aiResponse.callOutcome;
+      if (callOutcome && callOutcome.outcome === 'user_requested_hangup' &&
+          isDoNotCallRequest(`${callOutcome.reason || ''} ${transcript}`)) {
+        addToDoNotCall(conversationState.userInfo?.phone, callOutcome.reason || transcript, callControlId);
+      }
       
       // Clear pending flag
       if (conversation) {
@@ -2789,10 +3124,11 @@ async function handleTranscription(event) {
     const responseStartTime = Date.now();
     const estimatedDurationMs = Math.max(1000, (aiResponse.response.length * 35)); // ⭐ REDUCED: 35ms per character (was 50ms), min 1s (was 2s)
     const waitTime = estimatedDurationMs + 1000; // ⭐ REDUCED: 1 second safety buffer (was 2s)
-    const expectedEndTime = responseStartTime + waitTime;
+    // Streamed sentences may already be playing - never end before their audio does
+    const expectedEndTime = Math.max(responseStartTime + waitTime, sentenceSpeech.playbackEndsAt || 0);
     
     speakingCalls.set(callControlId, { 
-      startTime: responseStartTime,
+      startTime: sentenceSpeech.firstAudioAt || responseStartTime,
       expectedEndTime: expectedEndTime
     });
     console.log(`🗣️  AI started speaking (bidirectional TTS, expected to finish at ${new Date(expectedEndTime).toISOString()})`);
@@ -2800,7 +3136,20 @@ async function handleTranscription(event) {
     // Silence detection removed
     
     try {
-      const ttsResult = await bidirectionalTTS.speak(callControlId, aiResponse.response);
+      // Wait for the sentences spoken while the reply streamed, then say the rest
+      await sentenceSpeech.done();
+      let ttsResult = aiResponse.unspokenResponse
+        ? await bidirectionalTTS.speak(callControlId, aiResponse.unspokenResponse)
+        : null;
+      const streamed = sentenceSpeech.sentences > 0;
+      if (streamed) {
+        sentenceSpeech.addPlayback(ttsResult);
+        // Duration = playback left from now, across the streamed sentences and the rest
+        ttsResult = sentenceSpeech.playbackEndsAt
+          ? { actualDurationMs: Math.max(0, sentenceSpeech.playbackEndsAt - Date.now()), audioStartedAt: sentenceSpeech.firstAudioAt }
+          : null;
+      }
+      recordTurnLatency(callControlId, processingStartTime, aiResponse, ttsResult?.audioStartedAt, streamed);
       
       // Handle case where TTS was skipped (duplicate request or cancelled)
       if (!ttsResult) {
@@ -2808,7 +3157,7 @@ async function handleTranscription(event) {
       }
       
       // ⭐ FIX: Use ACTUAL duration from TTS service instead of text-based estimate
-      const actualDurationMs = ttsResult?.actualDurationMs || Math.max(1000, (aiResponse.response.length * 30)); // ⭐ REDUCED: Fallback 30ms/char (was 45ms), min 1s (was 2s)
+      const actualDurationMs = ttsResult?.actualDurationMs ?? Math.max(1000, (aiResponse.response.length * 30)); // ⭐ REDUCED: Fallback 30ms/char (was 45ms), min 1s (was 2s)
       const reducedBuffer = 0; // ⭐ REMOVED buffer entirely - actual duration is very accurate, no buffer needed
       const actualWaitTime = actualDurationMs + reducedBuffer;
       const actualExpectedEndTime = Date.now() + actualWaitTime;
@@ -2862,7 +3211,7 @@ async function handleTranscription(event) {
       
       // Schedule actions to execute after audio finishes playing
       if (aiResponse.shouldTransfer) {
-        const transferNumber = agentConfig.transferNumber || process.env.AGENT_TRANSFER_NUMBER;
+        const transferNumber = getTransferNumberForCall(callControlId);
         if (transferNumber) {
           // ⭐ CRITICAL FIX: Use the SAME DID number that was used to call the user originally
           // This number is already active in the call, so it should work for transfers
@@ -2976,7 +3325,7 @@ async function handleTranscription(event) {
               console.log(`   Using caller ID: ${transferDetails.fromNumber || 'auto'}`);
               
               try {
-                const result = await telnyxService.transferCall(
+                const result = await routeTransfer(
                   callControlId, 
                   transferDetails.transferNumber, 
                   transferDetails.fromNumber
@@ -3856,4 +4205,4 @@ router.pendingHangups = pendingHangups;
 router.transferCalls = transferCalls;
 
 module.exports = router;
-
+module.exports.processWebhookEvent = processWebhookEvent;
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Replay a call's stored Telnyx webhooks (webhook_events) through the handlers in
+ * routes/webhookRoutes.js against a mock Telnyx service - nothing is dialed, spoken or hung up
+ *
+ * Usage: node scripts/replayCallEvents.js <callControlId> [--as <replayId>] [--speed <n> | --no-delay] [--list]
+ *
+ *   --as        call_control_id used during the replay (default: replay-<timestamp>-<callControlId>)
+ *   --speed     replay faster than real time, e.g. --speed 4 (default 1)
+ *   --no-delay  feed events back to back
+ *   --list      only print the stored events
+ *
+ * ⚠️  Handlers still write to the configured database (under the replay ID) and
+ *    call.transcription events still call OpenAI
+ */
+
+require('dotenv').config();
+
+const MAX_GAP_MS = 30000; // long silences are shortened
+const SETTLE_MS = 3000;   // let timers started by the last event fire before exiting
+
+function parseArgs(argv) {
+  const options = { callControlId: null, replayId: null, speed: 1, delay: true, list: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--as') options.replayId = argv[++i];
+    else if (arg === '--speed') options.speed = parseFloat(argv[++i]) || 1;
+    else if (arg === '--no-delay') options.delay = false;
+    else if (arg === '--list') options.list = true;
+    else if (!options.callControlId) options.callControlId = arg;
+  }
+  return options;
+}
+
+// telnyxService helpers that don't call the API
+const LOCAL_TELNYX_METHODS = ['normalizePhoneNumber'];
+// Mock results for methods whose callers expect something other than a command response
+const TELNYX_MOCK_RESULTS = {
+  getPurchasedNumbers: [],
+  getAvailableNumbers: [],
+  getTransferNumber: null
+};
+
+const commandLog = [];
+const replayStart = Date.now();
+
+function record(service, method, args) {
+  commandLog.push({ atMs: Date.now() - replayStart, service, method, args });
+  console.log(`   🧪 mock ${service}.${method}(${args.map(a => JSON.stringify(a)).join(', ')})`);
+}
+
+/**
+ * Swap outbound Telnyx / TTS calls for recording mocks
+ * Must run before webhookRoutes is required so every handler sees the mocks
+ */
+function installMocks() {
+  const telnyxService = require('../services/telnyxService');
+  const bidirectionalTTS = require('../services/bidirectionalTTSService');
+
+  // Every method is mocked (except local helpers) so API calls added later can't reach Telnyx
+  const telnyxMethods = new Set([
+    ...Object.getOwnPropertyNames(Object.getPrototypeOf(telnyxService)),
+    ...Object.keys(telnyxService)
+  ]);
+  let mockLegs = 0;
+  for (const method of telnyxMethods) {
+    if (method === 'constructor' || LOCAL_TELNYX_METHODS.includes(method) || typeof telnyxService[method] !== 'function') {
+      continue;
+    }
+    telnyxService[method] = async (...args) => {
+      record('telnyx', method, args);
+      if (method in TELNYX_MOCK_RESULTS) {
+        return TELNYX_MOCK_RESULTS[method];
+      }
+      // New call legs (warm transfer agent) get an ID of their own
+      return { data: { result: 'ok' }, call_control_id: `mock-leg-${++mockLegs}` };
+    };
+  }
+
+  for (const method of ['speak', 'speakStreaming']) {
+    bidirectionalTTS[method] = async (callControlId, text) => {
+      record('tts', method, [callControlId, text]);
+      // Same rough estimate the webhook handlers fall back to
+      const actualDurationMs = Math.max(1000, String(text || '').length * 30);
+      return { actualDurationMs, actualDurationSeconds: actualDurationMs / 1000, bytesSent: 0 };
+    };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.callControlId) {
+    console.error('Usage: node scripts/replayCallEvents.js <callControlId> [--as <replayId>] [--speed <n> | --no-delay] [--list]');
+    process.exit(1);
+  }
+
+  const webhookEventModel = require('../models/webhookEventModel');
+  const events = await webhookEventModel.getByCall(options.callControlId);
+  if (events.length === 0) {
+    console.error(`❌ No stored webhook events for ${options.callControlId}`);
+    process.exit(1);
+  }
+
+  console.log(`📼 ${events.length} stored events for ${options.callControlId}\n`);
+  if (options.list) {
+    for (const event of events) {
+      console.log(`   ${new Date(event.received_at).toISOString()}  ${event.event_type}  [${event.processing_status}]`);
+    }
+    process.exit(0);
+  }
+
+  installMocks();
+  const { processWebhookEvent } = require('../routes/webhookRoutes');
+
+  const replayId = options.replayId || `replay-${Date.now()}-${options.callControlId}`;
+  console.log(`▶️  Replaying as ${replayId} (${options.delay ? `speed x${options.speed}` : 'no delay'})\n`);
+
+  const results = { processed: 0, unhandled: 0, failed: 0 };
+  let previousReceived = null;
+
+  for (const event of events) {
+    if (event.processing_status === 'duplicate') {
+      continue;
+    }
+
+    const received = new Date(event.received_at).getTime();
+    if (options.delay && previousReceived !== null) {
+      await sleep(Math.min(received - previousReceived, MAX_GAP_MS) / options.speed);
+    }
+    previousReceived = received;
+
+    // Point every reference to the original call at the replay call
+    const body = JSON.parse(JSON.stringify(event.payload).split(options.callControlId).join(replayId));
+    console.log(`📨 [+${Date.now() - replayStart}ms] ${event.event_type}`);
+    const result = await processWebhookEvent(body.data, null);
+    results[result.status] = (results[result.status] || 0) + 1;
+    if (result.error) {
+      console.log(`   ❌ ${result.error}`);
+    }
+  }
+
+  await sleep(SETTLE_MS);
+
+  console.log('\n📋 Mock command log:');
+  for (const entry of commandLog) {
+    console.log(`   +${entry.atMs}ms  ${entry.service}.${entry.method}  ${JSON.stringify(entry.args.slice(1))}`);
+  }
+  console.log(`\n✅ Replay finished: ${results.processed} processed, ${results.unhandled} unhandled, ${results.failed} failed`);
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Check Telnyx webhook signature verification with a locally generated ed25519 keypair
+ * (no Telnyx account or database needed)
+ *
+ * Usage: node scripts/testWebhookSignature.js
+ */
+
+const crypto = require('crypto');
+const webhookSecurity = require('../services/webhookSecurityService');
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  const ok = actual === expected;
+  if (!ok) failures++;
+  console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (expected ${expected}, got ${actual})`}`);
+}
+
+function sign(privateKey, timestamp, body) {
+  return crypto.sign(null, Buffer.from(`${timestamp}|${body}`), privateKey).toString('base64');
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('ed25519');
+
+// Same format as the Telnyx portal: base64 of the raw 32-byte key
+const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+const key = webhookSecurity.parsePublicKey(rawPublicKey);
+
+const body = JSON.stringify({
+  data: { id: crypto.randomUUID(), event_type: 'call.hangup', payload: { call_control_id: 'v3:test' } }
+});
+const now = Date.now();
+const timestamp = String(Math.floor(now / 1000));
+const signature = sign(privateKey, timestamp, body);
+
+console.log('🔍 Testing Telnyx webhook signature verification...\n');
+
+check('valid signature is accepted',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body), signature, timestamp, publicKey: key, now }).valid, true);
+
+check('tampered body is rejected',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body.replace('call.hangup', 'call.answered')), signature, timestamp, publicKey: key, now }).valid, false);
+
+check('signature from another key is rejected',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body), signature: sign(otherPrivateKey, timestamp, body), timestamp, publicKey: key, now }).valid, false);
+
+check('missing headers are rejected',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body), signature: null, timestamp, publicKey: key, now }).valid, false);
+
+const staleTimestamp = String(Math.floor(now / 1000) - webhookSecurity.toleranceSeconds - 60);
+check('stale timestamp is rejected (even with a valid signature)',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body), signature: sign(privateKey, staleTimestamp, body), timestamp: staleTimestamp, publicKey: key, now }).valid, false);
+
+check('changed timestamp header is rejected',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body), signature, timestamp: String(Number(timestamp) + 1), publicKey: key, now }).valid, false);
+
+check('PEM public key is accepted',
+  webhookSecurity.verifySignature({ rawBody: Buffer.from(body), signature, timestamp, publicKey: webhookSecurity.parsePublicKey(publicKey.export({ format: 'pem', type: 'spki' })), now }).valid, true);
+
+check('production requires signatures',
+  webhookSecurity.requiresSignature({ NODE_ENV: 'production' }), true);
+check('production can opt out with TELNYX_WEBHOOK_ALLOW_UNSIGNED',
+  webhookSecurity.requiresSignature({ NODE_ENV: 'production', TELNYX_WEBHOOK_ALLOW_UNSIGNED: 'true' }), false);
+check('development accepts unsigned webhooks',
+  webhookSecurity.requiresSignature({ NODE_ENV: 'development' }), false);
+
+const eventId = JSON.parse(body).data.id;
+check('first delivery of an event is claimed', webhookSecurity.claimEvent(eventId), true);
+check('redelivery while it is processed is ignored', webhookSecurity.claimEvent(eventId), false);
+webhookSecurity.releaseEvent(eventId);
+check('redelivery after processing ended can be claimed (processed events are deduped in webhook_events)', webhookSecurity.claimEvent(eventId), true);
+webhookSecurity.releaseEvent(eventId);
+
+console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -17,12 +17,23 @@ const didRoutes = require('./routes/didRoutes');
 const agentRoutes = require('./routes/agentRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const conversationRoutes = require('./routes/conversationRoutes');
+const campaignRoutes = require('./routes/campaignRoutes');
+const dncRoutes = require('./routes/dncRoutes');
+const scriptRoutes = require('./routes/scriptRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const costRoutes = require('./routes/costRoutes');
+const authRoutes = require('./routes/authRoutes');
+const { requireAuth, readOnlyForViewers } = require('./middleware/auth');
+const operatorModel = require('./models/operatorModel');
+const webhookEventModel = require('./models/webhookEventModel');
+const didHealth = require('./services/didHealthService');
+const transferRouting = require('./services/transferRoutingService');
 
 // Import services
 const { initializeWebSocketServer } = require('./services/websocketService');
 const { initializeMediaStreamServer } = require('./services/mediaStreamingService');
 const telnyxService = require('./services/telnyxService');
-const { didRotation } = require('./routes/didRoutes');
+const { loadDIDPools } = require('./routes/didRoutes');
 const { initializeDatabase } = require('./config/database');
 const costTracking = require('./services/costTrackingService');
 const { transferredCalls } = require('./routes/agentRoutes');
@@ -30,76 +41,6 @@ const { transferredCalls } = require('./routes/agentRoutes');
 const app = express();
 const server = http.createServer(app);
 
-// Auto-initialize DID rotation with all purchased numbers
-async function autoInitializeDIDRotation() {
-  try {
-    console.log('🔄 Auto-initializing DID rotation...');
-    const numbers = await telnyxService.getPurchasedNumbers();
-    
-    if (numbers.length === 0) {
-      console.log('⚠️  No purchased DIDs found. Please purchase phone numbers in Telnyx Portal.');
-      return;
-    }
-
-    const phoneNumbers = numbers.map(n => n.phone_number);
-    
-    // Import helper functions
-    const didRoutes = require('./routes/didRoutes');
-    
-    // Organize numbers by location
-    const { byState, byAreaCode } = didRoutes.organizeNumbersByLocation 
-      ? didRoutes.organizeNumbersByLocation(phoneNumbers)
-      : { byState: {}, byAreaCode: {} };
-    
-    // Update rotation
-    didRotation.enabled = true;
-    didRotation.strategy = 'area_code';
-    didRotation.numbersByState = byState;
-    didRotation.numbersByAreaCode = byAreaCode;
-    didRotation.allNumbers = phoneNumbers;
-    didRotation.currentIndex = 0;
-    
-    console.log(`✅ DID Rotation initialized: ${phoneNumbers.length} numbers across ${Object.keys(byState).length} states`);
-    console.log(`📍 States: ${Object.keys(byState).join(', ')}`);
-    console.log(`📞 DIDs: ${phoneNumbers.join(', ')}`);
-  } catch (error) {
-    console.error('❌ Error auto-initializing DID rotation:', error.message);
-  }
-}
-
-// Function to organize numbers by location (if not exported from didRoutes)
-function organizeNumbersByLocation(numbers) {
-  const byState = {};
-  const byAreaCode = {};
-  
-  const areaCodeToState = {
-    '212': 'NY', '646': 'NY', '718': 'NY', '917': 'NY', '347': 'NY',
-    '213': 'CA', '310': 'CA', '323': 'CA', '424': 'CA', '626': 'CA',
-    '305': 'FL', '786': 'FL', '954': 'FL', '561': 'FL',
-    '312': 'IL', '773': 'IL', '872': 'IL',
-    '214': 'TX', '469': 'TX', '972': 'TX', '682': 'TX', '817': 'TX',
-    '404': 'GA', '678': 'GA', '770': 'GA',
-    '843': 'SC', '864': 'SC',
-    '202': 'DC'
-  };
-  
-  numbers.forEach(number => {
-    const digits = number.replace(/\D/g, '');
-    if (digits.length >= 10) {
-      const areaCode = digits.substring(digits.length - 10, digits.length - 7);
-      const state = areaCodeToState[areaCode] || 'Unknown';
-      
-      if (!byState[state]) byState[state] = [];
-      byState[state].push(number);
-      
-      if (!byAreaCode[areaCode]) byAreaCode[areaCode] = [];
-      byAreaCode[areaCode].push(number);
-    }
-  });
-  
-  return { byState, byAreaCode };
-}
-
 // Middleware
 const allowedOrigins = process.env.CORS_ORIGIN 
   ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim())
@@ -118,7 +59,12 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body: Telnyx webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check
@@ -127,11 +73,19 @@ app.get('/health', (req, res) => {
 });
 
 // Routes
+// Login is public; every other /api route needs a session token (viewers are read-only)
+app.use('/api/auth', authRoutes);
+app.use('/api', requireAuth, readOnlyForViewers);
 app.use('/api/users', userRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/did', didRoutes);
 app.use('/api/agent', agentRoutes);
 app.use('/api/conversations', conversationRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/dnc', dncRoutes);
+app.use('/api/scripts', scriptRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/costs', costRoutes);
 app.use('/webhooks', webhookRoutes);
 
 // Initialize WebSocket Server
@@ -185,9 +139,11 @@ server.listen(PORT, HOST, async () => {
   // Initialize database
   try {
     await initializeDatabase();
+    await operatorModel.ensureDefaultAdmin();
     
     // Reload data from database now that tables exist
     console.log('🔄 Reloading data from database...');
+    await costTracking.loadRateCards();
     await costTracking.loadCosts();
     
     // Reload transferred calls
@@ -195,14 +151,47 @@ server.listen(PORT, HOST, async () => {
     if (agentRoutes.loadTransferredCalls) {
       await agentRoutes.loadTransferredCalls();
     }
+
+    // Load transfer destinations (agents tried in priority order with failover)
+    await transferRouting.load();
+
+    // Load DID pools (the main rotation is seeded with the purchased numbers on first boot)
+    // before resuming the queue, so resumed calls use the pools and rotation strategies
+    try {
+      await loadDIDPools();
+    } catch (error) {
+      console.error('❌ Error loading DID pools:', error.message);
+    }
+
+    // Score DIDs and rest spam-flagged / capped numbers before resuming the queue, so resumed calls skip rested DIDs
+    await didHealth.refresh();
+
+    // Reconcile calls left open by the restart and resume the durable call queue
+    if (agentRoutes.restoreCallQueue) {
+      await agentRoutes.restoreCallQueue();
+    }
+
+    // Prune the webhook event log once a day
+    const retentionDays = parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 30;
+    const pruneWebhookEvents = async () => {
+      const deleted = await webhookEventModel.deleteOlderThan(retentionDays);
+      if (deleted > 0) {
+        console.log(`🧹 Pruned ${deleted} webhook events older than ${retentionDays} days`);
+      }
+    };
+    await pruneWebhookEvents();
+    setInterval(pruneWebhookEvents, 24 * 60 * 60 * 1000).unref();
+
+    // Keep rescoring DIDs
+    const healthMinutes = parseInt(process.env.DID_HEALTH_REFRESH_MINUTES) || 15;
+    setInterval(() => didHealth.refresh().catch(error => {
+      console.error('❌ Error refreshing DID health:', error.message);
+    }), healthMinutes * 60 * 1000).unref();
   } catch (error) {
     console.error('❌ Failed to initialize database:', error.message);
     console.error('   Make sure PostgreSQL is running and credentials are correct');
   }
   
-  // Auto-initialize DID rotation
-  await autoInitializeDIDRotation();
-  
   // Register ElevenLabs API key with Telnyx if configured
   if (process.env.ELEVENLABS_API_KEY) {
     try {
@@ -0,0 +1,146 @@
+/**
+ * Area Code Service
+ * Looks up state, timezone and overlays for NANP area codes and finds the nearest region
+ * for DID matching when a lead's own area code / state has no caller ID
+ */
+
+const { regions, otherCountries } = require('../config/areaCodes');
+
+// Flat index: area code -> { areaCode, state, country, timezone, overlays }
+const AREA_CODES = {};
+
+for (const [state, region] of Object.entries(regions)) {
+  for (const group of region.areaCodes) {
+    const codes = group.split(' ');
+    for (const areaCode of codes) {
+      const entry = AREA_CODES[areaCode] || {
+        areaCode,
+        state,
+        country: region.country,
+        timezone: (region.timezones && region.timezones[areaCode]) || region.timezone,
+        overlays: []
+      };
+      entry.overlays = [...new Set([...entry.overlays, ...codes.filter(code => code !== areaCode)])];
+      AREA_CODES[areaCode] = entry;
+    }
+  }
+}
+
+for (const [areaCode, [country, timezone]] of Object.entries(otherCountries)) {
+  AREA_CODES[areaCode] = { areaCode, state: null, country, timezone, overlays: [] };
+}
+
+// Predominant IANA timezone per state / province
+const STATE_TIMEZONES = Object.fromEntries(
+  Object.entries(regions).map(([state, region]) => [state, region.timezone])
+);
+
+/**
+ * Great-circle distance in km
+ */
+function distanceKm(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+const standardOffsets = new Map();
+
+class AreaCodeService {
+  /**
+   * Area code of a NANP number in any format, or null
+   */
+  extractAreaCode(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (digits.length >= 10) {
+      return digits.substring(digits.length - 10, digits.length - 7);
+    }
+    return null;
+  }
+
+  /**
+   * Full entry for an area code, or null when it is not a known NANP code
+   */
+  lookup(areaCode) {
+    return AREA_CODES[areaCode] || null;
+  }
+
+  /**
+   * Two-letter state / province code for an area code, or null
+   */
+  getState(areaCode) {
+    return AREA_CODES[areaCode]?.state || null;
+  }
+
+  /**
+   * IANA timezone for an area code (area-code specific where a state spans zones), or null
+   */
+  getTimezone(areaCode) {
+    return AREA_CODES[areaCode]?.timezone || null;
+  }
+
+  /**
+   * Other area codes serving the same geography
+   */
+  getOverlays(areaCode) {
+    return AREA_CODES[areaCode]?.overlays || [];
+  }
+
+  /**
+   * Normalize a state input ("ny", " NY ") to a known region code, or null
+   */
+  normalizeState(state) {
+    const code = String(state || '').trim().toUpperCase();
+    return regions[code] ? code : null;
+  }
+
+  /**
+   * Predominant timezone of a state / province, or null
+   */
+  getStateTimezone(state) {
+    const code = this.normalizeState(state);
+    return code ? regions[code].timezone : null;
+  }
+
+  /**
+   * Timezone region of a timezone: its standard (January) UTC offset in minutes
+   * America/New_York and America/Detroit share a region, America/Phoenix is Mountain
+   */
+  getTimezoneRegion(timezone) {
+    if (!timezone) return null;
+    if (!standardOffsets.has(timezone)) {
+      const name = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+        .formatToParts(new Date(Date.UTC(2024, 0, 15)))
+        .find(part => part.type === 'timeZoneName').value; // e.g. "GMT-05:00"
+      const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+      standardOffsets.set(timezone, match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3])) : 0);
+    }
+    return standardOffsets.get(timezone);
+  }
+
+  /**
+   * Order candidate states by how well they stand in for the target state:
+   * same timezone region first, then distance between region centers
+   * Returns [{ state, distanceKm, sameTimezone }]
+   */
+  rankNearestStates(targetState, candidateStates) {
+    const target = regions[this.normalizeState(targetState)];
+    if (!target) return [];
+
+    const targetRegion = this.getTimezoneRegion(target.timezone);
+    return candidateStates
+      .filter(state => regions[state] && state !== this.normalizeState(targetState))
+      .map(state => ({
+        state,
+        distanceKm: Math.round(distanceKm(target, regions[state])),
+        sameTimezone: this.getTimezoneRegion(regions[state].timezone) === targetRegion
+      }))
+      .sort((a, b) => (b.sameTimezone - a.sameTimezone) || (a.distanceKm - b.distanceKm));
+  }
+}
+
+module.exports = new AreaCodeService();
+module.exports.AREA_CODES = AREA_CODES;
+module.exports.STATE_TIMEZONES = STATE_TIMEZONES;
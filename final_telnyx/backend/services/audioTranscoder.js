@@ -1,6 +1,6 @@
 /**
  * Audio Transcoder Service
- * Converts Telnyx µ-law @ 8kHz to PCM @ 16kHz for ElevenLabs Scribe
+ * Converts Telnyx µ-law @ 8kHz to PCM @ 16kHz for ElevenLabs Scribe, and PCM back to µ-law
  */
 
 // µ-law decode table (standard ITU-T G.711)
@@ -33,6 +33,33 @@ function ulawToPcm16(ulawBuffer) {
   return pcmBuffer;
 }
 
+/**
+ * Encode 16-bit PCM to µ-law (standard ITU-T G.711, as Telnyx expects)
+ * @param {Buffer} pcmBuffer - PCM 16-bit little-endian buffer
+ * @returns {Buffer} µ-law encoded audio (8-bit samples)
+ */
+function pcm16ToUlaw(pcmBuffer) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+  const ulawBuffer = Buffer.allocUnsafe(pcmBuffer.length / 2);
+
+  for (let i = 0; i < ulawBuffer.length; i++) {
+    let sample = pcmBuffer.readInt16LE(i * 2);
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    sample = Math.min(sample, CLIP) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0F;
+    ulawBuffer[i] = ~(sign | (exponent << 4) | mantissa) & 0xFF;
+  }
+
+  return ulawBuffer;
+}
+
 /**
  * Upsample PCM from 8kHz to 16kHz using linear interpolation
  * @param {Buffer} pcm8k - PCM @ 8kHz (16-bit samples)
@@ -80,6 +107,7 @@ function telnyxToScribe(ulawBuffer) {
 
 module.exports = {
   ulawToPcm16,
+  pcm16ToUlaw,
   upsample8to16,
   telnyxToScribe
 };
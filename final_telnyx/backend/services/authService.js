@@ -0,0 +1,121 @@
+/**
+ * Auth Service
+ * Password hashing (scrypt) and signed session tokens (JWT, HS256) using node's crypto
+ */
+
+const crypto = require('crypto');
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'supervisor', 'admin'];
+
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * base64url encode a buffer or string
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+class AuthService {
+  constructor() {
+    this.secret = process.env.AUTH_SECRET;
+    if (!this.secret) {
+      // Tokens signed with a random secret stop working when the server restarts
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️  AUTH_SECRET not set - using a random secret, sessions will not survive a restart');
+    }
+  }
+
+  /**
+   * Hash a password, returns "scrypt$<salt>$<hash>"
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Check a password against a stored hash (constant time)
+   */
+  verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Sign a session token for an operator
+   * Returns { token, expiresAt }
+   */
+  signToken(operator) {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.round(TOKEN_TTL_HOURS * 3600);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      sub: operator.id,
+      username: operator.username,
+      role: operator.role,
+      iat: now,
+      exp
+    }));
+    const signature = base64url(crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest());
+
+    return { token: `${header}.${payload}.${signature}`, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Verify a session token, returns its payload or throws
+   */
+  verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = base64url(crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest());
+    const valid = expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    if (!valid) {
+      throw new Error('Invalid token signature');
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+    } catch (error) {
+      throw new Error('Malformed token');
+    }
+    if (!claims.exp || claims.exp * 1000 < Date.now()) {
+      throw new Error('Token expired');
+    }
+    return claims;
+  }
+
+  /**
+   * Whether a role is at least the required role
+   */
+  hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+  }
+
+  /**
+   * Validate a password for new operators / password changes, returns an error message or null
+   */
+  validatePassword(password) {
+    if (!password || String(password).length < 8) {
+      return 'Password must be at least 8 characters';
+    }
+    return null;
+  }
+}
+
+module.exports = new AuthService();
+module.exports.ROLES = ROLES;
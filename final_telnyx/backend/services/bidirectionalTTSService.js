@@ -2,15 +2,15 @@
  * Bidirectional TTS Service
  * 
  * Handles the complete flow for sending AI responses back to the caller:
- * 1. Text → ElevenLabs TTS (streaming)
- * 2. MP3 → PCMU conversion (streaming)
- * 3. PCMU → Telnyx WebSocket (chunked for real-time playback)
+ * 1. Text → TTS provider of the call (ttsProviderService), as PCMU @ 8kHz
+ * 2. PCMU → Telnyx WebSocket (chunked for real-time playback)
+ * Providers that play on the call themselves (Telnyx speak) skip the WebSocket.
  * 
  * Optimized for lowest latency with streaming pipeline.
  */
 
-const elevenLabsTTS = require('./elevenLabsTTSService');
-const audioConverter = require('./audioFormatConverter');
+const ttsProviders = require('./ttsProviderService');
+const ttsCache = require('./ttsCacheService');
 const { streamAudioToCall } = require('./mediaStreamingService');
 const costTracking = require('./costTrackingService');
 
@@ -20,6 +20,49 @@ class BidirectionalTTSService {
     console.log('✅ Bidirectional TTS Service initialized');
   }
 
+  /**
+   * TTS provider and voice for a call: settings ({ provider, voice }), else the call's campaign/script, else the default
+   */
+  resolveProvider(callControlId, settings = null) {
+    let callSettings = null;
+    try {
+      // Dynamically require to avoid circular dependency
+      const { getTtsSettingsForCall } = require('../routes/agentRoutes');
+      callSettings = getTtsSettingsForCall(callControlId);
+    } catch (e) {
+      console.warn(`⚠️  Could not get TTS settings for ${callControlId}: ${e.message}`);
+    }
+    return ttsProviders.resolve(settings, callSettings);
+  }
+
+  /**
+   * Speak with a provider that plays on the call itself (no audio over the media stream)
+   */
+  async speakOnCall(callControlId, text, tts) {
+    const request = this.activeSpeechRequests.get(callControlId);
+    request.status = 'speaking';
+    console.log(`   Speaking on call via ${tts.name}${tts.voice ? ` (voice: ${tts.voice})` : ''}...`);
+
+    const { durationSeconds } = await tts.provider.speakOnCall(callControlId, text, { voice: tts.voice });
+    const audioStartedAt = Date.now();
+    console.log(`✅ ${tts.name} TTS started for ${callControlId} (~${durationSeconds.toFixed(2)}s)`);
+
+    this.activeSpeechRequests.delete(callControlId);
+    return {
+      actualDurationMs: durationSeconds * 1000,
+      actualDurationSeconds: durationSeconds,
+      bytesSent: 0,
+      audioStartedAt
+    };
+  }
+
+  /**
+   * Whether a speech request is still the active one for the call (not cancelled or replaced)
+   */
+  isCurrentRequest(callControlId, requestId) {
+    return this.activeSpeechRequests.get(callControlId)?.requestId === requestId;
+  }
+
   /**
    * Speak text to caller using bidirectional streaming
    * OPTIMIZED FOR LOW LATENCY with streaming pipeline
@@ -27,10 +70,13 @@ class BidirectionalTTSService {
    * @param {string} callControlId - Call control ID
    * @param {string} text - Text to speak
    * @param {object} options - TTS options
-   * @returns {Promise<{actualDurationMs: number, actualDurationSeconds: number, bytesSent: number}>}
+   * @param {object} options.tts - { provider, voice } instead of the call's settings
+   * @param {boolean} options.cache - Fixed line: use the TTS cache (played from disk and billed as zero TTS seconds when cached)
+   * @returns {Promise<{actualDurationMs: number, actualDurationSeconds: number, bytesSent: number, audioStartedAt: number}>}
    */
   async speak(callControlId, text, options = {}) {
     const requestId = `${callControlId}_${Date.now()}`;
+    const { tts: ttsSettings, cache = false, ...ttsOptions } = options;
     
     // 🔧 RACE CONDITION FIX: Check if call is still active before starting TTS
     let isCallActive = true;
@@ -63,48 +109,21 @@ class BidirectionalTTSService {
       return null; // Skip this request - return null to indicate no new TTS was started
     }
     
+    const tts = this.resolveProvider(callControlId, ttsSettings);
+    
     try {
       this.activeSpeechRequests.set(callControlId, {
         requestId,
         text,
+        provider: tts.name,
         startTime: Date.now(),
         status: 'starting'
       });
       
-      // STEP 1: Get TTS audio stream from ElevenLabs (streaming starts immediately)
-      console.log(`   [1/3] Requesting TTS from ElevenLabs...`);
-      const mp3Stream = await elevenLabsTTS.textToSpeechStream(text, {
-        model: 'eleven_turbo_v2',           // Fastest model
-        optimize_streaming_latency: 4,      // Maximum latency optimization
-        ...options
-      });
-      
-      // 🔧 RACE CONDITION FIX: Check if call is still active after async ElevenLabs call
-      const requestAfterTTS = this.activeSpeechRequests.get(callControlId);
-      if (!requestAfterTTS) {
-        console.warn(`⚠️  TTS request was cancelled for ${callControlId} during ElevenLabs call - aborting`);
-        return null; // Request was cancelled, abort silently
-      }
-      
-      // Check call state again after async operation
-      try {
-        const webhookRoutes = require('../routes/webhookRoutes');
-        if (typeof webhookRoutes.checkCallActive === 'function') {
-          if (!webhookRoutes.checkCallActive(callControlId)) {
-            console.warn(`⚠️  Call ${callControlId} ended during TTS processing - aborting before audio conversion`);
-            this.activeSpeechRequests.delete(callControlId);
-            return null;
-          }
-        }
-      } catch (e) {
-        // Continue if checkCallActive doesn't exist
+      if (tts.provider.playsOnCall) {
+        return await this.speakOnCall(callControlId, text, tts);
       }
       
-      requestAfterTTS.status = 'converting';
-      
-      // STEP 2: Convert MP3 stream to PCMU (µ-law) @ 8kHz in real-time
-      console.log(`   [2/3] Converting MP3 → PCMU (streaming)...`);
-      
       // Estimate audio duration from text length (more reliable than byte calculation)
       // Average speaking rate: ~150 words/min = ~2.5 words/sec
       // Average word length: ~5 characters, so ~12.5 chars/sec = ~0.08 sec/char
@@ -112,13 +131,37 @@ class BidirectionalTTSService {
       const estimatedSeconds = text.length * 0.08; // Rough estimate: 0.08 seconds per character
       console.log(`   📊 Estimated audio duration: ${estimatedSeconds.toFixed(2)} seconds (${text.length} chars × 0.08 sec/char)`);
       
-      // Convert MP3 to PCMU
-      const pcmuBuffer = await audioConverter.convertToPCMU(mp3Stream, { streaming: false });
+      // STEP 1: Get PCMU (µ-law) @ 8kHz audio - from the TTS cache for fixed lines rendered before, else the TTS provider
+      const cacheKey = cache ? ttsCache.keyFor(tts, text, ttsOptions.model) : null;
+      const cachedAudio = cacheKey
+        ? await ttsCache.get(cacheKey).catch(error => {
+          console.warn(`⚠️  TTS cache read failed: ${error.message}`);
+          return null;
+        })
+        : null;
       
-      // 🔧 RACE CONDITION FIX: Check call state again after conversion
+      let pcmuBuffer;
+      if (cachedAudio) {
+        console.log(`   [1/2] TTS cache hit (${tts.name}) - skipping live TTS`);
+        pcmuBuffer = cachedAudio;
+      } else {
+        console.log(`   [1/2] Requesting TTS from ${tts.name}${tts.voice ? ` (voice: ${tts.voice})` : ''}...`);
+        const chunks = [];
+        for await (const chunk of tts.provider.stream(text, { ...ttsOptions, voice: tts.voice, callControlId })) {
+          // 🔧 RACE CONDITION FIX: Stop reading once the request was cancelled
+          if (!this.isCurrentRequest(callControlId, requestId)) {
+            break;
+          }
+          this.activeSpeechRequests.get(callControlId).status = 'converting';
+          chunks.push(chunk);
+        }
+        pcmuBuffer = Buffer.concat(chunks);
+      }
+      
+      // 🔧 RACE CONDITION FIX: Check call state again after TTS
       const request = this.activeSpeechRequests.get(callControlId);
-      if (!request) {
-        console.warn(`⚠️  TTS request was cancelled for ${callControlId} during audio conversion - aborting`);
+      if (!request || request.requestId !== requestId) {
+        console.warn(`⚠️  TTS request was cancelled for ${callControlId} during ${tts.name} TTS - aborting`);
         return null; // Request was cancelled, abort silently
       }
       
@@ -138,8 +181,9 @@ class BidirectionalTTSService {
       
       request.status = 'streaming';
       
-      // STEP 3: Stream PCMU audio to Telnyx in 20ms chunks (160 bytes @ 8kHz)
-      console.log(`   [3/3] Streaming PCMU to Telnyx (${pcmuBuffer.length} bytes)...`);
+      // STEP 2: Stream PCMU audio to Telnyx in 20ms chunks (160 bytes @ 8kHz)
+      console.log(`   [2/2] Streaming PCMU to Telnyx (${pcmuBuffer.length} bytes)...`);
+      const audioStartedAt = Date.now();
       const bytesSent = await streamAudioToCall(callControlId, pcmuBuffer, 160);
       
       // ⭐ FIX: Calculate ACTUAL audio duration from PCMU buffer size
@@ -157,19 +201,35 @@ class BidirectionalTTSService {
       console.log(`   📊 ACTUAL audio duration: ${actualDurationSeconds.toFixed(2)}s (calculated from ${pcmuBuffer.length} bytes @ 8kHz)`);
       console.log(`   📊 Previous estimate: ${estimatedSeconds.toFixed(2)}s (text-based)`);
       
-      // Track TTS cost using ACTUAL duration (more accurate billing)
-      costTracking.trackElevenLabsTTS(callControlId, actualDurationSeconds);
+      // Track TTS cost using ACTUAL duration (more accurate billing, only ElevenLabs is priced)
+      // Cached audio was paid for when it was rendered, so it's billed as zero seconds
+      if (tts.name === 'elevenlabs') {
+        costTracking.trackElevenLabsTTS(callControlId, cachedAudio ? 0 : actualDurationSeconds);
+      }
       
       this.activeSpeechRequests.delete(callControlId);
       
+      // Keep newly rendered fixed lines for the next call
+      if (cacheKey && !cachedAudio) {
+        ttsCache.put(cacheKey, pcmuBuffer)
+          .catch(error => console.warn(`⚠️  TTS cache write failed: ${error.message}`));
+      }
+      
       // ⭐ NEW: Return actual duration so webhookRoutes can use it
       return {
         actualDurationMs,
         actualDurationSeconds,
-        bytesSent
+        bytesSent,
+        audioStartedAt
       };
       
     } catch (error) {
+      // Cancelling aborts the provider's request, which surfaces here
+      if (!this.isCurrentRequest(callControlId, requestId)) {
+        console.warn(`⚠️  TTS request was cancelled for ${callControlId} - aborting`);
+        return null;
+      }
+      
       console.error(`❌ Bidirectional TTS error for ${callControlId}:`, error);
       
       const request = this.activeSpeechRequests.get(callControlId);
@@ -193,31 +253,37 @@ class BidirectionalTTSService {
    */
   async speakStreaming(callControlId, text, options = {}) {
     const requestId = `${callControlId}_${Date.now()}`;
+    const { tts: ttsSettings, ...ttsOptions } = options;
     
     console.log(`⚡ ULTRA LOW LATENCY TTS: Speaking to ${callControlId}`);
     console.log(`   Text: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
     
+    const tts = this.resolveProvider(callControlId, ttsSettings);
+    
     try {
       this.activeSpeechRequests.set(callControlId, {
         requestId,
         text,
+        provider: tts.name,
         startTime: Date.now(),
         status: 'streaming'
       });
       
-      // STEP 1: Get TTS audio stream from ElevenLabs
-      const mp3Stream = await elevenLabsTTS.textToSpeechStream(text, {
-        model: 'eleven_turbo_v2',
-        optimize_streaming_latency: 4,
-        ...options
-      });
+      if (tts.provider.playsOnCall) {
+        await this.speakOnCall(callControlId, text, tts);
+        return;
+      }
       
-      // STEP 2 & 3: Convert and stream chunks in real-time (LOWEST LATENCY)
+      // Stream chunks in real-time as the provider produces them (LOWEST LATENCY)
       let totalBytes = 0;
       let chunkCount = 0;
       
-      // Use chunked conversion generator for streaming
-      for await (const pcmuChunk of audioConverter.convertToPCMUChunked(mp3Stream, 160)) {
+      for await (const pcmuChunk of tts.provider.stream(text, { ...ttsOptions, voice: tts.voice, callControlId })) {
+        if (!this.isCurrentRequest(callControlId, requestId)) {
+          console.warn(`⚠️  TTS request was cancelled for ${callControlId} - stopping stream`);
+          return;
+        }
+        
         // Send chunk immediately as it's converted
         const { sendAudioToCall } = require('./mediaStreamingService');
         sendAudioToCall(callControlId, pcmuChunk);
@@ -243,12 +309,18 @@ class BidirectionalTTSService {
       console.log(`   Total bytes: ${totalBytes}`);
       console.log(`   Estimated audio duration: ${estimatedSeconds.toFixed(2)}s from ${text.length} chars`);
       
-      // Track TTS cost using text-based estimated duration (billed per second)
-      costTracking.trackElevenLabsTTS(callControlId, estimatedSeconds);
+      // Track TTS cost using text-based estimated duration (billed per second, only ElevenLabs is priced)
+      if (tts.name === 'elevenlabs') {
+        costTracking.trackElevenLabsTTS(callControlId, estimatedSeconds);
+      }
       
       this.activeSpeechRequests.delete(callControlId);
       
     } catch (error) {
+      if (!this.isCurrentRequest(callControlId, requestId)) {
+        console.warn(`⚠️  TTS request was cancelled for ${callControlId} - aborting`);
+        return;
+      }
       console.error(`❌ Ultra low latency TTS error for ${callControlId}:`, error);
       this.activeSpeechRequests.delete(callControlId);
       throw error;
@@ -265,6 +337,9 @@ class BidirectionalTTSService {
     if (request) {
       console.log(`🛑 Cancelling TTS for ${callControlId} (was at stage: ${request.status})`);
       this.activeSpeechRequests.delete(callControlId);
+      // Stop the provider's work in flight (request to the TTS API, or speech playing on the call)
+      Promise.resolve(ttsProviders.get(request.provider).cancel(callControlId))
+        .catch(error => console.error(`❌ Error cancelling ${request.provider} TTS for ${callControlId}:`, error.message));
     }
   }
 
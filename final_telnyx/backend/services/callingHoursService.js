@@ -0,0 +1,96 @@
+/**
+ * Calling Hours Service
+ * Decides whether a lead may be dialed right now based on the lead's local time
+ */
+
+const areaCodes = require('./areaCodeService');
+
+// Predominant IANA timezone per state / province (from the NANP area code table)
+const { STATE_TIMEZONES } = areaCodes;
+
+// When a lead's timezone is unknown, the window must be open on both coasts
+const FALLBACK_TIMEZONES = ['America/New_York', 'America/Los_Angeles'];
+
+class CallingHoursService {
+  /**
+   * Get IANA timezone for a two-letter state code
+   */
+  getTimezoneForState(state) {
+    if (!state) return null;
+    return STATE_TIMEZONES[String(state).trim().toUpperCase()] || null;
+  }
+
+  /**
+   * Get local hour/minute and a display string for a timezone
+   */
+  getLocalTime(timezone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+
+    const hour = parseInt(parts.find(p => p.type === 'hour').value);
+    const minute = parseInt(parts.find(p => p.type === 'minute').value);
+    return {
+      hour,
+      minute,
+      display: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+    };
+  }
+
+  /**
+   * Check if a local time falls inside [startHour, endHour)
+   */
+  isHourInWindow(localTime, window) {
+    const minutes = localTime.hour * 60 + localTime.minute;
+    return minutes >= window.startHour * 60 && minutes < window.endHour * 60;
+  }
+
+  /**
+   * Minutes until the window next opens for a local time (0 if open now)
+   */
+  minutesUntilWindow(localTime, window) {
+    const minutes = localTime.hour * 60 + localTime.minute;
+    const start = window.startHour * 60;
+    if (this.isHourInWindow(localTime, window)) return 0;
+    return minutes < start ? start - minutes : (24 * 60 - minutes) + start;
+  }
+
+  /**
+   * Check whether a lead in the given state may be called now
+   * window: { enabled, startHour, endHour }
+   * timezone: the lead's own timezone when known (e.g. from its area code), else the state's
+   */
+  checkWindow(state, window, now = new Date(), timezone = this.getTimezoneForState(state)) {
+    if (!window || window.enabled === false) {
+      return { allowed: true, state, timezone: null };
+    }
+
+    const timezones = timezone ? [timezone] : FALLBACK_TIMEZONES;
+
+    let allowed = true;
+    let waitMinutes = 0;
+    let localTime = null;
+    for (const tz of timezones) {
+      const tzLocal = this.getLocalTime(tz, now);
+      if (!localTime) localTime = tzLocal;
+      if (!this.isHourInWindow(tzLocal, window)) {
+        allowed = false;
+        waitMinutes = Math.max(waitMinutes, this.minutesUntilWindow(tzLocal, window));
+      }
+    }
+
+    return {
+      allowed,
+      state: state || 'Unknown',
+      timezone: timezone || 'unknown',
+      localTime: localTime.display,
+      nextWindowAt: allowed ? null : new Date(now.getTime() + waitMinutes * 60000).toISOString()
+    };
+  }
+}
+
+module.exports = new CallingHoursService();
+module.exports.STATE_TIMEZONES = STATE_TIMEZONES;
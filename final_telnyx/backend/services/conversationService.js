@@ -14,8 +14,9 @@ class ConversationService {
 
   /**
    * Initialize conversation for a new call
+   * fromNumber is our DID and toNumber the lead, direction says who dialed ('outbound' | 'inbound')
    */
-  initializeConversation(callControlId, fromNumber, toNumber) {
+  initializeConversation(callControlId, fromNumber, toNumber, direction = 'outbound') {
     // ⚠️ FIX: Prevent duplicate initialization - check if conversation already exists
     if (this.activeConversations.has(callControlId)) {
       console.log(`⚠️  Conversation already initialized for ${callControlId} - skipping duplicate initialization`);
@@ -26,12 +27,14 @@ class ConversationService {
       callControlId,
       fromNumber,
       toNumber,
+      direction,
       startTime: Date.now(),
       endTime: null,
       duration: 0,
       cost: 0,
       model: 'gpt-4o-mini',
       messages: [],  // Array of {speaker: 'AI'|'Lead', text: '', timestamp: }
+      latency: [],   // Array of per-turn latency (see addTurnLatency)
       status: 'active'
     });
     console.log(`💬 Conversation initialized: ${callControlId}`);
@@ -57,6 +60,24 @@ class ConversationService {
     console.log(`💬 Message added [${speaker}]: "${preview}"`);
   }
 
+  /**
+   * Record the latency of an AI turn
+   * metrics: { model, streamed, firstTokenMs, firstAudioMs, fullResponseMs } - ms from the lead's transcript
+   */
+  addTurnLatency(callControlId, metrics) {
+    const conversation = this.activeConversations.get(callControlId);
+    if (!conversation) return;
+
+    if (metrics.model) {
+      conversation.model = metrics.model; // The model that answered (the script's, or the fallback)
+    }
+    conversation.latency.push({
+      turn: conversation.latency.length + 1,
+      ...metrics,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Finalize conversation when call ends - saves to PostgreSQL
    */
@@ -414,9 +435,9 @@ class ConversationService {
       await query(
         `INSERT INTO conversations (
           call_control_id, from_number, to_number, start_time, end_time,
-          duration, cost, model, messages, status, cost_breakdown, hangup_cause,
+          duration, cost, model, messages, status, cost_breakdown, hangup_cause, direction, latency,
           created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
         ON CONFLICT (call_control_id) 
         DO UPDATE SET
           end_time = $5,
@@ -426,6 +447,7 @@ class ConversationService {
           status = $10,
           cost_breakdown = $11,
           hangup_cause = $12,
+          latency = $14,
           updated_at = NOW()`,
         [
           conversation.callControlId,
@@ -439,7 +461,9 @@ class ConversationService {
           JSON.stringify(conversation.messages),
           conversation.status,
           JSON.stringify(conversation.costBreakdown),
-          conversation.hangupCause || null
+          conversation.hangupCause || null,
+          conversation.direction || 'outbound',
+          JSON.stringify(conversation.latency || [])
         ]
       );
 
@@ -535,7 +559,7 @@ class ConversationService {
           c.id, c.call_control_id as "callControlId", c.from_number as "fromNumber", 
           c.to_number as "toNumber", c.start_time as "startTime", c.end_time as "endTime",
           c.duration, c.cost, c.model, c.messages, c.status, c.cost_breakdown as "costBreakdown",
-          c.hangup_cause as "hangupCause", c.created_at as "createdAt"
+          c.hangup_cause as "hangupCause", c.direction, c.created_at as "createdAt"
         FROM conversations c
         ${whereClause}
         ORDER BY c.start_time DESC
@@ -589,7 +613,7 @@ class ConversationService {
           id, call_control_id as "callControlId", from_number as "fromNumber", 
           to_number as "toNumber", start_time as "startTime", end_time as "endTime",
           duration, cost, model, messages, status, cost_breakdown as "costBreakdown",
-          hangup_cause as "hangupCause", created_at as "createdAt"
+          hangup_cause as "hangupCause", direction, latency, created_at as "createdAt"
         FROM conversations 
         WHERE call_control_id = $1`,
         [callControlId]
@@ -605,7 +629,8 @@ class ConversationService {
         startTime: row.startTime ? parseInt(row.startTime, 10) : null,
         endTime: row.endTime ? parseInt(row.endTime, 10) : null,
         messages: row.messages || [],
-        costBreakdown: row.costBreakdown || {}
+        costBreakdown: row.costBreakdown || {},
+        latency: row.latency || []
       };
     } catch (error) {
       console.error('❌ Error fetching conversation from database:', error.message);
@@ -2,39 +2,87 @@
  * Cost Tracking Service
  * Calculates and tracks costs for Telnyx and OpenAI services
  * Now uses PostgreSQL for persistent storage
+ * Prices come from the rate card in effect when the call started (see config/pricing.js)
  */
 
 const { query } = require('../config/database');
+const rateCardModel = require('../models/rateCardModel');
+const { DEFAULT_PRICING } = require('../config/pricing');
+
+// Report groupings: SQL expression over the report's calls CTE
+const REPORT_GROUPS = {
+  day: "date_trunc('day', created_at)",
+  hour: "date_trunc('hour', created_at)",
+  campaign: 'campaign_id',
+  did: 'did',
+  outcome: 'outcome'
+};
+
+// Cost sums and call counts shared by the report rows and totals
+const REPORT_AGGREGATES = `
+  COUNT(*) AS calls,
+  COUNT(*) FILTER (WHERE connected) AS connected,
+  COUNT(*) FILTER (WHERE qualified) AS qualified,
+  COUNT(*) FILTER (WHERE transferred) AS transfers,
+  COALESCE(SUM(duration_seconds), 0) AS duration_seconds,
+  COALESCE(SUM(total_cost), 0) AS total_cost,
+  COALESCE(SUM(telnyx_total), 0) AS telnyx_cost,
+  COALESCE(SUM(elevenlabs_total), 0) AS elevenlabs_cost,
+  COALESCE(SUM(deepgram_stt_cost), 0) AS deepgram_cost,
+  COALESCE(SUM(openai_cost), 0) AS openai_cost
+`;
+
+/**
+ * Round a dollar amount for reports (null stays null)
+ */
+function roundCost(value) {
+  return value === null ? null : Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Shape a report aggregate row: counts, costs and cost per call / minute / qualified lead / transfer
+ */
+function formatReportRow(row) {
+  const calls = parseInt(row.calls) || 0;
+  const qualified = parseInt(row.qualified) || 0;
+  const transfers = parseInt(row.transfers) || 0;
+  const minutes = (parseInt(row.duration_seconds) || 0) / 60;
+  const totalCost = parseFloat(row.total_cost) || 0;
+  return {
+    calls,
+    connected: parseInt(row.connected) || 0,
+    qualified,
+    transfers,
+    minutes: Math.round(minutes * 100) / 100,
+    totalCost: roundCost(totalCost),
+    telnyxCost: roundCost(parseFloat(row.telnyx_cost) || 0),
+    elevenlabsCost: roundCost(parseFloat(row.elevenlabs_cost) || 0),
+    deepgramCost: roundCost(parseFloat(row.deepgram_cost) || 0),
+    openaiCost: roundCost(parseFloat(row.openai_cost) || 0),
+    costPerCall: roundCost(calls > 0 ? totalCost / calls : null),
+    costPerMinute: roundCost(minutes > 0 ? totalCost / minutes : null),
+    costPerQualifiedLead: roundCost(qualified > 0 ? totalCost / qualified : null),
+    costPerTransfer: roundCost(transfers > 0 ? totalCost / transfers : null)
+  };
+}
+
+/**
+ * Deep-merge rate changes over a full set of prices
+ */
+function mergePricing(base, changes = {}) {
+  const merged = {};
+  for (const section of new Set([...Object.keys(base), ...Object.keys(changes)])) {
+    merged[section] = { ...(base[section] || {}), ...(changes[section] || {}) };
+  }
+  return merged;
+}
 
 class CostTrackingService {
   constructor() {
-    // Pricing (as of Dec 2024 - verified against official pricing)
-    this.pricing = {
-      telnyx: {
-        outboundCallPerMinute: 0.002,        // $0.002 per minute (Telnyx Voice API)
-        streamingPerMinute: 0.0035,          // $0.0035 per minute (Telnyx Bidirectional Streaming)
-        transferCost: 0.10                   // $0.10 per invocation (flat fee, not per minute)
-        // Note: Using ElevenLabs Scribe v2 for STT and ElevenLabs Turbo v2 for TTS via Telnyx bidirectional streaming
-      },
-      elevenlabs: {                          // NEW SECTION
-        ttsPerSecond: 0.001,                 // $0.001 per second (Turbo v2 Flash) = $0.06 per minute
-        sttPerHour: 0.39                     // $0.39 per hour (Scribe v2 Realtime) = $0.0065 per minute
-      },
-      openai: {
-        'gpt-4o-mini': {
-          inputPer1M: 0.15,               // $0.15 per 1M input tokens
-          outputPer1M: 0.60               // $0.60 per 1M output tokens
-        },
-        'gpt-4-turbo-preview': {
-          inputPer1M: 10.00,              // $10 per 1M input tokens
-          outputPer1M: 30.00              // $30 per 1M output tokens
-        },
-        'gpt-4': {
-          inputPer1M: 30.00,
-          outputPer1M: 60.00
-        }
-      }
-    };
+    // Rate cards from the rate_cards table, oldest effective date first
+    // Until they are loaded (or when the table is unreachable) the built-in prices apply
+    this.rateCards = [];
+    this.warnedModels = new Set();
 
     // Track costs per call (in-memory cache for active calls)
     this.callCosts = new Map(); // callControlId -> { telnyx, openai, total, breakdown }
@@ -43,6 +91,75 @@ class CostTrackingService {
     this.loadCosts();
   }
 
+  /**
+   * Prices of the rate card in effect now
+   */
+  get pricing() {
+    return this.getRateCard().pricing;
+  }
+
+  /**
+   * Load rate cards, seeding the built-in prices as the first card when there are none
+   */
+  async loadRateCards() {
+    let cards = await rateCardModel.getAll();
+    if (cards.length === 0) {
+      try {
+        await rateCardModel.create({ effectiveFrom: new Date(0), pricing: DEFAULT_PRICING, notes: 'Built-in list prices' });
+        cards = await rateCardModel.getAll();
+      } catch (error) {
+        console.warn('⚠️  Could not seed the default rate card:', error.message);
+      }
+    }
+
+    this.rateCards = cards.map(card => ({
+      version: card.version,
+      effectiveFrom: new Date(card.effective_from),
+      pricing: mergePricing(DEFAULT_PRICING, card.pricing),
+      notes: card.notes,
+      createdBy: card.created_by
+    }));
+    const current = this.getRateCard();
+    console.log(`💲 Loaded ${this.rateCards.length} rate card(s), version ${current.version ?? 'built-in'} in effect`);
+    return this.rateCards;
+  }
+
+  /**
+   * Rate card in effect at a time (ms or Date) - the built-in prices (version null) when none is
+   */
+  getRateCard(at = Date.now()) {
+    const time = new Date(at || Date.now()).getTime();
+    let card = null;
+    for (const candidate of this.rateCards) {
+      if (candidate.effectiveFrom.getTime() <= time) {
+        card = candidate;
+      }
+    }
+    return card || { version: null, effectiveFrom: null, pricing: DEFAULT_PRICING };
+  }
+
+  /**
+   * Full prices for a new rate card: the changes merged over the card in effect at effectiveFrom
+   */
+  buildPricing(changes, effectiveFrom = Date.now()) {
+    return mergePricing(this.getRateCard(effectiveFrom).pricing, changes);
+  }
+
+  /**
+   * Price OpenAI tokens, models without their own price use the card's default price
+   */
+  priceOpenAI(pricing, model, inputTokens, outputTokens) {
+    let modelPricing = pricing.openai[model];
+    if (!modelPricing) {
+      modelPricing = pricing.openai.default || DEFAULT_PRICING.openai.default;
+      if (!this.warnedModels.has(model)) {
+        this.warnedModels.add(model);
+        console.warn(`⚠️  No rate for OpenAI model ${model} - using the default rate ($${modelPricing.inputPer1M}/$${modelPricing.outputPer1M} per 1M tokens)`);
+      }
+    }
+    return (inputTokens / 1000000) * modelPricing.inputPer1M + (outputTokens / 1000000) * modelPricing.outputPer1M;
+  }
+
   /**
    * Load costs from PostgreSQL database
    */
@@ -81,6 +198,10 @@ class CostTrackingService {
             sttCost: parseFloat(row.elevenlabs_stt_cost) || 0,
             total: parseFloat(row.elevenlabs_total) || 0
           },
+          deepgram: {
+            sttMinutes: parseFloat(row.deepgram_stt_minutes) || 0,
+            sttCost: parseFloat(row.deepgram_stt_cost) || 0
+          },
           openai: {
             model: row.openai_model || 'gpt-4o-mini',
             inputTokens: row.openai_input_tokens || 0,
@@ -89,6 +210,7 @@ class CostTrackingService {
             cost: parseFloat(row.openai_cost) || 0
           },
           totalCost: parseFloat(row.total_cost) || 0,
+          rateCardVersion: row.rate_card_version ?? null,
           breakdown: row.breakdown || []
         });
       }
@@ -143,6 +265,10 @@ class CostTrackingService {
         sttCost: 0,
         total: 0
       },
+      deepgram: {
+        sttMinutes: 0,
+        sttCost: 0
+      },
       openai: {
         model: 'gpt-4o-mini',
         inputTokens: 0,
@@ -165,13 +291,9 @@ class CostTrackingService {
       return;
     }
 
-    // Get pricing for model
-    const modelPricing = this.pricing.openai[model] || this.pricing.openai['gpt-4o-mini'];
-    
-    // Calculate cost
-    const inputCost = (inputTokens / 1000000) * modelPricing.inputPer1M;
-    const outputCost = (outputTokens / 1000000) * modelPricing.outputPer1M;
-    const totalCost = inputCost + outputCost;
+    // Calculate cost with the rate card in effect when the call started
+    const { pricing } = this.getRateCard(callCost.initiatedTime);
+    const totalCost = this.priceOpenAI(pricing, model, inputTokens, outputTokens);
 
     // Update tracking
     callCost.openai.model = model;
@@ -269,7 +391,8 @@ class CostTrackingService {
     callCost.elevenlabs.ttsMinutesActual += durationSeconds / 60; // For backward compatibility
     
     // Calculate cost per second (no rounding - billed exactly per second)
-    const cost = durationSeconds * this.pricing.elevenlabs.ttsPerSecond;
+    const { pricing } = this.getRateCard(callCost.initiatedTime);
+    const cost = durationSeconds * pricing.elevenlabs.ttsPerSecond;
     
     // Track individual call for breakdown
     callCost.elevenlabs.ttsSeconds += durationSeconds;
@@ -285,7 +408,7 @@ class CostTrackingService {
       timestamp: Date.now()
     });
 
-    console.log(`💰 ElevenLabs TTS cost: $${cost.toFixed(6)} (${durationSeconds.toFixed(2)}s @ $${this.pricing.elevenlabs.ttsPerSecond}/sec)`);
+    console.log(`💰 ElevenLabs TTS cost: $${cost.toFixed(6)} (${durationSeconds.toFixed(2)}s @ $${pricing.elevenlabs.ttsPerSecond}/sec)`);
   }
 
   /**
@@ -300,7 +423,8 @@ class CostTrackingService {
     // Convert minutes to hours and round up for billing
     const durationHours = durationMinutes / 60;
     const billableHours = Math.ceil(durationHours * 100) / 100; // Round up to nearest 0.01 hour (36 seconds)
-    const cost = billableHours * this.pricing.elevenlabs.sttPerHour;
+    const { pricing } = this.getRateCard(callCost.initiatedTime);
+    const cost = billableHours * pricing.elevenlabs.sttPerHour;
     
     // Initialize elevenlabs object if it doesn't exist
     if (!callCost.elevenlabs) {
@@ -325,7 +449,36 @@ class CostTrackingService {
       timestamp: Date.now()
     });
 
-    console.log(`💰 ElevenLabs STT cost: $${cost.toFixed(6)} (${billableHours.toFixed(2)} hours @ $${this.pricing.elevenlabs.sttPerHour}/hour)`);
+    console.log(`💰 ElevenLabs STT cost: $${cost.toFixed(6)} (${billableHours.toFixed(2)} hours @ $${pricing.elevenlabs.sttPerHour}/hour)`);
+  }
+
+  /**
+   * Track Deepgram STT usage (minute-based, billed per second)
+   * @param {string} callControlId - Call control ID
+   * @param {number} durationMinutes - Streamed duration in minutes
+   */
+  trackDeepgramSTT(callControlId, durationMinutes) {
+    const callCost = this.callCosts.get(callControlId);
+    if (!callCost) return;
+
+    const { pricing } = this.getRateCard(callCost.initiatedTime);
+    const cost = durationMinutes * pricing.deepgram.sttPerMinute;
+
+    if (!callCost.deepgram) {
+      callCost.deepgram = { sttMinutes: 0, sttCost: 0 };
+    }
+    callCost.deepgram.sttMinutes += durationMinutes;
+    callCost.deepgram.sttCost += cost;
+
+    callCost.breakdown.push({
+      service: 'Deepgram STT',
+      operation: 'speech-to-text',
+      minutes: durationMinutes,
+      cost,
+      timestamp: Date.now()
+    });
+
+    console.log(`💰 Deepgram STT cost: $${cost.toFixed(6)} (${durationMinutes.toFixed(2)} min @ $${pricing.deepgram.sttPerMinute}/min)`);
   }
 
   /**
@@ -347,20 +500,25 @@ class CostTrackingService {
       callCost.durationSeconds = 0;
     }
     
+    // Price everything with the rate card in effect when the call started
+    const rateCard = this.getRateCard(callCost.initiatedTime);
+    const pricing = rateCard.pricing;
+    callCost.rateCardVersion = rateCard.version;
+
     // Telnyx bills per minute, rounded UP (30s = 1 min, 90s = 2 min, etc.)
     const billableMinutes = callCost.durationSeconds > 0 ? Math.ceil(callCost.durationSeconds / 60) : 0;
 
     // Calculate Telnyx call costs (will be $0 if call was never connected)
     callCost.telnyx.callMinutes = billableMinutes;
-    callCost.telnyx.callCost = billableMinutes * this.pricing.telnyx.outboundCallPerMinute;
+    callCost.telnyx.callCost = billableMinutes * pricing.telnyx.outboundCallPerMinute;
     
     // Telnyx streaming cost (for bidirectional audio)
     callCost.telnyx.streamingMinutes = billableMinutes;
-    callCost.telnyx.streamingCost = billableMinutes * this.pricing.telnyx.streamingPerMinute;
+    callCost.telnyx.streamingCost = billableMinutes * pricing.telnyx.streamingPerMinute;
     
-    // Transfer cost (Telnyx charges $0.10 flat fee per transfer invocation)
+    // Transfer cost (Telnyx charges a flat fee per transfer invocation)
     if (transferred) {
-      callCost.telnyx.transferCost = this.pricing.telnyx.transferCost;  // Flat $0.10 fee
+      callCost.telnyx.transferCost = pricing.telnyx.transferCost;
     }
 
     // Calculate Telnyx total (call + streaming + transfer)
@@ -374,7 +532,7 @@ class CostTrackingService {
       // Recalculate TTS cost based on total actual seconds (billed per second, no rounding)
       // This ensures accurate billing when multiple TTS calls are made
       if (callCost.elevenlabs.ttsSecondsActual > 0) {
-        const correctTtsCost = callCost.elevenlabs.ttsSecondsActual * this.pricing.elevenlabs.ttsPerSecond;
+        const correctTtsCost = callCost.elevenlabs.ttsSecondsActual * pricing.elevenlabs.ttsPerSecond;
         
         // Only adjust if there's a significant difference (to avoid rounding errors)
         if (Math.abs(callCost.elevenlabs.ttsCost - correctTtsCost) > 0.0001) {
@@ -386,16 +544,35 @@ class CostTrackingService {
         }
       }
       
+      callCost.elevenlabs.sttCost = (callCost.elevenlabs.sttHours || 0) * pricing.elevenlabs.sttPerHour;
       callCost.elevenlabs.total = callCost.elevenlabs.sttCost + callCost.elevenlabs.ttsCost;
     }
 
+    if (callCost.deepgram) {
+      callCost.deepgram.sttCost = (callCost.deepgram.sttMinutes || 0) * pricing.deepgram.sttPerMinute;
+    }
+
+    // Re-price OpenAI usage in case the rate cards were reloaded during the call
+    const openaiEntries = callCost.breakdown.filter(entry => entry.service === 'OpenAI');
+    if (openaiEntries.length > 0) {
+      for (const entry of openaiEntries) {
+        entry.cost = this.priceOpenAI(pricing, entry.model, entry.inputTokens || 0, entry.outputTokens || 0);
+      }
+      callCost.openai.cost = openaiEntries.reduce((sum, entry) => sum + entry.cost, 0);
+    }
+
     // Calculate overall total
-    callCost.totalCost = callCost.telnyx.total + (callCost.elevenlabs?.total || 0) + callCost.openai.cost;
+    callCost.totalCost = callCost.telnyx.total + (callCost.elevenlabs?.total || 0) +
+      (callCost.deepgram?.sttCost || 0) + callCost.openai.cost;
 
     console.log(`💰 Final call cost: $${callCost.totalCost.toFixed(4)}`);
     console.log(`   Telnyx: $${callCost.telnyx.total.toFixed(4)} (${billableMinutes} min)`);
     console.log(`   ElevenLabs: $${(callCost.elevenlabs?.total || 0).toFixed(4)}`);
+    if (callCost.deepgram?.sttMinutes) {
+      console.log(`   Deepgram: $${callCost.deepgram.sttCost.toFixed(4)}`);
+    }
     console.log(`   OpenAI: $${callCost.openai.cost.toFixed(4)} (${callCost.openai.apiCalls} calls)`);
+    console.log(`   Rate card: ${rateCard.version ?? 'built-in'}`);
 
     // Save to PostgreSQL database
     try {
@@ -409,8 +586,8 @@ class CostTrackingService {
           elevenlabs_stt_cost, elevenlabs_total,
           openai_model, openai_input_tokens, openai_output_tokens,
           openai_api_calls, openai_cost, total_cost, breakdown,
-          created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, NOW(), NOW())
+          rate_card_version, deepgram_stt_minutes, deepgram_stt_cost, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, NOW(), NOW())
         ON CONFLICT (call_control_id) 
         DO UPDATE SET
           connected_time = $3,
@@ -436,6 +613,9 @@ class CostTrackingService {
           openai_cost = $23,
           total_cost = $24,
           breakdown = $25,
+          rate_card_version = $26,
+          deepgram_stt_minutes = $27,
+          deepgram_stt_cost = $28,
           updated_at = NOW()`,
         [
           callControlId,
@@ -462,7 +642,10 @@ class CostTrackingService {
           callCost.openai.apiCalls,
           callCost.openai.cost,
           callCost.totalCost,
-          JSON.stringify(callCost.breakdown || [])
+          JSON.stringify(callCost.breakdown || []),
+          callCost.rateCardVersion,
+          callCost.deepgram?.sttMinutes || 0,
+          callCost.deepgram?.sttCost || 0
         ]
       );
       console.log(`💾 Saved cost to database: ${callControlId}`);
@@ -513,6 +696,10 @@ class CostTrackingService {
           sttCost: parseFloat(row.elevenlabs_stt_cost) || 0,
           total: parseFloat(row.elevenlabs_total) || 0
         },
+        deepgram: {
+          sttMinutes: parseFloat(row.deepgram_stt_minutes) || 0,
+          sttCost: parseFloat(row.deepgram_stt_cost) || 0
+        },
         openai: {
           model: row.openai_model || 'gpt-4o-mini',
           inputTokens: row.openai_input_tokens || 0,
@@ -521,6 +708,7 @@ class CostTrackingService {
           cost: parseFloat(row.openai_cost) || 0
         },
         totalCost: parseFloat(row.total_cost) || 0,
+        rateCardVersion: row.rate_card_version ?? null,
         breakdown: row.breakdown || []
       }));
     } catch (error) {
@@ -530,71 +718,146 @@ class CostTrackingService {
   }
 
   /**
-   * Get total costs across all calls
+   * Get total costs across all calls (summed in SQL)
+   * Averages only count calls with AI interaction (OpenAI API calls), failed dials would skew them
    */
   async getTotalCosts() {
-    const allCosts = await this.getAllCosts();
-    
-    // Filter out failed/incomplete calls (calls with no AI interaction)
-    // A successful call should have OpenAI API calls (meaning actual conversation happened)
-    const successfulCalls = allCosts.filter(call => {
-      return call.openai?.apiCalls > 0;
-    });
-    
     const total = {
-      totalCalls: allCosts.length,
-      successfulCalls: successfulCalls.length,
+      totalCalls: 0,
+      successfulCalls: 0,
       totalCost: 0,
       telnyxTotal: 0,
-      elevenlabsTotal: 0,      // NEW
+      elevenlabsTotal: 0,
+      deepgramTotal: 0,
       openaiTotal: 0,
       avgCostPerCall: 0,
       avgCostPerMinute: 0,
       breakdown: {
         callCost: 0,
-        streamingCost: 0,       // NEW
+        streamingCost: 0,
         transferCost: 0,
-        elevenlabsTTS: 0,       // NEW
-        elevenlabsSTT: 0,       // NEW
+        elevenlabsTTS: 0,
+        elevenlabsSTT: 0,
+        deepgramSTT: 0,
         openaiCost: 0
       }
     };
 
-    // Sum costs from ALL calls (including failed ones for accurate total tracking)
-    for (const callCost of allCosts) {
-      total.totalCost += callCost.totalCost || 0;
-      total.telnyxTotal += callCost.telnyx?.total || 0;
-      total.elevenlabsTotal += callCost.elevenlabs?.total || 0;
-      total.openaiTotal += callCost.openai?.cost || 0;
-      
-      total.breakdown.callCost += callCost.telnyx?.callCost || 0;
-      total.breakdown.streamingCost += callCost.telnyx?.streamingCost || 0;
-      total.breakdown.transferCost += callCost.telnyx?.transferCost || 0;
-      total.breakdown.elevenlabsTTS += callCost.elevenlabs?.ttsCost || 0;
-      total.breakdown.elevenlabsSTT += callCost.elevenlabs?.sttCost || 0;
-      total.breakdown.openaiCost += callCost.openai?.cost || 0;
-    }
+    try {
+      const result = await query(
+        `SELECT COUNT(*) AS total_calls,
+                COUNT(*) FILTER (WHERE openai_api_calls > 0) AS successful_calls,
+                COALESCE(SUM(total_cost), 0) AS total_cost,
+                COALESCE(SUM(telnyx_total), 0) AS telnyx_total,
+                COALESCE(SUM(elevenlabs_total), 0) AS elevenlabs_total,
+                COALESCE(SUM(deepgram_stt_cost), 0) AS deepgram_total,
+                COALESCE(SUM(openai_cost), 0) AS openai_total,
+                COALESCE(SUM(telnyx_call_cost), 0) AS call_cost,
+                COALESCE(SUM(telnyx_streaming_cost), 0) AS streaming_cost,
+                COALESCE(SUM(telnyx_transfer_cost), 0) AS transfer_cost,
+                COALESCE(SUM(elevenlabs_tts_cost), 0) AS elevenlabs_tts,
+                COALESCE(SUM(elevenlabs_stt_cost), 0) AS elevenlabs_stt,
+                COALESCE(SUM(total_cost) FILTER (WHERE openai_api_calls > 0), 0) AS successful_cost,
+                COALESCE(SUM(duration_seconds) FILTER (WHERE openai_api_calls > 0), 0) AS successful_seconds
+         FROM costs`
+      );
+      const row = result.rows[0];
+
+      total.totalCalls = parseInt(row.total_calls) || 0;
+      total.successfulCalls = parseInt(row.successful_calls) || 0;
+      total.totalCost = parseFloat(row.total_cost) || 0;
+      total.telnyxTotal = parseFloat(row.telnyx_total) || 0;
+      total.elevenlabsTotal = parseFloat(row.elevenlabs_total) || 0;
+      total.deepgramTotal = parseFloat(row.deepgram_total) || 0;
+      total.openaiTotal = parseFloat(row.openai_total) || 0;
+      total.breakdown = {
+        callCost: parseFloat(row.call_cost) || 0,
+        streamingCost: parseFloat(row.streaming_cost) || 0,
+        transferCost: parseFloat(row.transfer_cost) || 0,
+        elevenlabsTTS: parseFloat(row.elevenlabs_tts) || 0,
+        elevenlabsSTT: parseFloat(row.elevenlabs_stt) || 0,
+        deepgramSTT: total.deepgramTotal,
+        openaiCost: total.openaiTotal
+      };
 
-    // Calculate average based on successful calls only
-    // Sum only the costs and durations from successful calls for a more accurate average
-    let successfulCallsCost = 0;
-    let successfulCallsMinutes = 0;
-    for (const callCost of successfulCalls) {
-      successfulCallsCost += callCost.totalCost || 0;
-      successfulCallsMinutes += (callCost.durationSeconds || 0) / 60;
-    }
-    
-    if (successfulCalls.length > 0) {
-      total.avgCostPerCall = successfulCallsCost / successfulCalls.length;
-      // Calculate cost per minute (total cost / total minutes)
-      if (successfulCallsMinutes > 0) {
-        total.avgCostPerMinute = successfulCallsCost / successfulCallsMinutes;
+      const successfulCost = parseFloat(row.successful_cost) || 0;
+      const successfulMinutes = (parseInt(row.successful_seconds) || 0) / 60;
+      if (total.successfulCalls > 0) {
+        total.avgCostPerCall = successfulCost / total.successfulCalls;
+        if (successfulMinutes > 0) {
+          total.avgCostPerMinute = successfulCost / successfulMinutes;
+        }
       }
+    } catch (error) {
+      console.error('❌ Error summing costs from database:', error.message);
     }
 
     return total;
   }
 
+  /**
+   * Cost report for calls whose costs were recorded in [from, to), aggregated in SQL
+   * groupBy: day | hour | campaign | did | outcome
+   * A call is qualified when the lead was handed to transfer routing (or its conversation ended transferred)
+   * and a transfer when an agent leg was connected
+   */
+  async getReport({ from, to, groupBy = 'day', campaignId = null }) {
+    const groupExpression = REPORT_GROUPS[groupBy];
+    if (!groupExpression) {
+      throw new Error(`Unknown report grouping: ${groupBy}`);
+    }
+
+    const callsSql = `
+      WITH calls AS (
+        SELECT c.created_at, c.duration_seconds, c.total_cost, c.telnyx_total, c.elevenlabs_total, c.deepgram_stt_cost, c.openai_cost,
+               t.campaign_id,
+               camp.name AS campaign_name,
+               CASE WHEN t.direction = 'inbound' THEN t.to_number ELSE COALESCE(t.from_number, conv.from_number) END AS did,
+               COALESCE(conv.status, 'unknown') AS outcome,
+               c.connected_time IS NOT NULL AS connected,
+               (conv.status = 'transferred' OR EXISTS (
+                 SELECT 1 FROM transferred_calls tc WHERE tc.call_control_id = c.call_control_id
+               )) AS qualified,
+               EXISTS (
+                 SELECT 1 FROM transferred_calls tc
+                 WHERE tc.call_control_id = c.call_control_id
+                   AND (tc.bridged_at IS NOT NULL OR tc.status IN ('bridged', 'completed'))
+               ) AS transferred
+        FROM costs c
+        LEFT JOIN telnyx_calls t ON t.call_control_id = c.call_control_id
+        LEFT JOIN conversations conv ON conv.call_control_id = c.call_control_id
+        LEFT JOIN campaigns camp ON camp.id = t.campaign_id
+        WHERE c.created_at >= $1 AND c.created_at < $2
+          AND ($3::UUID IS NULL OR t.campaign_id = $3)
+      )`;
+    const params = [from, to, campaignId];
+
+    const [rows, totals] = await Promise.all([
+      query(
+        `${callsSql}
+         SELECT ${groupExpression} AS key, MAX(campaign_name) AS campaign_name, ${REPORT_AGGREGATES}
+         FROM calls
+         GROUP BY 1
+         ORDER BY 1`,
+        params
+      ),
+      query(`${callsSql} SELECT ${REPORT_AGGREGATES} FROM calls`, params)
+    ]);
+
+    return {
+      from,
+      to,
+      groupBy,
+      campaignId,
+      totals: formatReportRow(totals.rows[0]),
+      rows: rows.rows.map(row => ({
+        key: row.key,
+        ...(groupBy === 'campaign' ? { name: row.campaign_name } : {}),
+        ...formatReportRow(row)
+      }))
+    };
+  }
+
   /**
    * Clear cost tracking for a call
    */
@@ -618,4 +881,6 @@ class CostTrackingService {
 
 // Export singleton instance
 module.exports = new CostTrackingService();
+module.exports.mergePricing = mergePricing;
+module.exports.REPORT_GROUPS = REPORT_GROUPS;
 
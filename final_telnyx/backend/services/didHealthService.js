@@ -0,0 +1,244 @@
+/**
+ * DID Health Service
+ * Scores caller IDs by answer rate and quick hangups, and rests numbers that look spam-flagged
+ * (low score) or that hit their daily call cap so DID rotation stops using them
+ */
+
+const didHealthModel = require('../models/didHealthModel');
+
+const DEFAULT_SETTINGS = {
+  windowDays: 7,             // Calls that count towards the score
+  minCalls: 20,              // Completed calls needed before a DID is scored
+  targetAnswerRate: 0.2,     // Answer rate that earns the full answer part of the score
+  quickHangupSeconds: 10,    // Answered calls shorter than this count as quick hangups
+  minScore: 40,              // DIDs scoring below this are rested
+  restHours: 72,             // How long a low-scoring DID is rested
+  dailyCap: 150              // Calls per DID per day (0 = no cap)
+};
+
+function readSettings() {
+  const intEnv = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+  };
+  return {
+    windowDays: intEnv('DID_HEALTH_WINDOW_DAYS', DEFAULT_SETTINGS.windowDays),
+    minCalls: intEnv('DID_HEALTH_MIN_CALLS', DEFAULT_SETTINGS.minCalls),
+    targetAnswerRate: parseFloat(process.env.DID_HEALTH_TARGET_ANSWER_RATE) || DEFAULT_SETTINGS.targetAnswerRate,
+    quickHangupSeconds: intEnv('DID_HEALTH_QUICK_HANGUP_SECONDS', DEFAULT_SETTINGS.quickHangupSeconds),
+    minScore: intEnv('DID_HEALTH_MIN_SCORE', DEFAULT_SETTINGS.minScore),
+    restHours: intEnv('DID_HEALTH_REST_HOURS', DEFAULT_SETTINGS.restHours),
+    dailyCap: intEnv('DID_DAILY_CALL_CAP', DEFAULT_SETTINGS.dailyCap)
+  };
+}
+
+/**
+ * Start of the next local day (daily-cap rests end at midnight)
+ */
+function nextMidnight(now = new Date()) {
+  const midnight = new Date(now);
+  midnight.setHours(24, 0, 0, 0);
+  return midnight;
+}
+
+class DidHealthService {
+  constructor() {
+    this.settings = readSettings();
+    this.rested = new Map();      // phoneNumber -> { until: Date, reason }
+    this.callsToday = new Map();  // phoneNumber -> count (seeded from the DB, incremented per call)
+    this.metrics = new Map();     // phoneNumber -> latest scored metrics
+    this.lastUsedAt = new Map();  // phoneNumber -> Date of the last call placed (least-recently-used strategy)
+    this.day = new Date().toDateString();
+    this.lastRefreshAt = null;
+  }
+
+  /**
+   * Score 0-100 from the metrics, or null while there are too few calls to judge
+   * 70% answer rate (relative to the target), 30% calls that were not quick hangups
+   */
+  score({ calls, answered, quickHangups }) {
+    if (calls < this.settings.minCalls) {
+      return null;
+    }
+    const answerRate = answered / calls;
+    const quickHangupRate = answered > 0 ? quickHangups / answered : 0;
+    const answerPart = Math.min(1, answerRate / this.settings.targetAnswerRate);
+    return Math.round(100 * (0.7 * answerPart + 0.3 * (1 - quickHangupRate)));
+  }
+
+  /**
+   * Reload metrics and rests from the database, resting DIDs that dropped below the threshold
+   */
+  async refresh() {
+    this._rollDay();
+
+    for (const row of await didHealthModel.getAll()) {
+      if (row.rested_until && new Date(row.rested_until) > new Date()) {
+        this.rested.set(row.phone_number, { until: new Date(row.rested_until), reason: row.rest_reason });
+      } else {
+        this.rested.delete(row.phone_number);
+      }
+    }
+
+    const metrics = await didHealthModel.getMetrics(this.settings.windowDays, this.settings.quickHangupSeconds);
+    this.metrics.clear();
+    for (const row of metrics) {
+      const score = this.score(row);
+      this.metrics.set(row.phoneNumber, { ...row, score });
+      this.callsToday.set(row.phoneNumber, Math.max(row.callsToday, this.callsToday.get(row.phoneNumber) || 0));
+      if (row.lastCallAt && !(this.lastUsedAt.get(row.phoneNumber) > new Date(row.lastCallAt))) {
+        this.lastUsedAt.set(row.phoneNumber, new Date(row.lastCallAt));
+      }
+
+      if (score !== null) {
+        await didHealthModel.saveScore(row.phoneNumber, score);
+      }
+      if (score !== null && score < this.settings.minScore && !this.isRested(row.phoneNumber)) {
+        const until = new Date(Date.now() + this.settings.restHours * 3600000);
+        await this._rest(row.phoneNumber, until, `low_score_${score}`, true);
+      } else if (this.settings.dailyCap > 0 && row.callsToday >= this.settings.dailyCap && !this.isRested(row.phoneNumber)) {
+        await this._rest(row.phoneNumber, nextMidnight(), 'daily_cap', false);
+      }
+    }
+
+    this.lastRefreshAt = new Date();
+    return this.metrics;
+  }
+
+  /**
+   * Count a call placed from a DID, resting it once it reaches the daily cap
+   */
+  async recordCall(phoneNumber) {
+    if (!phoneNumber) return;
+    this._rollDay();
+
+    const count = (this.callsToday.get(phoneNumber) || 0) + 1;
+    this.callsToday.set(phoneNumber, count);
+    this.markUsed(phoneNumber);
+
+    if (this.settings.dailyCap > 0 && count >= this.settings.dailyCap && !this.isRested(phoneNumber)) {
+      await this._rest(phoneNumber, nextMidnight(), 'daily_cap', false);
+    }
+  }
+
+  /**
+   * Whether a DID is currently rested
+   */
+  isRested(phoneNumber) {
+    const rest = this.rested.get(phoneNumber);
+    if (!rest) return false;
+    if (rest.until <= new Date()) {
+      this.rested.delete(phoneNumber);
+      console.log(`✅ DID ${phoneNumber} back in rotation (rest ended)`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * When the first of these DIDs comes back from its rest (null if none is rested)
+   */
+  getEarliestRestEnd(numbers = []) {
+    const ends = numbers
+      .filter(number => this.isRested(number))
+      .map(number => this.rested.get(number).until.getTime());
+    return ends.length > 0 ? new Date(Math.min(...ends)) : null;
+  }
+
+  /**
+   * When a DID last placed a call (null = never / not in the last window)
+   */
+  getLastUsedAt(phoneNumber) {
+    return this.lastUsedAt.get(phoneNumber) || null;
+  }
+
+  /**
+   * Mark a DID as just used (least-recently-used strategy)
+   */
+  markUsed(phoneNumber) {
+    this.lastUsedAt.set(phoneNumber, new Date());
+  }
+
+  /**
+   * Drop rested DIDs from a list of numbers
+   */
+  filterAvailable(numbers = []) {
+    return numbers.filter(number => !this.isRested(number));
+  }
+
+  /**
+   * Rest a DID by hand
+   */
+  async rest(phoneNumber, hours = this.settings.restHours, reason = 'manual') {
+    const until = new Date(Date.now() + hours * 3600000);
+    await this._rest(phoneNumber, until, reason, false);
+    return { phoneNumber, restedUntil: until, reason };
+  }
+
+  /**
+   * Put a DID back into rotation; its score starts fresh so old calls don't rest it again
+   */
+  async reactivate(phoneNumber) {
+    await didHealthModel.reactivate(phoneNumber);
+    this.rested.delete(phoneNumber);
+    this.metrics.delete(phoneNumber);
+    console.log(`✅ DID ${phoneNumber} reactivated`);
+  }
+
+  /**
+   * Health of every known DID (configured numbers plus any with recent calls)
+   */
+  getReport(numbers = []) {
+    const all = new Set([...numbers, ...this.metrics.keys(), ...this.rested.keys()]);
+    const dids = [...all].map(phoneNumber => {
+      const metrics = this.metrics.get(phoneNumber) || { calls: 0, answered: 0, quickHangups: 0, score: null, lastCallAt: null };
+      const rest = this.isRested(phoneNumber) ? this.rested.get(phoneNumber) : null;
+      return {
+        phoneNumber,
+        status: rest ? 'rested' : 'active',
+        score: metrics.score,
+        calls: metrics.calls,
+        answered: metrics.answered,
+        answerRate: metrics.calls > 0 ? Math.round((metrics.answered / metrics.calls) * 1000) / 10 : null,
+        quickHangups: metrics.quickHangups,
+        quickHangupRate: metrics.answered > 0 ? Math.round((metrics.quickHangups / metrics.answered) * 1000) / 10 : null,
+        callsToday: this.callsToday.get(phoneNumber) || 0,
+        lastCallAt: metrics.lastCallAt,
+        restedUntil: rest ? rest.until : null,
+        restReason: rest ? rest.reason : null
+      };
+    }).sort((a, b) => (a.score ?? 101) - (b.score ?? 101));
+
+    return {
+      settings: this.settings,
+      lastRefreshAt: this.lastRefreshAt,
+      summary: {
+        total: dids.length,
+        active: dids.filter(d => d.status === 'active').length,
+        rested: dids.filter(d => d.status === 'rested').length,
+        unscored: dids.filter(d => d.score === null).length
+      },
+      dids
+    };
+  }
+
+  async _rest(phoneNumber, until, reason, resetMetrics) {
+    this.rested.set(phoneNumber, { until, reason });
+    console.log(`😴 DID ${phoneNumber} rested until ${until.toISOString()} (${reason})`);
+    try {
+      await didHealthModel.rest(phoneNumber, until, reason, resetMetrics);
+    } catch (error) {
+      console.error(`❌ Error saving rest for DID ${phoneNumber}:`, error.message);
+    }
+  }
+
+  _rollDay() {
+    const today = new Date().toDateString();
+    if (today !== this.day) {
+      this.day = today;
+      this.callsToday.clear();
+    }
+  }
+}
+
+module.exports = new DidHealthService();
@@ -9,6 +9,7 @@
 
 const axios = require('axios');
 const { Readable } = require('stream');
+const audioConverter = require('./audioFormatConverter');
 
 class ElevenLabsTTSService {
   constructor() {
@@ -19,8 +20,9 @@ class ElevenLabsTTSService {
     this.voiceId = this.normalizeVoiceId(voiceId);
     
     this.baseUrl = 'https://api.elevenlabs.io/v1';
+    this.model = 'eleven_turbo_v2';  // Fastest model, used by stream()
     
-    // Track active TTS requests
+    // Track active TTS requests (callControlId -> AbortController)
     this.activeRequests = new Map();
     
     console.log('✅ ElevenLabs TTS Service initialized');
@@ -28,6 +30,13 @@ class ElevenLabsTTSService {
     console.log(`   API Key: ${this.apiKey ? this.apiKey.substring(0, 10) + '...' : 'NOT SET'}`);
   }
 
+  /**
+   * Voice used when none is chosen (TTS provider interface)
+   */
+  get defaultVoice() {
+    return this.voiceId;
+  }
+
   /**
    * Normalize voice ID to ElevenLabs API format
    * Removes "ElevenLabs.Default." or "ElevenLabs." prefix (Telnyx format)
@@ -59,6 +68,7 @@ class ElevenLabsTTSService {
    * @param {number} options.stability - Voice stability (0-1, default: 0.5)
    * @param {number} options.similarity_boost - Voice similarity boost (0-1, default: 0.75)
    * @param {boolean} options.optimize_streaming_latency - Optimize for streaming latency (0-4, default: 4)
+   * @param {AbortSignal} options.signal - Aborts the request
    * @returns {Promise<Stream>} - Readable stream of audio data (MP3 format)
    */
   async textToSpeechStream(text, options = {}) {
@@ -95,7 +105,8 @@ class ElevenLabsTTSService {
             'xi-api-key': this.apiKey,
             'Content-Type': 'application/json'
           },
-          responseType: 'stream'  // Get streaming response for lowest latency
+          responseType: 'stream',  // Get streaming response for lowest latency
+          signal: options.signal
         }
       );
       
@@ -118,6 +129,11 @@ class ElevenLabsTTSService {
       return response.data;  // Returns a readable stream
       
     } catch (error) {
+      if (axios.isCancel(error)) {
+        console.log(`🛑 ElevenLabs TTS request cancelled`);
+        throw error;
+      }
+      
       console.error('❌ Error calling ElevenLabs TTS API:');
       console.error('   Status:', error.response?.status);
       console.error('   Message:', error.response?.data || error.message);
@@ -130,6 +146,56 @@ class ElevenLabsTTSService {
     }
   }
 
+  /**
+   * Stream PCMU @ 8kHz audio for the text, in 20ms chunks (TTS provider interface)
+   * The MP3 is converted while ElevenLabs is still sending it, so audio starts early; cancel(callControlId) aborts the request
+   *
+   * @param {string} text - Text to speak
+   * @param {object} options - voice, callControlId and textToSpeechStream options
+   * @returns {AsyncGenerator<Buffer>} - PCMU chunks
+   */
+  async* stream(text, { voice, callControlId, ...options } = {}) {
+    const controller = new AbortController();
+    if (callControlId) {
+      this.activeRequests.set(callControlId, controller);
+    }
+
+    try {
+      const mp3Stream = await this.textToSpeechStream(text, {
+        model: this.model,
+        optimize_streaming_latency: 4,      // Maximum latency optimization
+        ...options,
+        voiceId: voice || options.voiceId,
+        signal: controller.signal
+      });
+      yield* audioConverter.convertToPCMUChunked(mp3Stream, 160);
+    } finally {
+      if (callControlId && this.activeRequests.get(callControlId) === controller) {
+        this.activeRequests.delete(callControlId);
+      }
+    }
+  }
+
+  /**
+   * Voices in the ElevenLabs account (TTS provider interface)
+   */
+  async listVoices() {
+    const voices = await this.getVoices();
+    return voices.map(voice => ({
+      id: voice.voice_id,
+      name: voice.name,
+      category: voice.category,
+      default: voice.voice_id === this.voiceId
+    }));
+  }
+
+  /**
+   * Abort the TTS request in flight for a call (TTS provider interface)
+   */
+  cancel(callControlId) {
+    this.cancelRequest(callControlId);
+  }
+
   /**
    * Convert text to speech and get complete audio buffer
    * (Non-streaming version, waits for complete audio before returning)
@@ -209,7 +275,7 @@ class ElevenLabsTTSService {
   /**
    * Cancel active TTS request
    * 
-   * @param {string} requestId - Request ID to cancel
+   * @param {string} requestId - Request ID to cancel (the call control ID for stream())
    */
   cancelRequest(requestId) {
     const request = this.activeRequests.get(requestId);
@@ -0,0 +1,101 @@
+/**
+ * Fake STT Service
+ * Offline speech-to-text provider: replays scripted transcripts from a JSON file instead of
+ * transcribing audio, so calls can run through the whole pipeline without a speech service
+ *
+ * The file (FAKE_STT_TRANSCRIPTS, default config/fakeTranscripts.json) is an array of
+ * { "text": "...", "delayMs": 4000 } - each utterance is emitted delayMs after the previous one
+ * (the first after connecting). It is re-read on every connect so edits apply to the next call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULT_TRANSCRIPTS_FILE = path.join(__dirname, '..', 'config', 'fakeTranscripts.json');
+const DEFAULT_DELAY_MS = 4000;
+
+class FakeSttService extends EventEmitter {
+  constructor() {
+    super();
+    this.activeConnections = new Map(); // callControlId -> { utterances, next, timer }
+  }
+
+  /**
+   * Load the scripted utterances
+   */
+  loadTranscripts() {
+    const file = process.env.FAKE_STT_TRANSCRIPTS || DEFAULT_TRANSCRIPTS_FILE;
+    const utterances = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(utterances)) {
+      throw new Error(`${file} must be an array of { text, delayMs }`);
+    }
+    return utterances
+      .filter(u => u && typeof u.text === 'string' && u.text.trim())
+      .map(u => ({ text: u.text.trim(), delayMs: Number.isFinite(u.delayMs) ? u.delayMs : DEFAULT_DELAY_MS }));
+  }
+
+  /**
+   * "Connect" a call: start replaying the scripted utterances
+   */
+  async connect(callControlId) {
+    if (this.activeConnections.has(callControlId)) {
+      return;
+    }
+
+    const connection = { utterances: this.loadTranscripts(), next: 0, timer: null };
+    this.activeConnections.set(callControlId, connection);
+    console.log(`🧪 Fake STT connected for ${callControlId} (${connection.utterances.length} scripted utterances)`);
+    this.emit('connected', callControlId);
+    this._scheduleNext(callControlId);
+  }
+
+  /**
+   * Audio is ignored - the transcripts are scripted
+   */
+  sendAudio() {}
+
+  /**
+   * Nothing is buffered, so there is nothing to commit
+   */
+  commit() {}
+
+  /**
+   * Stop replaying for a call
+   */
+  disconnect(callControlId) {
+    const connection = this.activeConnections.get(callControlId);
+    if (!connection) return;
+    clearTimeout(connection.timer);
+    this.activeConnections.delete(callControlId);
+    console.log(`🧪 Fake STT disconnected for ${callControlId}`);
+    this.emit('disconnected', callControlId);
+  }
+
+  /**
+   * Disconnect all calls (cleanup on server shutdown)
+   */
+  disconnectAll() {
+    for (const callControlId of [...this.activeConnections.keys()]) {
+      this.disconnect(callControlId);
+    }
+  }
+
+  _scheduleNext(callControlId) {
+    const connection = this.activeConnections.get(callControlId);
+    if (!connection || connection.next >= connection.utterances.length) return;
+    connection.timer = setTimeout(() => this._emitNext(callControlId), connection.utterances[connection.next].delayMs);
+  }
+
+  _emitNext(callControlId) {
+    const connection = this.activeConnections.get(callControlId);
+    if (!connection) return;
+    const utterance = connection.utterances[connection.next++];
+    console.log(`🧪 Fake STT [FINAL]: "${utterance.text}"`);
+    this.emit('transcript', callControlId, { text: utterance.text, isFinal: true, confidence: 1 });
+    this._scheduleNext(callControlId);
+  }
+}
+
+// Export singleton instance
+module.exports = new FakeSttService();
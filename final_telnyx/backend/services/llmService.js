@@ -0,0 +1,246 @@
+/**
+ * LLM Service
+ * Chat completions for the conversation engine over a swappable backend (LLM_PROVIDER):
+ *   openai     - OpenAI (OPENAI_API_KEY, optional OPENAI_BASE_URL)
+ *   azure      - Azure OpenAI (AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_VERSION); models are deployment names
+ *   compatible - any OpenAI-compatible server, e.g. a local one (LLM_BASE_URL, optional LLM_API_KEY)
+ *
+ * Model, temperature and max tokens come from the script, else LLM_MODEL / the defaults. When the model errors
+ * or takes longer than LLM_TIMEOUT_MS, the request is retried once with the fallback model (if any).
+ * Completions can be streamed, with tool calls assembled from the stream.
+ * Token usage is tracked per call with the model that answered.
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+const costTracking = require('./costTrackingService');
+
+// Created on first use
+const BACKENDS = {
+  openai: () => new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined
+  }),
+  azure: () => new AzureOpenAI({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  }),
+  compatible: () => {
+    if (!process.env.LLM_BASE_URL) {
+      throw new Error('LLM_BASE_URL is required for LLM_PROVIDER=compatible');
+    }
+    return new OpenAI({
+      apiKey: process.env.LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LLM_BASE_URL
+    });
+  }
+};
+
+const DEFAULT_BACKEND = 'openai';
+const DEFAULTS = {
+  model: 'gpt-4o-mini',
+  temperature: 0.3,  // Lower temperature for more consistent function calling
+  maxTokens: 150,
+  timeoutMs: 10000
+};
+const MAX_TOKENS_LIMIT = 4096;
+
+class LLMService {
+  constructor() {
+    this.clients = new Map(); // backend -> client
+  }
+
+  /**
+   * Backend used for completions (LLM_PROVIDER)
+   */
+  getBackend() {
+    const name = process.env.LLM_PROVIDER;
+    if (name && !BACKENDS[name]) {
+      console.warn(`⚠️  Unknown LLM_PROVIDER "${name}" - using ${DEFAULT_BACKEND}`);
+      return DEFAULT_BACKEND;
+    }
+    return name || DEFAULT_BACKEND;
+  }
+
+  /**
+   * Completion settings: the script's ({ model, temperature, maxTokens, fallbackModel }), else the defaults
+   */
+  getSettings(settings = {}) {
+    const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS);
+    return {
+      model: settings.model || process.env.LLM_MODEL || DEFAULTS.model,
+      temperature: settings.temperature ?? DEFAULTS.temperature,
+      maxTokens: settings.maxTokens || DEFAULTS.maxTokens,
+      fallbackModel: settings.fallbackModel || process.env.LLM_FALLBACK_MODEL || null,
+      timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULTS.timeoutMs
+    };
+  }
+
+  /**
+   * Create a chat completion, falling back to the fallback model when the model errors or times out
+   *
+   * @param {object} params - Chat completion params (messages, tools, tool_choice, ...) without model/temperature/max_tokens
+   * @param {object} options - callId and operation (cost tracking), plus script settings (see getSettings)
+   * @returns {Promise<{response: object, model: string}>} - The completion and the model that answered
+   */
+  async createChatCompletion(params, options = {}) {
+    return this._withFallback(params, options, async (body, requestOptions) => ({
+      response: await this._getClient().chat.completions.create(body, requestOptions)
+    }));
+  }
+
+  /**
+   * Stream a chat completion: content is passed to onContent as it arrives and tool calls are assembled
+   * from their deltas, so the response has the same shape as createChatCompletion's
+   * The fallback model is only used while no content was passed on (it may already be spoken)
+   *
+   * @param {object} params - As for createChatCompletion
+   * @param {object} options - As for createChatCompletion, plus onContent(text)
+   * @returns {Promise<{response: object, model: string, firstTokenAt: number|null}>} - firstTokenAt: when the first content or tool call arrived
+   */
+  async streamChatCompletion(params, { onContent = () => {}, ...options } = {}) {
+    let contentSent = false;
+
+    return this._withFallback(params, options, async (body, requestOptions) => {
+      // The request timeout only covers the wait for the response to start - also give up when the stream stalls
+      const controller = new AbortController();
+      let stallTimer = setTimeout(() => controller.abort(), requestOptions.timeout);
+      const message = { role: 'assistant', content: null };
+      const toolCalls = [];
+      let usage = null;
+      let finishReason = null;
+      let firstTokenAt = null;
+
+      try {
+        const stream = await this._getClient().chat.completions.create({
+          ...body,
+          stream: true,
+          stream_options: { include_usage: true }
+        }, { ...requestOptions, signal: controller.signal });
+
+        for await (const chunk of stream) {
+          clearTimeout(stallTimer);
+          stallTimer = setTimeout(() => controller.abort(), requestOptions.timeout);
+          if (chunk.usage) {
+            usage = chunk.usage; // Last chunk (include_usage)
+          }
+          const choice = chunk.choices?.[0];
+          if (!choice) continue;
+          const delta = choice.delta || {};
+
+          if (delta.content) {
+            firstTokenAt = firstTokenAt || Date.now();
+            message.content = (message.content || '') + delta.content;
+            contentSent = true;
+            onContent(delta.content);
+          }
+
+          // Tool calls arrive in pieces: id and name first, then the arguments JSON in fragments
+          for (const toolDelta of delta.tool_calls || []) {
+            firstTokenAt = firstTokenAt || Date.now();
+            const index = toolDelta.index ?? (toolDelta.id ? toolCalls.length : Math.max(toolCalls.length - 1, 0));
+            const toolCall = toolCalls[index] || (toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+            if (toolDelta.id) toolCall.id = toolDelta.id;
+            if (toolDelta.function?.name) toolCall.function.name += toolDelta.function.name;
+            if (toolDelta.function?.arguments) toolCall.function.arguments += toolDelta.function.arguments;
+          }
+
+          if (choice.finish_reason) {
+            finishReason = choice.finish_reason;
+          }
+        }
+      } finally {
+        clearTimeout(stallTimer);
+      }
+
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls.filter(Boolean);
+      }
+      return {
+        response: { choices: [{ index: 0, message, finish_reason: finishReason }], usage },
+        firstTokenAt
+      };
+    }, () => !contentSent);
+  }
+
+  /**
+   * Validate llm_* script input, returns an error message or null
+   */
+  validateSettings(body) {
+    for (const field of ['llm_model', 'llm_fallback_model']) {
+      const value = body[field];
+      if (value !== undefined && value !== null && value !== '' && (typeof value !== 'string' || value.length > 100)) {
+        return `${field} must be a model name`;
+      }
+    }
+    const { llm_temperature: temperature, llm_max_tokens: maxTokens } = body;
+    if (temperature !== undefined && temperature !== null && temperature !== '' &&
+        !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+      return 'llm_temperature must be a number from 0 to 2';
+    }
+    if (maxTokens !== undefined && maxTokens !== null && maxTokens !== '' &&
+        !(Number.isInteger(maxTokens) && maxTokens >= 1 && maxTokens <= MAX_TOKENS_LIMIT)) {
+      return `llm_max_tokens must be a whole number from 1 to ${MAX_TOKENS_LIMIT}`;
+    }
+    return null;
+  }
+
+  /**
+   * Run a completion with the script's model, then the fallback model if it fails (and canFallBack())
+   * request(body, requestOptions) resolves to { response, ... }; usage is tracked with the model that answered
+   */
+  async _withFallback(params, { callId = null, operation = 'conversation', ...scriptSettings }, request, canFallBack = () => true) {
+    const settings = this.getSettings(scriptSettings);
+    const models = [settings.model];
+    if (settings.fallbackModel && settings.fallbackModel !== settings.model) {
+      models.push(settings.fallbackModel);
+    }
+
+    let lastError;
+    for (const [attempt, model] of models.entries()) {
+      const hasFallback = attempt < models.length - 1;
+      try {
+        const result = await request({
+          ...params,
+          model,
+          temperature: settings.temperature,
+          max_tokens: settings.maxTokens
+        }, {
+          timeout: settings.timeoutMs,
+          // With a fallback model, fall back right away instead of retrying the failing one
+          maxRetries: hasFallback ? 0 : 1
+        });
+
+        const usage = result.response.usage;
+        if (usage && callId) {
+          costTracking.trackOpenAIUsage(
+            callId,
+            model,
+            usage.prompt_tokens,
+            usage.completion_tokens,
+            attempt > 0 ? `${operation} (fallback)` : operation
+          );
+        }
+        return { ...result, model };
+      } catch (error) {
+        lastError = error;
+        if (!hasFallback || !canFallBack()) {
+          break;
+        }
+        console.warn(`⚠️  LLM model ${model} failed (${error.message}) - falling back to ${models[attempt + 1]}`);
+      }
+    }
+    throw lastError;
+  }
+
+  _getClient() {
+    const backend = this.getBackend();
+    if (!this.clients.has(backend)) {
+      this.clients.set(backend, BACKENDS[backend]());
+      console.log(`✅ LLM backend: ${backend}`);
+    }
+    return this.clients.get(backend);
+  }
+}
+
+module.exports = new LLMService();
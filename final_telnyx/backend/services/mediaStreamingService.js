@@ -1,15 +1,14 @@
 /**
  * Media Streaming Service
- * Handles audio streaming from Telnyx and forwards to ElevenLabs Scribe STT
+ * Handles audio streaming from Telnyx and forwards it to the call's STT provider (sttProviderService)
  */
 
 const WebSocket = require('ws');
-const scribeService = require('./elevenLabsScribeService');
+const sttProviders = require('./sttProviderService');
 const audioTranscoder = require('./audioTranscoder');
 
 let mediaWss = null;
 const activeStreams = new Map(); // callControlId -> { telnyxWs, metadata }
-const eventListeners = new Map(); // callControlId -> { transcriptListener, errorListener }
 
 /**
  * Initialize WebSocket server for receiving audio from Telnyx
@@ -78,20 +77,20 @@ function initializeMediaStreamServer(server) {
             break;
             
           case 'start':
-            // Stream actually started - NOW connect to ElevenLabs Scribe
+            // Stream actually started - NOW connect the STT provider
             console.log(`🎙️  Telnyx stream START event received`);
             console.log(`   Call Control ID: ${callControlId}`);
             console.log(`   Stream ID: ${data.stream_id || streamSid}`);
             
             if (callControlId) {
-              console.log(`   ✅ Initializing ElevenLabs Scribe for ${callControlId}`);
+              console.log(`   ✅ Initializing STT for ${callControlId}`);
               activeStreams.set(callControlId, {
                 telnyxWs: ws,
                 streamSid: data.stream_id || streamSid,
                 startTime: Date.now()
               });
               
-              // Connect to ElevenLabs Scribe
+              // Connect the STT provider
               console.log(`   📞 Calling handleStreamStart...`);
               await handleStreamStart(ws, callControlId, data.stream_id || streamSid);
               console.log(`   ✅ handleStreamStart completed`);
@@ -101,7 +100,7 @@ function initializeMediaStreamServer(server) {
             break;
 
           case 'media':
-            // Audio chunk received from Telnyx - forward to ElevenLabs Scribe
+            // Audio chunk received from Telnyx - forward to the STT provider
             if (callControlId && data.media?.payload) {
               // Debug: Log first media event structure
               if (!this._firstMediaLogged) {
@@ -111,17 +110,17 @@ function initializeMediaStreamServer(server) {
                 this._firstMediaLogged = true;
               }
               
-              // If ElevenLabs Scribe not yet connected for this call, initialize it now
+              // If STT is not yet connected for this call, initialize it now
               // This handles cases where 'start' event is missed or not sent by Telnyx
               if (!activeStreams.has(callControlId)) {
-                console.log(`🎙️  First media packet received - initializing ElevenLabs Scribe for ${callControlId}`);
+                console.log(`🎙️  First media packet received - initializing STT for ${callControlId}`);
                 activeStreams.set(callControlId, {
                   telnyxWs: ws,
                   streamSid: streamSid || 'unknown',
                   startTime: Date.now()
                 });
                 
-                // Connect to ElevenLabs Scribe
+                // Connect the STT provider
                 await handleStreamStart(ws, callControlId, streamSid || 'unknown');
               }
               
@@ -165,16 +164,7 @@ function initializeMediaStreamServer(server) {
       console.log(`🎙️  Telnyx media stream disconnected`);
       console.log(`   Code: ${code}, Reason: ${reason.toString()}`);
       if (callControlId) {
-        // Clean up event listeners for this call
-        if (eventListeners.has(callControlId)) {
-          const listeners = eventListeners.get(callControlId);
-          scribeService.off('transcript', listeners.transcriptListener);
-          scribeService.off('error', listeners.errorListener);
-          eventListeners.delete(callControlId);
-          console.log(`   🧹 Removed event listeners for ${callControlId}`);
-        }
-        
-        scribeService.disconnect(callControlId);
+        sttProviders.disconnect(callControlId);
         activeStreams.delete(callControlId);
       }
     });
@@ -184,105 +174,30 @@ function initializeMediaStreamServer(server) {
 }
 
 /**
- * Handle stream start event - connect to ElevenLabs Scribe
+ * Handle stream start event - connect the call's STT provider (transcripts are forwarded by sttProviderService)
  */
 async function handleStreamStart(ws, callControlId, streamSid) {
-  // CRITICAL: This should ALWAYS log if function is called
-  console.error(`🚨🚨🚨 handleStreamStart CALLED with callControlId=${callControlId} 🚨🚨🚨`);
   console.log(`🎙️  Media stream started:`);
   console.log(`   Call Control ID: ${callControlId}`);
   console.log(`   Stream SID: ${streamSid}`);
   console.log(`   Media format: MULAW @ 8000Hz`);
-  console.log(`   scribeService type: ${typeof scribeService}`);
-  console.log(`   scribeService.activeConnections: ${scribeService.activeConnections ? 'EXISTS' : 'NULL'}`);
 
-  // Connect to ElevenLabs Scribe for this call (if not already connected)
   try {
-    // Check if already connected from pre-connection
-    if (scribeService.activeConnections && scribeService.activeConnections.has(callControlId)) {
-      console.log(`✅ ElevenLabs Scribe already connected from pre-connection - skipping duplicate connection`);
-      const existing = scribeService.activeConnections.get(callControlId);
-      console.log(`   Existing connection isReady: ${existing?.isReady || 'N/A'}`);
-      // DON'T RETURN - we still need to set up event listeners below!
-    } else {
-      console.log(`📞 Attempting to connect ElevenLabs Scribe for call ${callControlId}...`);
-      console.log(`   ELEVENLABS_API_KEY is ${process.env.ELEVENLABS_API_KEY ? 'SET (' + process.env.ELEVENLABS_API_KEY.substring(0, 10) + '...)' : 'NOT SET'}`);
-      
-      // Check if scribeService.connect is a function
-      if (typeof scribeService.connect !== 'function') {
-        throw new Error(`scribeService.connect is not a function! Type: ${typeof scribeService.connect}`);
-      }
-      
-      console.log(`   Calling scribeService.connect()...`);
-      await scribeService.connect(callControlId);
-      console.log(`✅ ElevenLabs Scribe connection initiated for call ${callControlId}`);
-    }
+    // Usually pre-connected when the call was answered (with the campaign's provider)
+    const preConnected = sttProviders.isConnected(callControlId);
+    const provider = await sttProviders.connect(callControlId);
+    console.log(`✅ ${provider} STT ${preConnected ? 'already connected from pre-connection' : 'connected'} for call ${callControlId}`);
 
-    // Set up transcription event handlers
-    // ✨ FIXED: Store listener references per call to prevent leaks
-    console.log(`🔧 Setting up event listeners for ${callControlId}...`);
-    
-    // Remove any existing listeners for this call (cleanup from previous connection)
-    if (eventListeners.has(callControlId)) {
-      const oldListeners = eventListeners.get(callControlId);
-      scribeService.off('transcript', oldListeners.transcriptListener);
-      scribeService.off('error', oldListeners.errorListener);
-      console.log(`   🧹 Removed old listeners for ${callControlId}`);
+    // Remembered for STT cost tracking when the stream stops
+    const stream = activeStreams.get(callControlId);
+    if (stream) {
+      stream.sttProvider = provider;
     }
-    
-    // Create new listeners for this call
-    const transcriptListener = (cid, transcript) => {
-      if (cid === callControlId) {
-        console.log(`📨 Received transcript event from ElevenLabs Scribe for ${cid}: "${transcript.text}" (isFinal: ${transcript.isFinal})`);
-        // Emit transcript event that webhook routes can handle
-        const transcriptEvent = {
-          type: 'transcript',
-          callControlId: cid,
-          payload: {
-            call_control_id: cid,
-            transcription_data: {
-              transcript: transcript.text,
-              is_final: transcript.isFinal,
-              confidence: transcript.confidence || 0.9
-            }
-          }
-        };
-        
-        // Notify webhook routes via event emitter
-        if (global.mediaStreamEvents) {
-          global.mediaStreamEvents.emit('transcript', transcriptEvent);
-          console.log(`✅ Transcript event emitted successfully`);
-        } else {
-          console.error(`❌ global.mediaStreamEvents is not defined!`);
-        }
-      }
-    };
-
-    const errorListener = (cid, error) => {
-      if (cid === callControlId) {
-        console.error(`❌ ElevenLabs Scribe error for ${cid}:`, error);
-      }
-    };
-    
-    // Add listeners
-    scribeService.on('transcript', transcriptListener);
-    scribeService.on('error', errorListener);
-    
-    // Store listener references for cleanup
-    eventListeners.set(callControlId, {
-      transcriptListener,
-      errorListener
-    });
-    
-    console.log(`✅ Event listeners set up for ${callControlId} (stored for cleanup)`);
-
   } catch (error) {
-    console.error(`❌ CRITICAL: Failed to connect to ElevenLabs Scribe for ${callControlId}:`);
-    console.error(`   Error type: ${error.constructor.name}`);
+    console.error(`❌ CRITICAL: Failed to connect STT for ${callControlId}:`);
     console.error(`   Error message: ${error.message}`);
     console.error(`   Error stack:`, error.stack);
-    console.error(`   Full error object:`, JSON.stringify(error, Object.getOwnPropertyNames(error)));
-    
+
     // Check if it's a module not found error
     if (error.code === 'MODULE_NOT_FOUND') {
       console.error(`   ⚠️  MODULE NOT FOUND - Run 'npm install' in the backend directory!`);
@@ -291,22 +206,22 @@ async function handleStreamStart(ws, callControlId, streamSid) {
 }
 
 /**
- * Handle media (audio) chunk - forward to ElevenLabs Scribe
+ * Handle media (audio) chunk - forward to the call's STT provider
  */
 async function handleMedia(callControlId, base64Payload) {
   try {
-    // ⭐ CRITICAL FIX: Skip forwarding media to ElevenLabs if call is bridged to agent
+    // ⭐ CRITICAL FIX: Skip forwarding media to STT if call is bridged to agent
     // When a call is bridged, Telnyx handles audio directly between user and agent
-    // We should not process it through ElevenLabs anymore - let Telnyx handle the audio flow
+    // We should not transcribe it anymore - let Telnyx handle the audio flow
     // Check if this call is bridged by accessing transferCalls from webhookRoutes
     // We use a global reference to avoid circular dependencies
     if (global.transferCalls && global.transferCalls.has(callControlId)) {
-      // Call is bridged - don't forward media to ElevenLabs
+      // Call is bridged - don't forward media to STT
       // Telnyx handles audio flow directly between user and agent
       // Only log occasionally to avoid spam
       if (!this._bridgedMediaSkipped) this._bridgedMediaSkipped = new Set();
       if (!this._bridgedMediaSkipped.has(callControlId)) {
-        console.log(`🔗 Call ${callControlId} is bridged - skipping media forwarding to ElevenLabs (Telnyx handles audio directly)`);
+        console.log(`🔗 Call ${callControlId} is bridged - skipping media forwarding to STT (Telnyx handles audio directly)`);
         this._bridgedMediaSkipped.add(callControlId);
       }
       return;
@@ -333,25 +248,10 @@ async function handleMedia(callControlId, base64Payload) {
       return;
     }
     
-    // Send µ-law DIRECTLY to ElevenLabs Scribe (NO transcoding!)
-    // ElevenLabs Scribe supports ulaw_8000 format natively
-    if (!this._firstTranscodeLogged) {
-      console.log(`🧪 Sending µ-law DIRECTLY to ElevenLabs Scribe (no transcoding):`);
-      console.log(`   Input: ${ulawBuffer.length} bytes µ-law @ 8kHz`);
-      console.log(`   Sending AS-IS to ElevenLabs Scribe with ulaw_8000 format`);
-      this._firstTranscodeLogged = true;
-    }
-    
-    // 🔍 CRITICAL FIX FOR CONCURRENT CALLS: Check if Scribe is connected before forwarding audio
-    // This prevents "No Scribe connection" errors after queue_overflow disconnects
-    if (!scribeService.activeConnections || !scribeService.activeConnections.has(callControlId)) {
-      // Scribe not connected (likely disconnected due to queue_overflow or other error)
-      // Silently skip - connection will be re-established on next stream start if needed
-      return;
-    }
-    
-    // Forward RAW µ-law @ 8kHz to ElevenLabs Scribe
-    scribeService.sendAudio(callControlId, ulawBuffer);
+    // Send µ-law DIRECTLY to the STT provider (NO transcoding!)
+    // Every provider takes µ-law @ 8kHz natively
+    // Audio for calls whose provider is not connected (e.g. after a queue_overflow disconnect) is dropped
+    sttProviders.sendAudio(callControlId, ulawBuffer);
   } catch (error) {
     console.error(`❌ Error processing media chunk:`, error);
   }
@@ -366,32 +266,26 @@ async function handleStreamStop(data) {
   console.log(`🎙️  Media stream stopped for call: ${callControlId}`);
   
   if (callControlId) {
-    // Calculate STT duration and track cost
+    // Calculate STT duration and track cost with the provider the stream used (the fake provider is free)
     const stream = activeStreams.get(callControlId);
     if (stream && stream.startTime) {
       const durationMs = Date.now() - stream.startTime;
-      const durationMinutes = Math.ceil(durationMs / 60000); // Round up to nearest minute
-      
-      // Track ElevenLabs STT cost
       const costTracking = require('./costTrackingService');
-      costTracking.trackElevenLabsSTT(callControlId, durationMinutes);
-    }
-    
-    // Clean up event listeners for this call
-    if (eventListeners.has(callControlId)) {
-      const listeners = eventListeners.get(callControlId);
-      scribeService.off('transcript', listeners.transcriptListener);
-      scribeService.off('error', listeners.errorListener);
-      eventListeners.delete(callControlId);
-      console.log(`   🧹 Removed event listeners for ${callControlId}`);
+
+      if (stream.sttProvider === 'elevenlabs') {
+        const durationMinutes = Math.ceil(durationMs / 60000); // Round up to nearest minute
+        costTracking.trackElevenLabsSTT(callControlId, durationMinutes);
+      } else if (stream.sttProvider === 'deepgram') {
+        costTracking.trackDeepgramSTT(callControlId, durationMs / 60000); // Billed per second
+      }
     }
     
-    // Commit any pending transcript to ElevenLabs Scribe
-    scribeService.commit(callControlId);
+    // Commit any pending transcript
+    sttProviders.commit(callControlId);
     
-    // Disconnect from ElevenLabs Scribe
+    // Disconnect STT
     setTimeout(() => {
-      scribeService.disconnect(callControlId);
+      sttProviders.disconnect(callControlId);
     }, 1000); // Give time for final transcript
   }
 }
@@ -511,28 +405,18 @@ function closeAllWebsocketsForCall(callControlId) {
   
   console.log(`🔌 Closing all websockets for call: ${callControlId}`);
   
-  // 1. Clean up event listeners for this call
-  if (eventListeners.has(callControlId)) {
-    const listeners = eventListeners.get(callControlId);
-    scribeService.off('transcript', listeners.transcriptListener);
-    scribeService.off('error', listeners.errorListener);
-    eventListeners.delete(callControlId);
-    console.log(`   🧹 Removed event listeners for ${callControlId}`);
-  }
-  
-  // 2. Close ElevenLabs Scribe websocket (STT)
+  // 1. Close the STT provider connection
   try {
-    if (scribeService && typeof scribeService.disconnect === 'function') {
-      scribeService.disconnect(callControlId);
-      console.log(`   ✅ ElevenLabs Scribe websocket closed`);
-    } else {
-      console.log(`   ℹ️  ElevenLabs Scribe service not available`);
+    const provider = sttProviders.getProviderName(callControlId);
+    if (provider) {
+      sttProviders.disconnect(callControlId);
+      console.log(`   ✅ ${provider} STT connection closed`);
     }
   } catch (error) {
-    console.error(`   ❌ Error closing ElevenLabs Scribe websocket:`, error.message);
+    console.error(`   ❌ Error closing STT connection:`, error.message);
   }
   
-  // 3. Close Telnyx media streaming websocket (STT)
+  // 2. Close Telnyx media streaming websocket (STT)
   const stream = activeStreams.get(callControlId);
   if (stream && stream.telnyxWs) {
     try {
@@ -551,7 +435,7 @@ function closeAllWebsocketsForCall(callControlId) {
     console.log(`   ℹ️  No active Telnyx media stream found for ${callControlId}`);
   }
   
-  // 4. Remove from active streams
+  // 3. Remove from active streams
   if (activeStreams.has(callControlId)) {
     activeStreams.delete(callControlId);
     console.log(`   ✅ Removed from active streams`);
@@ -572,7 +456,7 @@ function cleanup() {
     });
     mediaWss.close();
   }
-  scribeService.disconnectAll();
+  sttProviders.disconnectAll();
 }
 
 module.exports = {
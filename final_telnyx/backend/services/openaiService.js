@@ -1,9 +1,29 @@
-const OpenAI = require('openai');
-const costTracking = require('./costTrackingService');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const llm = require('./llmService');
+const scriptService = require('./scriptService');
+const qualification = require('./qualificationService');
+const SentenceSplitter = require('./sentenceSplitter');
+
+// Asked once every qualification question is answered
+const TRANSFER_QUESTION = `Perfect! Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?`;
+
+// Streamed sentences about a transfer may still be replaced once the reply is final, so they're not spoken early
+const HOLD_BACK_PATTERN = /transfer|connect|licensed agent|sound good/i;
+
+// Phrases that must never be spoken (function names and other technical jargon)
+const FORBIDDEN_PATTERNS = [
+  /\bupdate_qualification\b/gi,
+  /\bset_call_outcome\b/gi,
+  /\bcall\s+update_qualification/gi,
+  /\bcall\s+set_call_outcome/gi,
+  /\(calling function\)/gi,
+  /\+ call\b/gi,
+  /\*set_call_outcome\*/gi,
+  /\*update_qualification\*/gi,
+  /\*Transitioning\*/gi,
+  /\{[^}]*outcome[^}]*\}/gi,  // Remove JSON-like structures
+  /function\s*:/gi,
+  /tool_calls/gi,
+];
 
 class OpenAIService {
   constructor() {
@@ -12,349 +32,43 @@ class OpenAIService {
 
   /**
    * Initialize conversation for a user
+   * script: { id, version, name, systemPrompt, greeting, greetingSecondPart, qualificationQuestions, ttsProvider, ttsVoice, llm } (optional)
+   * options.callback: the lead called us back - callback greetings and prompt instructions are used
    */
-  initializeConversation(callId, userInfo) {
-    const systemPrompt = `You are Mia, a warm and genuinely human representative with the Benefits Review Team making an OUTBOUND call.
-
-YOUR MISSION - FOLLOW THIS EXACT ORDER:
-
-STEP 1: VERIFY INFORMATION FIRST (Always do this before anything else)
-→ After greeting, confirm: "Your last name is ${userInfo.lastname} and you're over in ${userInfo.address}, right?"
-→ WAIT for them to confirm before moving forward
-→ When they confirm (even if they say "Yes" + something else), IMMEDIATELY call: update_qualification({verified_info: true})
-→ Examples:
-   User: "Yes, that's right" → call update_qualification({verified_info: true})
-   User: "Yes. Wait." → call update_qualification({verified_info: true}) THEN acknowledge the wait
-   User: "Yeah" → call update_qualification({verified_info: true})
-→ CRITICAL: The moment you hear ANY form of "yes" to verification, call the function IMMEDIATELY
-
-STEP 2: ASK ABOUT PREVIOUS OFFER (Discovery question - builds rapport - NOT a qualification question!)
-→ After verification confirmed, say: "Perfect, thanks. So it looks like you had a preferred final expense offer that wasn't claimed yet. We might be able to reopen it. Was there a reason you didn't move forward last time... like maybe a health issue or something else?"
-→ Listen to their response naturally - don't interrupt
-→ Acknowledge warmly and IMMEDIATELY ask Alzheimer's question
-→ Example: "I understand. Well have you ever been diagnosed with Alzheimer's or dementia?"
-→ DO NOT ask multiple questions or repeat yourself
-→ 🚨 CRITICAL: This is NOT a qualification question! Do NOT call update_qualification when user responds to this question!
-→ 🚨 CRITICAL: Ask this question ONLY ONCE! If you already asked it, skip directly to the Alzheimer's question!
-→ User's response to this question is just conversation - acknowledge it and move to qualification questions
-
-STEP 3: QUALIFICATION QUESTIONS (CRITICAL - ALWAYS call the function!)
-
-Question 1: "Have you ever been diagnosed with Alzheimer's or dementia?"
-→ User says "No" → YOU MUST PROVIDE BOTH:
-   a) Function: update_qualification({no_alzheimers: true})
-   b) Spoken: "Great! Are you currently in hospice care or a nursing home?"
-
-Question 2: "Are you currently in hospice care or a nursing home?"
-→ User says "No" → YOU MUST PROVIDE BOTH:
-   a) Function: update_qualification({no_hospice: true})
-   b) Spoken: "Perfect! Are you between 50 and 78?"
-
-Question 3: "Are you between 50 and 78?"
-→ User says "Yes" → YOU MUST PROVIDE BOTH:
-   a) Function: update_qualification({age_qualified: true})
-   b) Spoken: "Awesome! Do you have a checking or savings account?"
-
-Question 4: "Do you have a checking or savings account?"
-→ User says "Yes" → YOU MUST PROVIDE BOTH:
-   a) Function: update_qualification({has_bank_account: true})
-   b) Spoken: "Perfect! Let me get you connected with one of our licensed agents..."
-
-CRITICAL FOR QUALIFICATIONS:
-- ALWAYS call update_qualification when user answers a QUALIFICATION question - NO EXCEPTIONS!
-- The "health issue" discovery question (Step 2) is NOT a qualification question - do NOT call update_qualification for responses to it!
-- Only call update_qualification for the 4 qualification questions: Alzheimer's, hospice, age, bank account
-- Provide BOTH the spoken response AND the function call in the SAME message
-- The function call is NOT optional - it MUST happen for qualification questions
-- Do NOT ask the same question twice
-- Do NOT skip function calls EVER for qualification questions
-
-STEP 4: If all pass → Offer transfer to licensed agent
-
-CRITICAL RULES - READ CAREFULLY:
-- You MUST verify name/location FIRST (Step 1)
-- After verification, ask about previous offer (Step 2) - this builds rapport
-- THEN ask qualification questions (Step 3)
-- If they object before verification → Answer objection + ask verification in same response
-- If they object after verification but before qualifications → Answer objection + pivot to discovery question about previous offer
-- If they object during qualifications → Answer objection + return to qualification questions
-- When ending call, ALWAYS call set_call_outcome function
-- Keep responses SHORT (1-2 sentences usually)
-- Be conversational, warm, and natural
-
-HANDLING OBJECTIONS - FOLLOW THESE EXACTLY:
-
-If NOT YET VERIFIED, combine objection response with verification:
-User: "What's this about?"
-You: "Just a quick final-expense benefit review — I only need a couple questions. So your last name is ${userInfo.lastname} and you're over in ${userInfo.address}, right?"
-
-User: "What's your deal?"
-You: "Just a quick final-expense benefit review — I only need a couple questions. So your last name is ${userInfo.lastname} and you're over in ${userInfo.address}, right?"
-
-User: "What is this calling?"
-You: "Just a quick final-expense benefit review — I only need a couple questions. So your last name is ${userInfo.lastname} and you're over in ${userInfo.address}, right?"
-
-User: "Who are you?"  
-You: "I'm with the benefits review team helping seniors check their eligibility — just a few quick questions. Your last name is ${userInfo.lastname} and you're in ${userInfo.address}, that right?"
-
-If ALREADY VERIFIED BUT NOT YET FULLY QUALIFIED, return to the CURRENT qualification question (do NOT restart from beginning):
-- Check conversation history to see which question was last asked
-- If last question was about Alzheimer's/dementia → continue with that question
-- If last question was about hospice → continue with that question  
-- If last question was about age → continue with that question
-- If last question was about bank account → continue with that question
-
-Examples:
-User: "What's this about?" (during qualification - last question was Alzheimer's)
-You: "Just a quick final-expense benefit review — I only need a couple questions. So have you ever been diagnosed with Alzheimer's or dementia?"
-
-User: "What's this about?" (during qualification - last question was bank account)
-You: "Just a quick final-expense benefit review — do you have a checking or savings account?"
-
-User: "What's your deal?" (during qualification - last question was bank account)
-You: "Just a quick final-expense benefit review — do you have a checking or savings account?"
-
-User: "What is this calling?" (during qualification - last question was bank account)
-You: "Just a quick final-expense benefit review — do you have a checking or savings account?"
-
-🚨 CRITICAL: If ALREADY FULLY QUALIFIED (ALL 5 qualifications answered - verified_info=true, no_alzheimers=true, no_hospice=true, age_qualified=true, AND has_bank_account=true), DO NOT restart qualification questions:
-HOW TO CHECK: Look at conversation history for update_qualification function calls. User is ONLY fully qualified when ALL 5 are true. If ANY qualification is null or false, user is NOT fully qualified!
-
-User: "What's this about?" (after ALL 5 qualifications complete - verify all 5 are true!)
-You: "Just a quick final-expense benefit review — we've already confirmed your eligibility. Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-
-User: "What's your deal?" (after ALL 5 qualifications complete - verify all 5 are true!)
-You: "Just a quick final-expense benefit review — we've already confirmed your eligibility. Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-
-User: "What is this calling?" (after ALL 5 qualifications complete - verify all 5 are true!)
-You: "Just a quick final-expense benefit review — we've already confirmed your eligibility. Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-
-User: "Who are you?" (after ALL 5 qualifications complete - verify all 5 are true!)
-You: "I'm with the benefits review team. We've already confirmed your eligibility, so let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-
-🚨 SPECIAL OBJECTION - "I don't want it" / "I don't want this card":
-User: "I don't want this card."
-You: "We may save you time and money — would you like to speak with an agent?"
-[WAIT for response - if YES continue workflow, if NO then hangup with set_call_outcome]
-
-OBJECTION RESPONSES (use these exact phrases, then pivot back to workflow):
-🚨 CRITICAL: Before responding, check conversation history to see if user is FULLY QUALIFIED!
-To be fully qualified, ALL 5 must be true: verified_info=true, no_alzheimers=true, no_hospice=true, age_qualified=true, AND has_bank_account=true
-Check previous update_qualification function calls - if ANY qualification is null or false, user is NOT fully qualified!
-
-If user is NOT fully qualified yet (check previous update_qualification calls - if ANY qualification is null or false):
-"What's this about?" → "Just a quick final-expense benefit review — I only need a couple questions."
-"What's your deal?" → "Just a quick final-expense benefit review — I only need a couple questions."
-"What is this calling?" → "Just a quick final-expense benefit review — I only need a couple questions."
-
-SPECIAL CASE: If you just asked "Do you have a checking or savings account?" and user asks an objection:
-"What's this about?" → "Just a quick final-expense benefit review — do you have a checking or savings account?"
-"What's your deal?" → "Just a quick final-expense benefit review — do you have a checking or savings account?"
-"What is this calling?" → "Just a quick final-expense benefit review — do you have a checking or savings account?"
-
-If user IS already fully qualified (ALL 5 update_qualification calls show ALL qualifications as true - verify all 5 are true!):
-"What's this about?" → "Just a quick final-expense benefit review — we've already confirmed your eligibility. Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-"What's your deal?" → "Just a quick final-expense benefit review — we've already confirmed your eligibility. Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-"What is this calling?" → "Just a quick final-expense benefit review — we've already confirmed your eligibility. Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-"How much does this cost?" → "A licensed agent gives the exact quote — I just need a few quick answers first."
-"I already have coverage." → "Great! We might be able to save you money — just a couple quick questions."
-"I'm not interested." → "No problem — just need a few quick questions to confirm and I'll be brief."
-"Who are you?" → "I'm with the benefits review team helping seniors check their eligibility — just a few quick questions."
-"How did you get my number?" → "You requested information about state-approved benefits — I just need a couple questions."
-"I'm busy right now." → "Totally understand — this takes less than one minute, just a couple quick questions."
-"Is this a sales call?" → "No — I'm just pre-qualifying you. A licensed agent handles the actual quotes."
-"Can you mail me something?" → "Absolutely — I just need to confirm a few details first."
-"Can you call me later?" → "Sure — let me just ask the quick qualifying questions so the agent is prepared."
-"What company is this?" → "We work with the benefits review team for state-approved final-expense coverage — just a few quick questions."
-"I'm too old/sick to qualify." → "You may still qualify — let me ask just a couple quick questions."
-"Is this free?" → "Yes — the review is free. Just a couple quick questions."
-
-🚨🚨🚨 CRITICAL SPECIAL CASE - "I don't want it" / "I don't want this" / "I don't want the card" / "I don't want this card" 🚨🚨🚨
-
-⚠️ DO NOT SAY GOODBYE IMMEDIATELY! ⚠️
-⚠️ DO NOT END THE CALL YET! ⚠️
-
-FIRST, you MUST ask:
-"We may save you time and money — would you like to speak with an agent?"
-
-THEN WAIT for their response:
-
-- If they say YES/YEAH/SURE/OKAY → Continue with workflow (ask verification or qualification questions)
-- If they say NO/NAH/NOT INTERESTED → ONLY THEN say goodbye: "I understand. No problem at all. Have a great day!"
-                                      AND call: set_call_outcome({outcome: 'user_declined'})
-
-YOU CANNOT SKIP THE QUESTION! You MUST give them the chance to speak with an agent before hanging up!
-
-EXPLICIT HANGUP REQUESTS:
-If they say "hang up", "remove me", "don't call again", "take me off your list":
-→ Say goodbye naturally: "I understand. No problem at all. Have a great day!"
-→ Use the set_call_outcome function with outcome='user_requested_hangup'
-→ IMPORTANT: Only speak the goodbye - do NOT mention the function in your spoken response
-
-CONVERSATION STYLE:
-- Warm, casual, empathetic - sound 100% human
-- Use conversational language: contractions, filler words ("okay", "perfect", "got it")
-- Use their first name: ${userInfo.firstname}
-- Reference what they said naturally ("you mentioned...", "like you said...")
-- YOU called THEM (never say "thanks for calling")
-- Keep it brief - don't over-explain
-- NEVER say "I'll note that" or "I'll record that" - just move to the next question
-- Keep responses SHORT and conversational - no verbose acknowledgments
-
-QUALIFICATION QUESTIONS (ask naturally, one at a time):
-
-1. "Have you ever been diagnosed with Alzheimer's or dementia?"
-   → User says "No" → update_qualification({no_alzheimers: true})
-   → Your response: "Great! Are you currently in hospice care or a nursing home?"
-   
-2. "Are you currently in hospice care or a nursing home?"
-   → User says "No" → update_qualification({no_hospice: true})
-   → Your response: "Perfect! Are you between 50 and 78?"
-   
-3. "Are you between 50 and 78?"
-   → User says "Yes" → update_qualification({age_qualified: true})
-   → Your response: "Awesome! Do you have a checking or savings account?"
-   
-4. "Do you have a checking or savings account?"
-   → User says "Yes" → update_qualification({has_bank_account: true})
-   → Your response: "Perfect! Let me get you connected with one of our licensed agents..."
-
-CRITICAL: Call the correct function parameter for each specific question!
-KEEP RESPONSES SHORT: Just acknowledge briefly (Great!/Perfect!/Awesome!) and ask next question
-
-DISQUALIFICATION RULES (Always confirm disqualifying answers first):
-- YES to Alzheimer's/dementia → Confirm, then disqualify
-- YES to hospice/nursing home → Confirm, then disqualify
-- NO to age 50-78 → Confirm, then disqualify
-- NO to bank account → Confirm, then disqualify
-
-DISQUALIFICATION PHRASES (be polite and brief):
-- "I appreciate your time, ${userInfo.firstname}. Unfortunately that makes it tough to move forward. But have a great day!"
-- "Thanks so much for chatting. Unfortunately [reason] doesn't quite fit for this offer. Take care!"
-→ Use set_call_outcome function with outcome='disqualified' (do NOT mention this in your spoken response)
-
-QUALIFIED & READY FOR TRANSFER:
-"Perfect! Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?"
-→ When they agree, use set_call_outcome function with outcome='transfer_to_agent'
-
-FUNCTION CALLING RULES - CRITICAL:
-1. ALWAYS provide BOTH spoken text AND function call in the same response
-2. Your spoken text = what the user hears (natural conversation only)
-3. Function calls = invisible background actions (never mentioned in speech)
-4. ALWAYS call update_qualification when user answers a QUALIFICATION question (Alzheimer's, hospice, age, bank account)
-5. 🚨 DO NOT call update_qualification when user responds to the "health issue" discovery question (Step 2) - that's just conversation!
-6. For health issue question: Just acknowledge their response and ask the Alzheimer's question - NO function call needed
-7. Provide spoken response AND function call in the SAME message - never make 2 messages
-8. Use set_call_outcome when ending the call
-
-EXAMPLE OF CORRECT BEHAVIOR:
-
-Example 1: User responds to health issue discovery question (Step 2)
-User says: "Yes, I have" (answering "was there a reason you didn't move forward... like maybe a health issue?")
-You provide ONLY spoken response (NO function call):
-  Spoken: "I understand. Well have you ever been diagnosed with Alzheimer's or dementia?"
-  Function: NONE - this is not a qualification question!
-
-Example 2: User responds to Alzheimer's qualification question (Step 3)
-User says: "No" (answering Alzheimer's question)
-You provide TWO things simultaneously:
-  a) Spoken: "Great! Are you currently in hospice care or a nursing home?"
-  b) Function: update_qualification({no_alzheimers: true})
-
-🚨 CRITICAL - YOU **MUST** USE THE FUNCTIONS - THIS IS NOT OPTIONAL:
-
-YOU ARE **REQUIRED** TO CALL FUNCTIONS. This is not a suggestion - it's **MANDATORY**.
-
-⚡ **EVERY TIME USER ANSWERS A QUESTION, YOU MUST CALL update_qualification!**
-
-**EXACT PATTERNS - FOLLOW THESE EXACTLY:**
-
-1️⃣ User confirms verification (says "yes"/"yeah"/"right"/"that's right"):
-   → IMMEDIATELY call: update_qualification({verified_info: true})
-   → Then speak: "Perfect, thanks. So it looks like..."
-
-2️⃣ User answers Alzheimer's question:
-   → User says "No" / "No, I don't have" / "I don't have" → CALL: update_qualification({no_alzheimers: true})
-   → User says "Yes" / "Yes, I have" → CALL: update_qualification({no_alzheimers: false})
-   → ⚠️ TRANSCRIPTION ERRORS: If user says something like "Though, I don't have" or "Know, I don't have", 
-     this is likely "No, I don't have" misheard by STT - treat as "No" and call update_qualification({no_alzheimers: true})
-   → Then speak: "Great! Are you currently in hospice care..."
-
-3️⃣ User answers hospice question:
-   → User says "No" → CALL: update_qualification({no_hospice: true})
-   → User says "Yes" → CALL: update_qualification({no_hospice: false})
-   → Then speak: "Perfect! Are you between 50 and 78?"
-
-4️⃣ User answers age question:
-   → User says "Yes" → CALL: update_qualification({age_qualified: true})
-   → User says "No" → CALL: update_qualification({age_qualified: false})
-   → Then speak: "Awesome! Do you have a checking or savings account?"
-
-5️⃣ User answers bank account question:
-   → User says "Yes" → CALL: update_qualification({has_bank_account: true})
-   → User says "No" → CALL: update_qualification({has_bank_account: false})
-   → Then speak: "Perfect! Let me get you connected..."
-
-6️⃣ User agrees to transfer:
-   → CALL: set_call_outcome({outcome: 'transfer_to_agent'})
-   → Then speak: "Awesome! I'm transferring you now."
-
-7️⃣ User declines or fails qualification:
-   → CALL: set_call_outcome({outcome: 'disqualified' or 'user_declined'})
-   → Then speak: "I understand. Have a great day!"
-
-⚠️ **IF YOU RESPOND WITH ONLY TEXT AND NO FUNCTION CALL, THE SYSTEM WILL BREAK!**
-⚠️ **DATA WILL BE LOST IF YOU DON'T CALL FUNCTIONS!**
-⚠️ **EVERY ANSWER = FUNCTION CALL. NO EXCEPTIONS!**
-
-WHAT USER HEARS vs WHAT HAPPENS:
-User hears: "Perfect! Have you been diagnosed with Alzheimer's?"
-Background: update_qualification({verified_info: true}) executes silently
-
-User hears: "I appreciate your time. Have a great day!"
-Background: set_call_outcome({outcome: 'disqualified'}) executes silently
-
-NEVER SAY THESE WORDS OR SYMBOLS:
-- "call" (as in "call update_qualification")
-- "function"
-- "update_qualification"
-- "set_call_outcome"
-- Any plus signs like "+ call"
-- Asterisks like "*set_call_outcome*" or "*Transitioning*"
-- Technical jargon
-- Function names in ANY format
-
-YOUR RESPONSES MUST BE PURE CONVERSATION - NO TECHNICAL TERMS:
-GOOD: "Perfect! Have you been diagnosed with Alzheimer's or dementia?"
-GOOD: "Awesome! I'm transferring you now. Just a moment."
-BAD: "Perfect! Have you been diagnosed... + call update_qualification"
-BAD: "Perfect! Have you been diagnosed... (calling function)"
-BAD: "Awesome! I'm transferring you now. *set_call_outcome*"
-BAD: "*Transitioning you to the agent...*"
-
-CRITICAL: Function calls happen automatically in the background. NEVER mention them, write them, or reference them in your spoken responses!`;
+  initializeConversation(callId, userInfo, script = null, { callback = false } = {}) {
+    // Script (prompt + greetings) comes from the campaign/start request, else the built-in default
+    const activeScript = script || scriptService.getBuiltInScript();
+    const greetings = callback ? scriptService.getCallbackGreetings(activeScript) : activeScript;
+    let systemPrompt = scriptService.render(activeScript.systemPrompt, userInfo);
+    if (callback) {
+      systemPrompt += `\n\n${scriptService.getCallbackInstructions()}`;
+    }
+    const questions = activeScript.qualificationQuestions || qualification.getDefaultQuestions();
 
     this.conversationStates.set(callId, {
       userInfo,
       messages: [
         { role: 'system', content: systemPrompt }
       ],
-      qualifications: {
-        verified_info: null,
-        no_alzheimers: null,
-        no_hospice: null,
-        age_qualified: null,
-        has_bank_account: null
-      },
+      qualificationQuestions: questions,
+      qualifications: qualification.createAnswers(questions),
       stage: 'greeting',  // Initial stage for silence detection
       startTime: Date.now(),
-      greetingSent: false  // Track if greeting has been sent on call answer
+      greetingSent: false,  // Track if greeting has been sent on call answer
+      direction: callback ? 'inbound' : 'outbound',
+      script: {
+        id: activeScript.id || null,
+        version: activeScript.version || null,
+        name: activeScript.name,
+        greeting: greetings.greeting,
+        greetingSecondPart: greetings.greetingSecondPart,
+        ttsProvider: activeScript.ttsProvider || null,
+        ttsVoice: activeScript.ttsVoice || null,
+        llm: activeScript.llm || {}
+      }
     });
   }
 
-  /**
-   * Get the next response using conversational AI with function calling
-   */
   /**
    * Normalize transcript to fix common STT transcription errors
    * This helps the AI understand user responses correctly
@@ -387,7 +101,13 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
     return normalized;
   }
 
-  async getNextResponse(callId, userTranscript = null, confidence = 1.0) {
+  /**
+   * Get the next response using conversational AI with function calling
+   * The completion is streamed: with onSentence, whole sentences are passed on as they arrive (to start
+   * speaking early) and unspokenResponse is what is left to say. Replies that may still be replaced
+   * (forced function calls, the transfer confirmation) are only passed on once final.
+   */
+  async getNextResponse(callId, userTranscript = null, confidence = 1.0, { onSentence = null } = {}) {
     const state = this.conversationStates.get(callId);
     if (!state) {
       throw new Error('Conversation not initialized');
@@ -421,39 +141,9 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
     }
 
     // Prepare tool definitions for structured data extraction (modern tools format)
+    // update_qualification is generated from the script's qualification questions
     const tools = [
-      {
-        type: 'function',
-        function: {
-          name: 'update_qualification',
-          description: 'REQUIRED: Call this immediately when user answers verification or qualification questions. This tracks their answers.',
-          parameters: {
-            type: 'object',
-            properties: {
-              verified_info: {
-                type: 'boolean',
-                description: 'User confirmed their name and location are correct'
-              },
-              no_alzheimers: {
-                type: 'boolean', 
-                description: 'User confirmed they do NOT have Alzheimers or dementia (true = no alzheimers, false = has alzheimers)'
-              },
-              no_hospice: {
-                type: 'boolean',
-                description: 'User confirmed they are NOT in hospice or nursing home (true = not in hospice, false = in hospice)'
-              },
-              age_qualified: {
-                type: 'boolean',
-                description: 'User confirmed they are between 50-78 years old (true = qualified, false = disqualified)'
-              },
-              has_bank_account: {
-                type: 'boolean',
-                description: 'User confirmed they have checking or savings account (true = has account, false = no account)'
-              }
-            }
-          }
-        }
-      },
+      qualification.buildTool(state.qualificationQuestions),
       {
         type: 'function',
         function: {
@@ -510,30 +200,20 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       // Combine all patterns - if any match, treat as yes/no answer
       const isYesNoAnswerFinal = isYesNoAnswer || isNoAnswerWithError || isNegativePhrase;
       
-      // Pattern 2: User is stating their age (answering age question)
-      const isAgeAnswer = /\b\d{2}\b/.test(transcript) || /\b(fifty|sixty|seventy|eighty|i'm \d{2}|im \d{2})\b/i.test(transcript);
-      
-      // Pattern 3: User gives affirmative with qualification info
-      const hasAgeInResponse = /\b(i'm|im|am) \d{2}|years old|\d{2} years/i.test(transcript);
-      const hasBankInResponse = /have (a |an |one|checking|savings)|(got a|got an)/i.test(transcript);
-      
-      // Pattern 4: AI just asked a qualification question
-      const askedVerification = /your last name is.*and you're (over in|in)/i.test(lastAssistantText);
-      const askedAlzheimers = /alzheimer|dementia/i.test(lastAssistantText);
-      const askedHospice = /hospice|nursing home/i.test(lastAssistantText);
-      
-      // Pattern 3b: User says "at home" in response to hospice question (handles STT errors like "Though I'm at home")
-      const hasAtHomeResponse = askedHospice && /\b(at home|home|living at home|not in hospice|not in nursing)\b/i.test(transcript);
-      const askedAge = /between.*50.*78|how old are you/i.test(lastAssistantText);
-      const askedBankAccount = /checking|savings|bank account/i.test(lastAssistantText);
+      // Pattern 2: AI just asked a qualification question (matched by the question's askedPattern)
+      const questions = state.qualificationQuestions;
+      const askedQuestion = qualification.findAskedQuestion(questions, lastAssistantText);
       const askedTransfer = /get you connected|speak with.*agent|transfer|sound good/i.test(lastAssistantText);
+      const askedLabel = askedQuestion ? askedQuestion.name : 'transfer';
       
-      // 🚨 CRITICAL: Detect the "health issue" discovery question - this is NOT a qualification question!
-      // User responses to this question should NOT trigger qualification function calls
-      const askedHealthIssue = /preferred final expense offer|didn't move forward|health issue|something else\?/i.test(lastAssistantText);
+      // Pattern 3: Answer matches the asked question's own patterns (numbers, "at home", "I have a checking"...)
+      const answersAskedQuestion = !!askedQuestion && qualification.looksLikeAnswer(askedQuestion, transcript);
       
-      const askedQualificationQuestion = askedVerification || askedAlzheimers || askedHospice || 
-                                         askedAge || askedBankAccount || askedTransfer;
+      // 🚨 CRITICAL: Detect intro (discovery) questions - these are NOT qualification questions!
+      // User responses to them should NOT trigger qualification function calls
+      const askedIntroQuestion = qualification.isIntroQuestion(questions, lastAssistantText);
+      
+      const askedQualificationQuestion = !!askedQuestion || askedTransfer;
       
       // Pattern 5: User says "I don't want" - should NOT force function call
       // Per system prompt, AI must FIRST ask "We may save you time and money — would you like to speak with an agent?"
@@ -544,32 +224,31 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       const isExplicitHangup = /\b(hang up|remove me|don't call again|take me off|stop calling)\b/i.test(transcript);
       
       // Pattern 6: Check if there are unanswered qualifications that should be answered
-      const hasUnansweredQualifications = Object.values(state.qualifications).some(v => v === null);
+      const hasUnansweredQualifications = !!qualification.getFirstUnanswered(questions, state.qualifications);
+      const firstAnswer = state.qualifications[questions[0].name];
+      const passedFirstQuestion = firstAnswer !== null && !qualification.isDisqualifying(questions[0], firstAnswer);
       
-      // 🚨 CRITICAL: DO NOT force function call if user is responding to the "health issue" discovery question
+      // 🚨 CRITICAL: DO NOT force function call if user is responding to an intro (discovery) question
       // This is NOT a qualification question - it's just conversation to build rapport
-      // User responses like "yes, i have" to the health issue question should NOT trigger qualification calls
-      if (askedHealthIssue) {
-        console.log('ℹ️  User responding to health issue discovery question - NOT a qualification question, do NOT force function call');
+      // User responses like "yes, i have" to it should NOT trigger qualification calls
+      if (askedIntroQuestion) {
+        console.log('ℹ️  User responding to intro discovery question - NOT a qualification question, do NOT force function call');
         console.log(`   User said: "${transcript}"`);
-        console.log(`   AI should acknowledge and then ask Alzheimer's question`);
+        console.log(`   AI should acknowledge and then ask the next qualification question`);
       }
       
-      // 🔥 FORCE function call if user is answering a qualification question (but NOT the health issue question)
-      if ((isYesNoAnswerFinal || isAgeAnswer || hasAgeInResponse || hasBankInResponse || hasAtHomeResponse) && askedQualificationQuestion && !askedHealthIssue) {
+      // 🔥 FORCE function call if user is answering a qualification question (but NOT an intro question)
+      if ((isYesNoAnswerFinal || answersAskedQuestion) && askedQualificationQuestion && !askedIntroQuestion) {
         toolChoice = 'required';
         console.log('🎯 FORCING function call - user answering qualification question');
         console.log(`   User said: "${transcript}"`);
-        console.log(`   AI asked about: ${askedVerification ? 'verification' : askedAlzheimers ? 'alzheimers' : askedHospice ? 'hospice' : askedAge ? 'age' : askedBankAccount ? 'bank account' : 'transfer'}`);
+        console.log(`   AI asked about: ${askedLabel}`);
         if (isNoAnswerWithError) {
           console.log(`   ✅ Detected transcription error (e.g., "though" for "no") - treating as negative answer`);
         }
         if (isNegativePhrase) {
           console.log(`   ✅ Detected negative phrase (e.g., "I don't have") - treating as "no" answer`);
         }
-        if (hasAtHomeResponse) {
-          console.log(`   ✅ Detected "at home" response to hospice question - treating as "no" answer`);
-        }
       }
       
       // ❌ DO NOT force function call for "I don't want" - AI must ask agent question first per prompt
@@ -588,49 +267,64 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       // 🔥 FORCE function call if conversation is at critical stage with unanswered qualifications
       // This catches cases where AI might skip function calls during qualification flow
       // BUT ONLY if the user's transcript actually looks like an answer!
-      // 🚨 CRITICAL: Exclude health issue question - it's NOT a qualification question!
-      const looksLikeAnswer = isYesNoAnswerFinal || isAgeAnswer || hasAgeInResponse || hasBankInResponse || hasAtHomeResponse;
+      // 🚨 CRITICAL: Exclude intro questions - they're NOT qualification questions!
+      const looksLikeAnswer = isYesNoAnswerFinal || answersAskedQuestion;
       
-      if (hasUnansweredQualifications && state.qualifications.verified_info === true && askedQualificationQuestion && looksLikeAnswer && !askedHealthIssue) {
+      if (hasUnansweredQualifications && passedFirstQuestion && askedQualificationQuestion && looksLikeAnswer && !askedIntroQuestion) {
         if (toolChoice !== 'required') {
           toolChoice = 'required';
           console.log('🎯 FORCING function call - critical qualification stage');
           console.log(`   Unanswered qualifications detected`);
           console.log(`   User transcript looks like an answer: "${transcript}"`);
         }
-      } else if (hasUnansweredQualifications && state.qualifications.verified_info === true && askedQualificationQuestion && !looksLikeAnswer && !askedHealthIssue) {
+      } else if (hasUnansweredQualifications && passedFirstQuestion && askedQualificationQuestion && !looksLikeAnswer && !askedIntroQuestion) {
         // Log when we would force but transcript doesn't look like an answer
         console.log('ℹ️  Skipping forced function call - transcript does not look like an answer');
         console.log(`   Transcript: "${transcript}"`);
-        console.log(`   AI asked: ${askedVerification ? 'verification' : askedAlzheimers ? 'alzheimers' : askedHospice ? 'hospice' : askedAge ? 'age' : askedBankAccount ? 'bank account' : 'transfer'}`);
-      } else if (askedHealthIssue && hasUnansweredQualifications) {
-        console.log('ℹ️  User responding to health issue discovery question - this is conversation, not qualification');
-        console.log(`   AI should acknowledge response and ask Alzheimer's question next`);
+        console.log(`   AI asked: ${askedLabel}`);
+      } else if (askedIntroQuestion && hasUnansweredQualifications) {
+        console.log('ℹ️  User responding to intro discovery question - this is conversation, not qualification');
+        console.log(`   AI should acknowledge response and ask the next qualification question`);
       }
     }
 
+    // Pass sentences on while streaming unless the reply may be replaced: forced function calls can fall back
+    // to an inferred answer, and the answer to "Sound good?" can be swapped for the transfer/goodbye line
+    const lastAssistantReply = [...state.messages].reverse().find(m => m.role === 'assistant')?.content || '';
+    const streamSentences = typeof onSentence === 'function' && toolChoice === 'auto' && !/sound good/i.test(lastAssistantReply);
+    const splitter = new SentenceSplitter();
+    let streamedContent = '';
+    let spokenChars = 0;  // Characters of the content already passed to onSentence
+    const spokenSentences = [];  // What the lead has already been sent, kept if the stream fails later
+    let holdBack = false;
+
+    const onContent = (text) => {
+      streamedContent += text;
+      if (!streamSentences || holdBack) return;
+      for (const sentence of splitter.push(text)) {
+        if (HOLD_BACK_PATTERN.test(sentence)) {
+          holdBack = true;
+          return;
+        }
+        spokenChars = streamedContent.indexOf(sentence, spokenChars) + sentence.length;
+        const spoken = this._removeFunctionNames(sentence);
+        if (spoken) {
+          spokenSentences.push(spoken);
+          onSentence(spoken);
+        }
+      }
+    };
+
     try {
-      // Call OpenAI with full conversation history and function calling
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      // Stream the LLM with full conversation history and function calling
+      // (model/temperature/max tokens from the script, usage tracked with the model that answered)
+      const { response, model, firstTokenAt } = await llm.streamChatCompletion({
         messages: state.messages,
         tools: tools,
         tool_choice: toolChoice,  // 'auto' or 'required' based on context
-        temperature: 0.3,  // Lower temperature for more consistent function calling
-        max_tokens: 150,
         parallel_tool_calls: false  // One tool call at a time for clarity
-      });
-
-      // Track OpenAI usage
-      if (response.usage) {
-        costTracking.trackOpenAIUsage(
-          callId,
-          'gpt-4o-mini',
-          response.usage.prompt_tokens,
-          response.usage.completion_tokens,
-          'conversation'
-        );
-      }
+      }, { callId, operation: 'conversation', onContent, ...state.script.llm });
+      const completedAt = Date.now();
 
       const message = response.choices[0].message;
       
@@ -657,306 +351,54 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       const toolCalls = message.tool_calls;
       const functionCall = toolCalls?.[0] || message.function_call;
       
-      if (toolCalls && toolCalls.length > 0) {
-        const toolCall = toolCalls[0];
-        const functionName = toolCall.function.name;
-        const functionArgs = JSON.parse(toolCall.function.arguments);
-        
-        console.log(`Function called: ${functionName}`, functionArgs);
-        
-        if (functionName === 'update_qualification') {
-          // ⭐ CRITICAL FIX: Validate prerequisites before updating qualifications
-          // Prevent setting later qualifications when earlier ones are null
-          const quals = state.qualifications;
-          let shouldBlockUpdate = false;
-          let blockedField = null;
-          let requiredPrerequisite = null;
-          
-          // Check prerequisites in order
-          if (functionArgs.age_qualified !== undefined && functionArgs.age_qualified !== null) {
-            // Can't set age_qualified if no_hospice is null
-            if (quals.no_hospice === null) {
-              shouldBlockUpdate = true;
-              blockedField = 'age_qualified';
-              requiredPrerequisite = 'no_hospice';
-            }
-          }
-          
-          if (functionArgs.has_bank_account !== undefined && functionArgs.has_bank_account !== null) {
-            // Can't set has_bank_account if age_qualified is null
-            if (quals.age_qualified === null) {
-              shouldBlockUpdate = true;
-              blockedField = 'has_bank_account';
-              requiredPrerequisite = 'age_qualified';
-            }
-          }
-          
-          if (functionArgs.no_hospice !== undefined && functionArgs.no_hospice !== null) {
-            // Can't set no_hospice if no_alzheimers is null
-            if (quals.no_alzheimers === null) {
-              shouldBlockUpdate = true;
-              blockedField = 'no_hospice';
-              requiredPrerequisite = 'no_alzheimers';
-            }
-          }
-          
-          if (shouldBlockUpdate) {
-            console.warn(`⚠️  BLOCKED qualification update: Cannot set ${blockedField} because ${requiredPrerequisite} is null`);
-            console.warn(`   Current qualifications:`, state.qualifications);
-            console.warn(`   Attempted update:`, functionArgs);
-            // Don't update the blocked field - ask the prerequisite question instead
-            // Remove the blocked field from the update
-            const validUpdate = { ...functionArgs };
-            delete validUpdate[blockedField];
-            
-            // Update only valid fields
-            Object.keys(validUpdate).forEach(key => {
-              if (validUpdate[key] !== undefined && validUpdate[key] !== null) {
-                state.qualifications[key] = validUpdate[key];
-              }
-            });
-            
-            // Force asking the prerequisite question
-            const nextQuestion = this._getNextQuestion(state);
-            if (nextQuestion) {
-              assistantResponse = nextQuestion;
-              console.log(`   ✅ Forced asking prerequisite question: ${nextQuestion}`);
-            }
-          } else {
-            // All prerequisites met - update normally
-            Object.keys(functionArgs).forEach(key => {
-              if (functionArgs[key] !== undefined && functionArgs[key] !== null) {
-                state.qualifications[key] = functionArgs[key];
-              }
-            });
-          }
-          
-          console.log('Updated qualifications:', state.qualifications);
-          functionCallProcessed = true;
-        } else if (functionName === 'set_call_outcome') {
-          // 🔧 FIX: If user just answered bank account question but qualification wasn't updated, update it now
-          const lastAIMessage = [...state.messages].reverse().find(m => m.role === 'assistant');
-          const lastAIText = (lastAIMessage?.content || '').toLowerCase();
-          const askedBankAccount = /checking|savings|bank account/i.test(lastAIText);
-          
-          if (askedBankAccount && state.qualifications.has_bank_account === null && functionArgs.outcome === 'transfer_to_agent') {
-            // User answered bank account question but qualification wasn't updated - fix it now
-            console.log('🔧 FIX: Bank account qualification was not updated - updating now before transfer');
-            state.qualifications.has_bank_account = true;
-            console.log('   ✅ Set has_bank_account = true');
-          }
-          
-          console.log(`Call outcome: ${functionArgs.outcome}`, functionArgs.reason || '');
-          
-          if (functionArgs.outcome === 'transfer_to_agent') {
-            // 🔥 CRITICAL: Check if user is fully qualified before allowing transfer
-            const quals = state.qualifications;
-            const isFullyQualified = quals.verified_info === true && 
-                                     quals.no_alzheimers === true && 
-                                     quals.no_hospice === true && 
-                                     quals.age_qualified === true && 
-                                     quals.has_bank_account === true;
-            
-            if (!isFullyQualified) {
-              console.log('⚠️  AI attempted transfer but user is NOT fully qualified - blocking transfer');
-              console.log(`   Qualifications: verified=${quals.verified_info}, alzheimers=${quals.no_alzheimers}, hospice=${quals.no_hospice}, age=${quals.age_qualified}, bank=${quals.has_bank_account}`);
-              // Don't transfer - continue with qualification questions
-              // Regenerate response to ask the missing qualification question
-              const nextQuestion = this._getNextQuestion(state);
-              if (nextQuestion) {
-                assistantResponse = nextQuestion;
-                console.log('   ✅ Regenerated response to ask missing qualification question');
-              } else {
-                // Fallback: Ask the first missing question directly
-                if (quals.no_alzheimers === null) {
-                  assistantResponse = `Have you ever been diagnosed with Alzheimer's or dementia?`;
-                  console.log('   ✅ Fallback: Asking Alzheimer\'s question directly');
-                } else if (quals.no_hospice === null) {
-                  assistantResponse = `Great! Are you currently in hospice care or a nursing home?`;
-                  console.log('   ✅ Fallback: Asking hospice question directly');
-                } else if (quals.age_qualified === null) {
-                  assistantResponse = `Perfect! Are you between 50 and 78?`;
-                  console.log('   ✅ Fallback: Asking age question directly');
-                } else if (quals.has_bank_account === null) {
-                  assistantResponse = `Awesome! Do you have a checking or savings account?`;
-                  console.log('   ✅ Fallback: Asking bank account question directly');
-                } else {
-                  assistantResponse = `Got it, thanks!`;
-                }
-              }
-              // Don't set shouldTransfer = true - will continue asking questions
-            } else {
-              shouldTransfer = true;
-            }
-          } else {
-            shouldHangup = true;
-          }
-          functionCallProcessed = true;
-        }
-      } else if (message.function_call) {
-        // Legacy function call format
-        const functionName = message.function_call.name;
-        const functionArgs = JSON.parse(message.function_call.arguments);
+      if ((toolCalls && toolCalls.length > 0) || message.function_call) {
+        // Tool call (newer format) or legacy function call
+        const call = toolCalls && toolCalls.length > 0 ? toolCalls[0].function : message.function_call;
+        const functionName = call.name;
+        const functionArgs = JSON.parse(call.arguments);
         
         console.log(`Function called: ${functionName}`, functionArgs);
         
         if (functionName === 'update_qualification') {
-          // ⭐ CRITICAL FIX: Validate prerequisites before updating qualifications
-          // Prevent setting later qualifications when earlier ones are null
-          const quals = state.qualifications;
-          let shouldBlockUpdate = false;
-          let blockedField = null;
-          let requiredPrerequisite = null;
-          
-          // Check prerequisites in order
-          if (functionArgs.age_qualified !== undefined && functionArgs.age_qualified !== null) {
-            // Can't set age_qualified if no_hospice is null
-            if (quals.no_hospice === null) {
-              shouldBlockUpdate = true;
-              blockedField = 'age_qualified';
-              requiredPrerequisite = 'no_hospice';
-            }
+          // ⭐ CRITICAL FIX: Answers are applied in question order - a later answer is blocked
+          // while an earlier question is unanswered, and the prerequisite question is asked instead
+          const prerequisiteQuestion = this._applyQualificationUpdate(state, functionArgs);
+          if (prerequisiteQuestion) {
+            assistantResponse = prerequisiteQuestion;
           }
-          
-          if (functionArgs.has_bank_account !== undefined && functionArgs.has_bank_account !== null) {
-            // Can't set has_bank_account if age_qualified is null
-            if (quals.age_qualified === null) {
-              shouldBlockUpdate = true;
-              blockedField = 'has_bank_account';
-              requiredPrerequisite = 'age_qualified';
-            }
-          }
-          
-          if (functionArgs.no_hospice !== undefined && functionArgs.no_hospice !== null) {
-            // Can't set no_hospice if no_alzheimers is null
-            if (quals.no_alzheimers === null) {
-              shouldBlockUpdate = true;
-              blockedField = 'no_hospice';
-              requiredPrerequisite = 'no_alzheimers';
-            }
-          }
-          
-          if (shouldBlockUpdate) {
-            console.warn(`⚠️  BLOCKED qualification update: Cannot set ${blockedField} because ${requiredPrerequisite} is null`);
-            console.warn(`   Current qualifications:`, state.qualifications);
-            console.warn(`   Attempted update:`, functionArgs);
-            // Don't update the blocked field - ask the prerequisite question instead
-            // Remove the blocked field from the update
-            const validUpdate = { ...functionArgs };
-            delete validUpdate[blockedField];
-            
-            // Update only valid fields
-            Object.keys(validUpdate).forEach(key => {
-              if (validUpdate[key] !== undefined && validUpdate[key] !== null) {
-                state.qualifications[key] = validUpdate[key];
-              }
-            });
-            
-            // Force asking the prerequisite question
-            const nextQuestion = this._getNextQuestion(state);
-            if (nextQuestion) {
-              assistantResponse = nextQuestion;
-              console.log(`   ✅ Forced asking prerequisite question: ${nextQuestion}`);
-            }
-          } else {
-            // All prerequisites met - update normally
-            Object.keys(functionArgs).forEach(key => {
-              if (functionArgs[key] !== undefined && functionArgs[key] !== null) {
-                state.qualifications[key] = functionArgs[key];
-              }
-            });
-          }
-          
-          console.log('Updated qualifications:', state.qualifications);
           functionCallProcessed = true;
         } else if (functionName === 'set_call_outcome') {
-          // 🔧 FIX: If user just answered bank account question but qualification wasn't updated, update it now
-          const lastAIMessage = [...state.messages].reverse().find(m => m.role === 'assistant');
-          const lastAIText = (lastAIMessage?.content || '').toLowerCase();
-          const askedBankAccount = /checking|savings|bank account/i.test(lastAIText);
-          
-          if (askedBankAccount && state.qualifications.has_bank_account === null && functionArgs.outcome === 'transfer_to_agent') {
-            // User answered bank account question but qualification wasn't updated - fix it now
-            console.log('🔧 FIX: Bank account qualification was not updated - updating now before transfer');
-            state.qualifications.has_bank_account = true;
-            console.log('   ✅ Set has_bank_account = true');
-          }
-          
-          console.log(`Call outcome: ${functionArgs.outcome}`, functionArgs.reason || '');
-          
-          if (functionArgs.outcome === 'transfer_to_agent') {
-            // 🔥 CRITICAL: Check if user is fully qualified before allowing transfer
-            const quals = state.qualifications;
-            const isFullyQualified = quals.verified_info === true && 
-                                     quals.no_alzheimers === true && 
-                                     quals.no_hospice === true && 
-                                     quals.age_qualified === true && 
-                                     quals.has_bank_account === true;
-            
-            if (!isFullyQualified) {
-              console.log('⚠️  AI attempted transfer but user is NOT fully qualified - blocking transfer');
-              console.log(`   Qualifications: verified=${quals.verified_info}, alzheimers=${quals.no_alzheimers}, hospice=${quals.no_hospice}, age=${quals.age_qualified}, bank=${quals.has_bank_account}`);
-              // Don't transfer - continue with qualification questions
-              // Regenerate response to ask the missing qualification question
-              const nextQuestion = this._getNextQuestion(state);
-              if (nextQuestion) {
-                assistantResponse = nextQuestion;
-                console.log('   ✅ Regenerated response to ask missing qualification question');
-              } else {
-                // Fallback: Ask the first missing question directly
-                if (quals.no_alzheimers === null) {
-                  assistantResponse = `Have you ever been diagnosed with Alzheimer's or dementia?`;
-                  console.log('   ✅ Fallback: Asking Alzheimer\'s question directly');
-                } else if (quals.no_hospice === null) {
-                  assistantResponse = `Great! Are you currently in hospice care or a nursing home?`;
-                  console.log('   ✅ Fallback: Asking hospice question directly');
-                } else if (quals.age_qualified === null) {
-                  assistantResponse = `Perfect! Are you between 50 and 78?`;
-                  console.log('   ✅ Fallback: Asking age question directly');
-                } else if (quals.has_bank_account === null) {
-                  assistantResponse = `Awesome! Do you have a checking or savings account?`;
-                  console.log('   ✅ Fallback: Asking bank account question directly');
-                } else {
-                  assistantResponse = `Got it, thanks!`;
-                }
-              }
-              // Don't set shouldTransfer = true - will continue asking questions
-            } else {
-              shouldTransfer = true;
-            }
-          } else {
-            shouldHangup = true;
+          const outcome = this._applyCallOutcome(state, functionArgs);
+          if (outcome.response) {
+            assistantResponse = outcome.response;
           }
+          shouldTransfer = outcome.shouldTransfer;
+          shouldHangup = outcome.shouldHangup;
           functionCallProcessed = true;
         }
       }
 
       // 🔥 CRITICAL: Auto-detect disqualification and trigger hangup
       // This ensures hangup happens even if AI doesn't call set_call_outcome
+      const questions = state.qualificationQuestions;
       const quals = state.qualifications;
-      if (quals.no_alzheimers === false || quals.no_hospice === false || 
-          quals.age_qualified === false || quals.has_bank_account === false) {
+      const disqualifyingQuestion = qualification.getDisqualifyingQuestion(questions, quals);
+      if (disqualifyingQuestion) {
         // User was disqualified - force hangup
         if (!shouldHangup && !shouldTransfer) {
-          console.log('🚨 Disqualification detected - forcing hangup');
-          console.log(`   Qualifications: alzheimers=${quals.no_alzheimers}, hospice=${quals.no_hospice}, age=${quals.age_qualified}, bank=${quals.has_bank_account}`);
+          console.log(`🚨 Disqualification detected (${disqualifyingQuestion.name}) - forcing hangup`);
+          console.log(`   Qualifications: ${qualification.describe(questions, quals)}`);
           shouldHangup = true;
         }
       }
 
       // 🔥 CRITICAL: Auto-detect full qualification and trigger transfer
       // This ensures transfer happens even if AI doesn't call set_call_outcome
-      // Check if all 5 qualifications are true (user is fully qualified)
-      const isFullyQualified = quals.verified_info === true && 
-                               quals.no_alzheimers === true && 
-                               quals.no_hospice === true && 
-                               quals.age_qualified === true && 
-                               quals.has_bank_account === true;
+      // Fully qualified = every question answered and no answer disqualifies
+      const isFullyQualified = qualification.isFullyQualified(questions, quals);
       
       // Safety check: Ensure conversation has progressed past greeting stage
-      // and that bank account question (last qualification) has been answered
       const hasProgressedPastGreeting = state.stage !== 'greeting' && state.messages.length > 1;
-      const bankAccountAnswered = quals.has_bank_account === true;
       
       // 🔧 FIX: Check if AI just asked "Sound good?" - if so, wait for user's response before transferring
       const lastAIMessage = [...state.messages].reverse().find(m => m.role === 'assistant');
@@ -980,10 +422,10 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
         }
       }
       
-      if (isFullyQualified && !shouldHangup && !shouldTransfer && hasProgressedPastGreeting && bankAccountAnswered && !justAskedSoundGood) {
+      if (isFullyQualified && !shouldHangup && !shouldTransfer && hasProgressedPastGreeting && !justAskedSoundGood) {
         // User is fully qualified and AI hasn't asked "Sound good?" yet - ask for confirmation
         console.log('✅ Full qualification detected - will ask for transfer confirmation');
-        console.log(`   Qualifications: verified=${quals.verified_info}, alzheimers=${quals.no_alzheimers}, hospice=${quals.no_hospice}, age=${quals.age_qualified}, bank=${quals.has_bank_account}`);
+        console.log(`   Qualifications: ${qualification.describe(questions, quals)}`);
         console.log(`   Conversation stage: ${state.stage}, Messages: ${state.messages.length}`);
         // DON'T set shouldTransfer = true yet - wait for user's response to "Sound good?"
       } else if (isFullyQualified && justAskedSoundGood && !shouldTransfer && !shouldHangup) {
@@ -992,9 +434,9 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       } else if (isFullyQualified && !shouldTransfer && !justAskedSoundGood) {
         // Log when user is qualified but transfer wasn't triggered (for debugging)
         console.log('⚠️  User is fully qualified but transfer not triggered');
-        console.log(`   Qualifications: verified=${quals.verified_info}, alzheimers=${quals.no_alzheimers}, hospice=${quals.no_hospice}, age=${quals.age_qualified}, bank=${quals.has_bank_account}`);
+        console.log(`   Qualifications: ${qualification.describe(questions, quals)}`);
         console.log(`   Current state: shouldHangup=${shouldHangup}, shouldTransfer=${shouldTransfer}`);
-        console.log(`   Safety checks: hasProgressedPastGreeting=${hasProgressedPastGreeting}, bankAccountAnswered=${bankAccountAnswered}, stage=${state.stage}`);
+        console.log(`   Safety checks: hasProgressedPastGreeting=${hasProgressedPastGreeting}, stage=${state.stage}`);
       }
 
       // Get the assistant's response
@@ -1006,34 +448,7 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       if (assistantResponse) {
         const originalResponse = assistantResponse;
         
-        // List of forbidden phrases that should never be spoken
-        const forbiddenPatterns = [
-          /\bupdate_qualification\b/gi,
-          /\bset_call_outcome\b/gi,
-          /\bcall\s+update_qualification/gi,
-          /\bcall\s+set_call_outcome/gi,
-          /\(calling function\)/gi,
-          /\+ call\b/gi,
-          /\*set_call_outcome\*/gi,
-          /\*update_qualification\*/gi,
-          /\*Transitioning\*/gi,
-          /\{[^}]*outcome[^}]*\}/gi,  // Remove JSON-like structures
-          /function\s*:/gi,
-          /tool_calls/gi,
-        ];
-        
-        // Remove forbidden phrases
-        forbiddenPatterns.forEach(pattern => {
-          assistantResponse = assistantResponse.replace(pattern, '');
-        });
-        
-        // Clean up any resulting double spaces or awkward punctuation
-        assistantResponse = assistantResponse
-          .replace(/\s+/g, ' ')  // Multiple spaces to single space
-          .replace(/\s+([.,!?])/g, '$1')  // Remove space before punctuation
-          .replace(/\s*\(\s*\)/g, '')  // Remove empty parentheses
-          .replace(/\s*\[\s*\]/g, '')  // Remove empty brackets
-          .trim();
+        assistantResponse = this._removeFunctionNames(assistantResponse);
         
         // Log if we filtered anything out
         if (originalResponse !== assistantResponse) {
@@ -1059,13 +474,7 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
             assistantResponse = nextQuestion;
           } else {
             // Check if user was disqualified - use appropriate goodbye message
-            const quals = state.qualifications;
-            const isDisqualified = quals.no_alzheimers === false || 
-                                  quals.no_hospice === false || 
-                                  quals.age_qualified === false || 
-                                  quals.has_bank_account === false;
-            
-            if (isDisqualified) {
+            if (qualification.getDisqualifyingQuestion(state.qualificationQuestions, state.qualifications)) {
               // User was disqualified - use polite goodbye
               assistantResponse = `I understand. No problem at all. Have a great day!`;
             } else {
@@ -1092,70 +501,19 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
         const lastAssistantMessage = [...state.messages].reverse().find(m => m.role === 'assistant');
         const lastAssistantText = lastAssistantMessage?.content?.toLowerCase() || '';
         
-        // Try to infer what qualification should be updated based on context
+        // Try to infer the answer to the question the AI just asked
         let manuallyUpdated = false;
+        const askedQuestion = qualification.findAskedQuestion(state.qualificationQuestions, lastAssistantText);
         
-        if (/your last name is.*and you're (over in|in)/i.test(lastAssistantText)) {
-          // Verification question - check for affirmative
-          if (/^(yes|yeah|yep|yup|yess|yea|right|correct|that's right|that's correct|absolutely|definitely)\b/i.test(transcript)) {
-            state.qualifications.verified_info = true;
-            console.log('   ✅ Manually set verified_info = true');
-            manuallyUpdated = true;
-          }
-        } else if (/alzheimer|dementia/i.test(lastAssistantText)) {
-          // Alzheimer's question
-          if (/^(no|nope|nah|naw)\b/i.test(transcript)) {
-            state.qualifications.no_alzheimers = true;
-            console.log('   ✅ Manually set no_alzheimers = true');
-            manuallyUpdated = true;
-          } else if (/^(yes|yeah|yep|yup|yess|yea|absolutely|definitely)\b/i.test(transcript) || 
-                     /^(i have|i do|yes i have|yeah i have|yep i have)\b/i.test(transcript)) {
-            state.qualifications.no_alzheimers = false;
-            console.log('   ✅ Manually set no_alzheimers = false');
-            manuallyUpdated = true;
-          }
-        } else if (/hospice|nursing home/i.test(lastAssistantText)) {
-          // Hospice question - improved to catch "no, I mean at home" type answers
-          // Check for "at home" anywhere in response (handles STT errors like "Though I'm at home")
-          const hasAtHome = /\b(at home|home|living at home|not in hospice|not in nursing)\b/i.test(transcript);
-          const startsWithNo = /^(no|nope|nah|naw)\b/i.test(transcript);
-          const hasNoAtStart = /^no[,.]?\s*(i mean|i'm|im|i am|we are|we're)\s*(at home|home|living at home|not in hospice|not in nursing)/i.test(transcript);
-          const startsWithImAtHome = /^(i'm|im|i am|we are|we're)\s*(at home|home|living at home|not in hospice|not in nursing)/i.test(transcript);
-          const hasNoWithLocation = /^(no|nope|nah|naw)[,.]?\s*(i|we)\s*(mean|live|are|stay)\s*(at home|home)/i.test(transcript);
-          
-          if (startsWithNo || hasNoAtStart || startsWithImAtHome || hasNoWithLocation || hasAtHome) {
-            state.qualifications.no_hospice = true;
-            console.log('   ✅ Manually set no_hospice = true (detected "no" or "at home" response)');
-            console.log(`   📝 Transcript: "${transcript}" - matched pattern: ${startsWithNo ? 'startsWithNo' : hasNoAtStart ? 'hasNoAtStart' : startsWithImAtHome ? 'startsWithImAtHome' : hasNoWithLocation ? 'hasNoWithLocation' : 'hasAtHome'}`);
-            manuallyUpdated = true;
-          } else if (/^(yes|yeah|yep|yup|yess|yea|absolutely|definitely|i have|i do|i am|i'm in|we are in|we're in)\b/i.test(transcript) ||
-                     /^(yes|yeah|yep|yup|yess|yea)[,.]?\s*(i|we)\s*(am|are|have|do)\s*(in hospice|in nursing)/i.test(transcript)) {
-            state.qualifications.no_hospice = false;
-            console.log('   ✅ Manually set no_hospice = false (detected "yes" to hospice/nursing home)');
-            manuallyUpdated = true;
-          }
-        } else if (/between.*50.*78|how old are you/i.test(lastAssistantText)) {
-          // Age question
-          const hasAge = /\b\d{2}\b/.test(transcript);
-          if (/^(yes|yeah|yep|yup|yess|yea|absolutely|definitely)\b/i.test(transcript) || hasAge) {
-            state.qualifications.age_qualified = true;
-            console.log('   ✅ Manually set age_qualified = true');
-            manuallyUpdated = true;
-          } else if (/^(no|nope|nah|naw)\b/i.test(transcript)) {
-            state.qualifications.age_qualified = false;
-            console.log('   ✅ Manually set age_qualified = false');
-            manuallyUpdated = true;
-          }
-        } else if (/checking|savings|bank account/i.test(lastAssistantText)) {
-          // Bank account question
-          if (/^(yes|yeah|yep|yup|yess|yea|absolutely|definitely|i have|i do|have (a |an |one))/i.test(transcript)) {
-            state.qualifications.has_bank_account = true;
-            console.log('   ✅ Manually set has_bank_account = true');
-            manuallyUpdated = true;
-          } else if (/^no\b|^nope\b|^nah\b/i.test(transcript)) {
-            state.qualifications.has_bank_account = false;
-            console.log('   ✅ Manually set has_bank_account = false');
-            manuallyUpdated = true;
+        if (askedQuestion && state.qualifications[askedQuestion.name] === null) {
+          const inferred = qualification.inferAnswer(askedQuestion, transcript);
+          if (inferred !== undefined) {
+            const { applied } = qualification.applyAnswers(state.qualificationQuestions, state.qualifications, { [askedQuestion.name]: inferred });
+            if (applied.length > 0) {
+              console.log(`   ✅ Manually set ${askedQuestion.name} = ${inferred}`);
+              console.log(`   📝 Transcript: "${transcript}"`);
+              manuallyUpdated = true;
+            }
           }
         }
         
@@ -1164,14 +522,12 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
           
           // 🔧 FIX: Regenerate response based on updated qualification state
           // This ensures the response matches the new state after manual fallback
-          const quals = state.qualifications;
-          
           // Use helper function to get next question (checks if already asked)
           const nextQuestion = this._getNextQuestion(state);
           
           if (nextQuestion) {
             assistantResponse = nextQuestion;
-          } else if (quals.has_bank_account === false || quals.age_qualified === false || quals.no_hospice === false || quals.no_alzheimers === false) {
+          } else if (qualification.getDisqualifyingQuestion(state.qualificationQuestions, state.qualifications)) {
             // User was disqualified
             assistantResponse = `I appreciate your time. Unfortunately that doesn't quite fit for this offer. Have a great day!`;
             shouldHangup = true;
@@ -1253,12 +609,7 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
       
       if ((saysExplicitTransfer || connectingPhrase) && !shouldTransfer && !shouldHangup) {
         // Check if user is fully qualified - if so, trigger transfer instead of hangup
-        const quals = state.qualifications;
-        const isFullyQualified = quals.verified_info === true && 
-                                 quals.no_alzheimers === true && 
-                                 quals.no_hospice === true && 
-                                 quals.age_qualified === true && 
-                                 quals.has_bank_account === true;
+        const isFullyQualified = qualification.isFullyQualified(state.qualificationQuestions, state.qualifications);
         
         if (isFullyQualified) {
           // User is qualified - AI should transfer, so trigger transfer instead of hangup
@@ -1278,25 +629,60 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
 
       // 🔄 CRITICAL FIX: Update state.stage to reflect current qualification progress
       // This ensures the stage is tracked properly throughout the conversation
-      const currentStage = this.determineStage(state.qualifications);
+      const currentStage = this.determineStage(state.qualifications, state.qualificationQuestions);
       state.stage = currentStage;  // Update internal state
       console.log(`📊 Updated conversation stage: ${currentStage}`);
-      console.log(`   Qualifications: verified=${state.qualifications.verified_info}, alzheimers=${state.qualifications.no_alzheimers}, hospice=${state.qualifications.no_hospice}, age=${state.qualifications.age_qualified}, bank=${state.qualifications.has_bank_account}`);
+      console.log(`   Qualifications: ${qualification.describe(state.qualificationQuestions, state.qualifications)}`);
+
+      // What's left to say after the sentences passed on while streaming
+      let unspokenResponse = assistantResponse;
+      if (spokenChars > 0) {
+        if (assistantResponse === this._removeFunctionNames(message.content)) {
+          unspokenResponse = this._removeFunctionNames(message.content.slice(spokenChars));
+        } else {
+          console.warn('⚠️  Streamed reply was replaced after it started playing - speaking the final reply in full');
+        }
+      }
 
       return {
         response: assistantResponse,
+        unspokenResponse,
         stage: currentStage,
         shouldHangup,
         shouldTransfer,
-        qualificationAnswers: state.qualifications
+        callOutcome: state.callOutcome || null,
+        qualificationAnswers: state.qualifications,
+        model,
+        timings: { firstTokenAt, completedAt }
       };
 
     } catch (error) {
       console.error('Error getting AI response:', error);
       
       // Fallback response
+      const fallbackResponse = "I apologize, could you repeat that for me?";
+
+      // Streamed sentences were already heard - keep them in history so the reply isn't lost
+      if (spokenSentences.length > 0) {
+        const spokenResponse = `${spokenSentences.join(' ')} ${fallbackResponse}`;
+        console.warn(`⚠️  LLM stream failed after ${spokenSentences.length} sentence(s) were spoken - keeping them in history`);
+        state.messages.push({
+          role: 'assistant',
+          content: spokenResponse
+        });
+        return {
+          response: spokenResponse,
+          unspokenResponse: fallbackResponse,
+          stage: 'error',
+          shouldHangup: false,
+          shouldTransfer: false,
+          qualificationAnswers: state.qualifications
+        };
+      }
+
       return {
-        response: "I apologize, could you repeat that for me?",
+        response: fallbackResponse,
+        unspokenResponse: fallbackResponse,
         stage: 'error',
         shouldHangup: false,
         shouldTransfer: false,
@@ -1305,30 +691,90 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
     }
   }
 
+  /**
+   * Remove function names and other jargon that slipped into a reply, so callers never hear them
+   */
+  _removeFunctionNames(text) {
+    let cleaned = text || '';
+    FORBIDDEN_PATTERNS.forEach(pattern => {
+      cleaned = cleaned.replace(pattern, '');
+    });
+
+    // Clean up any resulting double spaces or awkward punctuation
+    return cleaned
+      .replace(/\s+/g, ' ')  // Multiple spaces to single space
+      .replace(/\s+([.,!?])/g, '$1')  // Remove space before punctuation
+      .replace(/\s*\(\s*\)/g, '')  // Remove empty parentheses
+      .replace(/\s*\[\s*\]/g, '')  // Remove empty brackets
+      .trim();
+  }
+
   /**
    * Determine current stage based on qualifications
+   * (disqualified / qualified / qualifying / verification, from the question definition)
    */
-  determineStage(qualifications) {
-    // Check if any qualification failed
-    const hasFailed = Object.values(qualifications).some(v => v === false);
-    
-    // Check if all qualifications are answered
-    const allAnswered = Object.values(qualifications).every(v => v !== null);
-    
-    // Check if all passed (all true)
-    const allPassed = Object.values(qualifications).every(v => v === true);
-    
-    if (hasFailed) {
-      return 'disqualified';
-    } else if (allAnswered && allPassed) {
-      return 'qualified';
-    } else if (qualifications.verified_info === true) {
-      return 'qualifying';
-    } else if (qualifications.verified_info === false) {
-      return 'verification_failed';
-    } else {
-      return 'verification';
+  determineStage(qualifications, questions = qualification.getDefaultQuestions()) {
+    return qualification.getStage(questions, qualifications);
+  }
+
+  /**
+   * Apply update_qualification arguments in question order
+   * Returns the prerequisite question to ask if an answer was blocked, else null
+   */
+  _applyQualificationUpdate(state, functionArgs) {
+    const { blocked } = qualification.applyAnswers(state.qualificationQuestions, state.qualifications, functionArgs);
+    console.log('Updated qualifications:', state.qualifications);
+
+    if (!blocked) {
+      return null;
+    }
+
+    console.warn(`⚠️  BLOCKED qualification update: Cannot set ${blocked.name} because ${blocked.prerequisite} is null`);
+    console.warn(`   Attempted update:`, functionArgs);
+    const nextQuestion = this._getNextQuestion(state);
+    if (nextQuestion) {
+      console.log(`   ✅ Forced asking prerequisite question: ${nextQuestion}`);
     }
+    return nextQuestion;
+  }
+
+  /**
+   * Apply set_call_outcome - a transfer is only allowed once every question is answered and none disqualifies
+   * Returns { response, shouldTransfer, shouldHangup }
+   */
+  _applyCallOutcome(state, functionArgs) {
+    const questions = state.qualificationQuestions;
+    const quals = state.qualifications;
+
+    // 🔧 FIX: If user just answered the last question but the qualification wasn't updated, update it now
+    const lastQuestion = questions[questions.length - 1];
+    const lastAIMessage = [...state.messages].reverse().find(m => m.role === 'assistant');
+    const askedLastQuestion = !!qualification.findAskedQuestion([lastQuestion], lastAIMessage?.content || '');
+    if (askedLastQuestion && lastQuestion.type === 'boolean' && quals[lastQuestion.name] === null && functionArgs.outcome === 'transfer_to_agent') {
+      quals[lastQuestion.name] = !(lastQuestion.disqualifyingValues || []).includes(true);
+      console.log(`🔧 FIX: ${lastQuestion.name} was not updated - set to ${quals[lastQuestion.name]} before transfer`);
+    }
+
+    console.log(`Call outcome: ${functionArgs.outcome}`, functionArgs.reason || '');
+    state.callOutcome = { outcome: functionArgs.outcome, reason: functionArgs.reason || null };
+
+    if (functionArgs.outcome !== 'transfer_to_agent') {
+      return { response: null, shouldTransfer: false, shouldHangup: true };
+    }
+
+    // 🔥 CRITICAL: Check if user is fully qualified before allowing transfer
+    if (qualification.isFullyQualified(questions, quals)) {
+      return { response: null, shouldTransfer: true, shouldHangup: false };
+    }
+
+    console.log('⚠️  AI attempted transfer but user is NOT fully qualified - blocking transfer');
+    console.log(`   Qualifications: ${qualification.describe(questions, quals)}`);
+    // Don't transfer - ask the missing question (directly if it was already asked once)
+    const missing = qualification.getFirstUnanswered(questions, quals);
+    const response = this._getNextQuestion(state) ||
+      (missing ? scriptService.render(missing.prompt, state.userInfo) : 'Got it, thanks!');
+    console.log('   ✅ Regenerated response to ask missing qualification question');
+    return { response, shouldTransfer: false, shouldHangup: false };
   }
 
   /**
@@ -1362,23 +808,16 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
     }
 
     // 🛡️ GUARD: Prevent greeting from being sent twice
-    if (state.greetingSent) {
+    if (state.greetingSent && state.greetingText) {
       console.log('⚠️  Greeting already sent - returning existing greeting to prevent duplicate');
-      // Find the existing greeting in conversation history
-      const existingGreeting = state.messages.find(m => 
-        m.role === 'assistant' && 
-        m.content && 
-        m.content.includes('Nice to meet you, this is Mia')
-      );
-      if (existingGreeting) {
-        return existingGreeting.content;
-      }
+      return state.greetingText;
     }
 
     const { userInfo } = state;
     
     // First part of split greeting (instant, no AI call needed)
-    const greeting = `${userInfo.firstname} Nice to meet you, this is Mia with the Benefits Review Team.`;
+    const greeting = scriptService.render(state.script.greeting, userInfo);
+    state.greetingText = greeting;
     
     // Add to conversation history
     state.messages.push({
@@ -1402,22 +841,16 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
     }
 
     // 🛡️ GUARD: Check if second greeting was already sent
-    // Look for the second greeting in conversation history
-    const existingSecondGreeting = state.messages.find(m => 
-      m.role === 'assistant' && 
-      m.content && 
-      m.content.includes("I'm just following up on your request for final expense coverage")
-    );
-    
-    if (existingSecondGreeting) {
+    if (state.greetingSecondPartText) {
       console.log('⚠️  Second greeting already sent - returning existing to prevent duplicate');
-      return existingSecondGreeting.content;
+      return state.greetingSecondPartText;
     }
 
     const { userInfo } = state;
     
     // Second part of split greeting
-    const secondPart = `I'm just following up on your request for final expense coverage to help cover the burial or cremation costs. Your last name is ${userInfo.lastname} and you're over in ${userInfo.address}, right?`;
+    const secondPart = scriptService.render(state.script.greetingSecondPart, userInfo);
+    state.greetingSecondPartText = secondPart;
     
     // Add to conversation history
     state.messages.push({
@@ -1451,103 +884,40 @@ CRITICAL: Function calls happen automatically in the background. NEVER mention t
     return verification;
   }
 
-  /**
-   * Check if a specific question was already asked in conversation history
-   */
-  _questionAlreadyAsked(state, questionPattern) {
-    return state.messages.some(msg => 
-      msg.role === 'assistant' && 
-      msg.content &&
-      questionPattern.test(msg.content)
-    );
-  }
-
   /**
    * Get the next question to ask based on qualification state
-   * Only returns a question if:
-   * 1. Previous qualification is true (or verified_info is true for first question)
-   * 2. Current qualification is null (not answered)
-   * 3. Question hasn't been asked yet
+   * Walks the questions in order and stops at the first unanswered one:
+   * 1. Every earlier answer must be qualifying (a disqualifying answer ends the flow)
+   * 2. Its intro question is asked first, if it has one
+   * 3. Nothing is returned for a question that was already asked (waiting for the answer)
+   * Once every question is answered the transfer question is returned
    */
   _getNextQuestion(state) {
     const quals = state.qualifications;
-    
-    // Check which questions were already asked
-    const healthIssueAsked = this._questionAlreadyAsked(
-      state, 
-      /preferred final expense offer|didn't move forward|health issue|something else\?/i
-    );
-    
-    const alzheimersAsked = this._questionAlreadyAsked(
-      state,
-      /alzheimer|dementia/i
-    );
-    
-    const hospiceAsked = this._questionAlreadyAsked(
-      state,
-      /hospice|nursing home/i
-    );
-    
-    const ageAsked = this._questionAlreadyAsked(
-      state,
-      /between.*50.*78|how old are you/i
-    );
-    
-    const bankAccountAsked = this._questionAlreadyAsked(
-      state,
-      /checking|savings|bank account/i
-    );
-    
-    // ⭐ FIX: Must verify info first
-    if (quals.verified_info !== true) {
-      return null; // Can't proceed without verification
-    }
-    
-    // STEP 2: Health issue discovery question (optional)
-    // Only ask if: verified_info is true AND no_alzheimers is null AND not asked yet
-    if (quals.no_alzheimers === null) {
-      if (!healthIssueAsked) {
-        return `Perfect, thanks. So it looks like you had a preferred final expense offer that wasn't claimed yet. We might be able to reopen it. Was there a reason you didn't move forward last time... like maybe a health issue or something else?`;
-      } else if (!alzheimersAsked) {
-        // Health issue was asked, now ask Alzheimer's
-        return `I understand. Well have you ever been diagnosed with Alzheimer's or dementia?`;
+
+    for (const question of state.qualificationQuestions) {
+      const answer = quals[question.name];
+
+      if (answer !== null && answer !== undefined) {
+        if (qualification.isDisqualifying(question, answer)) {
+          return null; // Disqualified - no further questions
+        }
+        continue;
       }
+
+      const introText = question.intro ? scriptService.render(question.intro.text, state.userInfo) : null;
+      if (introText && !qualification.wasAsked(state.messages, question.intro.askedPattern, introText)) {
+        return introText;
+      }
+      const promptText = scriptService.render(question.prompt, state.userInfo);
+      if (!qualification.wasAsked(state.messages, question.askedPattern, promptText)) {
+        return promptText;
+      }
+      return null; // Asked - waiting for the answer
     }
-    
-    // STEP 3: Qualification questions (in priority order with strict prerequisites)
-    // ⭐ CRITICAL: If a previous question is null, we MUST ask it first - don't skip ahead!
-    // Check prerequisites in order and stop at the first null question
-    
-    // Question 1: Alzheimer's - MUST be asked first if null
-    // Prerequisite: verified_info must be true (already checked above)
-    if (quals.no_alzheimers === null && !alzheimersAsked) {
-      return `Have you ever been diagnosed with Alzheimer's or dementia?`;
-    }
-    
-    // Question 2: Hospice - Only ask if Alzheimer's is true AND hospice is null
-    // ⭐ CRITICAL: If no_alzheimers is null, we already returned above - don't check this
-    if (quals.no_alzheimers === true && quals.no_hospice === null && !hospiceAsked) {
-      return `Great! Are you currently in hospice care or a nursing home?`;
-    }
-    
-    // Question 3: Age - Only ask if Hospice is true AND age is null
-    // ⭐ CRITICAL: If no_hospice is null, we already returned above - don't check this
-    if (quals.no_hospice === true && quals.age_qualified === null && !ageAsked) {
-      return `Perfect! Are you between 50 and 78?`;
-    }
-    
-    // Question 4: Bank Account - Only ask if Age is true AND bank account is null
-    // ⭐ CRITICAL: If age_qualified is null, we already returned above - don't check this
-    if (quals.age_qualified === true && quals.has_bank_account === null && !bankAccountAsked) {
-      return `Awesome! Do you have a checking or savings account?`;
-    }
-    
+
     // All questions answered - ready for transfer
-    if (quals.has_bank_account === true) {
-      return `Perfect! Let me get you connected with one of our licensed agents. They'll check if that offer's still available — might save you some time and money. Sound good?`;
-    }
-    
-    return null; // No next question
+    return TRANSFER_QUESTION;
   }
 }
 
@@ -0,0 +1,285 @@
+/**
+ * Qualification Service
+ * Builds the update_qualification tool, stage tracking and transfer decision from a
+ * declarative list of qualification questions (see config/defaultScript.js for the format)
+ */
+
+const defaultScript = require('../config/defaultScript');
+
+const ANSWER_TYPES = ['boolean', 'number', 'enum'];
+
+// Generic spoken yes/no prefixes used when the AI failed to report an answer
+const YES_PATTERN = /^(uh\s+)?(yes|yeah|yep|yup|yess|yea|absolutely|definitely|right|correct|that's right|that's correct|i have|i do)\b/i;
+const NO_PATTERN = /^(uh\s+)?(no|nope|nah|naw)\b/i;
+
+class QualificationService {
+  /**
+   * Built-in question definition (final expense)
+   */
+  getDefaultQuestions() {
+    return defaultScript.qualificationQuestions;
+  }
+
+  /**
+   * Validate a question definition, returns an error message or null
+   */
+  validateQuestions(questions) {
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return 'qualification_questions must be a non-empty array';
+    }
+
+    const names = new Set();
+    for (const question of questions) {
+      if (!question || typeof question !== 'object') {
+        return 'Each qualification question must be an object';
+      }
+      if (!question.name || !/^[a-z][a-z0-9_]*$/.test(question.name)) {
+        return `Invalid question name: ${question.name}. Use lowercase letters, digits and underscores`;
+      }
+      if (names.has(question.name)) {
+        return `Duplicate question name: ${question.name}`;
+      }
+      names.add(question.name);
+
+      if (!question.prompt || typeof question.prompt !== 'string') {
+        return `Question ${question.name} needs a prompt`;
+      }
+      if (!ANSWER_TYPES.includes(question.type)) {
+        return `Invalid type for ${question.name}. Use one of ${ANSWER_TYPES.join(', ')}`;
+      }
+      if (question.type === 'enum' && (!Array.isArray(question.options) || question.options.length === 0)) {
+        return `Question ${question.name} is an enum and needs options`;
+      }
+      if (question.disqualifyingValues !== undefined && !Array.isArray(question.disqualifyingValues)) {
+        return `disqualifyingValues for ${question.name} must be an array`;
+      }
+      if (question.type !== 'number' && (question.min !== undefined || question.max !== undefined)) {
+        return `min/max are only allowed on number questions (${question.name})`;
+      }
+
+      const patterns = [question.askedPattern, question.affirmativePattern, question.negativePattern, question.intro?.askedPattern];
+      for (const pattern of patterns.filter(Boolean)) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          return `Invalid pattern for ${question.name}: ${error.message}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Empty answers object (every question unanswered)
+   */
+  createAnswers(questions) {
+    const answers = {};
+    questions.forEach(question => {
+      answers[question.name] = null;
+    });
+    return answers;
+  }
+
+  /**
+   * Build the update_qualification tool from the question definition
+   */
+  buildTool(questions) {
+    const properties = {};
+    questions.forEach(question => {
+      const property = question.type === 'enum'
+        ? { type: 'string', enum: question.options }
+        : { type: question.type };
+      property.description = question.description || `Answer to: "${question.prompt}"`;
+      properties[question.name] = property;
+    });
+
+    return {
+      type: 'function',
+      function: {
+        name: 'update_qualification',
+        description: 'REQUIRED: Call this immediately when user answers verification or qualification questions. This tracks their answers.',
+        parameters: {
+          type: 'object',
+          properties
+        }
+      }
+    };
+  }
+
+  /**
+   * Coerce a reported answer to the question type (undefined = invalid answer)
+   */
+  coerceAnswer(question, value) {
+    if (value === undefined || value === null) return undefined;
+
+    if (question.type === 'boolean') {
+      return typeof value === 'boolean' ? value : undefined;
+    }
+    if (question.type === 'number') {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    const option = question.options.find(o => String(o).toLowerCase() === String(value).toLowerCase());
+    return option !== undefined ? option : undefined;
+  }
+
+  /**
+   * Whether an answer disqualifies the lead
+   */
+  isDisqualifying(question, value) {
+    if (value === null || value === undefined) return false;
+    if ((question.disqualifyingValues || []).includes(value)) return true;
+    if (question.type === 'number') {
+      if (question.min !== undefined && value < question.min) return true;
+      if (question.max !== undefined && value > question.max) return true;
+    }
+    return false;
+  }
+
+  /**
+   * First question whose answer disqualifies the lead (null if none)
+   */
+  getDisqualifyingQuestion(questions, answers) {
+    return questions.find(question => this.isDisqualifying(question, answers[question.name])) || null;
+  }
+
+  /**
+   * First unanswered question (null if all answered)
+   */
+  getFirstUnanswered(questions, answers) {
+    return questions.find(question => answers[question.name] === null || answers[question.name] === undefined) || null;
+  }
+
+  /**
+   * Every question answered and none disqualifying - the lead can be transferred
+   */
+  isFullyQualified(questions, answers) {
+    return !this.getFirstUnanswered(questions, answers) && !this.getDisqualifyingQuestion(questions, answers);
+  }
+
+  /**
+   * Apply reported answers in question order
+   * An answer is blocked while an earlier question is still unanswered
+   * Returns { applied: [names], blocked: { name, prerequisite } | null }
+   */
+  applyAnswers(questions, answers, reported) {
+    const applied = [];
+    let blocked = null;
+
+    questions.forEach((question, index) => {
+      const value = this.coerceAnswer(question, reported[question.name]);
+      if (value === undefined) return;
+
+      const prerequisite = questions.slice(0, index).find(q => answers[q.name] === null || answers[q.name] === undefined);
+      if (prerequisite) {
+        blocked = blocked || { name: question.name, prerequisite: prerequisite.name };
+        return;
+      }
+
+      answers[question.name] = value;
+      applied.push(question.name);
+    });
+
+    return { applied, blocked };
+  }
+
+  /**
+   * Conversation stage for the current answers
+   */
+  getStage(questions, answers) {
+    if (this.getDisqualifyingQuestion(questions, answers)) {
+      return 'disqualified';
+    }
+    if (!this.getFirstUnanswered(questions, answers)) {
+      return 'qualified';
+    }
+    const first = questions[0];
+    return answers[first.name] === null || answers[first.name] === undefined ? 'verification' : 'qualifying';
+  }
+
+  /**
+   * Question the assistant text is asking (matched by askedPattern), null if none
+   */
+  findAskedQuestion(questions, text) {
+    if (!text) return null;
+    return questions.find(question => question.askedPattern && new RegExp(question.askedPattern, 'i').test(text)) || null;
+  }
+
+  /**
+   * Whether the assistant text is an intro (rapport) question, which is not a qualification
+   */
+  isIntroQuestion(questions, text) {
+    if (!text) return false;
+    return questions.some(question => question.intro?.askedPattern && new RegExp(question.intro.askedPattern, 'i').test(text));
+  }
+
+  /**
+   * Whether a question was asked anywhere in the conversation
+   * Uses the askedPattern, or the exact question text when no pattern is defined
+   */
+  wasAsked(messages, pattern, text = null) {
+    if (!pattern && !text) return false;
+    const matches = pattern
+      ? content => new RegExp(pattern, 'i').test(content)
+      : content => content.includes(text);
+    return messages.some(msg => msg.role === 'assistant' && msg.content && matches(msg.content));
+  }
+
+  /**
+   * Infer an answer from the lead's words (fallback when the AI did not report it)
+   * Returns the answer value or undefined
+   */
+  inferAnswer(question, transcript) {
+    const text = (transcript || '').toLowerCase().trim();
+    if (!text) return undefined;
+
+    if (question.type === 'number') {
+      const match = text.match(/\b(\d{1,3}(?:\.\d+)?)\b/);
+      return match ? parseFloat(match[1]) : undefined;
+    }
+
+    if (question.type === 'enum') {
+      return question.options.find(option => new RegExp(`\\b${String(option).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+    }
+
+    // Boolean: affirmativeAnswer is the value a spoken "yes" maps to (default true)
+    const yesValue = question.affirmativeAnswer !== undefined ? question.affirmativeAnswer : true;
+    if (question.negativePattern && new RegExp(question.negativePattern, 'i').test(text)) return !yesValue;
+    if (question.affirmativePattern && new RegExp(question.affirmativePattern, 'i').test(text)) return yesValue;
+    if (NO_PATTERN.test(text)) return !yesValue;
+    if (YES_PATTERN.test(text)) return yesValue;
+    return undefined;
+  }
+
+  /**
+   * Whether the lead's words look like an answer to the question
+   */
+  looksLikeAnswer(question, transcript) {
+    return this.inferAnswer(question, transcript) !== undefined;
+  }
+
+  /**
+   * Spoken summary of the answered questions, e.g. "Verified info: yes. No hospice: yes"
+   */
+  summarize(questions, answers) {
+    return questions
+      .filter(question => answers[question.name] !== null && answers[question.name] !== undefined)
+      .map(question => {
+        const value = answers[question.name];
+        const label = question.name.replace(/_/g, ' ');
+        const spoken = value === true ? 'yes' : value === false ? 'no' : value;
+        return `${label.charAt(0).toUpperCase()}${label.slice(1)}: ${spoken}`;
+      })
+      .join('. ');
+  }
+
+  /**
+   * Short answers summary for logs, e.g. "verified_info=true, no_hospice=null"
+   */
+  describe(questions, answers) {
+    return questions.map(question => `${question.name}=${answers[question.name]}`).join(', ');
+  }
+}
+
+module.exports = new QualificationService();
+module.exports.ANSWER_TYPES = ANSWER_TYPES;
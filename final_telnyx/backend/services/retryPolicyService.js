@@ -0,0 +1,96 @@
+/**
+ * Retry Policy Service
+ * Decides whether (and when) a lead is dialed again based on why the last call ended
+ */
+
+// Default policy per retry category: max total attempts for the lead and minimum delay before redialing
+const DEFAULT_RETRY_POLICY = {
+  voicemail: { maxAttempts: 3, delayMinutes: 240 },
+  no_answer: { maxAttempts: 3, delayMinutes: 60 },
+  busy: { maxAttempts: 3, delayMinutes: 15 },
+  quick_hangup: { maxAttempts: 2, delayMinutes: 1440 },
+  error: { maxAttempts: 3, delayMinutes: 5 },
+  callback: { maxAttempts: 5, delayMinutes: 30 }
+};
+
+// determineHangupReason() reasons -> retry category (anything not listed is final)
+const REASON_CATEGORIES = {
+  voicemail: 'voicemail',
+  system_voicemail_hangup: 'voicemail',
+  no_answer: 'no_answer',
+  call_rejected: 'no_answer',
+  system_no_response_hangup: 'no_answer',
+  user_busy: 'busy',
+  user_hangup_immediate: 'quick_hangup',
+  user_hangup_no_response: 'quick_hangup',
+  user_hangup_during_ai_speech: 'quick_hangup',
+  system_hangup: 'error',
+  unknown: 'error',
+  timeout: 'error',
+  call_error: 'error', // Call could not be placed
+  agent_unavailable: 'callback' // Qualified, but no agent accepted the warm transfer - the lead was promised a callback
+};
+
+// Conversation stages that end a lead's journey regardless of how the call ended
+const FINAL_STAGES = ['completed', 'qualified', 'disqualified', 'transfer_confirmation'];
+
+// Categories retried whatever the stage (the lead was promised a callback)
+const ANY_STAGE_CATEGORIES = ['callback'];
+
+class RetryPolicyService {
+  /**
+   * Map a hangup reason to a retry category (null = never retry)
+   */
+  getCategory(hangupReason) {
+    return REASON_CATEGORIES[hangupReason] || null;
+  }
+
+  /**
+   * Decide whether to redial
+   * attempts: attempts made so far (including the one that just ended)
+   * Returns { retry, category, nextAttemptAt, maxAttempts }
+   */
+  decide({ hangupReason, stage, attempts }, policy = DEFAULT_RETRY_POLICY, now = new Date()) {
+    const reasonCategory = this.getCategory(hangupReason);
+    const category = FINAL_STAGES.includes(stage) && !ANY_STAGE_CATEGORIES.includes(reasonCategory) ? null : reasonCategory;
+    const rule = category ? { ...DEFAULT_RETRY_POLICY[category], ...(policy[category] || {}) } : null;
+
+    if (!rule || attempts >= rule.maxAttempts) {
+      return { retry: false, category, nextAttemptAt: null, maxAttempts: rule ? rule.maxAttempts : 0 };
+    }
+
+    return {
+      retry: true,
+      category,
+      nextAttemptAt: new Date(now.getTime() + rule.delayMinutes * 60000),
+      maxAttempts: rule.maxAttempts
+    };
+  }
+
+  /**
+   * Validate a (partial) policy update, returns an error message or null
+   */
+  validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+      return 'Retry policy must be an object keyed by category';
+    }
+    for (const [category, rule] of Object.entries(policy)) {
+      if (!DEFAULT_RETRY_POLICY[category]) {
+        return `Unknown retry category: ${category}. Use one of ${Object.keys(DEFAULT_RETRY_POLICY).join(', ')}`;
+      }
+      if (!rule || typeof rule !== 'object') {
+        return `Retry rule for ${category} must be an object with maxAttempts and/or delayMinutes`;
+      }
+      if (rule.maxAttempts !== undefined && (!Number.isInteger(rule.maxAttempts) || rule.maxAttempts < 0 || rule.maxAttempts > 20)) {
+        return `Invalid maxAttempts for ${category}. Must be a whole number between 0 and 20`;
+      }
+      if (rule.delayMinutes !== undefined && (typeof rule.delayMinutes !== 'number' || rule.delayMinutes < 0)) {
+        return `Invalid delayMinutes for ${category}. Must be 0 or more`;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new RetryPolicyService();
+module.exports.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY;
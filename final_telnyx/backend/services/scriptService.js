@@ -0,0 +1,139 @@
+/**
+ * Script Service
+ * Resolves which call script a call uses and renders its {{placeholders}}
+ */
+
+const scriptModel = require('../models/scriptModel');
+const defaultScript = require('../config/defaultScript');
+const qualification = require('./qualificationService');
+
+// A {{field}} placeholder (lines with one differ per lead)
+const PLACEHOLDER = /\{\{\s*\w+\s*\}\}/;
+
+class ScriptService {
+  /**
+   * Replace {{field}} placeholders with lead fields (unknown fields render empty)
+   */
+  render(template, userInfo = {}) {
+    if (!template) return '';
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => {
+      const value = userInfo[field];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Built-in script shipped with the code (used when the database has none)
+   */
+  getBuiltInScript() {
+    return {
+      id: null,
+      version: null,
+      name: defaultScript.name,
+      systemPrompt: defaultScript.systemPrompt,
+      greeting: defaultScript.greeting,
+      greetingSecondPart: defaultScript.greetingSecondPart,
+      qualificationQuestions: qualification.getDefaultQuestions()
+    };
+  }
+
+  /**
+   * Greetings for a lead calling back: the script's own callback greetings if it has them, else the built-in ones
+   */
+  getCallbackGreetings(script = {}) {
+    return {
+      greeting: script.callbackGreeting || defaultScript.callbackGreeting,
+      greetingSecondPart: script.callbackGreetingSecondPart || defaultScript.callbackGreetingSecondPart
+    };
+  }
+
+  /**
+   * Prompt section appended to the system prompt on callbacks
+   */
+  getCallbackInstructions() {
+    return defaultScript.callbackInstructions;
+  }
+
+  /**
+   * Whisper the licensed agent hears before a warm transfer connects (lead details + qualification answers)
+   */
+  getTransferWhisper(state) {
+    const answers = qualification.summarize(state.qualificationQuestions, state.qualifications);
+    return this.render(defaultScript.transferWhisper, { ...state.userInfo, answers })
+      .replace(/\s+\./g, '.')
+      .replace(/\.{2,}/g, '.');
+  }
+
+  /**
+   * What the lead hears when no agent accepts a warm transfer in time
+   */
+  getTransferUnavailableMessage(userInfo = {}) {
+    return this.render(defaultScript.transferUnavailableMessage, userInfo);
+  }
+
+  /**
+   * Whether a line has no lead placeholders - only those sound the same on every call, so only their audio is cached
+   */
+  isStatic(template) {
+    return !!template && !PLACEHOLDER.test(template);
+  }
+
+  /**
+   * Lines a script speaks word for word: greetings, callback greetings and the transfer unavailable message
+   * static = no placeholders, so the line sounds the same on every call
+   */
+  getFixedLines(script) {
+    const callback = this.getCallbackGreetings(script);
+    return [
+      { name: 'greeting', text: script.greeting },
+      { name: 'greetingSecondPart', text: script.greetingSecondPart },
+      { name: 'callbackGreeting', text: callback.greeting },
+      { name: 'callbackGreetingSecondPart', text: callback.greetingSecondPart },
+      { name: 'transferUnavailableMessage', text: defaultScript.transferUnavailableMessage }
+    ]
+      .filter(line => line.text && line.text.trim())
+      .map(line => ({ ...line, static: this.isStatic(line.text) }));
+  }
+
+  /**
+   * Convert a script row (with current version) to the shape openaiService expects
+   */
+  toConversationScript(row) {
+    return {
+      id: row.id,
+      version: row.version,
+      name: row.name,
+      systemPrompt: row.system_prompt,
+      greeting: row.greeting,
+      greetingSecondPart: row.greeting_second_part,
+      qualificationQuestions: row.qualification_questions || qualification.getDefaultQuestions(),
+      ttsProvider: row.tts_provider || null,
+      ttsVoice: row.tts_voice || null,
+      llm: {
+        model: row.llm_model || null,
+        temperature: row.llm_temperature ?? null,
+        maxTokens: row.llm_max_tokens || null,
+        fallbackModel: row.llm_fallback_model || null
+      }
+    };
+  }
+
+  /**
+   * Resolve the script for a session: requested script, else the default script, else built-in
+   * Throws if a requested script does not exist
+   */
+  async resolveScript(scriptId = null) {
+    if (scriptId) {
+      const script = await scriptModel.getScriptById(scriptId);
+      if (!script) {
+        throw new Error(`Script not found: ${scriptId}`);
+      }
+      return this.toConversationScript(script);
+    }
+
+    const defaultRow = await scriptModel.getDefaultScript();
+    return defaultRow ? this.toConversationScript(defaultRow) : this.getBuiltInScript();
+  }
+}
+
+module.exports = new ScriptService();
@@ -0,0 +1,47 @@
+/**
+ * Sentence Splitter
+ * Cuts streamed LLM text into whole sentences as it arrives, so each one can go to TTS
+ * while the rest of the reply is still being generated
+ *
+ * A sentence ends at . ! ? (or …) followed by whitespace. Abbreviations like "Mr." don't end one,
+ * and very short sentences ("Ok.") are joined with the next so TTS isn't asked for fragments.
+ * The last sentence is only complete once the stream ends, so it stays with the caller.
+ */
+
+const MIN_SENTENCE_CHARS = 10;
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'a.m', 'p.m', 'approx']);
+const SENTENCE_END = /[.!?…]+["')\]]*\s+/g;
+
+class SentenceSplitter {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Add streamed text, returns the sentences it completed
+   */
+  push(text) {
+    this.buffer += text;
+    const sentences = [];
+    let start = 0;
+
+    SENTENCE_END.lastIndex = 0;
+    let match;
+    while ((match = SENTENCE_END.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = this.buffer.slice(start, end).trim();
+      const lastWord = this.buffer.slice(start, match.index).split(/\s+/).pop().toLowerCase();
+
+      if (match[0].startsWith('.') && ABBREVIATIONS.has(lastWord)) continue;
+      if (sentence.length < MIN_SENTENCE_CHARS) continue;
+
+      sentences.push(sentence);
+      start = end;
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return sentences;
+  }
+}
+
+module.exports = SentenceSplitter;
@@ -0,0 +1,159 @@
+/**
+ * STT Provider Service
+ * One speech-to-text interface over the providers, chosen per call:
+ * the campaign's stt_provider, else STT_PROVIDER, else ElevenLabs Scribe
+ *
+ * A provider is an EventEmitter singleton with connect(callControlId), sendAudio(callControlId, ulawBuffer),
+ * commit(callControlId), disconnect(callControlId), disconnectAll() and an activeConnections Map.
+ * It emits 'transcript' (callControlId, { text, isFinal, confidence }) and 'error' (callControlId, error).
+ * Transcripts are re-emitted on global.mediaStreamEvents as 'transcript' events for the webhook handlers.
+ */
+
+// Loaded on first use - the Deepgram SDK is only needed when Deepgram is selected
+const PROVIDERS = {
+  elevenlabs: () => require('./elevenLabsScribeService'),
+  deepgram: () => require('./deepgramScribeService'),
+  fake: () => require('./fakeSttService')
+};
+
+const DEFAULT_PROVIDER = 'elevenlabs';
+
+class SttProviderService {
+  constructor() {
+    this.calls = new Map();     // callControlId -> { name, provider }
+    this.providers = new Map(); // name -> provider (loaded, transcripts forwarded)
+  }
+
+  /**
+   * Provider names that can be selected
+   */
+  getProviderNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Whether a provider name is known
+   */
+  isValidProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+  }
+
+  /**
+   * Provider used when the campaign doesn't choose one (STT_PROVIDER)
+   */
+  getDefaultProvider() {
+    const name = process.env.STT_PROVIDER;
+    if (name && !this.isValidProvider(name)) {
+      console.warn(`⚠️  Unknown STT_PROVIDER "${name}" - using ${DEFAULT_PROVIDER}`);
+      return DEFAULT_PROVIDER;
+    }
+    return name || DEFAULT_PROVIDER;
+  }
+
+  /**
+   * Provider a call uses (null = not connected)
+   */
+  getProviderName(callControlId) {
+    return this.calls.get(callControlId)?.name || null;
+  }
+
+  /**
+   * Whether the call's provider has a live connection
+   */
+  isConnected(callControlId) {
+    const entry = this.calls.get(callControlId);
+    return !!entry && entry.provider.activeConnections.has(callControlId);
+  }
+
+  /**
+   * Connect a call to its provider and forward its transcripts
+   * providerName: the campaign's choice (null = default); a call keeps the provider it connected with
+   */
+  async connect(callControlId, providerName = null) {
+    let entry = this.calls.get(callControlId);
+    if (!entry) {
+      const name = providerName && this.isValidProvider(providerName) ? providerName : this.getDefaultProvider();
+      entry = { name, provider: this._load(name) };
+      this.calls.set(callControlId, entry);
+    }
+
+    if (!entry.provider.activeConnections.has(callControlId)) {
+      console.log(`📞 Connecting ${entry.name} STT for call ${callControlId}...`);
+      await entry.provider.connect(callControlId);
+    }
+    return entry.name;
+  }
+
+  /**
+   * Forward caller audio (µ-law @ 8kHz) to the call's provider
+   */
+  sendAudio(callControlId, ulawBuffer) {
+    if (!this.isConnected(callControlId)) return;
+    this.calls.get(callControlId).provider.sendAudio(callControlId, ulawBuffer);
+  }
+
+  /**
+   * Flush any pending transcript for the call
+   */
+  commit(callControlId) {
+    this.calls.get(callControlId)?.provider.commit(callControlId);
+  }
+
+  /**
+   * Disconnect the call from its provider and stop forwarding its transcripts
+   */
+  disconnect(callControlId) {
+    const entry = this.calls.get(callControlId);
+    if (!entry) return;
+    entry.provider.disconnect(callControlId);
+    this.calls.delete(callControlId);
+  }
+
+  /**
+   * Disconnect every call (cleanup on server shutdown)
+   */
+  disconnectAll() {
+    for (const callControlId of [...this.calls.keys()]) {
+      this.disconnect(callControlId);
+    }
+  }
+
+  /**
+   * Load a provider, forwarding transcripts of the calls that use it
+   */
+  _load(name) {
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    const provider = PROVIDERS[name]();
+    provider.on('transcript', (callControlId, transcript) => {
+      if (this.getProviderName(callControlId) !== name) return;
+      console.log(`📨 ${name} transcript for ${callControlId}: "${transcript.text}" (isFinal: ${transcript.isFinal})`);
+      if (!global.mediaStreamEvents) {
+        console.error(`❌ global.mediaStreamEvents is not defined!`);
+        return;
+      }
+      global.mediaStreamEvents.emit('transcript', {
+        type: 'transcript',
+        callControlId,
+        payload: {
+          call_control_id: callControlId,
+          transcription_data: {
+            transcript: transcript.text,
+            is_final: transcript.isFinal,
+            confidence: transcript.confidence || 0.9
+          }
+        }
+      });
+    });
+    provider.on('error', (callControlId, error) => {
+      console.error(`❌ ${name} STT error for ${callControlId}:`, error?.message || error);
+    });
+
+    this.providers.set(name, provider);
+    return provider;
+  }
+}
+
+module.exports = new SttProviderService();
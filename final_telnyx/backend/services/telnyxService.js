@@ -394,8 +394,8 @@ class TelnyxService {
   }
 
   /**
-   * Speak text using ElevenLabs TTS via Telnyx
-   * Format: ElevenLabs.<voice-id>
+   * Speak text on the call with Telnyx TTS
+   * Voices: ElevenLabs.<voice-id> (uses our ElevenLabs key), Polly.<voice>, or female/male (basic, en-US)
    * Voice IDs can be found in your ElevenLabs dashboard
    * Popular voices:
    *   - ElevenLabs.pNInz6obpgDQGcFmaJgB (Adam - male, American)
@@ -404,29 +404,31 @@ class TelnyxService {
    */
   async speak(callControlId, text, voice = null) {
     try {
-      // Ensure ElevenLabs API key is registered with Telnyx
-      await this.registerElevenLabsSecret();
-      
       // Get voice from environment or use default
       // Note: Voice format should be ElevenLabs.<voice-id> or ElevenLabs.Default.<voice-id>
       // The voice ID should match a voice in your ElevenLabs account
       const defaultVoice = process.env.ELEVENLABS_VOICE || 'ElevenLabs.pNInz6obpgDQGcFmaJgB';
       const selectedVoice = voice || defaultVoice;
+      const isElevenLabsVoice = selectedVoice.startsWith('ElevenLabs.');
+
+      // Ensure ElevenLabs API key is registered with Telnyx
+      if (isElevenLabsVoice) {
+        await this.registerElevenLabsSecret();
+      }
       
       console.log(`🎙️  Attempting to speak on call: ${callControlId}`);
       console.log(`   Voice: ${selectedVoice}`);
       console.log(`   Text length: ${text.length} characters`);
       console.log(`   First 100 chars: "${text.substring(0, 100)}..."`);
       
-      // Use direct REST API to send ElevenLabs TTS command via Telnyx
+      // Use direct REST API to send the TTS command via Telnyx
       const result = await axios.post(
         `https://api.telnyx.com/v2/calls/${callControlId}/actions/speak`,
         {
           payload: text,
           voice: selectedVoice,
-          voice_settings: {
-            api_key_ref: 'elevenlabs_api_key'
-          }
+          ...(isElevenLabsVoice && { voice_settings: { api_key_ref: 'elevenlabs_api_key' } }),
+          ...(['female', 'male'].includes(selectedVoice) && { language: 'en-US' })
         },
         {
           headers: {
@@ -436,15 +438,17 @@ class TelnyxService {
         }
       );
       
-      console.log(`✅ ElevenLabs TTS command sent successfully`);
+      console.log(`✅ TTS command sent successfully`);
       
-      // Track TTS cost
-      costTracking.trackTTS(callControlId, text.length);
+      // Track TTS cost (only ElevenLabs voices are priced)
+      if (isElevenLabsVoice) {
+        costTracking.trackTTS(callControlId, text.length);
+      }
       
       return result.data;
       
     } catch (error) {
-      console.error('❌ Error speaking with ElevenLabs:', error.response?.data || error.message);
+      console.error('❌ Error speaking on call:', error.response?.data || error.message);
       console.error('   Call Control ID:', callControlId);
       if (error.response?.data?.errors) {
         console.error('   Errors:', JSON.stringify(error.response.data.errors, null, 2));
@@ -453,10 +457,32 @@ class TelnyxService {
     }
   }
 
+  /**
+   * Stop audio Telnyx is playing on the call (speak or playback)
+   */
+  async stopPlayback(callControlId) {
+    try {
+      await axios.post(
+        `https://api.telnyx.com/v2/calls/${callControlId}/actions/playback_stop`,
+        { stop: 'all' },
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      console.log(`🛑 Playback stopped on ${callControlId}`);
+    } catch (error) {
+      console.error('❌ Error stopping playback:', error.response?.data || error.message);
+    }
+  }
+
   /**
    * Transfer call to another number
+   * options: timeoutSecs (how long the agent leg rings), clientState (merged into the agent leg's client_state)
    */
-  async transferCall(callControlId, toNumber, fromNumber = null) {
+  async transferCall(callControlId, toNumber, fromNumber = null, { timeoutSecs = 60, clientState = {} } = {}) {
     try {
       console.log(`📲 Attempting to transfer call:`);
       console.log(`   Call Control ID: ${callControlId}`);
@@ -492,14 +518,14 @@ class TelnyxService {
       }
       
       // ⭐ FIX: Set timeout for transfer call (how long to wait for agent to answer)
-      // Default is 30 seconds, but we'll use 60 seconds to give agent more time
+      // Per destination (transfer routing fails over to the next one when it expires), 60 seconds by default
       // Minimum is 5 seconds, maximum is 600 seconds (10 minutes)
-      payload.timeout_secs = 60;
-      console.log(`   ⏱️  Transfer timeout: 60 seconds (agent has 60s to answer)`);
+      payload.timeout_secs = timeoutSecs;
+      console.log(`   ⏱️  Transfer timeout: ${timeoutSecs} seconds (agent has ${timeoutSecs}s to answer)`);
       
       // Mark this as a transfer call so we don't initialize AI conversation with agent
-      const clientState = Buffer.from(JSON.stringify({ isTransfer: true })).toString('base64');
-      payload.client_state = clientState;
+      // (plus the routing state that lets the agent leg's webhooks find the transfer attempt)
+      payload.client_state = Buffer.from(JSON.stringify({ ...clientState, isTransfer: true })).toString('base64');
       
       console.log(`   Payload:`, JSON.stringify(payload, null, 2));
       
@@ -581,6 +607,53 @@ class TelnyxService {
   }
 
 
+  /**
+   * Dial a licensed agent for a warm transfer (the lead stays on its own call until the legs are bridged)
+   * Returns the new call leg ({ call_control_id, ... })
+   */
+  async dialAgent(toNumber, fromNumber, { timeoutSecs = 30, clientState = {} } = {}) {
+    console.log(`📲 Dialing agent for warm transfer: ${fromNumber || 'auto'} -> ${toNumber} (${timeoutSecs}s)`);
+
+    const payload = {
+      connection_id: process.env.TELNYX_CONNECTION_ID,
+      to: this.normalizePhoneNumber(toNumber),
+      from: fromNumber || await this.getTransferNumber(),
+      timeout_secs: timeoutSecs,
+      webhook_url: `${process.env.WEBHOOK_BASE_URL}/webhooks/telnyx`,
+      webhook_url_method: 'POST',
+      // Same marker as blind transfers so the agent leg never gets the AI conversation
+      client_state: Buffer.from(JSON.stringify({ ...clientState, isTransfer: true })).toString('base64')
+    };
+
+    const result = await axios.post('https://api.telnyx.com/v2/calls', payload, {
+      headers: {
+        'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    console.log(`✅ Agent leg created: ${result.data.data.call_control_id}`);
+    return result.data.data;
+  }
+
+  /**
+   * Bridge two active calls (warm transfer: lead call + answered agent leg)
+   */
+  async bridgeCalls(callControlId, otherCallControlId) {
+    console.log(`🔗 Bridging ${callControlId} <-> ${otherCallControlId}`);
+    const result = await axios.post(
+      `https://api.telnyx.com/v2/calls/${callControlId}/actions/bridge`,
+      { call_control_id: otherCallControlId },
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return result.data;
+  }
+
   /**
    * Hangup call
    */
@@ -613,6 +686,32 @@ class TelnyxService {
     }
   }
 
+  /**
+   * Get live call status from Telnyx
+   * Returns null when Telnyx no longer knows the call (already ended)
+   */
+  async getCallStatus(callControlId) {
+    try {
+      const result = await axios.get(
+        `https://api.telnyx.com/v2/calls/${callControlId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      return result.data.data;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 404 || status === 422) {
+        return null;
+      }
+      console.error('❌ Error fetching call status:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get available phone numbers
    */
@@ -0,0 +1,58 @@
+/**
+ * Telnyx TTS Service
+ * Text-to-speech provider using the Telnyx speak command: Telnyx synthesizes and plays the audio
+ * on the call itself, so nothing is streamed over the media WebSocket (playsOnCall)
+ *
+ * The voice defaults to TELNYX_TTS_VOICE (female). Speaking returns once Telnyx accepts the
+ * command, with an estimate of how long the speech will play.
+ */
+
+const telnyxService = require('./telnyxService');
+
+const SECONDS_PER_CHAR = 0.08; // ~150 words/min
+const DEFAULT_VOICE = 'female';
+
+// Telnyx voices (any ElevenLabs.<voice-id> also works, using our ElevenLabs key)
+const VOICES = [
+  { id: 'female', name: 'Telnyx basic female (en-US)' },
+  { id: 'male', name: 'Telnyx basic male (en-US)' },
+  { id: 'Polly.Joanna-Neural', name: 'Amazon Polly Joanna (neural)' },
+  { id: 'Polly.Matthew-Neural', name: 'Amazon Polly Matthew (neural)' },
+  { id: 'Polly.Salli-Neural', name: 'Amazon Polly Salli (neural)' }
+];
+
+class TelnyxTTSService {
+  constructor() {
+    this.playsOnCall = true;
+  }
+
+  get defaultVoice() {
+    return process.env.TELNYX_TTS_VOICE || DEFAULT_VOICE;
+  }
+
+  /**
+   * Speak text on the call
+   * @returns {Promise<{durationSeconds: number}>} - Estimated playback duration
+   */
+  async speakOnCall(callControlId, text, { voice } = {}) {
+    await telnyxService.speak(callControlId, text, voice || this.defaultVoice);
+    return { durationSeconds: text.length * SECONDS_PER_CHAR };
+  }
+
+  /**
+   * Voices that can be selected
+   */
+  async listVoices() {
+    return VOICES.map(voice => ({ ...voice, default: voice.id === this.defaultVoice }));
+  }
+
+  /**
+   * Stop the speech playing on the call
+   */
+  async cancel(callControlId) {
+    await telnyxService.stopPlayback(callControlId);
+  }
+}
+
+// Export singleton instance
+module.exports = new TelnyxTTSService();
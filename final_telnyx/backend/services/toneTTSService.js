@@ -0,0 +1,80 @@
+/**
+ * Tone TTS Service
+ * Offline text-to-speech provider: plays a generated PCMU tone per word instead of speech,
+ * so calls can run through the whole pipeline without a TTS service or API costs
+ *
+ * Each word is a beep of about 80ms per character followed by a short pause, so the audio
+ * lasts roughly as long as the text would take to say. The voice picks the pitch.
+ */
+
+const { pcm16ToUlaw } = require('./audioTranscoder');
+
+const SAMPLE_RATE = 8000;
+const CHUNK_SIZE = 160;       // 20ms @ 8kHz, like the other providers
+const MS_PER_CHAR = 80;
+const PAUSE_MS = 60;
+const AMPLITUDE = 8000;       // ~25% of full scale
+
+// Voice -> tone frequency (Hz)
+const VOICES = {
+  low: 330,
+  mid: 440,
+  high: 660
+};
+const DEFAULT_VOICE = 'mid';
+
+class ToneTTSService {
+  constructor() {
+    this.defaultVoice = DEFAULT_VOICE;
+    this.model = null;
+  }
+
+  /**
+   * Stream PCMU @ 8kHz audio for the text, in 20ms chunks
+   */
+  async* stream(text, { voice } = {}) {
+    const frequency = VOICES[voice] || VOICES[DEFAULT_VOICE];
+    const words = text.split(/\s+/).filter(Boolean);
+
+    const audio = Buffer.concat(words.map(word => Buffer.concat([
+      this._tone(frequency, word.length * MS_PER_CHAR),
+      this._silence(PAUSE_MS)
+    ])));
+
+    for (let i = 0; i < audio.length; i += CHUNK_SIZE) {
+      yield audio.subarray(i, i + CHUNK_SIZE);
+    }
+  }
+
+  /**
+   * Voices that can be selected
+   */
+  async listVoices() {
+    return Object.entries(VOICES).map(([id, frequency]) => ({
+      id,
+      name: `${frequency} Hz tone`,
+      default: id === DEFAULT_VOICE
+    }));
+  }
+
+  /**
+   * Nothing runs in the background - a cancelled stream simply stops being read
+   */
+  cancel() {}
+
+  _tone(frequency, durationMs) {
+    const samples = Math.round(SAMPLE_RATE * durationMs / 1000);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      pcm.writeInt16LE(Math.round(AMPLITUDE * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)), i * 2);
+    }
+    return pcm16ToUlaw(pcm);
+  }
+
+  _silence(durationMs) {
+    return Buffer.alloc(Math.round(SAMPLE_RATE * durationMs / 1000), 0xFF); // µ-law zero
+  }
+}
+
+// Export singleton instance
+module.exports = new ToneTTSService();
@@ -0,0 +1,472 @@
+/**
+ * Transfer Routing Service
+ * Sends qualified leads to licensed-agent destinations in priority order, skipping destinations
+ * that are closed (schedule) or full (max simultaneous transfers), and fails over to the next one
+ * when the agent leg times out, is busy or fails. Every attempt is recorded in transferred_calls.
+ *
+ * Blind transfers hand the lead call to Telnyx's transfer action. Warm transfers dial the agent
+ * on a separate leg, whisper a summary of the lead once the agent answers, then bridge the legs;
+ * if no agent answers within the accept timeout the lead is told we will call back.
+ */
+
+const telnyxService = require('./telnyxService');
+const callingHours = require('./callingHoursService');
+const transferModel = require('../models/transferModel');
+
+// Timeout for the single campaign / global transfer number (what every transfer used before destinations)
+const LEGACY_TIMEOUT_SECS = 60;
+
+// Shortest ring Telnyx accepts for an agent leg
+const MIN_RING_SECS = 5;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Compare phone numbers ignoring formatting and the +1 prefix
+ */
+function samePhone(a, b) {
+  const normalize = number => String(number || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  return !!a && !!b && normalize(a) === normalize(b);
+}
+
+/**
+ * Decode a webhook client_state (base64 JSON), or null
+ */
+function parseClientState(clientState) {
+  if (!clientState) return null;
+  try {
+    return JSON.parse(Buffer.from(clientState, 'base64').toString());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Attempt status for an agent leg that ended without being bridged
+ */
+function failureStatus(hangupCause) {
+  if (hangupCause === 'user_busy') return 'busy';
+  if (hangupCause === 'timeout' || hangupCause === 'no_answer') return 'no_answer';
+  return 'failed';
+}
+
+class TransferRoutingService {
+  constructor() {
+    this.destinations = [];
+    this.activeLegs = new Map(); // destinationId -> Set of lead callControlIds with an agent leg ringing or bridged
+    this.transfers = new Map();  // lead callControlId -> { context, mode, tried, attempt, current, leadEnded, deadline, acceptBy }
+    this.legs = new Map();       // warm transfer agent leg callControlId -> lead callControlId
+  }
+
+  /**
+   * Reload destinations from the database
+   */
+  async load() {
+    this.destinations = await transferModel.getDestinations();
+    console.log(`📲 Transfer destinations loaded: ${this.destinations.length}`);
+    return this.destinations;
+  }
+
+  /**
+   * Whether a destination's schedule is open
+   * schedule: { timezone, days: [0-6, Sunday = 0], startHour, endHour } - null = always open
+   */
+  isOpen(destination, now = new Date()) {
+    const schedule = destination.schedule;
+    if (!schedule) return true;
+
+    const timezone = schedule.timezone || 'America/New_York';
+    if (Array.isArray(schedule.days)) {
+      const weekday = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short' }).format(now);
+      if (!schedule.days.includes(WEEKDAYS.indexOf(weekday))) return false;
+    }
+    if (schedule.startHour !== undefined && schedule.endHour !== undefined) {
+      return callingHours.isHourInWindow(callingHours.getLocalTime(timezone, now), schedule);
+    }
+    return true;
+  }
+
+  /**
+   * Transfers currently ringing or bridged to a destination
+   */
+  getActiveCount(destinationId) {
+    return this.activeLegs.get(destinationId)?.size || 0;
+  }
+
+  /**
+   * Whether a destination has reached its max simultaneous transfers (0 = unlimited)
+   */
+  isFull(destination) {
+    return destination.max_concurrent > 0 && this.getActiveCount(destination.id) >= destination.max_concurrent;
+  }
+
+  /**
+   * Destinations a call can be sent to right now, best first
+   * Campaign destinations and global ones share one priority order (campaign first on a tie);
+   * the campaign / global transfer number is the last resort unless it is a destination itself
+   */
+  getCandidates(campaignId = null, { tried = new Set(), fallbackNumber = null, now = new Date() } = {}) {
+    const enabled = this.destinations.filter(d => d.enabled && (!d.campaign_id || d.campaign_id === campaignId));
+    const candidates = enabled
+      .filter(d => !tried.has(d.id) && this.isOpen(d, now) && !this.isFull(d))
+      .sort((a, b) => (a.priority - b.priority) || (!!b.campaign_id - !!a.campaign_id));
+
+    if (fallbackNumber && !tried.has('fallback') && !enabled.some(d => samePhone(d.phone_number, fallbackNumber))) {
+      candidates.push({
+        id: 'fallback',
+        name: 'Transfer number',
+        phone_number: fallbackNumber,
+        timeout_secs: LEGACY_TIMEOUT_SECS
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * Whether a number is one of the transfer destinations
+   */
+  isDestinationNumber(phoneNumber) {
+    return this.destinations.some(d => samePhone(d.phone_number, phoneNumber));
+  }
+
+  /**
+   * Destination the lead call is currently ringing / bridged to, or null
+   */
+  getCurrentDestination(callControlId) {
+    return this.transfers.get(callControlId)?.current || null;
+  }
+
+  /**
+   * Whether a lead call is waiting for a warm transfer to connect (the AI should stay quiet)
+   */
+  isHolding(callControlId) {
+    const entry = this.transfers.get(callControlId);
+    return !!entry && entry.mode === 'warm' && !entry.current?.bridged;
+  }
+
+  /**
+   * Transfer a lead call to the best available destination
+   * context: {
+   *   fromNumber (caller ID shown to the agent), campaignId, fallbackNumber,
+   *   lead: { id, phone, firstname, lastname, address },
+   *   mode: 'blind' | 'warm', acceptTimeoutSecs, whisper (text the agent hears before a warm transfer connects),
+   *   onUnanswered(callControlId) (warm: called when no agent accepted in time, instead of hanging up)
+   * }
+   * Returns the Telnyx transfer / dial result, or null when no destination accepted the transfer
+   * (warm transfers with onUnanswered hand the lead back instead and return { unanswered: true })
+   */
+  async transfer(callControlId, context = {}) {
+    const entry = {
+      context,
+      mode: context.mode === 'warm' ? 'warm' : 'blind',
+      tried: new Set(),
+      attempt: 0,
+      current: null,
+      leadEnded: false,
+      deadline: null,
+      acceptBy: null
+    };
+    this.transfers.set(callControlId, entry);
+
+    if (entry.mode === 'warm') {
+      const acceptTimeoutSecs = context.acceptTimeoutSecs || 30;
+      entry.acceptBy = Date.now() + acceptTimeoutSecs * 1000;
+      entry.deadline = setTimeout(() => {
+        this._giveUp(callControlId, 'accept_timeout').catch(error => {
+          console.error(`❌ Error ending warm transfer for ${callControlId}:`, error.message);
+        });
+      }, acceptTimeoutSecs * 1000);
+    }
+
+    const result = await this._dialNext(callControlId);
+    if (result) {
+      return result;
+    }
+    if (entry.mode === 'warm' && context.onUnanswered && !entry.leadEnded) {
+      await this._giveUp(callControlId, 'no_destination'); // no-op if the accept timeout already gave up
+      return { unanswered: true };
+    }
+    this._forget(callControlId);
+    return null;
+  }
+
+  /**
+   * Warm transfer agent leg answered: play the whisper, the legs are bridged when it ends
+   */
+  async handleAnswered(payload) {
+    const state = parseClientState(payload.client_state);
+    const entry = state?.warm && this.transfers.get(state.transferOf);
+    if (!entry || entry.current?.attemptId !== state.attemptId || entry.current.answered) return;
+
+    const current = entry.current;
+    current.answered = true;
+    console.log(`📲 ${current.name} answered warm transfer of ${state.transferOf} - whispering lead summary`);
+    await this._updateAttempt(current, { status: 'whispering', legCallControlId: payload.call_control_id });
+
+    if (!entry.context.whisper) {
+      return this._bridge(state.transferOf, entry);
+    }
+    try {
+      current.whispering = true;
+      await telnyxService.speak(payload.call_control_id, entry.context.whisper);
+    } catch (error) {
+      console.error(`❌ Whisper to ${current.name} failed - connecting without it:`, error.message);
+      current.whispering = false;
+      await this._bridge(state.transferOf, entry);
+    }
+  }
+
+  /**
+   * Whisper finished (or failed) on a warm transfer agent leg: connect the agent to the lead
+   */
+  async handleSpeakEnded(callControlId) {
+    const leadCallControlId = this.legs.get(callControlId);
+    const entry = leadCallControlId && this.transfers.get(leadCallControlId);
+    if (!entry || !entry.current?.whispering) return;
+
+    entry.current.whispering = false;
+    await this._bridge(leadCallControlId, entry);
+  }
+
+  /**
+   * Agent leg bridged to the lead: the attempt connected
+   */
+  async handleBridged(payload) {
+    const state = parseClientState(payload.client_state);
+    const entry = state?.transferOf && this.transfers.get(state.transferOf);
+    if (!entry || entry.current?.attemptId !== state.attemptId || entry.current.bridged) return;
+
+    entry.current.bridged = true;
+    entry.current.legCallControlId = payload.call_control_id;
+    console.log(`✅ Transfer attempt ${entry.attempt} bridged: ${state.transferOf} -> ${entry.current.name} (${entry.current.phoneNumber})`);
+    await this._updateAttempt(entry.current, { status: 'bridged', legCallControlId: payload.call_control_id, bridged: true });
+  }
+
+  /**
+   * Hangup of an agent leg (fail over when it never bridged) or of a lead call that was being transferred
+   */
+  async handleHangup(payload) {
+    const callControlId = payload.call_control_id;
+    const state = parseClientState(payload.client_state);
+
+    if (state?.transferOf) {
+      return this._handleLegHangup(state, callControlId, payload.hangup_cause);
+    }
+
+    const entry = this.transfers.get(callControlId);
+    if (!entry) return;
+    entry.leadEnded = true;
+    clearTimeout(entry.deadline);
+
+    // Bridged: the agent leg's own hangup closes the attempt
+    if (entry.current?.bridged) return;
+
+    if (entry.current) {
+      console.log(`📵 Lead ${callControlId} hung up before ${entry.current.name} was connected`);
+      this._releaseSlot(entry.current, callControlId);
+      await this._updateAttempt(entry.current, { status: 'abandoned', failureReason: payload.hangup_cause, ended: true });
+      // A warm transfer's agent leg is our own call - end it with the lead
+      if (entry.mode === 'warm' && entry.current.legCallControlId) {
+        await telnyxService.hangupCall(entry.current.legCallControlId);
+      }
+    }
+    this._forget(callControlId);
+  }
+
+  /**
+   * Destinations with their live state (for the API)
+   */
+  getStatus(now = new Date()) {
+    return this.destinations.map(destination => ({
+      ...destination,
+      activeTransfers: this.getActiveCount(destination.id),
+      open: this.isOpen(destination, now),
+      available: destination.enabled && this.isOpen(destination, now) && !this.isFull(destination)
+    }));
+  }
+
+  async _handleLegHangup(state, legCallControlId, hangupCause) {
+    const leadCallControlId = state.transferOf;
+    const entry = this.transfers.get(leadCallControlId);
+    if (!entry || entry.current?.attemptId !== state.attemptId) return;
+
+    const current = entry.current;
+    this._releaseSlot(current, leadCallControlId);
+
+    if (current.bridged) {
+      console.log(`📵 Transfer to ${current.name} ended (${hangupCause})`);
+      await this._updateAttempt(current, { status: 'completed', ended: true });
+      this._forget(leadCallControlId);
+      return;
+    }
+
+    const status = failureStatus(hangupCause);
+    console.warn(`⚠️  Transfer attempt ${entry.attempt} to ${current.name} (${current.phoneNumber}) ${status} (${hangupCause})`);
+    await this._updateAttempt(current, { status, legCallControlId, failureReason: hangupCause, ended: true });
+    this.legs.delete(legCallControlId);
+    entry.current = null;
+
+    if (entry.leadEnded) {
+      this._forget(leadCallControlId);
+      return;
+    }
+
+    const result = await this._dialNext(leadCallControlId);
+    if (!result) {
+      await this._giveUp(leadCallControlId, 'no_destination');
+    }
+  }
+
+  /**
+   * No agent took the lead: warm transfers hand the lead back (callback message), blind ones hang up
+   */
+  async _giveUp(leadCallControlId, reason) {
+    const entry = this.transfers.get(leadCallControlId);
+    if (!entry || entry.leadEnded) return;
+    // An agent who answered has accepted - let the whisper / bridge finish
+    if (reason === 'accept_timeout' && entry.current?.answered) return;
+
+    this._forget(leadCallControlId);
+    const current = entry.current;
+    if (current) {
+      this._releaseSlot(current, leadCallControlId);
+      await this._updateAttempt(current, { status: 'no_answer', failureReason: reason, ended: true });
+      if (current.legCallControlId) {
+        await telnyxService.hangupCall(current.legCallControlId);
+      }
+    }
+
+    if (entry.mode === 'warm' && entry.context.onUnanswered) {
+      console.warn(`⏰ No agent accepted warm transfer of ${leadCallControlId} (${reason}) - promising a callback`);
+      await entry.context.onUnanswered(leadCallControlId);
+      return;
+    }
+    console.warn(`❌ No transfer destination left for ${leadCallControlId} - hanging up`);
+    await telnyxService.hangupCall(leadCallControlId);
+  }
+
+  /**
+   * Connect a warm transfer's answered agent leg to the lead (failure hangs up the agent leg, which fails over)
+   */
+  async _bridge(leadCallControlId, entry) {
+    const current = entry.current;
+    try {
+      await telnyxService.bridgeCalls(leadCallControlId, current.legCallControlId);
+    } catch (error) {
+      console.error(`❌ Could not bridge ${leadCallControlId} to ${current.name}:`, error.message);
+      await telnyxService.hangupCall(current.legCallControlId);
+    }
+  }
+
+  _forget(leadCallControlId) {
+    const entry = this.transfers.get(leadCallControlId);
+    if (!entry) return;
+    clearTimeout(entry.deadline);
+    if (entry.current?.legCallControlId) {
+      this.legs.delete(entry.current.legCallControlId);
+    }
+    this.transfers.delete(leadCallControlId);
+  }
+
+  /**
+   * Try candidates until one accepts the transfer; returns the Telnyx result or null
+   */
+  async _dialNext(callControlId) {
+    const entry = this.transfers.get(callControlId);
+    const { context } = entry;
+
+    while (!entry.leadEnded && this.transfers.get(callControlId) === entry) {
+      const [destination] = this.getCandidates(context.campaignId, { tried: entry.tried, fallbackNumber: context.fallbackNumber });
+      if (!destination) return null;
+
+      // Warm transfers ring each agent for at most what is left of the accept timeout
+      const ringSecs = entry.acceptBy
+        ? Math.min(destination.timeout_secs, Math.floor((entry.acceptBy - Date.now()) / 1000))
+        : destination.timeout_secs;
+      if (ringSecs < MIN_RING_SECS) return null;
+
+      entry.tried.add(destination.id);
+      entry.attempt++;
+      const destinationId = destination.id === 'fallback' ? null : destination.id;
+      const lead = context.lead || {};
+
+      const row = await transferModel.recordAttempt({
+        callControlId,
+        attempt: entry.attempt,
+        destinationId,
+        campaignId: context.campaignId,
+        userId: lead.id,
+        phone: lead.phone,
+        name: `${lead.firstname || ''} ${lead.lastname || ''}`.trim() || null,
+        address: lead.address,
+        fromNumber: context.fromNumber,
+        toNumber: destination.phone_number
+      });
+
+      const current = {
+        attemptId: row?.id || `${callControlId}:${entry.attempt}`,
+        rowId: row?.id || null,
+        destinationId,
+        name: destination.name,
+        phoneNumber: destination.phone_number,
+        answered: false,
+        whispering: false,
+        bridged: false,
+        legCallControlId: null
+      };
+      entry.current = current;
+      this._takeSlot(current, callControlId);
+
+      console.log(`📲 ${entry.mode === 'warm' ? 'Warm' : 'Blind'} transfer attempt ${entry.attempt}: ${callControlId} -> ${destination.name} (${destination.phone_number}, ${ringSecs}s)`);
+      const clientState = { transferOf: callControlId, attemptId: current.attemptId, warm: entry.mode === 'warm' };
+      const result = await (entry.mode === 'warm'
+        ? telnyxService.dialAgent(destination.phone_number, context.fromNumber, { timeoutSecs: ringSecs, clientState })
+        : telnyxService.transferCall(callControlId, destination.phone_number, context.fromNumber, { timeoutSecs: ringSecs, clientState })
+      ).catch(error => {
+        console.error(`❌ Transfer to ${destination.name} failed:`, error.message);
+        return null;
+      });
+
+      if (result && entry.mode === 'warm' && this.transfers.get(callControlId) !== entry) {
+        // Gave up (accept timeout / lead hung up) while the agent was being dialed
+        await telnyxService.hangupCall(result.call_control_id);
+        return null;
+      }
+      if (result) {
+        if (entry.mode === 'warm') {
+          current.legCallControlId = result.call_control_id;
+          this.legs.set(result.call_control_id, callControlId);
+        }
+        return result;
+      }
+
+      this._releaseSlot(current, callControlId);
+      await this._updateAttempt(current, { status: 'failed', failureReason: 'transfer_rejected', ended: true });
+      entry.current = null;
+    }
+    return null;
+  }
+
+  _takeSlot(current, callControlId) {
+    if (!current.destinationId) return;
+    if (!this.activeLegs.has(current.destinationId)) {
+      this.activeLegs.set(current.destinationId, new Set());
+    }
+    this.activeLegs.get(current.destinationId).add(callControlId);
+  }
+
+  _releaseSlot(current, callControlId) {
+    if (!current.destinationId) return;
+    this.activeLegs.get(current.destinationId)?.delete(callControlId);
+  }
+
+  async _updateAttempt(current, update) {
+    if (current.rowId) {
+      await transferModel.updateAttempt(current.rowId, update);
+    }
+  }
+}
+
+module.exports = new TransferRoutingService();
+module.exports.samePhone = samePhone;
+module.exports.parseClientState = parseClientState;
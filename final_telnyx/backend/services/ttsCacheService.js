@@ -0,0 +1,204 @@
+/**
+ * TTS Cache Service
+ * Pre-rendered PCMU @ 8kHz audio on disk, keyed by (TTS provider, voice, model, normalized text),
+ * so fixed script lines skip live TTS: no synthesis latency and no TTS cost
+ *
+ * Files live in TTS_CACHE_DIR (default data/tts-cache) as <sha256 of the key>.ulaw. When the cache
+ * grows past TTS_CACHE_MAX_MB (default 200) the least recently used files are removed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'tts-cache');
+const DEFAULT_MAX_MB = 200;
+const FILE_EXTENSION = '.ulaw';
+
+class TtsCacheService {
+  constructor() {
+    this.index = null; // hash -> { size, lastUsed }, loaded from disk on first use
+  }
+
+  get cacheDir() {
+    return process.env.TTS_CACHE_DIR || DEFAULT_CACHE_DIR;
+  }
+
+  get maxBytes() {
+    const maxMb = parseFloat(process.env.TTS_CACHE_MAX_MB);
+    return (Number.isFinite(maxMb) && maxMb > 0 ? maxMb : DEFAULT_MAX_MB) * 1024 * 1024;
+  }
+
+  /**
+   * Normalize text so formatting differences share one entry (Unicode form, whitespace)
+   */
+  normalizeText(text) {
+    return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Cache key for a line: { provider, voice, model, text }
+   */
+  getKey({ provider, voice = null, model = null, text }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider, voice, model, this.normalizeText(text)]))
+      .digest('hex');
+  }
+
+  /**
+   * Cache key for text spoken by a resolved provider ({ name, provider, voice } from ttsProviderService.resolve)
+   */
+  keyFor(tts, text, model = null) {
+    return this.getKey({
+      provider: tts.name,
+      voice: tts.voice || tts.provider.defaultVoice || null,
+      model: model || tts.provider.model || null,
+      text
+    });
+  }
+
+  /**
+   * Render text with a provider into the cache unless it is already there
+   * Returns 'cached' or 'rendered'
+   */
+  async prerender(tts, text) {
+    if (tts.provider.playsOnCall) {
+      throw new Error(`${tts.name} TTS plays on the call and can't be cached`);
+    }
+    const key = this.keyFor(tts, text);
+    if (await this.has(key)) {
+      return 'cached';
+    }
+
+    const chunks = [];
+    for await (const chunk of tts.provider.stream(text, { voice: tts.voice })) {
+      chunks.push(chunk);
+    }
+    await this.put(key, Buffer.concat(chunks));
+    return 'rendered';
+  }
+
+  /**
+   * Get cached audio for a key (null on a miss)
+   */
+  async get(key) {
+    const index = await this._loadIndex();
+    const entry = index.get(key);
+    if (!entry) return null;
+
+    try {
+      const audio = await fs.readFile(this._filePath(key));
+      entry.lastUsed = Date.now();
+      return audio;
+    } catch (error) {
+      // Removed from disk behind our back
+      index.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Whether audio is cached for a key
+   */
+  async has(key) {
+    return (await this._loadIndex()).has(key);
+  }
+
+  /**
+   * Store audio for a key, then trim the cache to its size limit
+   */
+  async put(key, audio) {
+    if (!audio || audio.length === 0) return;
+    const index = await this._loadIndex();
+
+    // Write to a temp file first so a crash never leaves a truncated entry
+    const filePath = this._filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, audio);
+    await fs.rename(tempPath, filePath);
+    index.set(key, { size: audio.length, lastUsed: Date.now() });
+
+    await this._evict();
+  }
+
+  /**
+   * Entries and size of the cache
+   */
+  async getStats() {
+    const index = await this._loadIndex();
+    let bytes = 0;
+    for (const entry of index.values()) {
+      bytes += entry.size;
+    }
+    return {
+      directory: this.cacheDir,
+      entries: index.size,
+      bytes,
+      maxBytes: this.maxBytes,
+      // PCMU @ 8kHz = 8000 bytes per second
+      audioSeconds: Math.round(bytes / 8000)
+    };
+  }
+
+  /**
+   * Remove every cached file
+   */
+  async clear() {
+    const index = await this._loadIndex();
+    const removed = index.size;
+    await Promise.all([...index.keys()].map(key => fs.unlink(this._filePath(key)).catch(() => {})));
+    index.clear();
+    console.log(`🗑️  TTS cache cleared (${removed} entries)`);
+    return removed;
+  }
+
+  _filePath(key) {
+    return path.join(this.cacheDir, `${key}${FILE_EXTENSION}`);
+  }
+
+  async _loadIndex() {
+    if (this.index) return this.index;
+
+    const index = new Map();
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    for (const file of await fs.readdir(this.cacheDir)) {
+      if (!file.endsWith(FILE_EXTENSION)) continue;
+      try {
+        const stats = await fs.stat(path.join(this.cacheDir, file));
+        index.set(file.slice(0, -FILE_EXTENSION.length), { size: stats.size, lastUsed: stats.mtimeMs });
+      } catch (error) {
+        // Removed while listing
+      }
+    }
+
+    // Loaded concurrently by another call - keep the first index
+    if (!this.index) {
+      this.index = index;
+      console.log(`✅ TTS cache loaded: ${index.size} entries in ${this.cacheDir}`);
+    }
+    return this.index;
+  }
+
+  async _evict() {
+    const maxBytes = this.maxBytes;
+    let total = 0;
+    for (const entry of this.index.values()) {
+      total += entry.size;
+    }
+    if (total <= maxBytes) return;
+
+    const oldestFirst = [...this.index.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    let removed = 0;
+    for (const [key, entry] of oldestFirst) {
+      if (total <= maxBytes) break;
+      this.index.delete(key);
+      total -= entry.size;
+      removed++;
+      await fs.unlink(this._filePath(key)).catch(() => {});
+    }
+    console.log(`🧹 TTS cache over ${Math.round(maxBytes / 1024 / 1024)} MB - removed ${removed} least recently used entries`);
+  }
+}
+
+// Export singleton instance
+module.exports = new TtsCacheService();
@@ -0,0 +1,90 @@
+/**
+ * TTS Provider Service
+ * One text-to-speech interface over the providers. A call speaks with the provider and voice of
+ * its campaign, else of its script, else TTS_PROVIDER (default ElevenLabs) with that provider's default voice
+ *
+ * A provider is a singleton with listVoices() -> [{ id, name, default }], cancel(callControlId),
+ * defaultVoice and model (part of the TTS cache key), plus either
+ *   stream(text, { voice, callControlId }) - async iterable of PCMU @ 8kHz chunks sent over the media stream, or
+ *   speakOnCall(callControlId, text, { voice }) -> { durationSeconds } - plays on the call itself (playsOnCall = true)
+ */
+
+// Loaded on first use
+const PROVIDERS = {
+  elevenlabs: () => require('./elevenLabsTTSService'),
+  telnyx: () => require('./telnyxTTSService'),
+  tone: () => require('./toneTTSService')
+};
+
+const DEFAULT_PROVIDER = 'elevenlabs';
+
+class TtsProviderService {
+  /**
+   * Provider names that can be selected
+   */
+  getProviderNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Whether a provider name is known
+   */
+  isValidProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+  }
+
+  /**
+   * Provider used when neither the campaign nor the script chooses one (TTS_PROVIDER)
+   */
+  getDefaultProvider() {
+    const name = process.env.TTS_PROVIDER;
+    if (name && !this.isValidProvider(name)) {
+      console.warn(`⚠️  Unknown TTS_PROVIDER "${name}" - using ${DEFAULT_PROVIDER}`);
+      return DEFAULT_PROVIDER;
+    }
+    return name || DEFAULT_PROVIDER;
+  }
+
+  /**
+   * Get a provider by name
+   */
+  get(name) {
+    if (!this.isValidProvider(name)) {
+      throw new Error(`Unknown TTS provider: ${name}`);
+    }
+    return PROVIDERS[name]();
+  }
+
+  /**
+   * Pick the provider and voice from settings in order of preference ({ provider, voice } or null each)
+   * The first settings that name a provider win, voice included; null voice = the provider's default
+   */
+  resolve(...candidates) {
+    const chosen = candidates.find(settings => settings?.provider && this.isValidProvider(settings.provider));
+    const name = chosen ? chosen.provider : this.getDefaultProvider();
+    return { name, provider: this.get(name), voice: chosen?.voice || null };
+  }
+
+  /**
+   * Voices a provider offers
+   */
+  async listVoices(name) {
+    return this.get(name).listVoices();
+  }
+
+  /**
+   * Validate tts_provider / tts_voice input, returns an error message or null
+   * A voice only applies together with its provider (a voice without one is ignored)
+   */
+  validateSettings(provider, voice) {
+    if (provider && !this.isValidProvider(provider)) {
+      return `Invalid TTS provider. Use one of: ${this.getProviderNames().join(', ')}`;
+    }
+    if (voice && typeof voice !== 'string') {
+      return 'tts_voice must be a string';
+    }
+    return null;
+  }
+}
+
+module.exports = new TtsProviderService();
@@ -0,0 +1,124 @@
+/**
+ * Webhook Security Service
+ * Verifies Telnyx ed25519 webhook signatures, enforces a timestamp tolerance window
+ * and tracks events being processed so a redelivery arriving meanwhile is ignored
+ * (events already processed are found in webhook_events)
+ */
+
+const crypto = require('crypto');
+
+// DER prefix that turns a raw 32-byte ed25519 public key into an SPKI key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+class WebhookSecurityService {
+  constructor() {
+    this.toleranceSeconds = parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+    this.publicKey = null;
+    this.inFlightEvents = new Set(); // event IDs being processed right now
+
+    try {
+      this.publicKey = this.parsePublicKey(process.env.TELNYX_PUBLIC_KEY);
+    } catch (error) {
+      console.error(`❌ Invalid TELNYX_PUBLIC_KEY: ${error.message}`);
+    }
+
+    if (!this.publicKey && this.requiresSignature()) {
+      console.error('❌ TELNYX_PUBLIC_KEY not configured - all Telnyx webhooks will be rejected (TELNYX_WEBHOOK_ALLOW_UNSIGNED=true accepts them unverified)');
+    } else if (!this.publicKey) {
+      console.warn('⚠️  TELNYX_PUBLIC_KEY not configured - Telnyx webhook signatures are NOT verified');
+    }
+  }
+
+  /**
+   * Parse a public key: base64 raw 32-byte key (as shown in the Telnyx portal) or PEM
+   * Returns a KeyObject, or null when not configured
+   */
+  parsePublicKey(value) {
+    if (!value || value.startsWith('your_')) {
+      return null;
+    }
+    if (value.includes('BEGIN PUBLIC KEY')) {
+      return crypto.createPublicKey(value);
+    }
+
+    const raw = Buffer.from(value.trim(), 'base64');
+    if (raw.length !== 32) {
+      throw new Error(`expected a 32-byte base64 ed25519 key, got ${raw.length} bytes`);
+    }
+    return crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+      format: 'der',
+      type: 'spki'
+    });
+  }
+
+  /**
+   * Whether signature verification is active
+   */
+  isEnabled() {
+    return !!this.publicKey;
+  }
+
+  /**
+   * Whether webhooks must be signed even without a usable public key: in production,
+   * unless TELNYX_WEBHOOK_ALLOW_UNSIGNED=true opts out
+   */
+  requiresSignature(env = process.env) {
+    return env.NODE_ENV === 'production' && env.TELNYX_WEBHOOK_ALLOW_UNSIGNED !== 'true';
+  }
+
+  /**
+   * Verify a webhook
+   * Telnyx signs "<timestamp>|<raw body>" and sends the base64 signature in telnyx-signature-ed25519
+   * Returns { valid, error }
+   */
+  verifySignature({ rawBody, signature, timestamp, publicKey = this.publicKey, now = Date.now() }) {
+    if (!signature || !timestamp) {
+      return { valid: false, error: 'Missing signature headers' };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (!Number.isFinite(timestampSeconds)) {
+      return { valid: false, error: 'Invalid timestamp' };
+    }
+    if (Math.abs(now / 1000 - timestampSeconds) > this.toleranceSeconds) {
+      return { valid: false, error: `Timestamp outside the ${this.toleranceSeconds}s tolerance window` };
+    }
+
+    try {
+      const payload = Buffer.concat([Buffer.from(`${timestamp}|`), Buffer.from(rawBody || '')]);
+      const valid = crypto.verify(null, payload, publicKey, Buffer.from(signature, 'base64'));
+      return valid ? { valid: true, error: null } : { valid: false, error: 'Invalid signature' };
+    } catch (error) {
+      return { valid: false, error: `Signature check failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Claim an event for processing, returns false if it is already being processed (concurrent redelivery)
+   * Release it with releaseEvent once processing ended, whatever the outcome
+   */
+  claimEvent(eventId) {
+    if (!eventId) {
+      return true;
+    }
+    if (this.inFlightEvents.has(eventId)) {
+      return false;
+    }
+    this.inFlightEvents.add(eventId);
+    return true;
+  }
+
+  /**
+   * Release an event claimed with claimEvent
+   */
+  releaseEvent(eventId) {
+    if (eventId) {
+      this.inFlightEvents.delete(eventId);
+    }
+  }
+}
+
+module.exports = new WebhookSecurityService();
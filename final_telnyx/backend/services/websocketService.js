@@ -1,6 +1,7 @@
 const WebSocket = require('ws');
 const telnyxService = require('./telnyxService');
 const openaiService = require('./openaiService');
+const transferRouting = require('./transferRoutingService');
 
 let wss = null;
 const activeConnections = new Map();
@@ -151,12 +152,12 @@ async function handleTranscription(connectionId, data) {
           openaiService.endConversation(callControlId);
         }, 2000); // Wait 2 seconds before hanging up
       } else if (aiResponse.shouldTransfer) {
-        // Transfer to agent (you'll need to configure the transfer number)
+        // Transfer to agent (transfer destinations, else the configured transfer number)
         setTimeout(async () => {
-          const transferNumber = process.env.AGENT_TRANSFER_NUMBER;
-          if (transferNumber) {
-            await telnyxService.transferCall(callControlId, transferNumber);
-          }
+          await transferRouting.transfer(callControlId, {
+            fallbackNumber: process.env.AGENT_TRANSFER_NUMBER,
+            lead: openaiService.getConversationState(callControlId)?.userInfo || null
+          });
           openaiService.endConversation(callControlId);
         }, 2000);
       }
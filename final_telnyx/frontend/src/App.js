@@ -26,6 +26,7 @@ import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import AgentControl from './components/AgentControl';
 import CallMonitor from './components/CallMonitor';
+import { clearSession, hasSession } from './services/api';
 
 // Create theme
 const theme = createTheme({
@@ -57,17 +58,27 @@ function App() {
   const [wsConnection, setWsConnection] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [username, setUsername] = useState('');
+  const [role, setRole] = useState('');
   const [anchorEl, setAnchorEl] = useState(null);
   const wsRef = React.useRef(null);
 
-  // Check authentication on mount
+  // Check authentication on mount (the backend rejects expired or revoked tokens with 401)
   useEffect(() => {
-    const authStatus = localStorage.getItem('isAuthenticated');
-    const savedUsername = localStorage.getItem('username');
-    if (authStatus === 'true' && savedUsername) {
+    if (hasSession()) {
       setIsAuthenticated(true);
-      setUsername(savedUsername);
+      setUsername(localStorage.getItem('username') || '');
+      setRole(localStorage.getItem('role') || '');
+    } else {
+      clearSession();
     }
+
+    const handleSessionEnded = () => {
+      setIsAuthenticated(false);
+      setUsername('');
+      setRole('');
+    };
+    window.addEventListener('auth:logout', handleSessionEnded);
+    return () => window.removeEventListener('auth:logout', handleSessionEnded);
   }, []);
 
   useEffect(() => {
@@ -112,17 +123,16 @@ function App() {
   };
 
   const handleLogin = () => {
-    const savedUsername = localStorage.getItem('username');
     setIsAuthenticated(true);
-    setUsername(savedUsername || 'root');
+    setUsername(localStorage.getItem('username') || '');
+    setRole(localStorage.getItem('role') || '');
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('isAuthenticated');
-    localStorage.removeItem('username');
-    localStorage.removeItem('loginTime');
+    clearSession();
     setIsAuthenticated(false);
     setUsername('');
+    setRole('');
     handleMenuClose();
     if (wsConnection) {
       wsConnection.close();
@@ -193,7 +203,7 @@ function App() {
             >
               <MenuItem disabled>
                 <AccountCircleIcon sx={{ mr: 1 }} fontSize="small" />
-                Logged in as: {username}
+                Logged in as: {username}{role ? ` (${role})` : ''}
               </MenuItem>
               <MenuItem onClick={handleLogout}>
                 <LogoutIcon sx={{ mr: 1 }} fontSize="small" />
@@ -68,6 +68,8 @@ function AgentControl({ wsConnection }) {
   const [allUsers, setAllUsers] = useState([]);
   const [delayBetweenCalls, setDelayBetweenCalls] = useState(5);
   const [transferNumber, setTransferNumber] = useState('+18434028556');
+  const [transferMode, setTransferMode] = useState('blind');
+  const [warmTransferTimeoutSecs, setWarmTransferTimeoutSecs] = useState(30);
   const [maxConcurrentCalls, setMaxConcurrentCalls] = useState(1);
   const [alert, setAlert] = useState(null);
   const [didRotation, setDidRotation] = useState({
@@ -242,6 +244,12 @@ function AgentControl({ wsConnection }) {
       if (data.transferNumber) {
         setTransferNumber(data.transferNumber);
       }
+      if (data.transferMode) {
+        setTransferMode(data.transferMode);
+      }
+      if (data.warmTransferTimeoutSecs) {
+        setWarmTransferTimeoutSecs(data.warmTransferTimeoutSecs);
+      }
       if (data.maxConcurrentCalls) {
         setMaxConcurrentCalls(data.maxConcurrentCalls);
       }
@@ -484,6 +492,8 @@ function AgentControl({ wsConnection }) {
     try {
       const response = await agentAPI.updateConfig({ 
         transferNumber, 
+        transferMode,
+        warmTransferTimeoutSecs,
         maxConcurrentCalls 
       });
       console.log('✅ Config saved:', response.data);
@@ -905,6 +915,11 @@ function AgentControl({ wsConnection }) {
                     ElevenLabs STT: ${(costStats.breakdown.elevenlabsSTT || 0).toFixed(2)}
                   </Typography>
                 </Grid>
+                <Grid item xs={6} sm={4}>
+                  <Typography variant="caption" color="textSecondary">
+                    Deepgram STT: ${(costStats.breakdown.deepgramSTT || 0).toFixed(2)}
+                  </Typography>
+                </Grid>
                 <Grid item xs={6} sm={4}>
                   <Typography variant="caption" color="textSecondary">
                     AI Processing: ${(costStats.breakdown.openaiCost || 0).toFixed(2)}
@@ -1035,6 +1050,40 @@ function AgentControl({ wsConnection }) {
                 />
               </Grid>
 
+              <Grid item xs={12} md={6}>
+                <TextField
+                  select
+                  label="Transfer Mode"
+                  value={transferMode}
+                  onChange={(e) => setTransferMode(e.target.value)}
+                  disabled={agentStatus.status !== 'stopped'}
+                  fullWidth
+                  helperText="Warm: the agent hears a summary of the lead before being connected"
+                >
+                  <MenuItem value="blind">Blind transfer</MenuItem>
+                  <MenuItem value="warm">Warm transfer (whisper)</MenuItem>
+                </TextField>
+              </Grid>
+
+              {transferMode === 'warm' && (
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    label="Agent Accept Timeout (seconds)"
+                    type="number"
+                    value={warmTransferTimeoutSecs}
+                    onChange={(e) => setWarmTransferTimeoutSecs(parseInt(e.target.value) || 30)}
+                    disabled={agentStatus.status !== 'stopped'}
+                    fullWidth
+                    inputProps={{
+                      min: 10,
+                      max: 300,
+                      step: 5
+                    }}
+                    helperText="No agent picks up in time = the lead is told we'll call back"
+                  />
+                </Grid>
+              )}
+
               <Grid item xs={12} md={6}>
                 <TextField
                   label="Max Concurrent Calls"
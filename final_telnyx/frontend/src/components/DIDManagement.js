@@ -23,6 +23,7 @@ import {
   ListItem,
   ListItemText,
   IconButton,
+  MenuItem,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -31,6 +32,15 @@ import {
 } from '@mui/icons-material';
 import { didAPI } from '../services/api';
 
+const STRATEGIES = {
+  area_code: 'Area Code Match',
+  state: 'State Match',
+  round_robin: 'Round Robin',
+  sticky: 'Sticky (same DID per lead)',
+  weighted: 'Weighted',
+  lru: 'Least Recently Used',
+};
+
 function DIDManagement() {
   const [purchasedNumbers, setPurchasedNumbers] = useState([]);
   const [rotation, setRotation] = useState({
@@ -39,16 +49,19 @@ function DIDManagement() {
     numbersByState: {},
     numbersByAreaCode: {},
     strategy: 'area_code',
+    weights: {},
     currentIndex: 0,
   });
   const [alert, setAlert] = useState(null);
   const [openSearchDialog, setOpenSearchDialog] = useState(false);
   const [availableNumbers, setAvailableNumbers] = useState([]);
   const [areaCode, setAreaCode] = useState('');
+  const [health, setHealth] = useState({});
 
   useEffect(() => {
     fetchPurchasedNumbers();
     fetchRotation();
+    fetchHealth();
   }, []);
 
   const fetchPurchasedNumbers = async () => {
@@ -69,6 +82,29 @@ function DIDManagement() {
     }
   };
 
+  const fetchHealth = async (refresh = false) => {
+    try {
+      const response = await didAPI.getHealth(refresh);
+      const byNumber = {};
+      response.data.data.dids.forEach((did) => {
+        byNumber[did.phoneNumber] = did;
+      });
+      setHealth(byNumber);
+    } catch (error) {
+      showAlert('error', 'Failed to fetch DID health');
+    }
+  };
+
+  const handleReactivate = async (phoneNumber) => {
+    try {
+      const response = await didAPI.reactivateDID(phoneNumber);
+      showAlert('success', response.data.message);
+      fetchHealth();
+    } catch (error) {
+      showAlert('error', 'Failed to reactivate number');
+    }
+  };
+
   const handleToggleRotation = async () => {
     try {
       const response = await didAPI.toggleRotation();
@@ -79,6 +115,33 @@ function DIDManagement() {
     }
   };
 
+  const handleStrategyChange = async (strategy) => {
+    try {
+      const response = await didAPI.configureRotation(rotation.allNumbers, rotation.enabled, strategy);
+      setRotation(response.data.data);
+      showAlert('success', `Strategy set to ${STRATEGIES[strategy]}`);
+    } catch (error) {
+      showAlert('error', error.response?.data?.error || 'Failed to change strategy');
+    }
+  };
+
+  const handleWeightChange = (phoneNumber, value) => {
+    const weight = Math.max(0, parseInt(value, 10) || 0);
+    setRotation({ ...rotation, weights: { ...rotation.weights, [phoneNumber]: weight } });
+  };
+
+  const handleSaveWeights = async () => {
+    try {
+      const response = await didAPI.configureRotation(
+        rotation.allNumbers, rotation.enabled, rotation.strategy, rotation.weights
+      );
+      setRotation(response.data.data);
+      showAlert('success', 'Weights saved');
+    } catch (error) {
+      showAlert('error', error.response?.data?.error || 'Failed to save weights');
+    }
+  };
+
   const handleAddToRotation = async (phoneNumber) => {
     try {
       const newNumbers = [...rotation.allNumbers, phoneNumber];
@@ -179,11 +242,18 @@ function DIDManagement() {
               <Typography variant="subtitle2">
                 Numbers in Rotation ({rotation.allNumbers.length}):
               </Typography>
-              <Chip 
-                label={`Strategy: ${rotation.strategy === 'area_code' ? 'Area Code Match' : 'Round Robin'}`}
+              <TextField
+                select
                 size="small"
-                color="info"
-              />
+                label="Strategy"
+                value={rotation.strategy}
+                onChange={(e) => handleStrategyChange(e.target.value)}
+                sx={{ minWidth: 220 }}
+              >
+                {Object.entries(STRATEGIES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
             </Box>
             <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 1 }}>
               {rotation.allNumbers.map((number, index) => (
@@ -195,6 +265,30 @@ function DIDManagement() {
                 />
               ))}
             </Box>
+            {rotation.strategy === 'weighted' && (
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="caption" color="textSecondary">
+                  Each number is picked in proportion to its weight (0 = never used)
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+                  {rotation.allNumbers.map((number) => (
+                    <TextField
+                      key={number}
+                      type="number"
+                      size="small"
+                      label={number}
+                      value={rotation.weights?.[number] ?? 1}
+                      onChange={(e) => handleWeightChange(number, e.target.value)}
+                      inputProps={{ min: 0 }}
+                      sx={{ width: 150 }}
+                    />
+                  ))}
+                  <Button size="small" variant="contained" onClick={handleSaveWeights}>
+                    Save Weights
+                  </Button>
+                </Box>
+              </Box>
+            )}
             <Box sx={{ mt: 2, p: 2, bgcolor: '#f5f5f5', borderRadius: 1 }}>
               <Typography variant="caption" color="textSecondary">
                 📍 States Covered: {Object.keys(rotation.numbersByState || {}).length} | 
@@ -219,7 +313,7 @@ function DIDManagement() {
       <Paper sx={{ p: 3 }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
           <Typography variant="h6">Purchased Phone Numbers</Typography>
-          <IconButton onClick={fetchPurchasedNumbers}>
+          <IconButton onClick={() => { fetchPurchasedNumbers(); fetchHealth(true); }}>
             <RefreshIcon />
           </IconButton>
         </Box>
@@ -231,6 +325,7 @@ function DIDManagement() {
                 <TableCell>Phone Number</TableCell>
                 <TableCell>Status</TableCell>
                 <TableCell>Connection</TableCell>
+                <TableCell>Health</TableCell>
                 <TableCell align="right">Actions</TableCell>
               </TableRow>
             </TableHead>
@@ -250,7 +345,35 @@ function DIDManagement() {
                     />
                   </TableCell>
                   <TableCell>{number.connection_name || 'Not connected'}</TableCell>
+                  <TableCell>
+                    {health[number.phone_number] ? (
+                      <Box>
+                        <Typography variant="body2">
+                          {health[number.phone_number].score ?? 'Not scored'}
+                          {health[number.phone_number].answerRate !== null &&
+                            ` · ${health[number.phone_number].answerRate}% answered`}
+                          {` · ${health[number.phone_number].callsToday} today`}
+                        </Typography>
+                        {health[number.phone_number].status === 'rested' && (
+                          <Chip
+                            label={`Rested until ${new Date(health[number.phone_number].restedUntil).toLocaleString()} (${health[number.phone_number].restReason})`}
+                            size="small"
+                            color="warning"
+                          />
+                        )}
+                      </Box>
+                    ) : '-'}
+                  </TableCell>
                   <TableCell align="right">
+                    {health[number.phone_number]?.status === 'rested' && (
+                      <Button
+                        size="small"
+                        sx={{ mr: 1 }}
+                        onClick={() => handleReactivate(number.phone_number)}
+                      >
+                        Reactivate
+                      </Button>
+                    )}
                     {isInRotation(number.phone_number) ? (
                       <Button
                         size="small"
@@ -17,6 +17,7 @@ import {
   Person as PersonIcon,
 } from '@mui/icons-material';
 import PhoneInTalkIcon from '@mui/icons-material/PhoneInTalk';
+import { authAPI, saveSession } from '../services/api';
 
 function Login({ onLogin }) {
   const [username, setUsername] = useState('');
@@ -30,20 +31,14 @@ function Login({ onLogin }) {
     setError('');
     setLoading(true);
 
-    // Simulate API call delay
-    setTimeout(() => {
-      if (username === 'root' && password === 'root123') {
-        // Success
-        localStorage.setItem('isAuthenticated', 'true');
-        localStorage.setItem('username', username);
-        localStorage.setItem('loginTime', new Date().toISOString());
-        onLogin();
-      } else {
-        // Error
-        setError('Invalid username or password');
-        setLoading(false);
-      }
-    }, 500);
+    try {
+      const response = await authAPI.login(username, password);
+      saveSession(response.data.data);
+      onLogin();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Unable to reach the server');
+      setLoading(false);
+    }
   };
 
   const handleKeyPress = (e) => {
@@ -9,6 +9,56 @@ const api = axios.create({
   },
 });
 
+// Send the session token with every request
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Expired or revoked session: clear it and let the app show the login page
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && localStorage.getItem('authToken')) {
+      clearSession();
+      window.dispatchEvent(new Event('auth:logout'));
+    }
+    return Promise.reject(error);
+  }
+);
+
+export const saveSession = ({ token, expiresAt, operator }) => {
+  localStorage.setItem('authToken', token);
+  localStorage.setItem('authExpiresAt', expiresAt);
+  localStorage.setItem('username', operator.username);
+  localStorage.setItem('role', operator.role);
+};
+
+export const clearSession = () => {
+  ['authToken', 'authExpiresAt', 'username', 'role'].forEach((key) => localStorage.removeItem(key));
+};
+
+export const hasSession = () => {
+  const token = localStorage.getItem('authToken');
+  const expiresAt = localStorage.getItem('authExpiresAt');
+  return !!token && (!expiresAt || new Date(expiresAt) > new Date());
+};
+
+// Auth API
+export const authAPI = {
+  login: (username, password) => api.post('/auth/login', { username, password }),
+  me: () => api.get('/auth/me'),
+  changePassword: (currentPassword, newPassword) =>
+    api.post('/auth/change-password', { currentPassword, newPassword }),
+  getOperators: () => api.get('/auth/operators'),
+  createOperator: (data) => api.post('/auth/operators', data),
+  updateOperator: (id, data) => api.put(`/auth/operators/${id}`, data),
+  deleteOperator: (id) => api.delete(`/auth/operators/${id}`),
+};
+
 // Users API
 export const usersAPI = {
   getAll: (params = {}) => {
@@ -54,12 +104,25 @@ export const didAPI = {
   getPurchased: () => api.get('/did/purchased'),
   purchase: (phoneNumber) => api.post('/did/purchase', { phoneNumber }),
   getRotation: () => api.get('/did/rotation'),
-  configureRotation: (numbers, enabled, strategy = 'area_code') => 
-    api.post('/did/rotation/configure', { numbers, enabled, strategy }),
+  configureRotation: (numbers, enabled, strategy = 'area_code', weights) => 
+    api.post('/did/rotation/configure', { numbers, enabled, strategy, weights }),
   toggleRotation: () => api.post('/did/rotation/toggle'),
   getNext: () => api.get('/did/rotation/next'),
-  matchDID: (recipientPhone, recipientState) => 
-    api.post('/did/rotation/match', { recipientPhone, recipientState }),
+  matchDID: (recipientPhone, recipientState, lastDidNumber) => 
+    api.post('/did/rotation/match', { recipientPhone, recipientState, lastDidNumber }),
+  getHealth: (refresh = false) => api.get('/did/health', { params: { refresh } }),
+  restDID: (phoneNumber, hours, reason) =>
+    api.post(`/did/health/${encodeURIComponent(phoneNumber)}/rest`, { hours, reason }),
+  reactivateDID: (phoneNumber) => api.post(`/did/health/${encodeURIComponent(phoneNumber)}/reactivate`),
+  getPools: () => api.get('/did/pools'),
+  getPool: (id) => api.get(`/did/pools/${id}`),
+  createPool: (data) => api.post('/did/pools', data),
+  updatePool: (id, data) => api.put(`/did/pools/${id}`, data),
+  deletePool: (id) => api.delete(`/did/pools/${id}`),
+  assignPoolToCampaign: (id, campaignId) => api.put(`/did/pools/${id}/campaigns/${campaignId}`),
+  unassignPoolFromCampaign: (id, campaignId) => api.delete(`/did/pools/${id}/campaigns/${campaignId}`),
+  assignPoolToLeads: (id, userIds) => api.post(`/did/pools/${id}/leads`, { userIds }),
+  releasePoolLeads: (id, userIds) => api.delete(`/did/pools/${id}/leads`, { data: { userIds } }),
 };
 
 // Agent API
@@ -78,6 +141,73 @@ export const agentAPI = {
   clearAllCosts: () => api.delete('/agent/costs'),
 };
 
+// Campaigns API
+export const campaignsAPI = {
+  getAll: () => api.get('/campaigns'),
+  getById: (id) => api.get(`/campaigns/${id}`),
+  create: (campaignData) => api.post('/campaigns', campaignData),
+  update: (id, campaignData) => api.put(`/campaigns/${id}`, campaignData),
+  delete: (id) => api.delete(`/campaigns/${id}`),
+  getLeads: (id) => api.get(`/campaigns/${id}/leads`),
+  addLeads: (id, userIds) => api.post(`/campaigns/${id}/leads`, { userIds }),
+  importLeads: (id, formData) => api.post(`/campaigns/${id}/leads/import`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  removeLead: (id, userId) => api.delete(`/campaigns/${id}/leads/${userId}`),
+  start: (id) => api.post(`/campaigns/${id}/start`),
+  pause: (id) => api.post(`/campaigns/${id}/pause`),
+  resume: (id) => api.post(`/campaigns/${id}/resume`),
+  stop: (id) => api.post(`/campaigns/${id}/stop`),
+};
+
+// Scripts API
+export const scriptsAPI = {
+  getAll: () => api.get('/scripts'),
+  getById: (id) => api.get(`/scripts/${id}`),
+  create: (scriptData) => api.post('/scripts', scriptData),
+  update: (id, scriptData) => api.put(`/scripts/${id}`, scriptData),
+  delete: (id) => api.delete(`/scripts/${id}`),
+  getVersions: (id) => api.get(`/scripts/${id}/versions`),
+  getVersion: (id, version) => api.get(`/scripts/${id}/versions/${version}`),
+  restoreVersion: (id, version) => api.post(`/scripts/${id}/versions/${version}/restore`),
+  preview: (id, user) => api.post(`/scripts/${id}/preview`, user),
+  getTtsVoices: (provider) => api.get('/scripts/tts/voices', { params: { provider } }),
+  warmTtsCache: (id, options = {}) => api.post(`/scripts/${id}/tts-cache/warm`, options),
+  getTtsCache: () => api.get('/scripts/tts/cache'),
+  clearTtsCache: () => api.delete('/scripts/tts/cache'),
+};
+
+// Do-Not-Call API
+export const dncAPI = {
+  getAll: (search = '') => api.get('/dnc', { params: { search } }),
+  check: (phone) => api.get(`/dnc/check/${encodeURIComponent(phone)}`),
+  add: (phone, reason) => api.post('/dnc', { phone, reason }),
+  remove: (phone) => api.delete(`/dnc/${encodeURIComponent(phone)}`),
+  import: (formData) => api.post('/dnc/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  export: () => api.get('/dnc/export', { responseType: 'blob' }),
+};
+
+// Transfers API
+export const transfersAPI = {
+  getAttempts: (callControlId = null) => api.get('/transfers', { params: callControlId ? { callControlId } : {} }),
+  setDisposition: (id, disposition, notes = null) => api.post(`/transfers/${id}/disposition`, { disposition, notes }),
+  getDestinations: () => api.get('/transfers/destinations'),
+  createDestination: (destination) => api.post('/transfers/destinations', destination),
+  updateDestination: (id, destination) => api.put(`/transfers/destinations/${id}`, destination),
+  deleteDestination: (id) => api.delete(`/transfers/destinations/${id}`),
+};
+
+// Costs API
+export const costsAPI = {
+  getReport: (params = {}) => api.get('/costs/report', { params }),
+  getPricing: () => api.get('/costs/pricing'),
+  addRateCard: (rateCard) => api.post('/costs/pricing', rateCard),
+  updateRateCard: (version, rateCard) => api.put(`/costs/pricing/${version}`, rateCard),
+  deleteRateCard: (version) => api.delete(`/costs/pricing/${version}`),
+};
+
 // Conversations API
 export const conversationsAPI = {
   getAll: (page = 1, limit = 20, filter = 'all', durationFilter = null) => 